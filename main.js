@@ -2,7 +2,11 @@
 //
 // This file serves as the entry point for the Electron Quiz App from CSV.
 // It is responsible for creating the main application window, handling IPC (Inter-Process Communication)
-// for file selection, and managing application lifecycle events such as window creation and app termination.
+// for file selection, reading and watching deck files, results, import report and deck export, the answer history store, the key bindings and the recent decks list,
+// building the File menu, and managing application lifecycle events such as
+// window creation and app termination.
+// Every IPC handler checks that the call comes from the app's page and checks its
+// arguments (see src/quizApi.js) before touching the file system.
 
 // -----------------------------------------------------------------------------
 // Import Required Modules
@@ -12,20 +16,261 @@
 //  - BrowserWindow: Used to create and manage application windows.
 //  - ipcMain: Handles inter-process communication (IPC) from the renderer process.
 //  - dialog: Provides native dialog APIs (e.g., open file dialog).
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+//  - Menu: Builds the application menu (File menu with the recent decks).
+const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
 
 // Import Node.js 'path' module for handling and transforming file paths.
 const path = require('path');
 
+// Import Node.js 'url' module to compare the sender of IPC calls with the app's page.
+const { pathToFileURL } = require('url');
+
+// Import the IPC API definition, whose argument checks are repeated here (see src/quizApi.js).
+const {
+  IPC_CHANNELS,
+  WINDOW_CHANNELS,
+  validateAttempt,
+  validateDeckPath,
+  validateDeckPaths,
+  validateDeckRead,
+  validateMediaCheck,
+  validateResultsReport,
+  validateKeyBindings,
+  validateImportReport,
+  validateRecentDeck,
+  validateReopenLast,
+  validateDeckSave,
+  validateDeckExport
+} = require('./src/quizApi');
+
+// Import the answer history store, kept as a JSON file in the userData directory.
+const historyStore = require('./src/historyStore');
+
+// Import the results export, which writes session results as CSV, JSON or HTML.
+const resultsExport = require('./src/resultsExport');
+
+// Import the keyboard shortcuts, whose user bindings are kept in the userData directory.
+const keyBindings = require('./src/keyBindings');
+
+// Import the import report, which lists the rows skipped when a CSV file is loaded.
+const importReport = require('./src/importReport');
+
+// Import the recent decks list, kept in the userData directory.
+const recentDecks = require('./src/recentDecks');
+
+// Import the deck importers, whose file formats the open dialog offers.
+const importers = require('./src/importers');
+
+// Import the deck export, which writes decks as Moodle XML, GIFT or text for Anki.
+const deckExport = require('./src/deckExport');
+
+// Import the text encodings, in which deck files are read for the window and decks saved
+// by the deck editor are written.
+const textEncoding = require('./src/textEncoding');
+
+// Import the media module, which finds the media files a deck refers to that do not exist.
+const media = require('./src/media');
+
+// Import the file watcher, which reports changes to the files of the deck a window has loaded.
+const fileWatcher = require('./src/fileWatcher');
+
+// -----------------------------------------------------------------------------
+// Deck Files Chosen by the User
+// -----------------------------------------------------------------------------
+// The files the user picked in the open dialog or saved to through the save dialog.
+// The deck editor may save these again without asking; any other file is only written
+// once the user has chosen it in the save dialog.
+const chosenDeckPaths = new Set();
+
+// The files the window may have read, checked for media and watched: those the user
+// chose in a dialog, dropped on the window and confirmed, or opened from the recent decks
+// (see assertOpenedDeckFile).
+const openedDeckPaths = new Set();
+
+// -----------------------------------------------------------------------------
+// Watched Deck Files
+// -----------------------------------------------------------------------------
+// The function that stops watching the files of the deck loaded in each window, by the
+// id of the window's webContents (see the 'watch-deck-files' handler).
+const deckWatches = new Map();
+
+// -----------------------------------------------------------------------------
+// Function: stopWatchingDeckFiles
+// -----------------------------------------------------------------------------
+// Description:
+//   Stops watching the deck files of a window, if any are watched.
+function stopWatchingDeckFiles(contentsId) {
+  const stop = deckWatches.get(contentsId);
+  if (stop) stop();
+  deckWatches.delete(contentsId);
+}
+
+// -----------------------------------------------------------------------------
+// Function: historyStorePath
+// -----------------------------------------------------------------------------
+// Description:
+//   Returns the path of the answer history file inside Electron's userData directory
+//   (e.g. ~/.config/<app name>/answer-history.json on Linux).
+function historyStorePath() {
+  return path.join(app.getPath('userData'), historyStore.HISTORY_FILE_NAME);
+}
+
+// -----------------------------------------------------------------------------
+// Function: keyBindingsPath
+// -----------------------------------------------------------------------------
+// Description:
+//   Returns the path of the key bindings file inside Electron's userData directory.
+function keyBindingsPath() {
+  return path.join(app.getPath('userData'), keyBindings.KEY_BINDINGS_FILE_NAME);
+}
+
+// -----------------------------------------------------------------------------
+// Function: recentDecksPath
+// -----------------------------------------------------------------------------
+// Description:
+//   Returns the path of the recent decks file inside Electron's userData directory.
+function recentDecksPath() {
+  return path.join(app.getPath('userData'), recentDecks.RECENT_DECKS_FILE_NAME);
+}
+
+// -----------------------------------------------------------------------------
+// Function: saveRecentDecks
+// -----------------------------------------------------------------------------
+// Description:
+//   Writes the recent decks list and rebuilds the File menu so it shows the new list.
+//
+// Returns:
+//   The list as written.
+function saveRecentDecks(recent) {
+  recentDecks.writeRecentDecks(recentDecksPath(), recent);
+  buildAppMenu(recent);
+  return recent;
+}
+
+// -----------------------------------------------------------------------------
+// Function: sendToWindow
+// -----------------------------------------------------------------------------
+// Description:
+//   Sends a message from the File menu to the quiz window (the window the menu was
+//   used in, or else the first window). Nothing is sent when no window is open.
+function sendToWindow(win, channel, payload) {
+  const target = win || BrowserWindow.getAllWindows()[0];
+  if (target) target.webContents.send(channel, payload);
+}
+
+// -----------------------------------------------------------------------------
+// Function: buildAppMenu
+// -----------------------------------------------------------------------------
+// Description:
+//   Sets the application menu: a File menu with "Open Decks…", the recent decks
+//   ("Open Recent"), "Edit Deck…", "Export Deck…", the "Reopen Last Deck on Startup" setting and "Clear Recent Decks",
+//   followed by the standard Edit, View and Window menus. The menu items do their work
+//   in the window, which is told what to open over the WINDOW_CHANNELS (see src/quizApi.js).
+//   "Open Decks…" has no accelerator, so Ctrl+O stays a key binding of the window.
+function buildAppMenu(recent) {
+  const isMac = process.platform === 'darwin';
+  const recentItems = recent.decks.length > 0
+    ? recent.decks.map(deck => ({
+      label: recentDecks.describeDeck(deck),
+      toolTip: deck.paths.join('\n'),
+      click: (item, win) => sendToWindow(win, WINDOW_CHANNELS.OPEN_RECENT_DECK, deck)
+    }))
+    : [{ label: 'No Recent Decks', enabled: false }];
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    {
+      label: 'File',
+      submenu: [
+        { label: 'Open Decks…', click: (item, win) => sendToWindow(win, WINDOW_CHANNELS.OPEN_CSV_FILES) },
+        { label: 'Open Recent', submenu: recentItems },
+        { label: 'Edit Deck…', click: (item, win) => sendToWindow(win, WINDOW_CHANNELS.OPEN_DECK_EDITOR) },
+        { label: 'Export Deck…', click: (item, win) => sendToWindow(win, WINDOW_CHANNELS.EXPORT_DECK) },
+        { label: 'Export Results…', click: (item, win) => sendToWindow(win, WINDOW_CHANNELS.EXPORT_RESULTS) },
+        { type: 'separator' },
+        {
+          label: 'Reopen Last Deck on Startup',
+          type: 'checkbox',
+          checked: recent.reopenLast,
+          click: (item, win) => {
+            const updated = saveRecentDecks(Object.assign(recentDecks.readRecentDecks(recentDecksPath()), { reopenLast: item.checked }));
+            sendToWindow(win, WINDOW_CHANNELS.RECENT_DECKS_CHANGED, updated);
+          }
+        },
+        {
+          label: 'Clear Recent Decks',
+          enabled: recent.decks.length > 0,
+          click: (item, win) => {
+            const updated = saveRecentDecks(Object.assign(recentDecks.readRecentDecks(recentDecksPath()), { decks: [] }));
+            sendToWindow(win, WINDOW_CHANNELS.RECENT_DECKS_CHANGED, updated);
+          }
+        },
+        { type: 'separator' },
+        isMac ? { role: 'close' } : { role: 'quit' }
+      ]
+    },
+    { role: 'editMenu' },
+    { role: 'viewMenu' },
+    { role: 'windowMenu' }
+  ];
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+// -----------------------------------------------------------------------------
+// Function: assertTrustedSender
+// -----------------------------------------------------------------------------
+// Description:
+//   Throws unless an IPC call comes from the app's own page (index.html), so no other
+//   page or frame that ends up in a window can use the handlers below.
+function assertTrustedSender(event) {
+  const senderUrl = event.senderFrame ? event.senderFrame.url : '';
+  if (senderUrl !== pathToFileURL(path.join(__dirname, 'index.html')).href) {
+    throw new Error(`Blocked IPC call from untrusted sender: ${senderUrl}`);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Function: assertDeckFile
+// -----------------------------------------------------------------------------
+// Description:
+//   Throws unless a path sent by the window is absolute and has the extension of a deck
+//   format (see src/importers.js), so the window can only have deck files read, checked
+//   for media or watched.
+function assertDeckFile(filePath) {
+  if (!path.isAbsolute(filePath) || !importers.isImportPath(filePath)) {
+    throw new Error(`Not a deck file: ${filePath}`);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Function: assertOpenedDeckFile
+// -----------------------------------------------------------------------------
+// Description:
+//   Throws unless a path sent by the window is a deck file (see assertDeckFile) the user
+//   opened: chosen in the open or save dialog, dropped on the window and confirmed, or in
+//   the recent decks list. A page that has gone wrong (e.g. through a crafted deck) can
+//   therefore not read other files or find out whether they exist. A file opened from the
+//   recent decks stays open after the list is cleared, so the loaded deck still reloads.
+function assertOpenedDeckFile(filePath) {
+  assertDeckFile(filePath);
+  if (openedDeckPaths.has(filePath)) return;
+  const recent = recentDecks.readRecentDecks(recentDecksPath());
+  if (!recent.decks.some(deck => deck.paths.includes(filePath))) {
+    throw new Error(`Not an opened deck file: ${filePath}`);
+  }
+  openedDeckPaths.add(filePath);
+}
+
 // -----------------------------------------------------------------------------
 // Function: createWindow
 // -----------------------------------------------------------------------------
 // Description:
 //   Creates and configures the main application window (BrowserWindow).
-//   The window is configured with a fixed width and height, and its webPreferences
-//   enable Node.js integration in the renderer process and disable context isolation.
-//   (Note: Disabling context isolation may be acceptable for development, but for production,
-//          consider using preload scripts and the contextBridge for improved security.)
+//   The window is configured with a fixed width and height. The page runs sandboxed,
+//   without Node.js and with context isolation: the quiz logic (renderer.js, bundled into
+//   bundle/renderer.js) is a script of the page, and reaches the main process only through
+//   the API the preload script hands it (see preload.js and src/quizApi.js). Files are
+//   read, written and watched by the handlers below. The window never navigates away from
+//   index.html and never opens other windows.
 //
 // Returns:
 //   A new instance of BrowserWindow that loads the main HTML file.
@@ -35,11 +280,21 @@ function createWindow() {
     width: 1024,  // Set the window width to 1024 pixels.
     height: 768,  // Set the window height to 768 pixels.
     webPreferences: {
-      nodeIntegration: true,   // Allow Node.js integration in the renderer process.
-      contextIsolation: false  // Disable context isolation (consider enabling for security in production).
+      preload: path.join(__dirname, 'bundle', 'preload.js'), // Hands the IPC API to the page.
+      nodeIntegration: false,  // The page has no Node.js access.
+      contextIsolation: true,  // The preload's JavaScript is separate from the page's.
+      sandbox: true            // Neither the page nor the preload can reach Node.js or the file system.
     }
   });
 
+  // Stop watching the window's deck files once it is closed.
+  const contentsId = win.webContents.id;
+  win.webContents.once('destroyed', () => stopWatchingDeckFiles(contentsId));
+
+  // Keep the window on the app's page: block navigation and new windows (e.g. from links).
+  win.webContents.on('will-navigate', (event) => event.preventDefault());
+  win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
   // Load the main HTML file into the window.
   win.loadFile('index.html');
 }
@@ -48,23 +303,30 @@ function createWindow() {
 // App Lifecycle: Window Creation
 // -----------------------------------------------------------------------------
 // When Electron has finished initializing and is ready to create browser windows,
-// call the createWindow function to open the main application window.
-app.whenReady().then(createWindow);
+// build the File menu from the recent decks list and call the createWindow function
+// to open the main application window.
+app.whenReady().then(() => {
+  buildAppMenu(recentDecks.readRecentDecks(recentDecksPath()));
+  createWindow();
+});
 
 // -----------------------------------------------------------------------------
 // IPC Handler: 'select-csv-file'
 // -----------------------------------------------------------------------------
 // Description:
 //   This handler listens for IPC invocations from the renderer process with the channel 'select-csv-file'.
-//   When invoked, it opens a native file dialog that allows the user to select a CSV file.
-//   After the dialog is closed, the handler returns the selected file path back to the renderer.
+//   When invoked, it opens a native file dialog that allows the user to select one or more deck files
+//   in any format the renderer can import (CSV, JSON, Moodle GIFT or Aiken, see src/importers.js);
+//   the renderer merges several files into one deck.
+//   After the dialog is closed, the handler returns the list of selected file paths back to the renderer.
 //   If the user cancels the dialog or does not select a file, the handler returns null.
-ipcMain.handle('select-csv-file', async (event) => {
+ipcMain.handle(IPC_CHANNELS.SELECT_CSV_FILE, async (event) => {
+  assertTrustedSender(event);
   // Show the native open file dialog with the specified options.
   const result = await dialog.showOpenDialog({
-    title: 'Select CSV File',               // Dialog title.
-    filters: [{ name: 'CSV Files', extensions: ['csv'] }], // Only allow files with the .csv extension.
-    properties: ['openFile']                // Restrict dialog to file selection.
+    title: 'Select Deck Files',             // Dialog title.
+    filters: importers.IMPORT_FILTERS,      // Every importable format first, then each format alone.
+    properties: ['openFile', 'multiSelections'] // Restrict dialog to file selection; allow several files.
   });
   console.log("Dialog result:", result);
 
@@ -72,8 +334,292 @@ ipcMain.handle('select-csv-file', async (event) => {
   if (result.canceled || result.filePaths.length === 0) {
     return null;
   }
-  // Otherwise, return the first selected file path.
-  return result.filePaths[0];
+  // Otherwise, return the selected file paths.
+  result.filePaths.forEach(filePath => {
+    chosenDeckPaths.add(filePath);
+    openedDeckPaths.add(filePath);
+  });
+  return result.filePaths;
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'confirm-dropped-files'
+// -----------------------------------------------------------------------------
+// Description:
+//   Asks the user whether to open the deck files dropped on the window. Only the window
+//   sees what was dropped, so the main process reads the files it names once the user has
+//   confirmed them in a native dialog listing their paths. Returns the paths, or null if
+//   the user cancels.
+ipcMain.handle(IPC_CHANNELS.CONFIRM_DROPPED_FILES, async (event, deckPaths) => {
+  assertTrustedSender(event);
+  validateDeckPaths(deckPaths);
+  deckPaths.forEach(assertDeckFile);
+  const result = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+    type: 'question',
+    title: 'Open Dropped Files',
+    message: deckPaths.length === 1 ? 'Open the dropped deck file?' : `Open the ${deckPaths.length} dropped deck files?`,
+    detail: deckPaths.join('\n'),
+    buttons: ['Open', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1
+  });
+  if (result.response !== 0) {
+    return null;
+  }
+  deckPaths.forEach(filePath => openedDeckPaths.add(filePath));
+  return deckPaths;
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'read-deck-file'
+// -----------------------------------------------------------------------------
+// Description:
+//   Reads a deck file for the window, which cannot reach the file system itself. The file
+//   is decoded in the requested encoding, or in the one detected from its bytes ('auto',
+//   see src/textEncoding.js). Returns { text, encoding, byteOrderMark, fileUrl }, where
+//   fileUrl is the file:// URL the deck's media paths are resolved against. A file that
+//   cannot be read returns { error, code } with the message and code of the file system
+//   error (e.g. 'ENOENT'), so the window can tell the user what went wrong. Only files
+//   the user opened are read (see assertOpenedDeckFile).
+ipcMain.handle(IPC_CHANNELS.READ_DECK_FILE, async (event, request) => {
+  assertTrustedSender(event);
+  validateDeckRead(request);
+  assertOpenedDeckFile(request.filePath);
+  try {
+    const file = textEncoding.readTextFile(request.filePath, request.encoding);
+    return Object.assign(file, { fileUrl: pathToFileURL(request.filePath).href });
+  } catch (err) {
+    return { error: err.message, code: err.code || null };
+  }
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'find-missing-media'
+// -----------------------------------------------------------------------------
+// Description:
+//   Returns the media references of a deck file (images and audio clips, see
+//   src/media.js) whose files do not exist, resolved against the deck file's directory.
+//   The deck file must be one the user opened (see assertOpenedDeckFile).
+ipcMain.handle(IPC_CHANNELS.FIND_MISSING_MEDIA, async (event, request) => {
+  assertTrustedSender(event);
+  validateMediaCheck(request);
+  assertOpenedDeckFile(request.deckPath);
+  return media.findMissingFiles(request.references, path.dirname(request.deckPath));
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'watch-deck-files'
+// -----------------------------------------------------------------------------
+// Description:
+//   Watches the files of the deck the window has loaded, instead of those it watched
+//   before (an empty list stops watching). Changed files are sent to the window on
+//   'deck-files-changed' (see src/fileWatcher.js), which reloads them. Only files the
+//   user opened are watched (see assertOpenedDeckFile). Returns the watched paths.
+ipcMain.handle(IPC_CHANNELS.WATCH_DECK_FILES, async (event, deckPaths) => {
+  assertTrustedSender(event);
+  validateDeckPaths(deckPaths);
+  deckPaths.forEach(assertOpenedDeckFile);
+  const sender = event.sender;
+  stopWatchingDeckFiles(sender.id);
+  if (deckPaths.length > 0) {
+    deckWatches.set(sender.id, fileWatcher.watchFiles(deckPaths, changedPaths => {
+      if (!sender.isDestroyed()) sender.send(WINDOW_CHANNELS.DECK_FILES_CHANGED, changedPaths);
+    }));
+  }
+  return deckPaths;
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'export-results'
+// -----------------------------------------------------------------------------
+// Description:
+//   Opens a native save dialog for the results report built by the renderer (see
+//   src/resultsExport.js) and writes the report in the format matching the chosen
+//   file extension (CSV, JSON or HTML). Returns { filePath, format }, or null if the
+//   user cancels the dialog.
+ipcMain.handle(IPC_CHANNELS.EXPORT_RESULTS, async (event, report) => {
+  assertTrustedSender(event);
+  validateResultsReport(report);
+  const baseName = typeof report.deck === 'string' && report.deck ? path.parse(report.deck).name : 'quiz';
+  const result = await dialog.showSaveDialog({
+    title: 'Export Results',
+    defaultPath: `${baseName}-results.csv`,
+    filters: resultsExport.EXPORT_FILTERS
+  });
+
+  // If the user cancels the dialog, nothing is written.
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+  return resultsExport.writeResultsReport(result.filePath, report);
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'export-import-report'
+// -----------------------------------------------------------------------------
+// Description:
+//   Opens a native save dialog for the report of the last CSV import (see
+//   src/importReport.js) and writes the skipped rows as CSV. Returns { filePath },
+//   or null if the user cancels the dialog.
+ipcMain.handle(IPC_CHANNELS.EXPORT_IMPORT_REPORT, async (event, report) => {
+  assertTrustedSender(event);
+  validateImportReport(report);
+  const baseName = typeof report.deckPath === 'string' && report.deckPath ? path.parse(report.deckPath).name : 'quiz';
+  const result = await dialog.showSaveDialog({
+    title: 'Export Import Report',
+    defaultPath: `${baseName}-import-report.csv`,
+    filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+  });
+
+  // If the user cancels the dialog, nothing is written.
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+  return importReport.writeImportReport(result.filePath, report);
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'record-attempt'
+// -----------------------------------------------------------------------------
+// Description:
+//   Appends one answer attempt sent by the renderer to the answer history file.
+//   The attempt holds the deck path, question key, chosen answer, correctness, score
+//   and time spent (see src/historyStore.js). Returns the stored attempt.
+ipcMain.handle(IPC_CHANNELS.RECORD_ATTEMPT, async (event, attempt) => {
+  assertTrustedSender(event);
+  validateAttempt(attempt);
+  return historyStore.recordAttempt(historyStorePath(), attempt);
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'get-deck-history'
+// -----------------------------------------------------------------------------
+// Description:
+//   Returns the recorded attempts of one deck, as a map from question key to
+//   { questionText, attempts }. Decks without history return an empty object.
+ipcMain.handle(IPC_CHANNELS.GET_DECK_HISTORY, async (event, deckPath) => {
+  assertTrustedSender(event);
+  validateDeckPath(deckPath);
+  return historyStore.getDeckHistory(historyStorePath(), deckPath);
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'get-key-bindings'
+// -----------------------------------------------------------------------------
+// Description:
+//   Returns the keyboard shortcuts the user has changed, as stored in the key bindings
+//   file (an empty object if there are none). The renderer merges them with the defaults.
+ipcMain.handle(IPC_CHANNELS.GET_KEY_BINDINGS, async (event) => {
+  assertTrustedSender(event);
+  return keyBindings.readKeyBindings(keyBindingsPath());
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'save-key-bindings'
+// -----------------------------------------------------------------------------
+// Description:
+//   Stores the keyboard shortcuts changed in the cheat sheet and returns them as stored.
+ipcMain.handle(IPC_CHANNELS.SAVE_KEY_BINDINGS, async (event, bindings) => {
+  assertTrustedSender(event);
+  validateKeyBindings(bindings);
+  return keyBindings.writeKeyBindings(keyBindingsPath(), bindings);
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'get-recent-decks'
+// -----------------------------------------------------------------------------
+// Description:
+//   Returns the recent decks list with the files that no longer exist removed (the
+//   cleaned-up list is stored). The result is { reopenLast, decks, pruned }, where pruned
+//   lists the removed paths so the window can mention them.
+ipcMain.handle(IPC_CHANNELS.GET_RECENT_DECKS, async (event) => {
+  assertTrustedSender(event);
+  const { recent, pruned } = recentDecks.pruneRecentDecks(recentDecks.readRecentDecks(recentDecksPath()));
+  if (pruned.length > 0) saveRecentDecks(recent);
+  return Object.assign({}, recent, { pruned });
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'record-recent-deck'
+// -----------------------------------------------------------------------------
+// Description:
+//   Puts the deck the window has opened (its CSV file paths and the selected group) at
+//   the top of the recent decks list. Its files must be ones the user opened (see
+//   assertOpenedDeckFile), since the files in the list may be read. Returns the updated list.
+ipcMain.handle(IPC_CHANNELS.RECORD_RECENT_DECK, async (event, deck) => {
+  assertTrustedSender(event);
+  validateRecentDeck(deck);
+  deck.paths.forEach(assertOpenedDeckFile);
+  return saveRecentDecks(recentDecks.addRecentDeck(recentDecks.readRecentDecks(recentDecksPath()), deck));
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'set-reopen-last-deck'
+// -----------------------------------------------------------------------------
+// Description:
+//   Stores whether the last deck is opened again when the app starts. Returns the
+//   updated list.
+ipcMain.handle(IPC_CHANNELS.SET_REOPEN_LAST_DECK, async (event, reopenLast) => {
+  assertTrustedSender(event);
+  validateReopenLast(reopenLast);
+  return saveRecentDecks(Object.assign(recentDecks.readRecentDecks(recentDecksPath()), { reopenLast }));
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'save-deck'
+// -----------------------------------------------------------------------------
+// Description:
+//   Writes a deck from the deck editor: the CSV text in the given encoding (see
+//   deckFileContent in src/deckEditor.js). The file the deck was read from is written
+//   again if the user chose it in a dialog; otherwise (a new deck, "Save As…", or a file
+//   that was dropped on the window or opened from the recent decks) a native save dialog
+//   asks where to save it. Returns { filePath }, or null if the user cancels the dialog.
+ipcMain.handle(IPC_CHANNELS.SAVE_DECK, async (event, deck) => {
+  assertTrustedSender(event);
+  validateDeckSave(deck);
+  let filePath = deck.filePath && chosenDeckPaths.has(deck.filePath) ? deck.filePath : null;
+  if (!filePath) {
+    const result = await dialog.showSaveDialog({
+      title: 'Save Deck',
+      defaultPath: deck.filePath && path.isAbsolute(deck.filePath) ? deck.filePath : deck.fileName,
+      filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+    });
+
+    // If the user cancels the dialog, nothing is written.
+    if (result.canceled || !result.filePath) {
+      return null;
+    }
+    filePath = result.filePath;
+  }
+  textEncoding.writeTextFile(filePath, deck.text, deck.encoding);
+  chosenDeckPaths.add(filePath);
+  openedDeckPaths.add(filePath);
+  return { filePath };
+});
+
+// -----------------------------------------------------------------------------
+// IPC Handler: 'export-deck'
+// -----------------------------------------------------------------------------
+// Description:
+//   Opens a native save dialog for the questions of the loaded deck (see
+//   src/deckExport.js) and writes them in the format matching the chosen file
+//   extension (Moodle XML, GIFT or tab-separated text for Anki). Returns
+//   { filePath, format, exported, skipped }, or null if the user cancels the dialog.
+ipcMain.handle(IPC_CHANNELS.EXPORT_DECK, async (event, deck) => {
+  assertTrustedSender(event);
+  validateDeckExport(deck);
+  const baseName = typeof deck.deck === 'string' && deck.deck ? path.parse(deck.deck).name : 'quiz';
+  const result = await dialog.showSaveDialog({
+    title: 'Export Deck',
+    defaultPath: `${baseName}.xml`,
+    filters: deckExport.DECK_EXPORT_FILTERS
+  });
+
+  // If the user cancels the dialog, nothing is written.
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+  return deckExport.writeDeckExport(result.filePath, deck);
 });
 
 // -----------------------------------------------------------------------------
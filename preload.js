@@ -0,0 +1,16 @@
+// preload.js
+//
+// This file is the preload script of the quiz window (see createWindow in main.js).
+// The window is sandboxed, with context isolation on and Node.js integration off, so
+// neither the page nor anything a deck file might smuggle into it can reach Node.js or
+// the file system. The quiz logic (renderer.js) runs as a script of the page, and this
+// script hands it the API of src/quizApi.js as window.quizApi: the only way to the main
+// process, with a fixed channel and checked arguments for each call.
+//
+// A sandboxed preload script can only load Electron's own modules, so it is bundled with
+// src/quizApi.js into bundle/preload.js (see the "build" script in package.json).
+
+const { contextBridge, ipcRenderer } = require('electron');
+const { createQuizApi } = require('./src/quizApi');
+
+contextBridge.exposeInMainWorld('quizApi', createQuizApi(ipcRenderer));
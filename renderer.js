@@ -3,27 +3,166 @@
 // This module handles the main logic for the Electron Quiz App from CSV's renderer process.
 // It performs the following tasks:
 //   - Parses a CSV file to load quiz questions (including filtering by a "group" column).
+//   - Imports decks from JSON, Moodle GIFT and Aiken files as well, through the importers of
+//     src/importers.js, which turn every format into the same questions.
+//   - Detects the separator (comma, semicolon, tab or pipe) and the encoding (UTF-8, UTF-16 or
+//     Windows-1252) of each CSV file, with settings to choose them when the guess is wrong.
+//   - Loads deck files dropped onto the window, asking whether to replace or add to a quiz in
+//     progress and rejecting files that are not deck files.
+//   - Keeps a list of recent decks (also in the File menu) and can reopen the last deck, with its
+//     group, at startup; files that no longer exist are dropped from the list.
+//   - Watches the files of the loaded deck and reloads them when they change on disk, keeping the
+//     answers to the questions that are still there and listing the questions added, removed or modified.
+//   - Offers a deck editor to write and change questions (text, options, correct answer and group),
+//     add, remove and reorder them, with the import's validation shown as you type; decks are saved
+//     as CSV with correct quoting and the file's own separator.
+//   - Merges several CSV files into one deck, or adds files to the loaded deck; each file is a
+//     source in the group filter and questions repeated across files are skipped as duplicates.
+//   - Detects header rows and lets the user map unrecognised columns to question fields.
 //   - Displays the current question and its options in the DOM.
 //   - Provides a modern card-style UI with responsive design for score tracking.
 //   - Implements a timer that starts with the first question and tracks quiz duration.
 //   - Checks the user's answer and provides visual feedback via a floating message.
 //   - Tracks the score (correct and incorrect answers) and updates the score display.
+//   - Supports "select all that apply" questions with all-or-nothing or partial credit scoring.
+//   - Supports free-text and numeric questions answered by typing into an input field.
+//   - Shows the optional explanation of a question once it has been answered.
+//   - Displays images and audio clips referenced from the CSV, resolved against the CSV's directory.
+//   - Records every answer (with the time spent) in the persistent answer history via IPC.
+//   - Offers a spaced-repetition study mode that asks only the questions due today, weakest first,
+//     and shows how many questions are due next to the group filter.
 //   - Stops the timer only when all questions in the current group have been answered.
+//   - Runs an optional per-question countdown (global or from the CSV) that scores an expired
+//     question as incorrect and moves on to the next one.
+//   - Offers an exam mode with an overall time limit, a countdown, no per-answer feedback,
+//     answers that can be changed until the exam is submitted, and automatic submission at timeout.
+//   - Shuffles the question order and/or the answer options with a seed that can be shown and re-entered.
+//   - Shows a results view at the end of a round: score, elapsed time, accuracy per group and the
+//     missed questions with their correct answers, each linking back to the question.
+//   - Answers, navigates, focuses the group filter and opens CSV files from the keyboard, with an
+//     on-screen cheat sheet where the key bindings can be changed.
+//   - Reports the rows skipped by an import with their line number, reason and raw content,
+//     shows the counts per reason and exports the report as CSV.
+//   - Exports the session results (answers, correctness, time and group totals) as CSV, JSON
+//     or a printable HTML report through a save dialog in the main process.
+//   - Exports the questions of the selected group (or the whole deck) to Moodle XML, GIFT or
+//     tab-separated text for Anki, with the groups as categories or tags.
+//   - Offers a "Retry incorrect answers" round, with its own score and timer, once every question is answered.
 //   - Resets and restarts the timer when the group filter changes.
-//   - Handles IPC communication with the main process for selecting a CSV file.
+//   - Handles IPC communication with the main process for selecting, reading and watching deck
+//     files, through the narrow API of src/quizApi.js that the preload script hands the page;
+//     CSV text is only ever inserted into the page as text.
 //   - Prevents multiple CSV file dialogs from opening concurrently.
 
 // -----------------------------------------------------------------------------
-// Import Node.js modules.
+// Import Node.js modules. The page runs without Node.js: in the page bundle, path is
+// src/browserPath.js (see the "browser" field of package.json).
 // -----------------------------------------------------------------------------
-const fs = require('fs');             // File system module used to read CSV files.
 const path = require('path');         // Module for handling file paths.
-const csv = require('csv-parser');    // Library for parsing CSV file contents.
 
 // -----------------------------------------------------------------------------
-// Import ipcRenderer from Electron for IPC communication.
+// Import local modules.
 // -----------------------------------------------------------------------------
-const { ipcRenderer } = require('electron');
+const {
+  MAX_OPTIONS,
+  OPTION_LETTERS,
+  OPTION_FIELDS,
+  FIELDS,
+  REQUIRED_FIELDS,
+  FIELD_LABELS,
+  defaultColumnMap,
+  detectHeaderRow,
+  buildColumnMap,
+  isColumnMapComplete
+} = require('./src/columnMapping'); // Header detection and column mapping for CSV files.
+const { SCORING_MODES, parseAnswerLetters, scoreAnswer } = require('./src/scoring'); // Answer scoring.
+const {
+  QUESTION_TYPES,
+  matchTypedAnswer,
+  describeAcceptedAnswers
+} = require('./src/answerMatching'); // Free-text and numeric answer checking.
+const {
+  MEDIA_KINDS,
+  mediaKindFromPath,
+  parseMediaText,
+  hasMediaReferences,
+  mediaUrl,
+  collectMediaReferences,
+  findMissingMedia
+} = require('./src/media'); // Images and audio clips referenced from CSV rows.
+const { questionKey } = require('./src/questionKey'); // Stable question keys for the answer history.
+const { buildStudyQueue, countDueToday } = require('./src/spacedRepetition'); // Study mode scheduling.
+const {
+  createRandom,
+  generateSeed,
+  normalizeSeed,
+  shuffleArray,
+  shuffleOptions,
+  originalAnswerLetters
+} = require('./src/shuffle'); // Seeded shuffling of questions and options.
+const { parseTimeLimit, questionTimeLimit } = require('./src/timeLimit'); // Per-question time limits.
+const {
+  summarizeResults,
+  formatDuration,
+  describeGivenAnswer,
+  describeCorrectAnswer
+} = require('./src/results'); // End-of-round results.
+const { buildResultsReport } = require('./src/resultsExport'); // Results reports for export.
+const { buildDeckExport } = require('./src/deckExport'); // Decks for export to other tools.
+const {
+  KEY_ACTIONS,
+  keyCombo,
+  describeCombo,
+  mergeKeyBindings,
+  findKeyAction,
+  rebindKey
+} = require('./src/keyBindings'); // Keyboard shortcuts.
+const {
+  SKIP_REASONS,
+  SKIP_REASON_LABELS,
+  hasEncodingProblem,
+  createImportReport,
+  addSkippedRow,
+  countSkippedByReason
+} = require('./src/importReport'); // Report of the rows skipped by an import.
+const { describeDeck } = require('./src/recentDecks'); // Names of recent decks.
+const { parseQuestionRow } = require('./src/questionRow'); // Validation of question rows.
+const { SEPARATORS, SEPARATOR_LABELS, detectSeparator } = require('./src/csvFormat'); // Separator of deck files.
+const { ENCODINGS, ENCODING_LABELS } = require('./src/textEncoding'); // Encoding of deck files.
+const {
+  IMPORT_FORMATS,
+  IMPORTERS,
+  IMPORT_EXTENSIONS,
+  isImportPath,
+  findImporter
+} = require('./src/importers'); // Deck file formats.
+const {
+  parseDeckText,
+  createDeckDocument,
+  newDeckDocument,
+  getRowFields,
+  setRowField,
+  addRow,
+  removeRow,
+  moveRow,
+  validateDeckDocument,
+  deckFileContent
+} = require('./src/deckEditor'); // Deck files edited in the deck editor.
+const {
+  diffQuestions,
+  hasChanges,
+  describeChanges,
+  describeChangedFields
+} = require('./src/deckChanges'); // Changes between two versions of a CSV file.
+
+// -----------------------------------------------------------------------------
+// The API to the main process.
+//
+// This module runs as a script of the sandboxed page, without Node.js, and reaches the
+// main process only through the checked calls of src/quizApi.js, which the preload
+// script (preload.js) hands the page as window.quizApi.
+// -----------------------------------------------------------------------------
+const quizApi = typeof window !== 'undefined' && window.quizApi ? window.quizApi : null;
 
 // -----------------------------------------------------------------------------
 // Module-level variables for storing quiz data and score.
@@ -33,20 +172,52 @@ let allQuestions = [];                // Array to hold all loaded quiz questions
 let currentQuestionIndex = 0;         // Index of the currently displayed question.
 let correctCount = 0;                 // Counter for correct answers.
 let incorrectCount = 0;               // Counter for incorrect answers.
+let pointsEarned = 0;                 // Sum of question scores (differs from correctCount with partial credit).
+let currentDeckPath = null;           // Absolute path of the loaded CSV file (the first one of a merged deck).
+let questionShownAt = null;           // Timestamp of when the current question was displayed.
+let deckHistory = {};                 // Recorded attempts of the loaded deck, by question key.
+let keyBindings = mergeKeyBindings({}); // Keyboard shortcuts, by action (defaults until the user's are loaded).
+let rebindingAction = null;           // Action waiting for a new key in the cheat sheet, if any.
+let lastImportReport = null;          // Report of the last CSV import (see src/importReport.js).
+let recentDecks = { reopenLast: false, decks: [] }; // Recently opened decks (see src/recentDecks.js).
+let listeningForDeckChanges = false;  // Whether changes to the deck's files are passed on to reloadDeckFiles.
+let deckReload = Promise.resolve();   // The reload of changed deck files in progress, if any.
+let deckEditor = null;                // The deck open in the deck editor: { deckPath, doc, dirty }.
+const columnMaps = new Map();         // Deck path -> { header, map } chosen for its header row.
 
 // -----------------------------------------------------------------------------
-// Constant for mapping answer indices to letters.
+// Constant for mapping answer indices to letters (A to H, one per possible option).
 // -----------------------------------------------------------------------------
-const letters = ['A', 'B', 'C', 'D'];
+const letters = OPTION_LETTERS;
+
+// Prefix of the group filter values that select a source file rather than a group.
+const SOURCE_FILTER_PREFIX = 'source:';
 
 // -----------------------------------------------------------------------------
 // State Object
 //
-// This state object holds flags used within the module (such as whether a CSV file dialog is open).
+// This state object holds flags used within the module (such as whether a CSV file dialog is open)
+// and the user's quiz settings (such as the scoring mode for multiple-answer questions and
+// whether the spaced-repetition study mode is on, the shuffle options with their seed, and the
+// exam mode with its time limit in minutes, the global per-question time limit in seconds, and the
+// separator and encoding CSV files are read with, 'auto' to detect them). It also holds the current round number, which counts
+// up with each "Retry incorrect answers" round, and whether the current exam has been submitted.
 // Wrapping the flag in an object allows external modules and tests to always have access to the live reference.
 // -----------------------------------------------------------------------------
 const state = {
-  isDialogOpen: false
+  isDialogOpen: false,
+  scoringMode: SCORING_MODES.ALL_OR_NOTHING,
+  studyMode: false,
+  shuffleQuestions: false,
+  shuffleOptions: false,
+  shuffleSeed: generateSeed(),
+  examMode: false,
+  examTimeLimitMinutes: 30,
+  examSubmitted: false,
+  questionTimeLimitSeconds: 0,
+  csvSeparator: 'auto',
+  csvEncoding: 'auto',
+  round: 1
 };
 
 // -----------------------------------------------------------------------------
@@ -61,6 +232,17 @@ let timerInterval = null;
 let timerStart = null;
 let timerElapsed = 0;
 
+// -----------------------------------------------------------------------------
+// Per-question timer variables
+//
+// questionTimerInterval - Holds the interval ID of the running per-question countdown.
+// questionDeadline      - Timestamp at which the displayed question's time runs out.
+// timedQuestion         - The question the countdown belongs to.
+// -----------------------------------------------------------------------------
+let questionTimerInterval = null;
+let questionDeadline = null;
+let timedQuestion = null;
+
 /**
  * getQuestions and getCurrentQuestionIndex
  * --------------------------------------
@@ -89,6 +271,8 @@ function getCurrentQuestionIndex() {
  * The timer is automatically started when:
  *   1. The first question of a group is displayed
  *   2. The group filter is changed
+ *
+ * In exam mode the exam is submitted automatically once the time limit is reached.
  */
 function startTimer() {
   stopTimer();
@@ -98,6 +282,9 @@ function startTimer() {
   timerInterval = setInterval(() => {
     timerElapsed = Math.floor((Date.now() - timerStart) / 1000);
     updateTimerDisplay(timerElapsed);
+    if (isExamRunning() && timerElapsed >= examTimeLimitSeconds()) {
+      submitExam(true);
+    }
   }, 1000);
 }
 
@@ -114,6 +301,8 @@ function stopTimer() {
   if (timerInterval) {
     clearInterval(timerInterval);
     timerInterval = null;
+    // Keep the exact elapsed time for the results view.
+    timerElapsed = Math.floor((Date.now() - timerStart) / 1000);
   }
 }
 
@@ -139,8 +328,11 @@ function resetTimer() {
  * This function creates a timer container if one doesn't exist, then updates it
  * with the formatted time (MM:SS format). The timer is displayed at the top of the quiz
  * container with a modern styled interface (styled via CSS).
+ *
+ * While an exam is running, the timer counts down instead: it shows the time left
+ * before the exam's time limit, highlighted during the last minute.
  * 
- * @param {number} seconds - The number of seconds to display on the timer.
+ * @param {number} seconds - The number of elapsed seconds.
  */
 function updateTimerDisplay(seconds) {
   let timerDiv = document.getElementById('timerContainer');
@@ -155,112 +347,671 @@ function updateTimerDisplay(seconds) {
       document.body.insertBefore(timerDiv, document.body.firstChild);
     }
   }
-  const mins = String(Math.floor(seconds / 60)).padStart(2, '0');
-  const secs = String(seconds % 60).padStart(2, '0');
-  timerDiv.innerHTML = `<span class="timer-label">Time:</span> <span class="timer-value">${mins}:${secs}</span>`;
+  let label = 'Time:';
+  let shown = seconds;
+  timerDiv.classList.remove('timer-warning');
+  if (isExamRunning()) {
+    label = 'Time left:';
+    shown = Math.max(0, examTimeLimitSeconds() - seconds);
+    if (shown <= 60) timerDiv.classList.add('timer-warning');
+  }
+  const mins = String(Math.floor(shown / 60)).padStart(2, '0');
+  const secs = String(shown % 60).padStart(2, '0');
+  timerDiv.innerHTML = `<span class="timer-label">${label}</span> <span class="timer-value">${mins}:${secs}</span>`;
+}
+
+/**
+ * isExamRunning
+ * -------------
+ * Checks whether an exam is in progress: exam mode is on and the exam has not been submitted.
+ *
+ * @returns {boolean} True while answers are collected without feedback.
+ */
+function isExamRunning() {
+  return state.examMode && !state.examSubmitted;
+}
+
+/**
+ * examTimeLimitSeconds
+ * --------------------
+ * Returns the exam's overall time limit in seconds (at least one minute).
+ *
+ * @returns {number} The time limit in seconds.
+ */
+function examTimeLimitSeconds() {
+  const minutes = Number(state.examTimeLimitMinutes);
+  return Math.round((Number.isFinite(minutes) && minutes >= 1 ? minutes : 1) * 60);
 }
 
 /**
  * loadQuestions
  * -------------
- * Parses a CSV file to load quiz questions. The CSV is expected to have rows with the following
- * fields (without headers): questionText, option1, option2, option3, option4, correctAnswer, group.
+ * Parses one or more CSV files to load quiz questions. Each row holds the fields questionText,
+ * option1, option2, option3, option4, correctAnswer and group, optionally followed
+ * by option5 to option8, type, explanation and media. A choice question needs at least two options (e.g. True/False);
+ * unused trailing option columns are left empty. A row without options (or with type "text" or
+ * "number") is a free-text or numeric question whose correct answer column lists the accepted
+ * answers (see src/answerMatching.js). The optional explanation is shown once the question is answered.
+ * Question and option text may reference images and audio clips inline (img:path, audio:path), and
+ * the media column may name one more file; paths are relative to the CSV file (see src/media.js).
+ * The optional timeLimit column sets a time limit for the question, e.g. "30" or "1:30" (see src/timeLimit.js).
+ * JSON, Moodle GIFT and Aiken files are read into the same fields (see src/importers.js).
+ *
+ * Several files are merged into one deck, in the order given; with options.append they are
+ * added to the deck that is already loaded. Each question remembers the file it came from,
+ * which becomes a source in the group filter, and its answers are kept in that file's history.
  *
  * This function:
- * - Clears any previously loaded questions
- * - Resets the quiz score, question index, and userAnswered flags
- * - Detects CSV separator automatically (comma or semicolon)
- * - Validates rows for required fields and correct answer format
- * - Populates the group dropdown filter with unique group values 
+ * - Reads every file (see readDeckFile) before touching the loaded deck, so a cancelled
+ *   import leaves the current deck as it was
+ * - Skips questions that already came earlier in the same file or in another file of the deck
+ * - Lists the skipped rows of all files in one import report shown after the import
+ * - Resets the quiz score, question index, and answers
+ * - Reports media files that are referenced but missing
+ * - Populates the group dropdown filter with unique group values and the source files
+ * - Adds the deck to the recent decks list
+ * - Watches the deck's files, so the deck is reloaded when they change (see reloadDeckFiles)
  * - Displays the first question and prepares for the quiz to start
  * - Ensures the modern UI score card is properly initialized
  *
- * @param {string} csvPath - The absolute path to the CSV file.
+ * @param {string|Array<string>} csvPaths - The path of the CSV file, or the paths of several files.
+ * @param {Object} [options] - Load options.
+ * @param {boolean} [options.append=false] - Add the files to the loaded deck instead of replacing it.
+ *   A file that is already part of the deck is read again and replaces its earlier questions.
  * @returns {Promise<Array>} A promise that resolves with the array of valid quiz questions.
  */
-function loadQuestions(csvPath) {
-  return new Promise((resolve, reject) => {
-    // Clear existing questions and reset quiz state.
+function loadQuestions(csvPaths, options = {}) {
+  const deckPaths = Array.isArray(csvPaths) ? csvPaths.slice() : [csvPaths];
+  // Questions of the loaded deck that stay when appending.
+  const kept = options.append ? allQuestions.filter(q => !deckPaths.includes(q.deckPath)) : [];
+  const importReport = createImportReport(deckPaths);
+  const seenQuestions = new Map(); // Question key -> first question with that key.
+  kept.forEach(q => seenQuestions.set(questionKey(q), q));
+  const loaded = [];
+
+  // Read the files one after the other, so duplicates are reported against the earlier file.
+  const reading = deckPaths.reduce((previous, deckPath) => previous.then(complete => {
+    if (!complete) return false;
+    return readDeckFile(deckPath, importReport, seenQuestions).then(fileQuestions => {
+      if (!fileQuestions) return false;
+      loaded.push(...fileQuestions);
+      return true;
+    });
+  }), Promise.resolve(true));
+
+  return reading.then(complete => {
+    const feedbackDiv = document.getElementById('feedback');
+    if (!complete) {
+      if (feedbackDiv) {
+        feedbackDiv.innerHTML = '<p class="error-message">CSV import cancelled.</p>';
+      }
+      lastImportReport = null;
+      showImportReport(null);
+      return questions;
+    }
+
+    // Reset quiz state for the new deck.
     questions.splice(0, questions.length);
     allQuestions = [];
     currentQuestionIndex = 0;
     correctCount = 0;
     incorrectCount = 0;
+    pointsEarned = 0;
+    state.round = 1;
+    state.examSubmitted = false;
+    stopQuestionTimer();
     updateCounter(); // Refresh the counter display.
-    // Clear userAnswered flags for all questions (for tests and UI)
-    if (questions) questions.forEach(q => delete q.userAnswered);
+    kept.forEach(clearAnswer);
+    const deckChanges = document.getElementById('deckChanges');
+    if (deckChanges) deckChanges.hidden = true;
+    importReport.imported = loaded.length;
+    lastImportReport = importReport;
 
-    // Define expected headers (including the 'group' column) and valid answer letters.
-    const headers = ['questionText', 'option1', 'option2', 'option3', 'option4', 'correctAnswer', 'group'];
-    const validAnswers = ['A', 'B', 'C', 'D'];
+    const deck = kept.concat(loaded);
+    if (deck.length === 0) {
+      currentDeckPath = deckPaths[0];
+      watchDeckFiles();
+      console.error("No valid questions found in the deck files.");
+      if (feedbackDiv) {
+        feedbackDiv.innerHTML = '<p class="error-message">No valid questions found in the deck file. Please check the file format.</p>';
+      }
+      showImportReport(importReport);
+      return questions;
+    }
+    // Check that every referenced media file exists, so problems are reported now
+    // rather than showing up as broken images during the quiz.
+    const mediaProblems = [];
+    loaded.forEach(question => {
+      findMissingMedia(question, question.missingMedia).forEach(problem => {
+        console.error(`Media file ${problem.reason}:`, problem.path);
+        mediaProblems.push(`${problem.path} (${problem.reason})`);
+      });
+    });
+    // Save a copy of all questions for filtering.
+    allQuestions = deck;
+    currentDeckPath = deckFiles()[0];
+    watchDeckFiles();
+    // Populate the group filter dropdown.
+    populateGroupDropdown(allQuestions);
+    // The study mode order and the due count depend on the deck's answer history.
+    return loadDeckHistory().then(() => {
+      questions.splice(0, questions.length, ...arrangeQuestions(allQuestions));
+      updateDueCount();
+      // Display the first question.
+      displayQuestion(currentQuestionIndex);
+      if (state.studyMode && questions.length === 0) {
+        showNothingDue();
+      }
+      if (mediaProblems.length > 0) {
+        showMediaWarning(mediaProblems);
+      }
+      showImportReport(importReport);
+      rememberDeck();
+      return questions;
+    });
+  });
+}
 
-    // Create a read stream for the CSV file and pipe it through the CSV parser.
-    // Detect separator: if the file contains semicolons, use ';', else use ','
-    let fileContent;
-    try {
-      fileContent = fs.readFileSync(csvPath, 'utf8');
-    } catch (err) {
-      reject(err);
-      return;
+/**
+ * readDeckFile
+ * ------------
+ * Reads the questions of one deck file without changing the loaded deck.
+ *
+ * This function:
+ * - Has the main process read the file (see readDeckText) in its encoding (UTF-8, UTF-16 or
+ *   Windows-1252, see src/textEncoding.js), unless the settings choose one
+ * - Picks the importer of the file's format (CSV, JSON, Moodle GIFT or Aiken, see
+ *   src/importers.js); the format and encoding are noted in the import report
+ * - For CSV files, splits the rows at the file's separator (comma, semicolon, tab or pipe,
+ *   see detectSeparator) unless the settings choose one, detects a header row and matches
+ *   its columns by name (see src/columnMapping.js); files without a header are read in the
+ *   positional order listed in loadQuestions. The user is asked to map the columns when the
+ *   header names are not recognised; the map is kept for the file, so reading it again
+ *   (e.g. when it changes on disk) only asks again if its header row changed
+ * - Validates the questions of every format for required fields and correct answer letters
+ *   that name the question's options (several letters such as "A,C" mark a multiple-answer
+ *   question), with the rules of src/questionRow.js that the deck editor applies as well
+ * - Skips invalid, duplicate and unreadable questions, and lists them with their file, line
+ *   number, the reason and the raw text in the import report
+ *
+ * Each question read gets the file's absolute path (deckPath), its name (source), the line
+ * it starts on (sourceLine), the file's URL that its media are resolved against (deckUrl)
+ * and the media files that cannot be shown (missingMedia, see markMissingMedia).
+ *
+ * @param {string} deckPath - The absolute path of the deck file.
+ * @param {Object} importReport - The report the skipped questions are added to (see src/importReport.js).
+ * @param {Map<string, Object>} seenQuestions - The questions read so far, by question key;
+ *   the questions of this file are added to it.
+ * @returns {Promise<Array|null>} A promise that resolves with the file's valid questions, or
+ *   with null if the user cancelled the column mapping dialog. It rejects if the file cannot
+ *   be read or is not in a format that can be imported.
+ */
+async function readDeckFile(deckPath, importReport, seenQuestions) {
+  const source = path.basename(deckPath);
+  if (!isImportPath(deckPath)) {
+    throw new Error(`${source} is not a deck file (${IMPORT_EXTENSIONS.map(ext => `.${ext}`).join(', ')})`);
+  }
+  const { text: fileContent, encoding, fileUrl } = await readDeckText(deckPath);
+  const importer = findImporter(deckPath, fileContent);
+  let separator = null;
+  if (importer.format === IMPORT_FORMATS.CSV) {
+    separator = state.csvSeparator === 'auto' ? detectSeparator(fileContent) : state.csvSeparator;
+  }
+  importReport.formats.push({ file: source, format: importer.format, encoding, separator });
+  const resolveFileColumnMap = rows => {
+    const header = JSON.stringify(rows[0]);
+    const known = columnMaps.get(deckPath);
+    if (known && known.header === header) {
+      rows.shift();
+      return Promise.resolve(known.map);
     }
-    let separator = fileContent.includes(';') ? ';' : ',';
-    fs.createReadStream(csvPath)
-      .pipe(csv({ headers, skipLines: 0, separator, trim: true }))
-      .on('data', (row) => {
-        // Verify that all required fields are present.
-        if (
-          !row.questionText ||
-          !row.option1 ||
-          !row.option2 ||
-          !row.option3 ||
-          !row.option4 ||
-          !row.correctAnswer
-        ) {
-          console.error("CSV row missing required fields:", row);
-          return; // Skip invalid rows.
+    const rowCount = rows.length;
+    return resolveColumnMap(rows).then(map => {
+      if (!map) return null;
+      // Only maps of files with a header row are kept; the others are positional.
+      if (rows.length < rowCount) {
+        columnMaps.set(deckPath, { header, map });
+      } else {
+        columnMaps.delete(deckPath);
+      }
+      return map;
+    });
+  };
+  const fileQuestions = await importer.read(fileContent, { separator, resolveColumnMap: resolveFileColumnMap })
+    .catch(err => {
+      console.error("Error reading deck file:", err);
+      throw new Error(`${source}: ${err.message}`);
+    })
+    .then(records => {
+      if (!records) return null;
+      const fileQuestions = [];
+      records.forEach(record => {
+        importReport.rows++;
+        const skip = (reason, message) => {
+          addSkippedRow(importReport, { file: source, line: record.line, reason, message, raw: record.raw });
+        };
+        // Adds a valid question, unless the same question came earlier in this or another file.
+        const addQuestion = (question) => {
+          const key = questionKey(question);
+          const earlier = seenQuestions.get(key);
+          if (earlier) {
+            const where = earlier.source === source ? `line ${earlier.sourceLine}` : `${earlier.source} line ${earlier.sourceLine}`;
+            skip(SKIP_REASONS.DUPLICATE, `Same question and options as ${where}`);
+            return;
+          }
+          Object.assign(question, { deckPath, source, sourceLine: record.line });
+          seenQuestions.set(key, question);
+          fileQuestions.push(question);
+        };
+        if (record.error) {
+          skip(record.error.reason, record.error.message);
+          return;
         }
-        // Standardize and validate the correct answer.
-        const correct = row.correctAnswer.trim().toUpperCase();
-        if (!validAnswers.includes(correct)) {
-          console.error("CSV row has invalid correct answer value:", row.correctAnswer);
-          return; // Skip rows with invalid correct answer.
+        if (hasEncodingProblem(Object.values(record.fields))) {
+          skip(SKIP_REASONS.BAD_ENCODING, "Contains characters that could not be read; choose the file's encoding in the settings");
+          return;
         }
-        // Add the valid question to the questions array.
-        questions.push({
-          questionText: row.questionText.trim(),
-          options: [
-            row.option1.trim(),
-            row.option2.trim(),
-            row.option3.trim(),
-            row.option4.trim()
-          ],
-          correctAnswer: correct,
-          group: row.group ? row.group.trim() : "All"  // Default to "All" if no group provided.
-        });
-      })
-      .on('end', () => {
-        if (questions.length === 0) {
-          console.error("No valid questions found in CSV file.");
-          const feedbackDiv = document.getElementById('feedback');
-          if (feedbackDiv) {
-            feedbackDiv.innerHTML = '<p style="color:red;">No valid questions found in CSV file. Please check the file format.</p>';
-          }
-          resolve(questions);
+        const result = parseQuestionRow(record.fields);
+        if (result.error) {
+          skip(result.error.reason, result.error.message);
+          return; // Skip invalid questions.
+        }
+        // Media paths in the deck are relative to the deck file.
+        addQuestion(Object.assign(result.question, { deckUrl: fileUrl }));
+      });
+      return fileQuestions;
+    });
+  if (fileQuestions) await markMissingMedia(deckPath, fileQuestions);
+  return fileQuestions;
+}
+
+/**
+ * readDeckText
+ * ------------
+ * Has the main process read a deck file (see 'read-deck-file' in main.js), in the encoding
+ * chosen in the settings or in the one detected from its bytes.
+ *
+ * @param {string} deckPath - The absolute path of the deck file.
+ * @returns {Promise<Object>} A promise that resolves with the file's { text, encoding,
+ *   byteOrderMark, fileUrl }. It rejects if the file cannot be read, with an error that has
+ *   the file's path and the code of the file system error (e.g. 'ENOENT').
+ */
+function readDeckText(deckPath) {
+  if (!quizApi) return Promise.reject(new Error('Deck files can only be read through the main process'));
+  return quizApi.readDeckFile({ filePath: deckPath, encoding: state.csvEncoding }).then(file => {
+    if (file.error) throw Object.assign(new Error(file.error), { path: deckPath, code: file.code });
+    return file;
+  });
+}
+
+/**
+ * markMissingMedia
+ * ----------------
+ * Notes on each question of a deck file the media files it refers to that cannot be shown
+ * (missingMedia): files the main process does not find next to the deck file, and files in
+ * the media column that are neither images nor audio clips (see src/media.js).
+ *
+ * @param {string} deckPath - The absolute path of the deck file.
+ * @param {Array<Object>} fileQuestions - The questions read from the file.
+ * @returns {Promise<void>} A promise that resolves once the questions are marked.
+ */
+function markMissingMedia(deckPath, fileQuestions) {
+  const references = [...new Set([].concat(...fileQuestions.map(collectMediaReferences)))];
+  const finding = references.length > 0 && quizApi
+    ? quizApi.findMissingMedia({ deckPath, references })
+    : Promise.resolve([]);
+  return finding.then(missingFiles => {
+    fileQuestions.forEach(question => {
+      question.missingMedia = findMissingMedia(question, missingFiles).map(problem => problem.path);
+    });
+  });
+}
+
+/**
+ * watchDeckFiles
+ * --------------
+ * Has the main process watch the CSV files of the loaded deck (see 'watch-deck-files' in
+ * main.js), instead of the files watched so far. Changed files are reloaded one change at
+ * a time (see reloadDeckFiles).
+ */
+function watchDeckFiles() {
+  if (!quizApi) return;
+  if (!listeningForDeckChanges) {
+    listeningForDeckChanges = true;
+    quizApi.onDeckFilesChanged(changedPaths => {
+      deckReload = deckReload.then(() => reloadDeckFiles(changedPaths));
+    });
+  }
+  quizApi.watchDeckFiles(deckFiles()).catch(err => console.error("Error watching the deck files:", err));
+}
+
+/**
+ * reloadDeckFiles
+ * ---------------
+ * Reads CSV files of the loaded deck again after they changed on disk, and updates the
+ * deck without restarting the quiz.
+ *
+ * The questions read again are compared with the ones loaded before (see src/deckChanges.js):
+ * - Questions that did not change keep their answers, their place in the round and the
+ *   option order shown.
+ * - Questions whose group, explanation, media or time limit changed are updated and also
+ *   keep their answers.
+ * - Questions whose text, options, type or correct answer changed are asked again.
+ * - Removed questions leave the round; new questions of the selected group join it at the
+ *   end, unless a retry round is running or the exam has been submitted.
+ * The score is counted again from the answers kept, and the displayed question is shown
+ * again only if it was modified or removed. The changes are listed below the quiz (see
+ * showDeckChanges) and the import report is replaced by that of the reloaded files.
+ *
+ * A file that cannot be read (e.g. while it is being saved) leaves its questions as they
+ * were, as does cancelling the column mapping dialog.
+ *
+ * @param {Array<string>} changedPaths - The absolute paths of the changed files; paths
+ *   that are not part of the loaded deck are ignored.
+ * @returns {Promise<Array<Object>|null>} A promise that resolves with one { deckPath, diff }
+ *   per reloaded file (see diffQuestions), or with null if nothing was reloaded.
+ */
+function reloadDeckFiles(changedPaths) {
+  const files = deckFiles();
+  const reloaded = files.filter(deckPath => changedPaths.includes(deckPath));
+  if (reloaded.length === 0) return Promise.resolve(null);
+  const deckBefore = allQuestions;
+  const importReport = createImportReport(reloaded);
+  const seenQuestions = new Map(); // Question key -> first question with that key.
+  deckBefore.filter(q => !reloaded.includes(q.deckPath)).forEach(q => seenQuestions.set(questionKey(q), q));
+  const fileQuestions = new Map(); // Path -> questions read again.
+
+  const reading = reloaded.reduce((previous, deckPath) => previous.then(complete => {
+    if (!complete) return false;
+    return readDeckFile(deckPath, importReport, seenQuestions).then(questionsRead => {
+      if (!questionsRead) return false;
+      fileQuestions.set(deckPath, questionsRead);
+      return true;
+    });
+  }), Promise.resolve(true));
+
+  return reading.then(complete => {
+    // Keep the deck if the user cancelled, or if another deck was loaded in the meantime.
+    if (!complete || deckBefore !== allQuestions) return null;
+    importReport.imported = [...fileQuestions.values()].reduce((sum, list) => sum + list.length, 0);
+
+    // What becomes of each question loaded before: kept (with changes to apply), replaced or removed.
+    const fates = new Map();
+    const changes = reloaded.map(deckPath => {
+      const diff = diffQuestions(deckBefore.filter(q => q.deckPath === deckPath), fileQuestions.get(deckPath));
+      diff.unchanged.forEach(pair => fates.set(pair.before, { keep: pair.after, changes: { sourceLine: pair.after.sourceLine } }));
+      diff.modified.forEach(pair => {
+        if (pair.answerChanged) {
+          fates.set(pair.before, { replace: pair.after });
           return;
         }
-        console.log("CSV file processed successfully with", questions.length, "valid questions.");
-        // Save a copy of all questions for filtering.
-        allQuestions = questions.slice();
-        // Populate the group filter dropdown.
-        populateGroupDropdown(allQuestions);
-        // Display the first question.
-        displayQuestion(currentQuestionIndex);
-        resolve(questions);
-      })
-      .on('error', (err) => {
-        console.error("Error reading CSV file:", err);
-        reject(err);
+        const updated = { sourceLine: pair.after.sourceLine };
+        pair.fields.forEach(field => { updated[field] = pair.after[field]; });
+        fates.set(pair.before, { keep: pair.after, changes: updated, modified: true });
+      });
+      diff.removed.forEach(question => fates.set(question, { remove: true }));
+      return { deckPath, diff };
+    });
+
+    // The deck in the files' order; questions that are kept stay the same objects.
+    const kept = new Map(); // Question read again -> question loaded before.
+    fates.forEach((fate, question) => {
+      if (fate.keep) {
+        Object.assign(question, fate.changes);
+        kept.set(fate.keep, question);
+      }
+    });
+    const added = [].concat(...changes.map(change => change.diff.added));
+    allQuestions = [].concat(...files.map(deckPath => {
+      if (!fileQuestions.has(deckPath)) return deckBefore.filter(q => q.deckPath === deckPath);
+      return fileQuestions.get(deckPath).map(question => {
+        return kept.has(question) ? kept.get(question) : question;
+      });
+    }));
+
+    // The round: questions shown with shuffled options are copies, found by their key.
+    const shown = questions[currentQuestionIndex];
+    const byKey = new Map(deckBefore.map(q => [`${q.deckPath}\u001f${questionKey(q)}`, q]));
+    const originalOf = q => byKey.get(`${q.deckPath}\u001f${questionKey(q)}`) || q;
+    const arrange = q => state.shuffleOptions ? shuffleOptions(q, state.shuffleSeed) : q;
+    let redisplay = false;
+    const round = [];
+    questions.forEach(q => {
+      const fate = fates.get(originalOf(q));
+      if (!fate) {
+        round.push(q);
+        return;
+      }
+      if (q === shown && (fate.remove || fate.replace || fate.modified)) redisplay = true;
+      if (fate.remove) return;
+      if (fate.replace) {
+        round.push(arrange(fate.replace));
+        return;
+      }
+      Object.assign(q, fate.changes);
+      round.push(q);
+    });
+
+    // New questions of the selected group join the round.
+    const groupSelect = document ? document.getElementById('groupSelect') : null;
+    const selectedGroup = groupSelect ? groupSelect.value : 'All';
+    populateGroupDropdown(allQuestions);
+    if (groupSelect && Array.from(groupSelect.options).some(opt => opt.value === selectedGroup)) {
+      groupSelect.value = selectedGroup;
+    }
+    if (state.round === 1 && !state.examSubmitted) {
+      const inGroup = groupQuestions();
+      added.filter(q => inGroup.includes(q)).forEach(q => round.push(arrange(q)));
+    }
+
+    questions.splice(0, questions.length, ...round);
+    correctCount = round.filter(q => q.userAnswered && q.answeredCorrectly).length;
+    incorrectCount = round.filter(q => q.userAnswered && !q.answeredCorrectly).length;
+    pointsEarned = round.reduce((sum, q) => sum + (q.userAnswered && q.score ? q.score : 0), 0);
+    const shownIndex = round.indexOf(shown);
+    currentQuestionIndex = shownIndex !== -1 ? shownIndex : Math.max(0, Math.min(currentQuestionIndex, round.length - 1));
+    updateDueCount();
+    if (redisplay) {
+      displayQuestion(currentQuestionIndex);
+    } else {
+      updateCounter();
+    }
+    lastImportReport = importReport;
+    showImportReport(importReport);
+    showDeckChanges(changes);
+    return changes;
+  }).catch(err => {
+    console.error("Error reloading CSV file:", err);
+    showDeckChanges([], `${path.basename(err.path || reloaded[0])} could not be reloaded: ${err.message}`);
+    return null;
+  });
+}
+
+/**
+ * showDeckChanges
+ * ---------------
+ * Tells the user how the deck changed after its files were reloaded: one line per changed
+ * file (e.g. "chapter1.csv changed: 2 questions added, 1 modified.") and a collapsible
+ * list of the questions concerned. Reloads that changed nothing show nothing. Question
+ * text is inserted as text.
+ *
+ * @param {Array<{deckPath: string, diff: Object}>} changes - The changes of each reloaded file.
+ * @param {string} [errorMessage] - A message shown instead, when a file could not be reloaded.
+ */
+function showDeckChanges(changes, errorMessage) {
+  const container = document ? document.getElementById('deckChanges') : null;
+  if (!container) return;
+  const changed = changes.filter(change => hasChanges(change.diff));
+  if (changed.length === 0 && !errorMessage) return;
+  container.innerHTML = '';
+  container.hidden = false;
+
+  const dismissBtn = document.createElement('button');
+  dismissBtn.className = 'dismiss-button';
+  dismissBtn.textContent = 'Dismiss';
+  dismissBtn.addEventListener('click', () => { container.hidden = true; });
+  if (errorMessage) {
+    const message = document.createElement('p');
+    message.className = 'error-message';
+    message.textContent = errorMessage;
+    container.appendChild(message);
+    container.appendChild(dismissBtn);
+    return;
+  }
+  changed.forEach(({ deckPath, diff }) => {
+    const summary = document.createElement('p');
+    summary.className = 'deck-changes-summary';
+    summary.textContent = `${path.basename(deckPath)} changed: ${describeChanges(diff)}.`;
+    container.appendChild(summary);
+  });
+  const details = document.createElement('details');
+  const toggle = document.createElement('summary');
+  toggle.textContent = 'Show changed questions';
+  details.appendChild(toggle);
+  const list = document.createElement('ul');
+  const addItem = (kind, text) => {
+    const item = document.createElement('li');
+    item.className = `deck-change ${kind}`;
+    item.textContent = text;
+    list.appendChild(item);
+  };
+  changed.forEach(({ diff }) => {
+    diff.added.forEach(q => addItem('added', `Added: ${q.questionText}`));
+    diff.removed.forEach(q => addItem('removed', `Removed: ${q.questionText}`));
+    diff.modified.forEach(pair => addItem('modified',
+      `Modified (${describeChangedFields(pair.fields)}${pair.answerChanged ? '; asked again' : ''}): ${pair.after.questionText}`));
+  });
+  details.appendChild(list);
+  container.appendChild(details);
+  container.appendChild(dismissBtn);
+}
+
+/**
+ * resolveColumnMap
+ * ----------------
+ * Works out which column holds which question field for the rows of a CSV file.
+ *
+ * If the first row is not a header, the positional column order is used. If it is,
+ * the header is removed from the rows and its names are matched against the known
+ * field names and aliases. When a required field cannot be matched, the column
+ * mapping dialog is shown so the user can assign the columns by hand.
+ *
+ * @param {Array<Array<string>>} rows - The parsed CSV rows; a header row is removed in place.
+ * @returns {Promise<Object|null>} A promise that resolves with the column map, or null
+ *   if the user cancelled the mapping dialog.
+ */
+function resolveColumnMap(rows) {
+  if (!detectHeaderRow(rows[0], rows[1])) {
+    return Promise.resolve(defaultColumnMap());
+  }
+  const headerRow = rows.shift();
+  const { map, missingFields } = buildColumnMap(headerRow);
+  if (missingFields.length === 0) {
+    return Promise.resolve(map);
+  }
+  return showColumnMappingDialog(headerRow, map);
+}
+
+/**
+ * showColumnMappingDialog
+ * -----------------------
+ * Displays a modal dialog that lets the user assign each CSV column to a question field.
+ *
+ * One row is shown per CSV column, with the header name and a dropdown of fields
+ * (or "Ignore"). Columns that were already recognised are preselected. The Import
+ * button only closes the dialog once every required field has a column.
+ *
+ * @param {Array<string>} headerRow - The cells of the CSV header row.
+ * @param {Object} suggestedMap - The fields that were matched automatically.
+ * @returns {Promise<Object|null>} A promise that resolves with the chosen column map,
+ *   or null if the dialog was cancelled.
+ */
+function showColumnMappingDialog(headerRow, suggestedMap) {
+  if (!document) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'columnMappingDialog';
+    overlay.className = 'modal-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal';
+    overlay.appendChild(dialog);
+
+    const title = document.createElement('h3');
+    title.textContent = 'Map CSV Columns';
+    dialog.appendChild(title);
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Some column names in this file were not recognised. Choose the field each column contains.';
+    dialog.appendChild(intro);
+
+    // One dropdown per CSV column, preselected with the automatic match if any.
+    const table = document.createElement('table');
+    table.className = 'mapping-table';
+    headerRow.forEach((cell, index) => {
+      const tr = document.createElement('tr');
+      const nameCell = document.createElement('td');
+      nameCell.textContent = cell || `Column ${index + 1}`;
+      const selectCell = document.createElement('td');
+      const select = document.createElement('select');
+      select.className = 'mapping-select';
+      select.dataset.column = String(index);
+      const ignoreOption = document.createElement('option');
+      ignoreOption.value = '';
+      ignoreOption.textContent = 'Ignore';
+      select.appendChild(ignoreOption);
+      FIELDS.forEach(field => {
+        const opt = document.createElement('option');
+        opt.value = field;
+        opt.textContent = FIELD_LABELS[field];
+        if (suggestedMap[field] === index) opt.selected = true;
+        select.appendChild(opt);
+      });
+      selectCell.appendChild(select);
+      tr.appendChild(nameCell);
+      tr.appendChild(selectCell);
+      table.appendChild(tr);
+    });
+    dialog.appendChild(table);
+
+    const errorP = document.createElement('p');
+    errorP.className = 'mapping-error';
+    dialog.appendChild(errorP);
+
+    const actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.id = 'mappingCancelBtn';
+    cancelBtn.textContent = 'Cancel';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.id = 'mappingConfirmBtn';
+    confirmBtn.textContent = 'Import';
+    actions.appendChild(cancelBtn);
+    actions.appendChild(confirmBtn);
+    dialog.appendChild(actions);
+
+    const close = (result) => {
+      if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+      resolve(result);
+    };
+    cancelBtn.addEventListener('click', () => close(null));
+    confirmBtn.addEventListener('click', () => {
+      // The first column assigned to a field wins.
+      const map = {};
+      overlay.querySelectorAll('.mapping-select').forEach(select => {
+        if (select.value && map[select.value] === undefined) {
+          map[select.value] = Number(select.dataset.column);
+        }
       });
+      if (!isColumnMapComplete(map)) {
+        const missing = REQUIRED_FIELDS.filter(field => map[field] === undefined);
+        errorP.textContent = `Please choose a column for: ${missing.map(f => FIELD_LABELS[f]).join(', ')}.`;
+        return;
+      }
+      close(map);
+    });
+
+    document.body.appendChild(overlay);
   });
 }
 
@@ -269,6 +1020,8 @@ function loadQuestions(csvPath) {
  * -----------------------
  * Populates the group filter dropdown (<select id="groupSelect">) with unique group values extracted
  * from the provided questions array. The "All" option is always added as the first option.
+ * When the deck was merged from several CSV files, each file is added as a source below the
+ * groups, so the questions of one file can be asked on their own.
  *
  * When a user selects a group, this function filters the questions to show only those in the selected group,
  * resets the quiz state (including the score), updates the display, and restarts the timer.
@@ -306,22 +1059,163 @@ function populateGroupDropdown(questionsArray) {
     groupSelect.appendChild(opt);
   });
 
-  // Add an event listener to filter questions when the selected group changes.
-  groupSelect.addEventListener('change', function() {
-    const selectedGroup = groupSelect.value;
-    if (selectedGroup === 'All') {
-      // Restore the full set of questions.
-      questions.splice(0, questions.length, ...allQuestions);
-    } else {
-      // Filter questions to only those that belong to the selected group.
-      questions.splice(0, questions.length, ...allQuestions.filter(q => q.group === selectedGroup));
-    }
-    // Reset quiz state and update the display.
-    currentQuestionIndex = 0;
-    resetScore();
-    displayQuestion(currentQuestionIndex);
-    startTimer();
-  });
+  // Append the source files of a merged deck, with values that cannot clash with group names.
+  const sources = [...new Set(questionsArray.map(q => q.deckPath).filter(Boolean))];
+  if (sources.length > 1) {
+    const sourceGroup = document.createElement('optgroup');
+    sourceGroup.label = 'Files';
+    sources.forEach(deckPath => {
+      const opt = document.createElement('option');
+      opt.value = SOURCE_FILTER_PREFIX + deckPath;
+      opt.textContent = path.basename(deckPath);
+      sourceGroup.appendChild(opt);
+    });
+    groupSelect.appendChild(sourceGroup);
+  }
+
+  // Add an event listener to filter questions when the selected group changes; the
+  // group is remembered with the deck in the recent decks list.
+  groupSelect.addEventListener('change', applyQuestionFilter);
+  groupSelect.addEventListener('change', rememberDeck);
+}
+
+/**
+ * groupQuestions
+ * --------------
+ * Returns the loaded questions that belong to the group or source file selected in the
+ * group filter dropdown (all questions when "All" is selected or there is no dropdown).
+ *
+ * @returns {Array} The questions of the selected group, in CSV order.
+ */
+function groupQuestions() {
+  const groupSelect = document ? document.getElementById('groupSelect') : null;
+  const selectedGroup = groupSelect && groupSelect.value ? groupSelect.value : 'All';
+  if (selectedGroup === 'All') return allQuestions.slice();
+  if (selectedGroup.startsWith(SOURCE_FILTER_PREFIX)) {
+    const deckPath = selectedGroup.slice(SOURCE_FILTER_PREFIX.length);
+    return allQuestions.filter(q => q.deckPath === deckPath);
+  }
+  return allQuestions.filter(q => q.group === selectedGroup);
+}
+
+/**
+ * deckFiles
+ * ---------
+ * Lists the CSV files the loaded questions came from, in load order.
+ *
+ * @returns {Array<string>} The absolute paths of the files.
+ */
+function deckFiles() {
+  return [...new Set(allQuestions.map(q => q.deckPath).filter(Boolean))];
+}
+
+/**
+ * arrangeQuestions
+ * ----------------
+ * Puts a list of questions in the order they will be asked, following the quiz settings.
+ *
+ * Without study mode the questions are asked in CSV order, or in a shuffled order when
+ * question shuffling is on. In study mode only the questions due today are asked, in the
+ * order chosen by buildStudyQueue (see src/spacedRepetition.js), which shuffling does not
+ * change. When option shuffling is on, each choice question is replaced by a copy with
+ * shuffled options (see src/shuffle.js). Both shuffles use state.shuffleSeed, so the same
+ * seed gives the same quiz.
+ *
+ * @param {Array} selected - The questions to arrange, in CSV order.
+ * @returns {Array} The questions to ask, in order.
+ */
+function arrangeQuestions(selected) {
+  let arranged = state.studyMode ? buildStudyQueue(selected, deckHistory) : selected.slice();
+  if (state.shuffleQuestions && !state.studyMode) {
+    arranged = shuffleArray(arranged, createRandom(state.shuffleSeed));
+  }
+  if (state.shuffleOptions) {
+    arranged = arranged.map(q => shuffleOptions(q, state.shuffleSeed));
+  }
+  return arranged;
+}
+
+/**
+ * applyQuestionFilter
+ * -------------------
+ * Rebuilds the current questions from the group filter and the quiz settings (study mode
+ * and shuffling, see arrangeQuestions), then restarts the quiz from the first question.
+ */
+function applyQuestionFilter() {
+  questions.splice(0, questions.length, ...arrangeQuestions(groupQuestions()));
+  // Reset quiz state and update the display.
+  currentQuestionIndex = 0;
+  state.round = 1;
+  state.examSubmitted = false;
+  questions.forEach(clearAnswer);
+  resetScore();
+  updateDueCount();
+  displayQuestion(currentQuestionIndex);
+  if (state.studyMode && questions.length === 0) {
+    showNothingDue();
+  }
+  startTimer();
+}
+
+/**
+ * loadDeckHistory
+ * ---------------
+ * Fetches the recorded attempts of the loaded deck from the main process. A deck merged
+ * from several CSV files has the histories of all its files, merged into one.
+ *
+ * A deck without history, a missing deck path or a failed request all leave an
+ * empty history, so the quiz can always start.
+ *
+ * @returns {Promise<Object>} A promise that resolves with the deck's history.
+ */
+function loadDeckHistory() {
+  deckHistory = {};
+  const files = deckFiles();
+  if (files.length === 0 || !quizApi) {
+    return Promise.resolve(deckHistory);
+  }
+  const history = deckHistory;
+  return Promise.all(files.map(deckPath => quizApi.getDeckHistory(deckPath)
+    .catch(err => {
+      console.error("Error loading answer history:", err);
+      return null;
+    })))
+    .then(fileHistories => {
+      // Ignore the answers if another deck was loaded in the meantime.
+      if (history === deckHistory) {
+        fileHistories.forEach(fileHistory => {
+          if (fileHistory && typeof fileHistory === 'object') Object.assign(deckHistory, fileHistory);
+        });
+      }
+      return deckHistory;
+    });
+}
+
+/**
+ * updateDueCount
+ * --------------
+ * Shows how many questions of the selected group are due today next to the group
+ * filter dropdown. The tooltip splits the count into reviews and new questions.
+ */
+function updateDueCount() {
+  if (!document) return;
+  const dueCount = document.getElementById('dueCount');
+  if (!dueCount) return;
+  const counts = countDueToday(groupQuestions(), deckHistory);
+  dueCount.textContent = `${counts.total} due today`;
+  dueCount.title = `${counts.reviews} to review, ${counts.new} new`;
+}
+
+/**
+ * showNothingDue
+ * --------------
+ * Tells the user that study mode has no questions left for today in the selected group.
+ */
+function showNothingDue() {
+  const feedbackDiv = document.getElementById('feedback');
+  if (feedbackDiv) {
+    feedbackDiv.innerHTML = '<p class="study-done">Nothing is due today in this group. Turn off study mode to practise anyway.</p>';
+  }
 }
 
 /**
@@ -329,10 +1223,16 @@ function populateGroupDropdown(questionsArray) {
  * ----------------
  * Renders the quiz question and its answer options in the DOM based on the provided index.
  *
- * This function clears any existing question, options, and feedback in the UI, then displays the question text.
+ * This function clears any existing question, options, feedback and explanation in the UI, then displays the question text.
  * It creates a button for each answer option and attaches an event listener to check the answer when clicked.
+ * For multiple-answer questions the option buttons toggle a selection instead, and a Submit button
+ * checks all selected options at once. Free-text and numeric questions show an input field instead
+ * of option buttons (see displayAnswerInput).
  * The score card is updated to reflect the current state of the quiz.
  * 
+ * A question that has already been answered is shown with its result and explanation,
+ * and its controls stay disabled (see showAnsweredState), so it cannot be answered twice.
+ *
  * If this is the first question (index 0), the function will automatically start the timer.
  * This way, the timer begins only when users start answering questions, not during setup.
  *
@@ -348,13 +1248,29 @@ function displayQuestion(index) {
   questionDiv.innerHTML = '';
   optionsDiv.innerHTML = '';
   feedbackDiv.innerHTML = '';
+  hideExplanation();
+  hideRoundComplete();
+  stopQuestionTimer();
 
   // Do nothing if the index is out of bounds.
   if (index < 0 || index >= questions.length) return;
   const question = questions[index];
+  // Remember when the question was shown, to measure the time spent answering it.
+  questionShownAt = Date.now();
   
-  // Display the question text inside an <h2> element.
-  questionDiv.innerHTML = `<h2>${question.questionText}</h2>`;
+  // Display the question text inside an <h2> element, followed by the media file if any.
+  const heading = document.createElement('h2');
+  appendMediaText(heading, question.questionText, question);
+  questionDiv.appendChild(heading);
+  if (question.media) {
+    const mediaKind = mediaKindFromPath(question.media);
+    if (mediaKind) {
+      const mediaContainer = document.createElement('div');
+      mediaContainer.className = 'question-media';
+      mediaContainer.appendChild(createMediaElement(mediaKind, question.media, question));
+      questionDiv.appendChild(mediaContainer);
+    }
+  }
 
   // Update the combined counter display.
   updateCounter();
@@ -365,53 +1281,569 @@ function displayQuestion(index) {
     counterDiv.innerHTML = `${currentQuestionIndex + 1} / ${questions.length}`;
   }
 
+  updateExamControls();
+  updateResultsButton();
+
+  // Free-text and numeric questions are answered in an input field instead of option buttons.
+  if (isTypedQuestion(question)) {
+    displayAnswerInput(question, optionsDiv);
+    showGivenAnswer(question);
+    startQuestionTimer(question);
+    if (index === 0) {
+      startTimerOnFirstQuestion();
+    }
+    return;
+  }
+
+  // Multiple-answer questions tell the user to pick every correct option.
+  if (question.multiSelect) {
+    const hint = document.createElement('p');
+    hint.className = 'multi-select-hint';
+    hint.textContent = 'Select all that apply, then submit.';
+    optionsDiv.appendChild(hint);
+  }
+
   // Create a button for each answer option.
   question.options.forEach((option, i) => {
     const btn = document.createElement('button');
     btn.classList.add('option-button');
     btn.dataset.letter = letters[i];
-    btn.innerText = `${letters[i]}) ${option}`;
-    // When a button is clicked, check whether the answer is correct.
-    btn.addEventListener('click', () => {
-      checkAnswer(letters[i], question.correctAnswer);
-    });
+    if (hasMediaReferences(option)) {
+      btn.appendChild(document.createTextNode(`${letters[i]}) `));
+      appendMediaText(btn, option, question);
+    } else {
+      btn.innerText = `${letters[i]}) ${option}`;
+    }
+    if (question.multiSelect) {
+      // Toggle the option; the answer is checked when the Submit button is clicked.
+      btn.setAttribute('aria-pressed', 'false');
+      btn.addEventListener('click', () => {
+        const selected = btn.classList.toggle('selected');
+        btn.setAttribute('aria-pressed', String(selected));
+      });
+    } else {
+      // When a button is clicked, check whether the answer is correct.
+      btn.addEventListener('click', () => {
+        checkAnswer(letters[i], question.correctAnswer);
+      });
+    }
     optionsDiv.appendChild(btn);
   });
 
+  if (question.multiSelect) {
+    const submitBtn = document.createElement('button');
+    submitBtn.id = 'submitAnswerBtn';
+    submitBtn.classList.add('submit-answer-button');
+    submitBtn.textContent = isExamRunning() ? 'Save Answer' : 'Submit Answer';
+    submitBtn.addEventListener('click', () => {
+      const picked = Array.from(optionsDiv.querySelectorAll('.option-button.selected'))
+        .map(btn => btn.dataset.letter);
+      // Ignore the click until at least one option has been selected.
+      if (picked.length === 0) return;
+      checkAnswer(picked, question.correctAnswer);
+    });
+    optionsDiv.appendChild(submitBtn);
+  }
+  showGivenAnswer(question);
+  startQuestionTimer(question);
+
   // If this is the first question, start the timer
   if (index === 0) {
-    startTimer();
+    startTimerOnFirstQuestion();
   }
 }
 
 /**
- * updateCounter
- * -------------
- * Updates the modern card-style score display in the DOM.
+ * showGivenAnswer
+ * ---------------
+ * Shows the answer already given to the displayed question: the saved answer during an
+ * exam (see showExamAnswer), or the result and explanation of an answered question in
+ * practice mode.
  *
- * This function creates a responsive, modern UI score card with four sections:
- * - Current question number
- * - Total question count
- * - Correct answers count
- * - Incorrect answers count
- * 
- * Each section is styled using CSS for a clean, card-based layout with proper spacing,
- * borders, and visual hierarchy to improve readability.
+ * @param {Object} question - The displayed question.
  */
-function updateCounter() {
-  const counterContainer = document.getElementById("counterContainer");
-  if (counterContainer) {
-    counterContainer.innerHTML = `
-      <div class="score-card">
-        <div class="score-section">
-          <span class="score-label">Current</span>
-          <span class="score-value">${currentQuestionIndex + 1}</span>
-        </div>
-        <div class="score-section">
-          <span class="score-label">Total</span>
-          <span class="score-value">${questions.length}</span>
-        </div>
-        <div class="score-section">
+function showGivenAnswer(question) {
+  if (state.examMode) {
+    showExamAnswer(question);
+  } else if (question.userAnswered) {
+    showAnsweredState(question);
+    showExplanation(question);
+  }
+}
+
+/**
+ * startQuestionTimer
+ * ------------------
+ * Starts the per-question countdown for the displayed question, if it has a time limit
+ * (its own from the CSV, or the global one from the settings).
+ *
+ * Questions that are answered, have already run out of time, or belong to a submitted
+ * exam get no countdown. A question left before its time ran out continues with the
+ * time it had left, so moving away and back does not reset its countdown. A question
+ * whose time has run out is locked (see lockTimedOutQuestion).
+ *
+ * @param {Object} question - The displayed question.
+ */
+function startQuestionTimer(question) {
+  if (question.timedOut) {
+    lockTimedOutQuestion();
+    updateQuestionTimerDisplay(null);
+    return;
+  }
+  const limit = questionTimeLimit(question, state.questionTimeLimitSeconds);
+  if (!limit || question.userAnswered || (state.examMode && state.examSubmitted)) {
+    updateQuestionTimerDisplay(null);
+    return;
+  }
+  const remainingMs = question.timeRemainingMs !== undefined ? question.timeRemainingMs : limit * 1000;
+  timedQuestion = question;
+  questionDeadline = Date.now() + remainingMs;
+  updateQuestionTimerDisplay(Math.ceil(remainingMs / 1000));
+  questionTimerInterval = setInterval(() => {
+    const left = questionDeadline - Date.now();
+    if (left <= 0) {
+      expireQuestion(question);
+    } else {
+      updateQuestionTimerDisplay(Math.ceil(left / 1000));
+    }
+  }, 1000);
+}
+
+/**
+ * stopQuestionTimer
+ * -----------------
+ * Stops the per-question countdown and remembers how much time the question had left.
+ */
+function stopQuestionTimer() {
+  if (questionTimerInterval) {
+    clearInterval(questionTimerInterval);
+    questionTimerInterval = null;
+  }
+  if (timedQuestion && !timedQuestion.userAnswered && !timedQuestion.timedOut) {
+    timedQuestion.timeRemainingMs = Math.max(0, questionDeadline - Date.now());
+  }
+  timedQuestion = null;
+  questionDeadline = null;
+  updateQuestionTimerDisplay(null);
+}
+
+/**
+ * updateQuestionTimerDisplay
+ * --------------------------
+ * Shows the time left for the displayed question next to the overall timer,
+ * highlighted during the last five seconds.
+ *
+ * @param {number|null} seconds - The seconds left, or null to hide the countdown.
+ */
+function updateQuestionTimerDisplay(seconds) {
+  let questionTimerDiv = document.getElementById('questionTimer');
+  if (seconds === null) {
+    if (questionTimerDiv) questionTimerDiv.hidden = true;
+    return;
+  }
+  if (!questionTimerDiv) {
+    questionTimerDiv = document.createElement('div');
+    questionTimerDiv.id = 'questionTimer';
+    questionTimerDiv.className = 'timer-container question-timer';
+    const timerDiv = document.getElementById('timerContainer');
+    const quizContainer = document.getElementById('quiz-container');
+    if (timerDiv && timerDiv.parentNode) {
+      timerDiv.parentNode.insertBefore(questionTimerDiv, timerDiv.nextSibling);
+    } else if (quizContainer) {
+      quizContainer.insertBefore(questionTimerDiv, quizContainer.firstChild);
+    } else {
+      document.body.insertBefore(questionTimerDiv, document.body.firstChild);
+    }
+  }
+  questionTimerDiv.hidden = false;
+  questionTimerDiv.classList.toggle('timer-warning', seconds <= 5);
+  const mins = String(Math.floor(seconds / 60)).padStart(2, '0');
+  const secs = String(seconds % 60).padStart(2, '0');
+  questionTimerDiv.innerHTML = `<span class="timer-label">Question:</span> <span class="timer-value">${mins}:${secs}</span>`;
+}
+
+/**
+ * expireQuestion
+ * --------------
+ * Handles a question whose time has run out, then moves on to the next question.
+ *
+ * In practice mode the question is scored as unanswered and incorrect (and recorded in
+ * the answer history) with the correct answer shown in a floating message. In an exam,
+ * the answer saved in time (if any) is kept for scoring at submission, and the question
+ * can no longer be changed. On the last question the quiz stays where it is.
+ *
+ * @param {Object} question - The question that ran out of time.
+ */
+function expireQuestion(question) {
+  stopQuestionTimer();
+  const qs = getQuestions();
+  const idx = qs.indexOf(question);
+  if (idx === -1 || question.userAnswered) return;
+  question.timedOut = true;
+  if (state.examMode) {
+    question.examTimeMs = (question.examTimeMs || 0) + (questionShownAt ? Date.now() - questionShownAt : 0);
+    questionShownAt = Date.now();
+  } else {
+    incorrectCount++;
+    showFloatingMessage(`Time is up! The correct answer is: ${describeCorrectAnswer(question)}`, false);
+    finishAnswer(qs, idx, '', { score: 0, isCorrect: false });
+  }
+  if (idx < qs.length - 1) {
+    goToQuestion(idx + 1);
+  } else {
+    lockTimedOutQuestion();
+  }
+}
+
+/**
+ * lockTimedOutQuestion
+ * --------------------
+ * Disables the answer controls of the displayed question after its time ran out,
+ * and says so in the feedback area.
+ */
+function lockTimedOutQuestion() {
+  document.querySelectorAll('#options button, #answerInput').forEach(control => {
+    control.disabled = true;
+  });
+  const feedbackDiv = document.getElementById('feedback');
+  if (feedbackDiv) {
+    const note = document.createElement('p');
+    note.className = 'time-expired';
+    note.textContent = 'Time ran out for this question.';
+    feedbackDiv.appendChild(note);
+  }
+}
+
+/**
+ * goToQuestion
+ * ------------
+ * Displays the question at the given index and makes it the current question.
+ *
+ * @param {number} index - The index of the question to display.
+ */
+function goToQuestion(index) {
+  currentQuestionIndex = index;
+  // Keep the exported index in step, since checkAnswer reads it (see getCurrentQuestionIndex).
+  if (typeof module !== 'undefined' && module.exports) module.exports.currentQuestionIndex = index;
+  displayQuestion(index);
+}
+
+/**
+ * startTimerOnFirstQuestion
+ * -------------------------
+ * Starts the timer when the first question is displayed. In exam mode, going back to
+ * the first question neither restarts a running countdown nor the timer of a submitted exam.
+ */
+function startTimerOnFirstQuestion() {
+  if (state.examMode && (timerInterval || state.examSubmitted)) return;
+  startTimer();
+}
+
+/**
+ * appendMediaText
+ * ---------------
+ * Appends text that may contain inline media references to an element.
+ *
+ * Plain text is added as text nodes; img: and audio: references become <img> and
+ * <audio> elements (see createMediaElement).
+ *
+ * @param {HTMLElement} container - The element to append to.
+ * @param {string} text - The question or option text.
+ * @param {Object} question - The question the text belongs to (for its media directory).
+ */
+function appendMediaText(container, text, question) {
+  parseMediaText(text).forEach(segment => {
+    if (segment.type === 'text') {
+      container.appendChild(document.createTextNode(segment.value));
+    } else {
+      container.appendChild(createMediaElement(segment.type, segment.value, question));
+    }
+  });
+}
+
+/**
+ * createMediaElement
+ * ------------------
+ * Creates the element that shows an image or plays an audio clip from the CSV.
+ *
+ * Files that were reported missing at import get a short placeholder instead of
+ * a broken image or an audio player that cannot play.
+ *
+ * @param {string} kind - One of MEDIA_KINDS.
+ * @param {string} mediaPath - The path as written in the CSV.
+ * @param {Object} question - The question the media belongs to (for the URL of its deck file).
+ * @returns {HTMLElement} The <img>, <audio> or placeholder element.
+ */
+function createMediaElement(kind, mediaPath, question) {
+  if ((question.missingMedia || []).includes(mediaPath)) {
+    const placeholder = document.createElement('span');
+    placeholder.className = 'missing-media';
+    placeholder.textContent = `[Missing ${kind}: ${mediaPath}]`;
+    return placeholder;
+  }
+  if (kind === MEDIA_KINDS.AUDIO) {
+    const audio = document.createElement('audio');
+    audio.className = 'question-audio';
+    audio.controls = true;
+    audio.src = mediaUrl(mediaPath, question.deckUrl);
+    return audio;
+  }
+  const img = document.createElement('img');
+  img.className = 'question-image';
+  img.alt = mediaPath;
+  img.src = mediaUrl(mediaPath, question.deckUrl);
+  return img;
+}
+
+/**
+ * showMediaWarning
+ * ----------------
+ * Lists the media files that could not be found in the feedback area after an import.
+ *
+ * @param {Array<string>} problems - Descriptions of the problem files.
+ */
+function showMediaWarning(problems) {
+  const feedbackDiv = document.getElementById('feedback');
+  if (!feedbackDiv) return;
+  const warning = document.createElement('p');
+  warning.className = 'import-warning';
+  warning.textContent = `Some media files could not be loaded: ${problems.join(', ')}`;
+  feedbackDiv.appendChild(warning);
+}
+
+/**
+ * describeImportSummary
+ * ---------------------
+ * Summarizes an import report in one line, e.g. "Imported 12 questions from 15 rows;
+ * 3 skipped: 2 missing field, 1 duplicate."
+ *
+ * @param {Object} report - The import report.
+ * @returns {string} The summary.
+ */
+function describeImportSummary(report) {
+  const fileCount = report.files ? report.files.length : 1;
+  const imported = `Imported ${report.imported} question${report.imported === 1 ? '' : 's'} ` +
+    `from ${report.rows} row${report.rows === 1 ? '' : 's'}` +
+    (fileCount > 1 ? ` in ${fileCount} files` : '');
+  if (report.skipped.length === 0) return `${imported}.`;
+  const counts = countSkippedByReason(report)
+    .map(entry => `${entry.count} ${entry.label.toLowerCase()}`)
+    .join(', ');
+  return `${imported}; ${report.skipped.length} skipped: ${counts}.`;
+}
+
+/**
+ * describeImportFormats
+ * ---------------------
+ * Says how the files of an import report were read, e.g. "Read as Windows-1252, separated
+ * by semicolons." or "Read as Moodle GIFT, UTF-8." If rows were skipped or nothing was
+ * imported, it adds where to choose another separator or encoding.
+ *
+ * @param {Object} report - The import report.
+ * @returns {string} The description, or '' if the report lists no formats.
+ */
+function describeImportFormats(report) {
+  const formats = report.formats || [];
+  if (formats.length === 0) return '';
+  const describe = format => {
+    if (format.format && format.format !== IMPORT_FORMATS.CSV) {
+      const importer = IMPORTERS.find(candidate => candidate.format === format.format);
+      return `${importer ? importer.name : format.format}, ${ENCODING_LABELS[format.encoding]}`;
+    }
+    return `${ENCODING_LABELS[format.encoding]}, separated by ${SEPARATOR_LABELS[format.separator]}s`;
+  };
+  const text = formats.length === 1
+    ? `Read as ${describe(formats[0])}.`
+    : `Read ${formats.map(format => `${format.file} as ${describe(format)}`).join('; ')}.`;
+  const hint = report.skipped.length > 0 || report.imported === 0
+    ? ' If rows look wrong, choose the CSV separator and encoding in the settings.'
+    : '';
+  return text + hint;
+}
+
+/**
+ * showImportReport
+ * ----------------
+ * Shows the report of the last import below the quiz: a summary with the counts per
+ * reason, the encoding and separator the files were read with and, if rows were skipped,
+ * a collapsible table of them (line, reason, details and the raw row, preceded by the file
+ * when several files were imported) with a button to export the report. CSV content is
+ * inserted as text.
+ *
+ * @param {Object|null} report - The import report, or null to hide the report.
+ */
+function showImportReport(report) {
+  const container = document.getElementById('importReport');
+  if (!container) return;
+  container.innerHTML = '';
+  container.hidden = !report;
+  if (!report) return;
+
+  const summary = document.createElement('p');
+  summary.className = report.skipped.length > 0 ? 'import-summary has-skipped' : 'import-summary';
+  summary.textContent = describeImportSummary(report);
+  container.appendChild(summary);
+  const formats = describeImportFormats(report);
+  if (formats) {
+    const format = document.createElement('p');
+    format.className = 'import-format';
+    format.textContent = formats;
+    container.appendChild(format);
+  }
+  if (report.skipped.length === 0) return;
+
+  const details = document.createElement('details');
+  const toggle = document.createElement('summary');
+  toggle.textContent = 'Show skipped rows';
+  details.appendChild(toggle);
+  const table = document.createElement('table');
+  table.className = 'import-report-table';
+  const showFiles = !!report.files && report.files.length > 1;
+  const headerRow = document.createElement('tr');
+  (showFiles ? ['File'] : []).concat(['Line', 'Reason', 'Details', 'Raw content']).forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  report.skipped.forEach(entry => {
+    const tr = document.createElement('tr');
+    tr.dataset.reason = entry.reason;
+    const cells = [entry.line === null ? '' : String(entry.line), SKIP_REASON_LABELS[entry.reason], entry.message, entry.raw];
+    (showFiles ? [entry.file || ''] : []).concat(cells).forEach((text, index, all) => {
+      const td = document.createElement('td');
+      if (index === all.length - 1) td.className = 'raw-content';
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  details.appendChild(table);
+  container.appendChild(details);
+
+  const exportBtn = document.createElement('button');
+  exportBtn.id = 'exportImportReportBtn';
+  exportBtn.className = 'export-button';
+  exportBtn.textContent = 'Export report…';
+  exportBtn.addEventListener('click', () => exportImportReport());
+  container.appendChild(exportBtn);
+}
+
+/**
+ * exportImportReport
+ * ------------------
+ * Asks the main process to save the report of the last import as CSV through a save
+ * dialog. The outcome is shown in a floating message.
+ *
+ * @returns {Promise<Object|null>} Resolves with { filePath } once written, or with null
+ *   if there is no report, the dialog was cancelled or the export failed.
+ */
+function exportImportReport() {
+  if (!quizApi || !lastImportReport) return Promise.resolve(null);
+  return quizApi.exportImportReport(lastImportReport)
+    .then(result => {
+      if (result) showFloatingMessage(`Import report exported to ${result.filePath}`, true);
+      return result || null;
+    })
+    .catch(err => {
+      console.error("Error exporting import report:", err);
+      showFloatingMessage(`Could not export import report: ${err.message}`, false);
+      return null;
+    });
+}
+
+/**
+ * isTypedQuestion
+ * ---------------
+ * Checks whether a question is answered by typing (free-text or numeric) rather than
+ * by picking options.
+ *
+ * @param {Object} question - The question to check.
+ * @returns {boolean} True for free-text and numeric questions.
+ */
+function isTypedQuestion(question) {
+  return !!question && (question.type === QUESTION_TYPES.TEXT || question.type === QUESTION_TYPES.NUMBER);
+}
+
+/**
+ * displayAnswerInput
+ * ------------------
+ * Renders the answer field of a free-text or numeric question.
+ *
+ * A text input (or a number input for numeric questions) is shown with a Submit button.
+ * Clicking Submit or pressing Enter checks the typed answer; empty answers are ignored.
+ *
+ * @param {Object} question - The question being displayed.
+ * @param {HTMLElement} optionsDiv - The container the input is added to.
+ */
+function displayAnswerInput(question, optionsDiv) {
+  const input = document.createElement('input');
+  input.id = 'answerInput';
+  input.className = 'answer-input';
+  input.autocomplete = 'off';
+  if (question.type === QUESTION_TYPES.NUMBER) {
+    // A text field, since a number field rejects decimal commas and thousands separators
+    // (see parseNumber in src/answerMatching.js); the keyboard still shows digits.
+    input.type = 'text';
+    input.setAttribute('inputmode', 'decimal');
+    input.placeholder = 'Enter a number';
+    input.title = 'A single comma or point is the decimal mark: 1,5 and 1.5 are both one and a half.';
+  } else {
+    input.type = 'text';
+    input.placeholder = 'Type your answer';
+  }
+  optionsDiv.appendChild(input);
+
+  const submitBtn = document.createElement('button');
+  submitBtn.id = 'submitAnswerBtn';
+  submitBtn.classList.add('submit-answer-button');
+  submitBtn.textContent = isExamRunning() ? 'Save Answer' : 'Submit Answer';
+  const submit = () => {
+    if (input.disabled || input.value.trim() === '') return;
+    checkAnswer(input.value, question.correctAnswer);
+  };
+  submitBtn.addEventListener('click', submit);
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') submit();
+  });
+  optionsDiv.appendChild(submitBtn);
+  input.focus();
+}
+
+/**
+ * updateCounter
+ * -------------
+ * Updates the modern card-style score display in the DOM.
+ *
+ * This function creates a responsive, modern UI score card with four sections:
+ * - Current question number
+ * - Total question count
+ * - Correct answers count
+ * - Incorrect answers count
+ *
+ * When partial credit scoring is selected, a fifth section shows the points earned,
+ * since partially correct answers count as incorrect but still earn points.
+ * During a "Retry incorrect answers" round, a section shows the round number.
+ * While an exam is running, a section shows how many questions have a saved answer
+ * (correct and incorrect counts only change when the exam is submitted).
+ * 
+ * Each section is styled using CSS for a clean, card-based layout with proper spacing,
+ * borders, and visual hierarchy to improve readability.
+ */
+function updateCounter() {
+  const counterContainer = document.getElementById("counterContainer");
+  if (counterContainer) {
+    counterContainer.innerHTML = `
+      <div class="score-card">
+        <div class="score-section">
+          <span class="score-label">Current</span>
+          <span class="score-value">${currentQuestionIndex + 1}</span>
+        </div>
+        <div class="score-section">
+          <span class="score-label">Total</span>
+          <span class="score-value">${questions.length}</span>
+        </div>
+        <div class="score-section">
           <span class="score-label">Correct</span>
           <span class="score-value correct-score">${correctCount}</span>
         </div>
@@ -419,6 +1851,21 @@ function updateCounter() {
           <span class="score-label">Incorrect</span>
           <span class="score-value incorrect-score">${incorrectCount}</span>
         </div>
+        ${isExamRunning() ? `
+        <div class="score-section">
+          <span class="score-label">Answered</span>
+          <span class="score-value answered-score">${getQuestions().filter(q => q.examAnswer).length}</span>
+        </div>` : ''}
+        ${state.round > 1 ? `
+        <div class="score-section">
+          <span class="score-label">Round</span>
+          <span class="score-value round-score">${state.round}</span>
+        </div>` : ''}
+        ${state.scoringMode === SCORING_MODES.PARTIAL ? `
+        <div class="score-section">
+          <span class="score-label">Points</span>
+          <span class="score-value points-score">${formatPoints(pointsEarned)}</span>
+        </div>` : ''}
       </div>
     `;
   }
@@ -459,100 +1906,1778 @@ function showFloatingMessage(message, isCorrect) {
   }, 2000);
 }
 
+/**
+ * formatPoints
+ * ------------
+ * Formats a points total for display, with at most two decimals (e.g. 2, 1.5, 0.67).
+ *
+ * @param {number} points - The points to format.
+ * @returns {string} The formatted points.
+ */
+function formatPoints(points) {
+  return String(Math.round(points * 100) / 100);
+}
+
+/**
+ * showExplanation
+ * ---------------
+ * Shows the explanation of an answered question in a panel under the options.
+ *
+ * The panel (<div id="explanation">) is created after the options container if it does
+ * not exist yet. It stays visible until another question is displayed. Questions without
+ * an explanation leave the panel hidden.
+ *
+ * @param {Object} question - The answered question.
+ */
+function showExplanation(question) {
+  if (!question || !question.explanation) return;
+  let explanationDiv = document.getElementById('explanation');
+  if (!explanationDiv) {
+    explanationDiv = document.createElement('div');
+    explanationDiv.id = 'explanation';
+    const optionsDiv = document.getElementById('options');
+    if (optionsDiv && optionsDiv.parentNode) {
+      optionsDiv.parentNode.insertBefore(explanationDiv, optionsDiv.nextSibling);
+    } else {
+      document.body.appendChild(explanationDiv);
+    }
+  }
+  explanationDiv.className = 'explanation-panel';
+  explanationDiv.innerHTML = '';
+  const title = document.createElement('span');
+  title.className = 'explanation-title';
+  title.textContent = 'Explanation';
+  const text = document.createElement('p');
+  text.className = 'explanation-text';
+  text.textContent = question.explanation;
+  explanationDiv.appendChild(title);
+  explanationDiv.appendChild(text);
+  explanationDiv.hidden = false;
+}
+
+/**
+ * hideExplanation
+ * ---------------
+ * Clears and hides the explanation panel, if present.
+ */
+function hideExplanation() {
+  const explanationDiv = document.getElementById('explanation');
+  if (explanationDiv) {
+    explanationDiv.innerHTML = '';
+    explanationDiv.hidden = true;
+  }
+}
+
+/**
+ * showRoundComplete
+ * -----------------
+ * Shows the results view once every question of the round has been answered.
+ *
+ * The view replaces the question on screen and shows the round's score and percentage
+ * (partially correct answers add their points), the elapsed time from the timer, the
+ * accuracy per group, and the missed questions with the given and the correct answers.
+ * Each missed question links back to the question itself; the "View Results" button
+ * returns to this view. If any answers were wrong, a "Retry incorrect answers" button
+ * starts a new round built only from those questions. When everything was answered
+ * correctly, it says so instead.
+ *
+ * @param {Array} qs - The questions of the round that has just been completed.
+ */
+function showRoundComplete(qs) {
+  let roundDiv = document.getElementById('roundComplete');
+  if (!roundDiv) {
+    roundDiv = document.createElement('div');
+    roundDiv.id = 'roundComplete';
+    const explanationDiv = document.getElementById('explanation');
+    const anchor = explanationDiv || document.getElementById('options');
+    if (anchor && anchor.parentNode) {
+      anchor.parentNode.insertBefore(roundDiv, anchor.nextSibling);
+    } else {
+      document.body.appendChild(roundDiv);
+    }
+  }
+  roundDiv.className = 'round-complete';
+  roundDiv.innerHTML = '';
+  const results = summarizeResults(qs, timerElapsed);
+  const missed = results.missed.map(entry => entry.question);
+
+  const summary = document.createElement('p');
+  summary.className = 'round-summary';
+  const roundName = state.round > 1 ? `Retry round ${state.round - 1}` : 'Round';
+  summary.textContent = `${roundName} complete: ${results.correct} of ${results.total} correct.`;
+  roundDiv.appendChild(summary);
+
+  const stats = document.createElement('div');
+  stats.className = 'results-stats';
+  [
+    ['Score', `${formatPoints(results.points)} / ${results.total}`, 'results-score'],
+    ['Percentage', `${results.percentage}%`, 'results-percentage'],
+    ['Time', formatDuration(results.elapsedSeconds), 'results-time']
+  ].forEach(([label, value, className]) => {
+    const stat = document.createElement('div');
+    stat.className = 'results-stat';
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'score-label';
+    labelSpan.textContent = label;
+    const valueSpan = document.createElement('span');
+    valueSpan.className = `score-value ${className}`;
+    valueSpan.textContent = value;
+    stat.appendChild(labelSpan);
+    stat.appendChild(valueSpan);
+    stats.appendChild(stat);
+  });
+  roundDiv.appendChild(stats);
+
+  // Accuracy per group.
+  const groupTable = document.createElement('table');
+  groupTable.className = 'results-groups';
+  const headRow = groupTable.createTHead().insertRow();
+  ['Group', 'Correct', 'Accuracy'].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  const body = groupTable.createTBody();
+  results.groups.forEach(group => {
+    const row = body.insertRow();
+    row.insertCell().textContent = group.group;
+    row.insertCell().textContent = `${group.correct} / ${group.total}`;
+    row.insertCell().textContent = `${group.percentage}%`;
+  });
+  roundDiv.appendChild(groupTable);
+
+  // Missed questions, each linking back to the question.
+  if (results.missed.length > 0) {
+    const missedTitle = document.createElement('h3');
+    missedTitle.className = 'results-missed-title';
+    missedTitle.textContent = 'Missed questions';
+    roundDiv.appendChild(missedTitle);
+    const list = document.createElement('ol');
+    list.className = 'results-missed';
+    results.missed.forEach(({ index, question }) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'missed-question-link';
+      link.dataset.index = String(index);
+      link.textContent = `Question ${index + 1}: ${question.questionText}`;
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        goToQuestion(index);
+      });
+      item.appendChild(link);
+      const given = document.createElement('p');
+      given.className = 'results-given-answer';
+      given.textContent = `Your answer: ${describeGivenAnswer(question)}`;
+      item.appendChild(given);
+      const correct = document.createElement('p');
+      correct.className = 'results-correct-answer';
+      correct.textContent = `Correct answer: ${describeCorrectAnswer(question)}`;
+      item.appendChild(correct);
+      list.appendChild(item);
+    });
+    roundDiv.appendChild(list);
+
+    const retryBtn = document.createElement('button');
+    retryBtn.id = 'retryIncorrectBtn';
+    retryBtn.className = 'retry-button';
+    retryBtn.textContent = `Retry incorrect answers (${missed.length})`;
+    retryBtn.addEventListener('click', () => startRetryRound(missed));
+    roundDiv.appendChild(retryBtn);
+  } else {
+    const done = document.createElement('p');
+    done.className = 'round-all-correct';
+    done.textContent = 'Everything is correct!';
+    roundDiv.appendChild(done);
+  }
+
+  const exportBtn = document.createElement('button');
+  exportBtn.id = 'exportResultsBtn';
+  exportBtn.className = 'export-button';
+  exportBtn.textContent = 'Export Results…';
+  exportBtn.addEventListener('click', () => exportResults());
+  roundDiv.appendChild(exportBtn);
+  roundDiv.hidden = false;
+  setQuestionAreaHidden(true);
+  updateResultsButton();
+}
+
+/**
+ * hideRoundComplete
+ * -----------------
+ * Clears and hides the results view, if present, and shows the question area again.
+ */
+function hideRoundComplete() {
+  const roundDiv = document.getElementById('roundComplete');
+  if (roundDiv) {
+    roundDiv.innerHTML = '';
+    roundDiv.hidden = true;
+  }
+  setQuestionAreaHidden(false);
+}
+
+/**
+ * setQuestionAreaHidden
+ * ---------------------
+ * Hides or shows the question, its options and its explanation, which the results
+ * view replaces on screen.
+ *
+ * @param {boolean} hidden - True to hide the question area.
+ */
+function setQuestionAreaHidden(hidden) {
+  ['question', 'options'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) element.hidden = hidden;
+  });
+  const explanationDiv = document.getElementById('explanation');
+  if (explanationDiv && hidden) explanationDiv.hidden = true;
+}
+
+/**
+ * updateResultsButton
+ * -------------------
+ * Shows the "View Results" button once every question of the round has been answered,
+ * so the results can be reopened after following a link to a missed question.
+ */
+function updateResultsButton() {
+  const showResultsBtn = document.getElementById('showResultsBtn');
+  if (!showResultsBtn) return;
+  const qs = getQuestions();
+  showResultsBtn.hidden = !(qs.length > 0 && qs.every(q => q.userAnswered));
+}
+
+/**
+ * startRetryRound
+ * ---------------
+ * Starts a new round made of the given questions, typically the ones answered wrongly
+ * in the round that just ended.
+ *
+ * The questions' answers are cleared so they can be answered again, and the round gets
+ * its own score and timer (the timer starts when its first question is displayed).
+ *
+ * @param {Array} missed - The questions to ask again.
+ */
+function startRetryRound(missed) {
+  if (!missed || missed.length === 0) return;
+  missed.forEach(clearAnswer);
+  const qs = getQuestions();
+  qs.splice(0, qs.length, ...missed);
+  state.round++;
+  state.examSubmitted = false;
+  resetScore();
+  goToQuestion(0);
+}
+
+/**
+ * clearAnswer
+ * -----------
+ * Removes the answer and result of a question, so it can be answered again.
+ *
+ * @param {Object} question - The question to clear.
+ */
+function clearAnswer(question) {
+  delete question.userAnswered;
+  delete question.userAnswer;
+  delete question.answeredCorrectly;
+  delete question.score;
+  delete question.timeSpentMs;
+  delete question.examAnswer;
+  delete question.examTimeMs;
+  delete question.timedOut;
+  delete question.timeRemainingMs;
+}
+
 /**
  * checkAnswer
  * ------------
  * Checks if the selected answer is correct, updates score counters,
  * applies visual feedback to answer buttons, and shows a floating feedback message.
  *
- * Disables all answer option buttons to prevent multiple selections.
+ * Disables all answer option buttons to prevent multiple selections, and ignores
+ * answers to a question that has already been answered.
  * If the selected answer is correct, increments the correctCount;
  * otherwise, increments the incorrectCount and shows the correct answer in the message.
+ *
+ * For multiple-answer questions, the selection is scored with the scoring mode in
+ * state.scoringMode: all-or-nothing, or partial credit where the earned fraction of the
+ * point is added to the points total. Only a fully correct selection counts as correct.
+ * Correct options that were picked are shown in green, wrong picks in red, and correct
+ * options that were missed in a separate "missed" style.
  * 
  * Marks the current question as answered by setting a userAnswered flag.
  * This tracking is crucial for the timer functionality - the timer will only stop
  * when ALL questions in the current set have been answered (userAnswered is true for all).
  *
- * @param {string} selected - The letter corresponding to the user's selected answer.
- * @param {string} correct - The letter corresponding to the correct answer.
+ * For free-text and numeric questions, the typed answer is matched against the question's
+ * accepted answers and the input field is colored and disabled instead of the buttons.
+ *
+ * @param {string|Array<string>} selected - The letter(s) corresponding to the user's selected answer,
+ *   or the typed answer for free-text and numeric questions.
+ * @param {string} correct - The letter(s) corresponding to the correct answer, e.g. "B" or "A,C".
  */
 function checkAnswer(selected, correct) {
   if (!document) return;
-  const buttons = document.querySelectorAll('.option-button');
   const qs = getQuestions();
   const idx = getCurrentQuestionIndex();
-  // Disable all buttons and apply styling based on whether they are the correct answer.
-  buttons.forEach(btn => {
-    btn.disabled = true;
-    if (btn.dataset.letter === correct) {
-      btn.style.backgroundColor = 'lightgreen';
-    }
-    if (btn.dataset.letter === selected && selected !== correct) {
-      btn.style.backgroundColor = 'lightcoral';
-    }
-  });
+  if (state.examMode) {
+    // Exams give no feedback per answer; the answer is only saved until submission.
+    saveExamAnswer(qs, idx, selected);
+    return;
+  }
+  // A question is scored and recorded in the history once; its first answer stands.
+  if (!qs[idx] || qs[idx].userAnswered) return;
+  if (isTypedQuestion(qs[idx])) {
+    checkTypedAnswer(qs, idx, selected);
+    return;
+  }
+  const selectedLetters = parseAnswerLetters(selected);
+  const correctLetters = parseAnswerLetters(correct);
+  const isMulti = correctLetters.length > 1 || !!(qs[idx] && qs[idx].multiSelect);
+  const result = scoreQuestion(qs[idx], selectedLetters.join(','));
+  showChoiceResult(correctLetters, result, isMulti);
   // Update score counters and show floating feedback.
-  if (selected === correct) {
+  pointsEarned += result.score;
+  if (result.isCorrect) {
     correctCount++;
     showFloatingMessage("Correct!", true);
   } else {
     incorrectCount++;
-    // Determine the text of the correct option.
-    const correctIndex = letters.indexOf(correct);
-    const correctText = qs[idx].options[correctIndex];
-    showFloatingMessage(`Incorrect. The correct answer is: ${correct}) ${correctText}`, false);
-  }
+    // Determine the text of the correct option(s).
+    const correctText = correctLetters
+      .map(letter => `${letter}) ${qs[idx].options[letters.indexOf(letter)]}`)
+      .join(', ');
+    if (isMulti) {
+      const prefix = result.score > 0 ? `Partially correct (${formatPoints(result.score)} points)` : 'Incorrect';
+      showFloatingMessage(`${prefix}. The correct answers are: ${correctText}`, false);
+    } else {
+      showFloatingMessage(`Incorrect. The correct answer is: ${correctText}`, false);
+    }
+  }
+  finishAnswer(qs, idx, selectedLetters.join(','), result);
+}
+
+/**
+ * scoreQuestion
+ * -------------
+ * Scores an answer to a question without changing the score or the display.
+ *
+ * Choice questions compare the answer letters with the correct ones, using the scoring
+ * mode in state.scoringMode for multiple-answer questions. Free-text and numeric
+ * questions match the typed answer against the accepted answers.
+ *
+ * @param {Object} question - The question.
+ * @param {string} answer - The option letters (e.g. "A,C") or the typed text.
+ * @returns {{score: number, isCorrect: boolean, missed: Array<string>, wrong: Array<string>}}
+ *   The result (see scoreAnswer); missed and wrong are empty for typed answers.
+ */
+function scoreQuestion(question, answer) {
+  if (isTypedQuestion(question)) {
+    const isCorrect = matchTypedAnswer(answer, question.acceptedAnswers);
+    return { score: isCorrect ? 1 : 0, isCorrect, missed: [], wrong: [] };
+  }
+  const correctLetters = parseAnswerLetters(question.correctAnswer);
+  const isMulti = correctLetters.length > 1 || !!question.multiSelect;
+  const mode = isMulti ? state.scoringMode : SCORING_MODES.ALL_OR_NOTHING;
+  return scoreAnswer(parseAnswerLetters(answer), correctLetters, mode);
+}
+
+/**
+ * showChoiceResult
+ * ----------------
+ * Disables the option buttons of the displayed question and colors them by result:
+ * correct options in green, wrong picks in red and, for multiple-answer questions,
+ * correct options that were not picked in a separate "missed" style.
+ *
+ * @param {Array<string>} correctLetters - The letters of the correct options.
+ * @param {{missed: Array<string>, wrong: Array<string>}} result - The scored result.
+ * @param {boolean} isMulti - Whether the question is a multiple-answer question.
+ */
+function showChoiceResult(correctLetters, result, isMulti) {
+  document.querySelectorAll('.option-button').forEach(btn => {
+    btn.disabled = true;
+    const letter = btn.dataset.letter;
+    if (correctLetters.includes(letter)) {
+      if (isMulti && result.missed.includes(letter)) {
+        // A correct option the user did not pick.
+        btn.style.backgroundColor = 'khaki';
+        btn.classList.add('missed-option');
+      } else {
+        btn.style.backgroundColor = 'lightgreen';
+      }
+    }
+    if (result.wrong.includes(letter)) {
+      btn.style.backgroundColor = 'lightcoral';
+    }
+  });
+  const submitBtn = document.getElementById('submitAnswerBtn');
+  if (submitBtn) submitBtn.disabled = true;
+}
+
+/**
+ * checkTypedAnswer
+ * ----------------
+ * Checks the answer typed for a free-text or numeric question.
+ *
+ * The input is compared with the question's accepted answers (case-insensitive text,
+ * regular expressions, or numbers within their tolerance). The input field and Submit
+ * button are disabled, the field is colored green or red, and the score is updated.
+ *
+ * @param {Array} qs - The current questions array.
+ * @param {number} idx - The index of the answered question.
+ * @param {string} input - The typed answer.
+ */
+function checkTypedAnswer(qs, idx, input) {
+  const question = qs[idx];
+  const isCorrect = scoreQuestion(question, input).isCorrect;
+  const answerInput = document.getElementById('answerInput');
+  if (answerInput) {
+    answerInput.disabled = true;
+    answerInput.style.backgroundColor = isCorrect ? 'lightgreen' : 'lightcoral';
+  }
+  const submitBtn = document.getElementById('submitAnswerBtn');
+  if (submitBtn) submitBtn.disabled = true;
+  if (isCorrect) {
+    correctCount++;
+    pointsEarned += 1;
+    showFloatingMessage("Correct!", true);
+  } else {
+    incorrectCount++;
+    showFloatingMessage(`Incorrect. The correct answer is: ${describeAcceptedAnswers(question.acceptedAnswers)}`, false);
+  }
+  finishAnswer(qs, idx, String(input).trim(), { score: isCorrect ? 1 : 0, isCorrect });
+}
+
+/**
+ * finishAnswer
+ * ------------
+ * Completes the handling of an answer once it has been scored.
+ *
+ * Refreshes the score card, marks the question as answered, stores the given answer,
+ * its result and the time spent on the question, records the attempt in the answer
+ * history, shows the question's explanation (if any) and stops the timer if every
+ * question in the current set has now been answered.
+ *
+ * @param {Array} qs - The current questions array.
+ * @param {number} idx - The index of the answered question.
+ * @param {string} answer - The given answer (option letters such as "A,C", or the typed text).
+ * @param {{score: number, isCorrect: boolean}} result - The scored result of the answer.
+ */
+function finishAnswer(qs, idx, answer, result) {
+  if (timedQuestion === qs[idx]) stopQuestionTimer();
   // Refresh the combined counter display.
   updateCounter();
   // Stop timer only if ALL questions have been answered (i.e., every question has a selected answer)
   // We'll track answers by adding a property to each question when answered
   qs[idx].userAnswered = true;
+  qs[idx].userAnswer = answer;
+  qs[idx].answeredCorrectly = result.isCorrect;
+  qs[idx].score = result.score;
+  qs[idx].timeSpentMs = questionShownAt ? Date.now() - questionShownAt : null;
+  recordAttempt(qs[idx]);
+  showExplanation(qs[idx]);
   const allAnswered = qs.length > 0 && qs.every(q => q.userAnswered);
   if (allAnswered) {
     stopTimer();
+    showRoundComplete(qs);
+  }
+}
+
+/**
+ * saveExamAnswer
+ * --------------
+ * Saves an answer during an exam, without scoring it or showing whether it is correct.
+ *
+ * The answer can be changed as often as needed until the exam is submitted. The time
+ * spent on the question is added up over every visit. Once the exam has been
+ * submitted, answers are no longer accepted.
+ *
+ * @param {Array} qs - The current questions array.
+ * @param {number} idx - The index of the answered question.
+ * @param {string|Array<string>} selected - The selected letter(s) or the typed answer.
+ */
+function saveExamAnswer(qs, idx, selected) {
+  const question = qs[idx];
+  if (!question || state.examSubmitted || question.timedOut) return;
+  question.examAnswer = isTypedQuestion(question)
+    ? String(selected).trim()
+    : parseAnswerLetters(selected).join(',');
+  const now = Date.now();
+  question.examTimeMs = (question.examTimeMs || 0) + (questionShownAt ? now - questionShownAt : 0);
+  questionShownAt = now;
+  showExamAnswer(question);
+  const feedbackDiv = document.getElementById('feedback');
+  if (feedbackDiv) {
+    feedbackDiv.innerHTML = '<p class="exam-saved">Answer saved. You can change it until you submit the exam.</p>';
+  }
+  updateCounter();
+}
+
+/**
+ * showExamAnswer
+ * --------------
+ * Shows the saved exam answer of the displayed question: the chosen options are marked
+ * as selected and the answer field is filled in. After submission, the question is shown
+ * with its result instead, as in practice mode.
+ *
+ * @param {Object} question - The displayed question.
+ */
+function showExamAnswer(question) {
+  if (state.examSubmitted) {
+    if (question.userAnswered) showAnsweredState(question);
+    return;
+  }
+  if (isTypedQuestion(question)) {
+    const answerInput = document.getElementById('answerInput');
+    if (answerInput && question.examAnswer !== undefined) answerInput.value = question.examAnswer;
+    return;
+  }
+  const chosen = parseAnswerLetters(question.examAnswer);
+  document.querySelectorAll('.option-button').forEach(btn => {
+    const isChosen = chosen.includes(btn.dataset.letter);
+    btn.classList.toggle('selected', isChosen);
+    btn.setAttribute('aria-pressed', String(isChosen));
+  });
+}
+
+/**
+ * showAnsweredState
+ * -----------------
+ * Shows the result of an answered question on its controls, as when it was answered:
+ * the option buttons are colored by result, or the answer field holds the given answer
+ * and is colored green or red. The controls are disabled.
+ *
+ * @param {Object} question - The displayed, answered question.
+ */
+function showAnsweredState(question) {
+  if (isTypedQuestion(question)) {
+    const answerInput = document.getElementById('answerInput');
+    if (answerInput) {
+      answerInput.value = question.userAnswer || '';
+      answerInput.disabled = true;
+      answerInput.style.backgroundColor = question.answeredCorrectly ? 'lightgreen' : 'lightcoral';
+    }
+    const submitBtn = document.getElementById('submitAnswerBtn');
+    if (submitBtn) submitBtn.disabled = true;
+  } else {
+    const correctLetters = parseAnswerLetters(question.correctAnswer);
+    const result = scoreAnswer(parseAnswerLetters(question.userAnswer), correctLetters);
+    showChoiceResult(correctLetters, result, correctLetters.length > 1 || !!question.multiSelect);
+  }
+}
+
+/**
+ * submitExam
+ * ----------
+ * Submits the running exam: every question of the exam is scored, unanswered questions
+ * count as incorrect, the attempts are recorded in the answer history, and the timer stops.
+ * The current question is then shown with its result, followed by the end-of-round panel.
+ *
+ * @param {boolean} [timedOut=false] - True when the exam is submitted because time ran out.
+ */
+function submitExam(timedOut = false) {
+  if (!isExamRunning()) return;
+  stopTimer();
+  stopQuestionTimer();
+  state.examSubmitted = true;
+  const qs = getQuestions();
+  correctCount = 0;
+  incorrectCount = 0;
+  pointsEarned = 0;
+  qs.forEach(question => {
+    const answer = question.examAnswer || '';
+    const result = answer ? scoreQuestion(question, answer) : { score: 0, isCorrect: false };
+    question.userAnswered = true;
+    question.userAnswer = answer;
+    question.answeredCorrectly = result.isCorrect;
+    question.score = result.score;
+    question.timeSpentMs = question.examTimeMs || 0;
+    pointsEarned += result.score;
+    if (result.isCorrect) {
+      correctCount++;
+    } else {
+      incorrectCount++;
+    }
+    recordAttempt(question);
+  });
+  updateTimerDisplay(timerElapsed);
+  displayQuestion(Math.min(getCurrentQuestionIndex(), qs.length - 1));
+  showRoundComplete(qs);
+  if (timedOut) {
+    showFloatingMessage("Time is up! The exam has been submitted.", false);
+  }
+}
+
+/**
+ * updateExamControls
+ * ------------------
+ * Shows the "Submit Exam" button while an exam is running and hides it otherwise.
+ */
+function updateExamControls() {
+  const submitExamBtn = document.getElementById('submitExamBtn');
+  if (submitExamBtn) submitExamBtn.hidden = !(isExamRunning() && questions.length > 0);
+}
+
+/**
+ * recordAttempt
+ * -------------
+ * Sends an answered question to the main process to be saved in the answer history.
+ *
+ * The attempt is keyed by the CSV file the question came from and the question's key (see
+ * src/questionKey.js), and holds the timestamp, chosen answer, correctness, score and
+ * time spent. Nothing is recorded when no deck file is loaded (e.g. in tests that build
+ * questions by hand). Failures are logged and do not interrupt the quiz.
+ *
+ * @param {Object} question - The answered question.
+ */
+function recordAttempt(question) {
+  const deckPath = question.deckPath || currentDeckPath;
+  if (!deckPath || !quizApi) return;
+  const attempt = {
+    deckPath,
+    questionKey: questionKey(question),
+    questionText: question.questionText,
+    // Record the letters as in the CSV, even when the options were shuffled.
+    answer: originalAnswerLetters(question, question.userAnswer),
+    correct: question.answeredCorrectly,
+    score: question.score,
+    timeSpentMs: question.timeSpentMs,
+    timestamp: new Date().toISOString()
+  };
+  // Keep the local copy of the history current, so the due count follows the answers.
+  const key = attempt.questionKey;
+  if (!deckHistory[key]) deckHistory[key] = { questionText: attempt.questionText, attempts: [] };
+  deckHistory[key].attempts.push({
+    timestamp: attempt.timestamp,
+    answer: attempt.answer,
+    correct: !!attempt.correct,
+    score: attempt.score,
+    timeSpentMs: attempt.timeSpentMs
+  });
+  updateDueCount();
+  quizApi.recordAttempt(attempt)
+    .catch(err => console.error("Error recording answer history:", err));
+}
+
+/**
+ * exportResults
+ * -------------
+ * Exports the results of the current session: builds the report from the questions
+ * (see src/resultsExport.js) and asks the main process to save it, which opens a save
+ * dialog where CSV, JSON or HTML can be chosen. It can be called at any time, e.g. from
+ * File > Export Results… during an exam; unanswered questions are exported as such. The
+ * outcome is shown in a floating message.
+ *
+ * @returns {Promise<Object|null>} Resolves with { filePath, format } once written, or
+ *   with null if no deck is loaded, the dialog was cancelled or the export failed.
+ */
+function exportResults() {
+  if (getQuestions().length === 0) {
+    showFloatingMessage('Load a deck to export its results.', false);
+    return Promise.resolve(null);
+  }
+  const report = buildResultsReport(getQuestions(), {
+    deckPath: currentDeckPath,
+    elapsedSeconds: timerElapsed
+  });
+  if (!quizApi) return Promise.resolve(null);
+  return quizApi.exportResults(report)
+    .then(result => {
+      if (result) showFloatingMessage(`Results exported to ${result.filePath}`, true);
+      return result || null;
+    })
+    .catch(err => {
+      console.error("Error exporting results:", err);
+      showFloatingMessage(`Could not export results: ${err.message}`, false);
+      return null;
+    });
+}
+
+/**
+ * exportDeck
+ * ----------
+ * Exports the questions of the group selected in the group filter, or of the whole deck
+ * when "All" is selected (see groupQuestions), in their deck order and with their original
+ * options. The main process opens a save dialog where Moodle XML, GIFT or text for Anki
+ * can be chosen (see src/deckExport.js). The outcome is shown in a floating message.
+ *
+ * @returns {Promise<Object|null>} Resolves with { filePath, format, exported, skipped } once
+ *   written, or with null if no deck is loaded, the dialog was cancelled or the export failed.
+ */
+function exportDeck() {
+  const selected = groupQuestions();
+  if (selected.length === 0) {
+    showFloatingMessage('Load a deck to export it.', false);
+    return Promise.resolve(null);
+  }
+  const deck = buildDeckExport(selected, { deckPath: currentDeckPath });
+  if (!quizApi) return Promise.resolve(null);
+  return quizApi.exportDeck(deck)
+    .then(result => {
+      if (result) {
+        const skipped = result.skipped > 0
+          ? ` ${result.skipped} question${result.skipped === 1 ? '' : 's'} with only regular expression answers ${result.skipped === 1 ? 'was' : 'were'} left out.`
+          : '';
+        showFloatingMessage(`${result.exported} question${result.exported === 1 ? '' : 's'} exported to ${result.filePath}.${skipped}`, true);
+      }
+      return result || null;
+    })
+    .catch(err => {
+      console.error("Error exporting deck:", err);
+      showFloatingMessage(`Could not export the deck: ${err.message}`, false);
+      return null;
+    });
+}
+
+/**
+ * loadKeyBindings
+ * ---------------
+ * Loads the keyboard shortcuts the user has changed from the main process and merges
+ * them with the defaults. Failures are logged and leave the default keys in place.
+ *
+ * @returns {Promise<void>} Resolves once the bindings are in place.
+ */
+function loadKeyBindings() {
+  if (!quizApi) return Promise.resolve();
+  return quizApi.getKeyBindings()
+    .then(custom => {
+      keyBindings = mergeKeyBindings(custom || {});
+      renderShortcutsPanel();
+    })
+    .catch(err => console.error("Error loading key bindings:", err));
+}
+
+/**
+ * saveKeyBindings
+ * ---------------
+ * Sends the current keyboard shortcuts to the main process to be stored.
+ * Failures are logged; the bindings stay in effect for the session.
+ */
+function saveKeyBindings() {
+  if (!quizApi) return;
+  quizApi.saveKeyBindings(keyBindings)
+    .catch(err => console.error("Error saving key bindings:", err));
+}
+
+/**
+ * isTextEntry
+ * -----------
+ * Checks whether an element takes typed text, such as the answer field, the seed field
+ * or a dropdown. Plain keys pressed there belong to the field, not to the shortcuts.
+ *
+ * @param {Element} element - The element that has the focus.
+ * @returns {boolean} True for text fields, text areas, dropdowns and editable content.
+ */
+function isTextEntry(element) {
+  if (!element || !element.tagName) return false;
+  const tag = element.tagName.toUpperCase();
+  if (tag === 'INPUT') return !['checkbox', 'radio', 'button', 'submit'].includes(element.type);
+  return tag === 'TEXTAREA' || tag === 'SELECT' || !!element.isContentEditable;
+}
+
+/**
+ * handleKeyDown
+ * -------------
+ * Runs the action bound to a key press (see src/keyBindings.js).
+ *
+ * Plain keys are left alone while a text field or dropdown has the focus, where Escape
+ * leaves the field instead; shortcuts with Ctrl, Alt or Meta work everywhere. Enter and
+ * Space on a focused button keep pressing that button. While the column mapping dialog
+ * or the deck editor is open, only its own controls react to the keyboard. In the cheat sheet, the next key
+ * pressed after "Change" becomes the new key of that action (Escape cancels).
+ *
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleKeyDown(event) {
+  const combo = keyCombo(event);
+  if (!combo) return;
+  if (rebindingAction) {
+    event.preventDefault();
+    if (combo !== 'Escape') {
+      keyBindings = rebindKey(keyBindings, rebindingAction, combo);
+      saveKeyBindings();
+    }
+    rebindingAction = null;
+    renderShortcutsPanel();
+    return;
+  }
+  if (document.getElementById('columnMappingDialog') || document.getElementById('deckEditor')) return;
+  const target = event.target;
+  if (combo === 'Escape') {
+    const panel = document.getElementById('shortcutsPanel');
+    if (panel && !panel.hidden) {
+      toggleShortcutsPanel(false);
+    } else if (isTextEntry(target)) {
+      target.blur();
+    }
+    return;
+  }
+  const hasModifier = /^(Ctrl|Alt|Meta)\+/.test(combo);
+  if (!hasModifier && isTextEntry(target)) return;
+  if ((combo === 'Enter' || combo === 'Space') && target && target.tagName === 'BUTTON') return;
+  const action = findKeyAction(keyBindings, combo);
+  if (action && runKeyAction(action)) event.preventDefault();
+}
+
+/**
+ * clickControl
+ * ------------
+ * Clicks a button by id, if it is present, visible and enabled, so a shortcut does
+ * exactly what the button does.
+ *
+ * @param {string} id - The id of the button.
+ * @returns {boolean} True if the button was clicked.
+ */
+function clickControl(id) {
+  const button = document.getElementById(id);
+  if (!button || button.hidden || button.disabled) return false;
+  button.click();
+  return true;
+}
+
+/**
+ * runKeyAction
+ * ------------
+ * Runs a keyboard action.
+ *
+ * @param {string} action - The action name (see KEY_ACTIONS in src/keyBindings.js).
+ * @returns {boolean} True if the action did something, so the key press is used up.
+ */
+function runKeyAction(action) {
+  const optionsDiv = document.getElementById('options');
+  const answerMatch = /^answer(\d)$/.exec(action);
+  if (answerMatch) {
+    if (!optionsDiv || optionsDiv.hidden) return false;
+    const letter = letters[Number(answerMatch[1]) - 1];
+    const btn = optionsDiv.querySelector(`.option-button[data-letter="${letter}"]`);
+    if (!btn || btn.disabled) return false;
+    btn.click();
+    return true;
   }
+  switch (action) {
+    case 'submit': {
+      // Submit a "select all that apply" answer once an option is selected; otherwise move on.
+      const hasSelection = optionsDiv && !optionsDiv.hidden &&
+        optionsDiv.querySelector('.option-button.selected:not([disabled])');
+      if (hasSelection && clickControl('submitAnswerBtn')) return true;
+      return clickControl('nextBtn');
+    }
+    case 'previous':
+      return clickControl('prevBtn');
+    case 'next':
+      return clickControl('nextBtn');
+    case 'focusGroup': {
+      const groupSelect = document.getElementById('groupSelect');
+      if (!groupSelect) return false;
+      groupSelect.focus();
+      return true;
+    }
+    case 'openCsv':
+      selectCSVFile();
+      return true;
+    case 'toggleShortcuts':
+      toggleShortcutsPanel();
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * toggleShortcutsPanel
+ * --------------------
+ * Shows or hides the keyboard shortcuts cheat sheet.
+ *
+ * @param {boolean} [show] - True to show, false to hide; toggles when omitted.
+ */
+function toggleShortcutsPanel(show) {
+  const panel = document.getElementById('shortcutsPanel');
+  if (!panel) return;
+  const visible = typeof show === 'boolean' ? show : panel.hidden;
+  rebindingAction = null;
+  if (visible) renderShortcutsPanel();
+  panel.hidden = !visible;
+}
+
+/**
+ * renderShortcutsPanel
+ * --------------------
+ * Fills the cheat sheet with every action and its keys. Each action has a "Change"
+ * button that waits for the next key press and binds it to the action; "Reset to
+ * defaults" restores the original keys.
+ */
+function renderShortcutsPanel() {
+  const panel = document && document.getElementById('shortcutsPanel');
+  if (!panel) return;
+  panel.innerHTML = '';
+  const title = document.createElement('h3');
+  title.textContent = 'Keyboard Shortcuts';
+  panel.appendChild(title);
+  const hint = document.createElement('p');
+  hint.className = 'shortcuts-hint';
+  hint.textContent = 'Click "Change" and press the new key for an action; Esc cancels.';
+  panel.appendChild(hint);
+
+  const table = document.createElement('table');
+  table.className = 'shortcuts-table';
+  const body = table.createTBody();
+  KEY_ACTIONS.forEach(({ action, label }) => {
+    const row = body.insertRow();
+    row.dataset.action = action;
+    row.insertCell().textContent = label;
+    const keysCell = row.insertCell();
+    keysCell.className = 'shortcut-keys';
+    if (rebindingAction === action) {
+      keysCell.textContent = 'Press a key…';
+    } else if (keyBindings[action].length === 0) {
+      keysCell.textContent = '(none)';
+    } else {
+      keyBindings[action].forEach((combo, i) => {
+        if (i > 0) keysCell.appendChild(document.createTextNode(' or '));
+        const kbd = document.createElement('kbd');
+        kbd.textContent = describeCombo(combo);
+        keysCell.appendChild(kbd);
+      });
+    }
+    const changeBtn = document.createElement('button');
+    changeBtn.className = 'rebind-button';
+    changeBtn.textContent = 'Change';
+    changeBtn.addEventListener('click', () => {
+      rebindingAction = action;
+      renderShortcutsPanel();
+    });
+    row.insertCell().appendChild(changeBtn);
+  });
+  panel.appendChild(table);
+
+  const resetBtn = document.createElement('button');
+  resetBtn.id = 'resetShortcutsBtn';
+  resetBtn.textContent = 'Reset to defaults';
+  resetBtn.addEventListener('click', () => {
+    keyBindings = mergeKeyBindings({});
+    rebindingAction = null;
+    saveKeyBindings();
+    renderShortcutsPanel();
+  });
+  panel.appendChild(resetBtn);
+  const closeBtn = document.createElement('button');
+  closeBtn.id = 'closeShortcutsBtn';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', () => toggleShortcutsPanel(false));
+  panel.appendChild(closeBtn);
 }
 
 /**
  * selectCSVFile
  * ---------------
- * Opens a CSV file selection dialog via IPC and loads the selected CSV file.
+ * Opens a CSV file selection dialog via IPC and loads the selected CSV files.
  *
- * This function uses Electron's ipcRenderer.invoke to open a native file dialog.
+ * This function asks the main process to open a native file dialog (see src/quizApi.js),
+ * in which several files can be selected; they are merged into one deck.
  * It prevents multiple dialogs from opening concurrently by checking the state.isDialogOpen flag.
  *
- * If a file is selected, it calls loadQuestions to parse and load the quiz questions.
+ * If files are selected, it calls loadQuestions to parse and load the quiz questions.
+ *
+ * @param {Object} [options] - Load options.
+ * @param {boolean} [options.append=false] - Add the files to the loaded deck (the "Add CSV File"
+ *   button) instead of replacing it.
  */
-async function selectCSVFile() {
-  if (typeof ipcRenderer !== 'undefined') {
+async function selectCSVFile(options = {}) {
+  if (quizApi) {
     if (state.isDialogOpen) {
       console.log("A CSV file dialog is already open.");
       return;
     }
     state.isDialogOpen = true;
     try {
-      const filePath = await ipcRenderer.invoke('select-csv-file');
-      console.log("Selected CSV file:", filePath);
-      if (filePath) {
-        loadQuestions(filePath);
+      const selected = await quizApi.selectCsvFile();
+      // The main process answers with a list of paths; a single path is accepted as well.
+      const filePaths = (Array.isArray(selected) ? selected : [selected]).filter(Boolean);
+      if (filePaths.length > 0) {
+        await loadQuestions(filePaths, { append: !!options.append });
       }
     } catch (error) {
-      console.error("Error during IPC invocation:", error);
+      console.error("Error opening deck files:", error);
+      showFloatingMessage(`Could not load the deck: ${error.message}`, false);
     } finally {
       state.isDialogOpen = false;
     }
   }
 }
 
+/**
+ * rememberDeck
+ * ------------
+ * Puts the loaded deck, with the group selected in the group filter, at the top of the
+ * recent decks list kept by the main process. Failures are logged.
+ *
+ * @returns {Promise<void>} Resolves once the list is updated.
+ */
+function rememberDeck() {
+  const paths = deckFiles();
+  if (paths.length === 0 || !quizApi) return Promise.resolve();
+  const groupSelect = document ? document.getElementById('groupSelect') : null;
+  const group = groupSelect && groupSelect.value ? groupSelect.value : 'All';
+  return quizApi.recordRecentDeck({ paths, group })
+    .then(updated => showRecentDecks(updated))
+    .catch(err => console.error("Error updating recent decks:", err));
+}
+
+/**
+ * showRecentDecks
+ * ---------------
+ * Fills the recent decks dropdown next to the file buttons (hidden while the list is
+ * empty) and the "Reopen last deck on startup" checkbox from a recent decks list.
+ *
+ * @param {Object} [updated] - The list sent by the main process; without it, the list
+ *   already known is shown again. Anything that is not a list is ignored.
+ */
+function showRecentDecks(updated) {
+  if (updated && typeof updated === 'object' && Array.isArray(updated.decks)) {
+    recentDecks = { reopenLast: !!updated.reopenLast, decks: updated.decks };
+  }
+  if (!document) return;
+  const reopenLastToggle = document.getElementById('reopenLastToggle');
+  if (reopenLastToggle) reopenLastToggle.checked = recentDecks.reopenLast;
+  const recentDeckSelect = document.getElementById('recentDeckSelect');
+  if (!recentDeckSelect) return;
+  recentDeckSelect.innerHTML = '';
+  recentDeckSelect.hidden = recentDecks.decks.length === 0;
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Recent decks…';
+  recentDeckSelect.appendChild(placeholder);
+  recentDecks.decks.forEach((deck, index) => {
+    const opt = document.createElement('option');
+    opt.value = String(index);
+    opt.textContent = describeDeck(deck);
+    opt.title = deck.paths.join('\n');
+    recentDeckSelect.appendChild(opt);
+  });
+  recentDeckSelect.value = '';
+}
+
+/**
+ * selectGroup
+ * -----------
+ * Selects a group (or source file) in the group filter and restarts the quiz with it.
+ * A group that the deck no longer has is ignored.
+ *
+ * @param {string} group - The value of the group filter option.
+ * @returns {boolean} True if the group was selected.
+ */
+function selectGroup(group) {
+  const groupSelect = document ? document.getElementById('groupSelect') : null;
+  if (!groupSelect || !group || group === groupSelect.value) return false;
+  if (!Array.from(groupSelect.options).some(opt => opt.value === group)) return false;
+  groupSelect.value = group;
+  applyQuestionFilter();
+  return true;
+}
+
+/**
+ * openRecentDeck
+ * --------------
+ * Opens a deck from the recent decks list: loads its CSV files and selects the group
+ * that was selected when it was last used. If a file cannot be read (e.g. it was moved
+ * or deleted), a message says so and the list is fetched again, which drops missing files.
+ *
+ * @param {Object} deck - An entry of the recent decks list ({ paths, group }).
+ * @returns {Promise<Array|null>} A promise that resolves with the loaded questions, or
+ *   with null if the deck could not be opened.
+ */
+function openRecentDeck(deck) {
+  return loadQuestions(deck.paths)
+    .then(loaded => {
+      if (deck.group && selectGroup(deck.group)) rememberDeck();
+      return loaded;
+    })
+    .catch(err => {
+      console.error("Error opening recent deck:", err);
+      const feedbackDiv = document.getElementById('feedback');
+      if (feedbackDiv) {
+        feedbackDiv.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'error-message';
+        message.textContent = err.code === 'ENOENT'
+          ? `${describeDeck(deck)} could not be opened: ${path.basename(err.path || '')} no longer exists.`
+          : `${describeDeck(deck)} could not be opened: ${err.message}`;
+        feedbackDiv.appendChild(message);
+      }
+      return loadRecentDecks().then(() => null);
+    });
+}
+
+/**
+ * loadRecentDecks
+ * ---------------
+ * Fetches the recent decks list from the main process, which drops files that no
+ * longer exist, and shows it. Removed files are mentioned in the feedback area. At
+ * startup the last deck is opened again if the user asked for it and no deck is loaded.
+ *
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.startup=false] - Whether the app is starting.
+ * @returns {Promise<void>} Resolves once the list is shown (and the last deck loaded).
+ */
+function loadRecentDecks(options = {}) {
+  if (!quizApi) return Promise.resolve();
+  return quizApi.getRecentDecks()
+    .then(updated => {
+      if (!updated || !Array.isArray(updated.decks)) return undefined;
+      showRecentDecks(updated);
+      const pruned = Array.isArray(updated.pruned) ? updated.pruned : [];
+      const reportPruned = () => {
+        const feedbackDiv = document.getElementById('feedback');
+        if (pruned.length === 0 || !feedbackDiv) return;
+        const message = document.createElement('p');
+        message.className = 'import-warning';
+        message.textContent = `Removed from the recent decks because the files no longer exist: ${pruned.map(p => path.basename(p)).join(', ')}`;
+        feedbackDiv.appendChild(message);
+      };
+      if (options.startup && recentDecks.reopenLast && recentDecks.decks.length > 0 && allQuestions.length === 0) {
+        // Loading the deck clears the feedback area, so the removed files are reported after it.
+        return openRecentDeck(recentDecks.decks[0]).then(reportPruned);
+      }
+      reportPruned();
+      return undefined;
+    })
+    .catch(err => console.error("Error loading recent decks:", err));
+}
+
+/**
+ * isQuizInProgress
+ * ----------------
+ * Checks whether a deck is loaded and at least one of its current questions has been
+ * answered (or has a saved exam answer), so loading another deck would lose progress.
+ *
+ * @returns {boolean} True while a quiz is in progress.
+ */
+function isQuizInProgress() {
+  return allQuestions.length > 0 && getQuestions().some(q => q.userAnswered || q.examAnswer !== undefined);
+}
+
+/**
+ * showDropChoiceDialog
+ * --------------------
+ * Asks whether dropped CSV files should replace the deck of the quiz in progress or be
+ * added to it.
+ *
+ * @param {Array<string>} filePaths - The paths of the dropped CSV files.
+ * @returns {Promise<string|null>} A promise that resolves with 'replace' or 'append',
+ *   or null if the dialog was cancelled.
+ */
+function showDropChoiceDialog(filePaths) {
+  if (!document) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'dropChoiceDialog';
+    overlay.className = 'modal-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal';
+    overlay.appendChild(dialog);
+
+    const title = document.createElement('h3');
+    title.textContent = 'Load Dropped Files';
+    dialog.appendChild(title);
+
+    const intro = document.createElement('p');
+    const names = filePaths.map(filePath => path.basename(filePath)).join(', ');
+    intro.textContent = `A quiz is in progress. Replace the current deck with ${names}, or add ` +
+      `${filePaths.length === 1 ? 'it' : 'them'} to the deck? Either way the quiz starts again.`;
+    dialog.appendChild(intro);
+
+    const actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    [
+      { id: 'dropCancelBtn', label: 'Cancel', choice: null },
+      { id: 'dropReplaceBtn', label: 'Replace deck', choice: 'replace' },
+      { id: 'dropAppendBtn', label: 'Add to deck', choice: 'append' }
+    ].forEach(({ id, label, choice }) => {
+      const button = document.createElement('button');
+      button.id = id;
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+        resolve(choice);
+      });
+      actions.appendChild(button);
+    });
+    dialog.appendChild(actions);
+
+    document.body.appendChild(overlay);
+  });
+}
+
+/**
+ * showRejectedFiles
+ * -----------------
+ * Tells the user which dropped files were not loaded because they are not deck files.
+ *
+ * @param {Array<string>} filePaths - The paths of the rejected files.
+ */
+function showRejectedFiles(filePaths) {
+  const feedbackDiv = document.getElementById('feedback');
+  if (!feedbackDiv) return;
+  const message = document.createElement('p');
+  message.className = 'error-message';
+  const names = filePaths.map(filePath => path.basename(filePath)).join(', ');
+  const extensions = IMPORT_EXTENSIONS.map(extension => `.${extension}`).join(', ');
+  message.textContent = `Only deck files (${extensions}) can be loaded; not loaded: ${names}.`;
+  feedbackDiv.appendChild(message);
+}
+
+/**
+ * loadDroppedFiles
+ * ----------------
+ * Loads files dropped onto the window. The deck files among them (see src/importers.js)
+ * are loaded as one deck (see loadQuestions); other files are rejected with a message. The
+ * main process first asks the user to confirm the deck files, since it only reads files the
+ * user opened. While a quiz is in progress the user is then asked whether to replace the
+ * deck or add to it.
+ *
+ * @param {Array<string>} filePaths - The paths of the dropped files.
+ * @returns {Promise<Array|null>} A promise that resolves with the loaded questions, or with
+ *   null if nothing was loaded.
+ */
+async function loadDroppedFiles(filePaths) {
+  const deckPaths = filePaths.filter(isImportPath);
+  const rejected = filePaths.filter(filePath => !isImportPath(filePath));
+  if (rejected.length > 0) console.error("Dropped files that are not deck files:", rejected);
+  if (deckPaths.length === 0) {
+    if (rejected.length > 0) {
+      const feedbackDiv = document.getElementById('feedback');
+      if (feedbackDiv) feedbackDiv.innerHTML = '';
+      showRejectedFiles(rejected);
+    }
+    return null;
+  }
+  let confirmed = null;
+  try {
+    confirmed = quizApi ? await quizApi.confirmDroppedFiles(deckPaths) : null;
+  } catch (err) {
+    console.error("Error confirming dropped files:", err);
+    showFloatingMessage(`Could not load ${deckPaths.map(p => path.basename(p)).join(', ')}: ${err.message}`, false);
+  }
+  if (!confirmed) return null;
+  let append = false;
+  if (isQuizInProgress()) {
+    const choice = await showDropChoiceDialog(deckPaths);
+    if (!choice) return null;
+    append = choice === 'append';
+  }
+  try {
+    const loaded = await loadQuestions(deckPaths, { append });
+    // Loading redraws the feedback area, so the rejected files are listed afterwards.
+    if (rejected.length > 0) showRejectedFiles(rejected);
+    return loaded;
+  } catch (err) {
+    console.error("Error loading dropped files:", err);
+    showFloatingMessage(`Could not load ${deckPaths.map(p => path.basename(p)).join(', ')}: ${err.message}`, false);
+    return null;
+  }
+}
+
+/**
+ * hasDraggedFiles
+ * ---------------
+ * Checks whether a drag event carries files (rather than e.g. selected text).
+ *
+ * @param {DragEvent} event - The drag event.
+ * @returns {boolean} True if files are being dragged.
+ */
+function hasDraggedFiles(event) {
+  const types = event.dataTransfer ? event.dataTransfer.types : null;
+  return !!types && Array.from(types).includes('Files');
+}
+
+/**
+ * handleDragOver
+ * --------------
+ * Accepts files dragged over the window and highlights the window as a drop target.
+ *
+ * @param {DragEvent} event - The dragover event.
+ */
+function handleDragOver(event) {
+  if (!hasDraggedFiles(event)) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'copy';
+  document.body.classList.add('drag-over');
+}
+
+/**
+ * handleDragLeave
+ * ---------------
+ * Removes the drop target highlight once the files are dragged out of the window.
+ *
+ * @param {DragEvent} event - The dragleave event.
+ */
+function handleDragLeave(event) {
+  // Moving between elements of the page also fires dragleave; only leaving the window counts.
+  if (!event.relatedTarget) document.body.classList.remove('drag-over');
+}
+
+/**
+ * handleDrop
+ * ----------
+ * Loads the files dropped onto the window (see loadDroppedFiles). The default action,
+ * opening the file in the window, is always prevented.
+ *
+ * @param {DragEvent} event - The drop event.
+ * @returns {Promise<Array|null>} The result of loadDroppedFiles, or null if no files were dropped.
+ */
+function handleDrop(event) {
+  event.preventDefault();
+  document.body.classList.remove('drag-over');
+  // Electron adds the file's path on disk to each dropped File.
+  const filePaths = Array.from((event.dataTransfer && event.dataTransfer.files) || [])
+    .map(file => file.path || file.name)
+    .filter(Boolean);
+  if (filePaths.length === 0) return Promise.resolve(null);
+  return loadDroppedFiles(filePaths);
+}
+
+/**
+ * openDeckEditor
+ * --------------
+ * Opens the deck editor on a CSV file, or on a new deck. The file is read as the import
+ * reads it: in its encoding, split at its separator (or those chosen in the settings),
+ * with its header matched by name and the column mapping dialog shown if it is not
+ * recognised. Decks imported from other formats (see src/importers.js) cannot be edited.
+ * Problems opening the file are shown in the feedback area.
+ *
+ * @param {string|null} [deckPath] - The path of the file to edit; a new deck without it.
+ * @returns {Promise<Object|null>} A promise that resolves with the editor state
+ *   ({ deckPath, doc, dirty }), or with null if the file could not be opened, the
+ *   column mapping was cancelled or the editor is already open.
+ */
+async function openDeckEditor(deckPath) {
+  if (!document || deckEditor) return null;
+  let doc;
+  if (deckPath) {
+    let parsed;
+    try {
+      const file = await readDeckText(deckPath);
+      const importer = findImporter(deckPath, file.text);
+      if (importer && importer.format !== IMPORT_FORMATS.CSV) {
+        throw new Error(`only CSV decks can be edited, not ${importer.name} files`);
+      }
+      parsed = Object.assign(parseDeckText(file.text, state.csvSeparator === 'auto' ? undefined : state.csvSeparator),
+        { encoding: file.encoding, byteOrderMark: file.byteOrderMark });
+    } catch (err) {
+      console.error("Error opening deck for editing:", err);
+      const feedbackDiv = document.getElementById('feedback');
+      if (feedbackDiv) {
+        feedbackDiv.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'error-message';
+        message.textContent = `${path.basename(deckPath)} could not be opened for editing: ${err.message}`;
+        feedbackDiv.appendChild(message);
+      }
+      return null;
+    }
+    if (parsed.rows.length === 0) {
+      // An empty file is edited as a new deck that keeps the file's separator and encoding.
+      doc = Object.assign(newDeckDocument(), { separator: parsed.separator, encoding: parsed.encoding });
+    } else {
+      const rows = parsed.rows.slice();
+      const columnMap = await resolveColumnMap(rows); // Takes off the header row, if any.
+      if (!columnMap) return null;
+      const header = rows.length < parsed.rows.length ? parsed.rows[0] : null;
+      doc = createDeckDocument(Object.assign(parsed, { header, columnMap, rows }));
+      if (doc.rows.length === 0) addRow(doc);
+    }
+  } else {
+    doc = newDeckDocument();
+  }
+  deckEditor = { deckPath: deckPath || null, doc, dirty: false, confirmClose: false };
+  renderDeckEditor();
+  return deckEditor;
+}
+
+/**
+ * renderDeckEditor
+ * ----------------
+ * Shows the deck editor over the quiz: one card per question with its text, options,
+ * correct answer and group, buttons to move or remove it, and the problem that would
+ * make the import skip it. Below the questions are the "Add Question", "Save", "Save As…"
+ * and "Close" buttons. Changes to the fields are validated as they are typed.
+ */
+function renderDeckEditor() {
+  const existing = document.getElementById('deckEditor');
+  if (existing) existing.parentNode.removeChild(existing);
+  const overlay = document.createElement('div');
+  overlay.id = 'deckEditor';
+  overlay.className = 'modal-overlay';
+  const dialog = document.createElement('div');
+  dialog.className = 'modal deck-editor';
+  overlay.appendChild(dialog);
+
+  const title = document.createElement('h3');
+  title.className = 'deck-editor-title';
+  dialog.appendChild(title);
+
+  const list = document.createElement('div');
+  list.className = 'deck-editor-rows';
+  list.addEventListener('input', (event) => {
+    const field = event.target.dataset.field;
+    const rowEl = event.target.closest('.deck-editor-row');
+    if (!field || !rowEl) return;
+    const index = Number(rowEl.dataset.index);
+    setRowField(deckEditor.doc, index, field, event.target.value);
+    deckEditor.dirty = true;
+    deckEditor.confirmClose = false;
+    // Typing in the last option shown makes room for another one.
+    const optionInputs = rowEl.querySelectorAll('.deck-editor-options input');
+    const last = optionInputs[optionInputs.length - 1];
+    if (event.target === last && last.value && optionInputs.length < MAX_OPTIONS) {
+      appendOptionInput(rowEl.querySelector('.deck-editor-options'), optionInputs.length, '');
+    }
+    showDeckEditorValidation();
+  });
+  dialog.appendChild(list);
+
+  const status = document.createElement('p');
+  status.className = 'deck-editor-status';
+  dialog.appendChild(status);
+  const message = document.createElement('p');
+  message.className = 'deck-editor-message';
+  dialog.appendChild(message);
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions';
+  [
+    ['deckEditorAddBtn', 'Add Question', () => {
+      const index = addRow(deckEditor.doc);
+      deckEditor.dirty = true;
+      renderDeckEditorRows();
+      const textArea = list.querySelector(`.deck-editor-row[data-index="${index}"] textarea`);
+      if (textArea) textArea.focus();
+    }],
+    ['deckEditorCloseBtn', 'Close', () => closeDeckEditor()],
+    ['deckEditorSaveAsBtn', 'Save As…', () => saveDeckEditor({ saveAs: true })],
+    ['deckEditorSaveBtn', 'Save', () => saveDeckEditor()]
+  ].forEach(([id, label, onClick]) => {
+    const btn = document.createElement('button');
+    btn.id = id;
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+  });
+  dialog.appendChild(actions);
+
+  document.body.appendChild(overlay);
+  renderDeckEditorRows();
+}
+
+/**
+ * appendOptionInput
+ * -----------------
+ * Adds the input field of one option to a question card of the deck editor.
+ *
+ * @param {HTMLElement} container - The options container of the card.
+ * @param {number} optionIndex - The index of the option (0 for A).
+ * @param {string} value - The option text.
+ */
+function appendOptionInput(container, optionIndex, value) {
+  const label = document.createElement('label');
+  label.textContent = `${letters[optionIndex]} `;
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.dataset.field = OPTION_FIELDS[optionIndex];
+  input.value = value;
+  label.appendChild(input);
+  container.appendChild(label);
+}
+
+/**
+ * renderDeckEditorRows
+ * --------------------
+ * Builds the question cards of the deck editor from its document, e.g. after a question
+ * was added, removed or moved. Each card shows at least four options, and one empty
+ * option after the last filled one (up to eight).
+ */
+function renderDeckEditorRows() {
+  const overlay = document.getElementById('deckEditor');
+  if (!overlay || !deckEditor) return;
+  const doc = deckEditor.doc;
+  const title = overlay.querySelector('.deck-editor-title');
+  title.textContent = deckEditor.deckPath
+    ? `Edit Deck: ${path.basename(deckEditor.deckPath)} (${ENCODING_LABELS[doc.encoding]}, separated by ${SEPARATOR_LABELS[doc.separator]}s)`
+    : 'New Deck';
+  const list = overlay.querySelector('.deck-editor-rows');
+  list.innerHTML = '';
+  doc.rows.forEach((cells, index) => {
+    const fields = getRowFields(doc, index);
+    const rowEl = document.createElement('fieldset');
+    rowEl.className = 'deck-editor-row';
+    rowEl.dataset.index = String(index);
+    const legend = document.createElement('legend');
+    legend.textContent = `Question ${index + 1}`;
+    rowEl.appendChild(legend);
+
+    const rowActions = document.createElement('div');
+    rowActions.className = 'deck-editor-row-actions';
+    [
+      ['move-up', '↑', `Move question ${index + 1} up`, () => moveRow(doc, index, -1)],
+      ['move-down', '↓', `Move question ${index + 1} down`, () => moveRow(doc, index, 1)],
+      ['remove-row', 'Remove', `Remove question ${index + 1}`, () => removeRow(doc, index)]
+    ].forEach(([className, label, description, change]) => {
+      const btn = document.createElement('button');
+      btn.className = className;
+      btn.textContent = label;
+      btn.title = description;
+      btn.setAttribute('aria-label', description);
+      btn.addEventListener('click', () => {
+        change();
+        deckEditor.dirty = true;
+        deckEditor.confirmClose = false;
+        renderDeckEditorRows();
+      });
+      rowActions.appendChild(btn);
+    });
+    rowEl.appendChild(rowActions);
+
+    const questionLabel = document.createElement('label');
+    questionLabel.className = 'deck-editor-question';
+    questionLabel.textContent = 'Question ';
+    const textArea = document.createElement('textarea');
+    textArea.dataset.field = 'questionText';
+    textArea.rows = 2;
+    textArea.value = fields.questionText;
+    questionLabel.appendChild(textArea);
+    rowEl.appendChild(questionLabel);
+
+    const options = document.createElement('div');
+    options.className = 'deck-editor-options';
+    const lastFilled = OPTION_FIELDS.reduce((last, field, i) => (fields[field].trim() ? i : last), -1);
+    const shown = Math.min(MAX_OPTIONS, Math.max(4, lastFilled + 2));
+    for (let i = 0; i < shown; i++) appendOptionInput(options, i, fields[OPTION_FIELDS[i]]);
+    rowEl.appendChild(options);
+
+    [['correctAnswer', 'Correct answer ', 'e.g. B, or A,C'], ['group', 'Group ', 'All']].forEach(([field, label, placeholder]) => {
+      const fieldLabel = document.createElement('label');
+      fieldLabel.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.dataset.field = field;
+      input.placeholder = placeholder;
+      input.value = fields[field];
+      fieldLabel.appendChild(input);
+      rowEl.appendChild(fieldLabel);
+    });
+
+    const problem = document.createElement('p');
+    problem.className = 'deck-editor-problem';
+    rowEl.appendChild(problem);
+    list.appendChild(rowEl);
+  });
+  showDeckEditorValidation();
+}
+
+/**
+ * showDeckEditorValidation
+ * ------------------------
+ * Validates the questions in the deck editor (see validateDeckDocument) and shows the
+ * problem of each card, and a count of the questions and problems below them.
+ *
+ * @returns {Array<Object>} The result of each row.
+ */
+function showDeckEditorValidation() {
+  const overlay = document.getElementById('deckEditor');
+  if (!overlay || !deckEditor) return [];
+  const results = validateDeckDocument(deckEditor.doc);
+  overlay.querySelectorAll('.deck-editor-row').forEach(rowEl => {
+    const result = results[Number(rowEl.dataset.index)];
+    const problem = rowEl.querySelector('.deck-editor-problem');
+    rowEl.classList.toggle('has-problem', !!result.error);
+    if (result.error) {
+      problem.textContent = result.error.message;
+    } else {
+      problem.textContent = result.empty ? 'Empty question; it is not saved.' : '';
+    }
+  });
+  const valid = results.filter(result => result.question).length;
+  const problems = results.filter(result => result.error).length;
+  const status = overlay.querySelector('.deck-editor-status');
+  status.classList.toggle('has-problem', problems > 0);
+  status.textContent = `${valid} valid question${valid === 1 ? '' : 's'}` +
+    (problems > 0 ? `; ${problems} with problems, which are skipped when the deck is loaded.` : '.');
+  return results;
+}
+
+/**
+ * showDeckEditorMessage
+ * ---------------------
+ * Shows the outcome of saving or closing below the questions of the deck editor.
+ *
+ * @param {string} text - The message.
+ * @param {boolean} isError - Whether it reports a problem.
+ */
+function showDeckEditorMessage(text, isError) {
+  const message = document.querySelector('#deckEditor .deck-editor-message');
+  if (!message) return;
+  message.textContent = text;
+  message.classList.toggle('error-message', isError);
+}
+
+/**
+ * saveDeckEditor
+ * --------------
+ * Saves the deck in the editor as CSV (see deckFileContent), keeping the file's
+ * separator and encoding. The main process writes the file: the file the deck was read
+ * from, or, for a new deck, "Save As…" or a file the user has not chosen in a dialog, the
+ * file chosen in a save dialog. The quiz follows the saved file: a file of the loaded deck
+ * is reloaded, keeping the progress (see reloadDeckFiles), and any other file is loaded
+ * as the deck.
+ *
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.saveAs=false] - Ask where to save even if the deck has a file.
+ * @returns {Promise<string|null>} A promise that resolves with the path written, or with
+ *   null if the dialog was cancelled or the file could not be written.
+ */
+function saveDeckEditor(options = {}) {
+  if (!deckEditor || !quizApi) return Promise.resolve(null);
+  const editor = deckEditor;
+  // The encoding changes only once the file is saved.
+  const saving = Object.assign({}, editor.doc);
+  const { text, encoding } = deckFileContent(saving);
+  return quizApi.saveDeck({
+    text,
+    encoding,
+    filePath: options.saveAs ? null : editor.deckPath,
+    fileName: editor.deckPath ? path.basename(editor.deckPath) : 'new-deck.csv'
+  })
+    .then(saved => {
+      if (!saved) return null;
+      const deckPath = saved.filePath;
+      const previousEncoding = editor.doc.encoding;
+      Object.assign(editor.doc, { encoding: saving.encoding, byteOrderMark: saving.byteOrderMark });
+      editor.deckPath = deckPath;
+      editor.dirty = false;
+      editor.confirmClose = false;
+      if (deckEditor === editor) {
+        renderDeckEditorRows();
+        showDeckEditorMessage(editor.doc.encoding === previousEncoding
+          ? `Saved to ${path.basename(deckPath)}.`
+          : `Saved to ${path.basename(deckPath)} as ${ENCODING_LABELS[editor.doc.encoding]}, since ` +
+            `${ENCODING_LABELS[previousEncoding]} cannot hold all of its characters.`, false);
+      }
+      if (deckFiles().includes(deckPath)) {
+        deckReload = deckReload.then(() => reloadDeckFiles([deckPath]));
+        return deckReload.then(() => deckPath);
+      }
+      return loadQuestions(deckPath).then(() => deckPath);
+    })
+    .catch(err => {
+      console.error("Error saving deck:", err);
+      showDeckEditorMessage(`The deck could not be saved: ${err.message}`, true);
+      return null;
+    });
+}
+
+/**
+ * closeDeckEditor
+ * ---------------
+ * Closes the deck editor. With unsaved changes, the first attempt only warns that they
+ * will be lost; closing again discards them.
+ *
+ * @returns {boolean} True if the editor was closed.
+ */
+function closeDeckEditor() {
+  if (!deckEditor) return true;
+  if (deckEditor.dirty && !deckEditor.confirmClose) {
+    deckEditor.confirmClose = true;
+    showDeckEditorMessage('There are unsaved changes. Click Close again to discard them.', true);
+    return false;
+  }
+  const overlay = document.getElementById('deckEditor');
+  if (overlay) overlay.parentNode.removeChild(overlay);
+  deckEditor = null;
+  return true;
+}
+
+/**
+ * readDeckAgain
+ * -------------
+ * Loads the files of the deck again, e.g. after another CSV separator or encoding was
+ * chosen in the settings. The quiz starts over. A deck that can no longer be read (e.g. a
+ * file was moved) is reported in the feedback area.
+ *
+ * @returns {Promise<Array|null>} See loadQuestions; resolves with the questions as they are
+ *   if no deck is loaded, or with null if the deck could not be read.
+ */
+function readDeckAgain() {
+  const files = deckFiles();
+  if (files.length === 0 && !currentDeckPath) return Promise.resolve(questions);
+  return loadQuestions(files.length > 0 ? files : currentDeckPath).catch(err => {
+    console.error("Error reading the deck again:", err);
+    const feedbackDiv = document.getElementById('feedback');
+    if (feedbackDiv) {
+      feedbackDiv.innerHTML = '';
+      const message = document.createElement('p');
+      message.className = 'error-message';
+      message.textContent = `The deck could not be read again: ${err.message}`;
+      feedbackDiv.appendChild(message);
+    }
+    return null;
+  });
+}
+
+/**
+ * fillFormatSelect
+ * ----------------
+ * Fills a settings dropdown of the CSV format with "Detect automatically" and the
+ * given choices, selecting the current setting.
+ *
+ * @param {HTMLSelectElement} select - The dropdown.
+ * @param {Array<{value: string, label: string}>} choices - The choices besides 'auto'.
+ * @param {string} current - The current setting.
+ */
+function fillFormatSelect(select, choices, current) {
+  select.innerHTML = '';
+  [{ value: 'auto', label: 'Detect automatically' }].concat(choices).forEach(choice => {
+    const option = document.createElement('option');
+    option.value = choice.value;
+    option.textContent = choice.label;
+    select.appendChild(option);
+  });
+  select.value = current;
+}
+
+/**
+ * editDeck
+ * --------
+ * Opens the deck editor on the file of the displayed question (or the loaded deck's
+ * first file), or on a new deck if none is loaded.
+ *
+ * @returns {Promise<Object|null>} See openDeckEditor.
+ */
+function editDeck() {
+  const shown = questions[currentQuestionIndex];
+  return openDeckEditor((shown && shown.deckPath) || deckFiles()[0] || null);
+}
+
 /**
  * initialize
  * ------------
  * Attaches event listeners to UI elements once the DOM content is loaded.
  *
  * This includes setting up the event handlers for:
- *   - The CSV selection button.
+ *   - The CSV selection button and the button that adds CSV files to the loaded deck.
+ *   - The "Edit Deck" button and File menu item, which open the deck editor.
+ *   - Dropping CSV files onto the window.
+ *   - The recent decks dropdown, the "Reopen last deck on startup" checkbox and the File menu,
+ *     and reopening the last deck.
  *   - The Previous button (to navigate to the previous question).
  *   - The Next button (to navigate to the next question).
+ *   - The scoring mode dropdown (all-or-nothing or partial credit for multiple-answer questions).
+ *   - The study mode checkbox (spaced repetition: only the questions due today).
+ *   - The shuffle checkboxes, the seed field and the "New seed" button.
+ *   - The exam mode checkbox, the exam time limit field and the "Submit Exam" button.
+ *   - The "View Results" button.
+ *   - The per-question time limit field.
+ *   - The CSV separator and encoding dropdowns, which read the loaded deck again.
+ *   - The keyboard shortcuts and the "Keyboard shortcuts" button that shows the cheat sheet.
  * 
  * The timer will automatically start when the first question is displayed,
  * and will continue until all questions have been answered.
@@ -561,26 +3686,189 @@ function initialize() {
   if (document) {
     const selectCsvBtn = document.getElementById('selectCsvBtn');
     if (selectCsvBtn) {
-      selectCsvBtn.addEventListener('click', selectCSVFile);
+      selectCsvBtn.addEventListener('click', () => selectCSVFile());
+    }
+    const addCsvBtn = document.getElementById('addCsvBtn');
+    if (addCsvBtn) {
+      addCsvBtn.addEventListener('click', () => selectCSVFile({ append: true }));
+    }
+    const editDeckBtn = document.getElementById('editDeckBtn');
+    if (editDeckBtn) {
+      editDeckBtn.addEventListener('click', () => editDeck());
+    }
+    const exportDeckBtn = document.getElementById('exportDeckBtn');
+    if (exportDeckBtn) {
+      exportDeckBtn.addEventListener('click', () => exportDeck());
+    }
+    const exportSessionBtn = document.getElementById('exportSessionBtn');
+    if (exportSessionBtn) {
+      exportSessionBtn.addEventListener('click', () => exportResults());
+    }
+    const recentDeckSelect = document.getElementById('recentDeckSelect');
+    if (recentDeckSelect) {
+      recentDeckSelect.addEventListener('change', () => {
+        const deck = recentDecks.decks[Number(recentDeckSelect.value)];
+        recentDeckSelect.value = '';
+        if (deck) openRecentDeck(deck);
+      });
+    }
+    const reopenLastToggle = document.getElementById('reopenLastToggle');
+    if (reopenLastToggle && quizApi) {
+      reopenLastToggle.addEventListener('change', () => {
+        quizApi.setReopenLastDeck(reopenLastToggle.checked)
+          .then(updated => showRecentDecks(updated))
+          .catch(err => console.error("Error saving the reopen setting:", err));
+      });
     }
     const prevBtn = document.getElementById('prevBtn');
     if (prevBtn) {
       prevBtn.addEventListener('click', () => {
-        if (currentQuestionIndex > 0) {
-          currentQuestionIndex--;
-          displayQuestion(currentQuestionIndex);
+        const index = getCurrentQuestionIndex();
+        if (index > 0) {
+          goToQuestion(index - 1);
         }
       });
     }
     const nextBtn = document.getElementById('nextBtn');
     if (nextBtn) {
       nextBtn.addEventListener('click', () => {
-        if (currentQuestionIndex < questions.length - 1) {
-          currentQuestionIndex++;
-          displayQuestion(currentQuestionIndex);
+        const index = getCurrentQuestionIndex();
+        if (index < getQuestions().length - 1) {
+          goToQuestion(index + 1);
         }
       });
     }
+    const scoringModeSelect = document.getElementById('scoringModeSelect');
+    if (scoringModeSelect) {
+      scoringModeSelect.value = state.scoringMode;
+      scoringModeSelect.addEventListener('change', () => {
+        state.scoringMode = scoringModeSelect.value;
+        updateCounter();
+      });
+    }
+    const studyModeToggle = document.getElementById('studyModeToggle');
+    if (studyModeToggle) {
+      studyModeToggle.checked = state.studyMode;
+      studyModeToggle.addEventListener('change', () => {
+        state.studyMode = studyModeToggle.checked;
+        // Restart with the new question order, unless no deck is loaded yet.
+        if (allQuestions.length > 0) applyQuestionFilter();
+      });
+    }
+    const shuffleQuestionsToggle = document.getElementById('shuffleQuestionsToggle');
+    const shuffleOptionsToggle = document.getElementById('shuffleOptionsToggle');
+    const shuffleSeedInput = document.getElementById('shuffleSeedInput');
+    const newSeedBtn = document.getElementById('newSeedBtn');
+    // Changing any shuffle setting restarts the quiz with the new order.
+    const setShuffleSeed = (seed) => {
+      state.shuffleSeed = normalizeSeed(seed) || generateSeed();
+      if (shuffleSeedInput) shuffleSeedInput.value = state.shuffleSeed;
+      if (allQuestions.length > 0) applyQuestionFilter();
+    };
+    if (shuffleQuestionsToggle) {
+      shuffleQuestionsToggle.checked = state.shuffleQuestions;
+      shuffleQuestionsToggle.addEventListener('change', () => {
+        state.shuffleQuestions = shuffleQuestionsToggle.checked;
+        if (allQuestions.length > 0) applyQuestionFilter();
+      });
+    }
+    if (shuffleOptionsToggle) {
+      shuffleOptionsToggle.checked = state.shuffleOptions;
+      shuffleOptionsToggle.addEventListener('change', () => {
+        state.shuffleOptions = shuffleOptionsToggle.checked;
+        if (allQuestions.length > 0) applyQuestionFilter();
+      });
+    }
+    if (shuffleSeedInput) {
+      shuffleSeedInput.value = state.shuffleSeed;
+      shuffleSeedInput.addEventListener('change', () => setShuffleSeed(shuffleSeedInput.value));
+    }
+    if (newSeedBtn) {
+      newSeedBtn.addEventListener('click', () => setShuffleSeed(generateSeed()));
+    }
+    const examModeToggle = document.getElementById('examModeToggle');
+    if (examModeToggle) {
+      examModeToggle.checked = state.examMode;
+      examModeToggle.addEventListener('change', () => {
+        state.examMode = examModeToggle.checked;
+        // Switching between exam and practice mode starts the quiz again.
+        if (allQuestions.length > 0) applyQuestionFilter();
+        updateExamControls();
+      });
+    }
+    const examTimeLimitInput = document.getElementById('examTimeLimitInput');
+    if (examTimeLimitInput) {
+      examTimeLimitInput.value = state.examTimeLimitMinutes;
+      examTimeLimitInput.addEventListener('change', () => {
+        const minutes = Number(examTimeLimitInput.value);
+        if (Number.isFinite(minutes) && minutes >= 1) {
+          state.examTimeLimitMinutes = minutes;
+        } else {
+          examTimeLimitInput.value = state.examTimeLimitMinutes;
+        }
+      });
+    }
+    const submitExamBtn = document.getElementById('submitExamBtn');
+    if (submitExamBtn) {
+      submitExamBtn.addEventListener('click', () => submitExam());
+    }
+    const showResultsBtn = document.getElementById('showResultsBtn');
+    if (showResultsBtn) {
+      showResultsBtn.addEventListener('click', () => showRoundComplete(getQuestions()));
+    }
+    const questionTimeLimitInput = document.getElementById('questionTimeLimitInput');
+    if (questionTimeLimitInput) {
+      questionTimeLimitInput.value = state.questionTimeLimitSeconds;
+      questionTimeLimitInput.addEventListener('change', () => {
+        // An empty or zero limit turns the per-question countdown off.
+        const seconds = parseTimeLimit(questionTimeLimitInput.value);
+        if (!Number.isNaN(seconds)) state.questionTimeLimitSeconds = seconds || 0;
+        questionTimeLimitInput.value = state.questionTimeLimitSeconds;
+      });
+    }
+    // The CSV separator and encoding; choosing another one reads the loaded deck again.
+    const csvSeparatorSelect = document.getElementById('csvSeparatorSelect');
+    if (csvSeparatorSelect) {
+      fillFormatSelect(csvSeparatorSelect, SEPARATORS.map(separator => ({
+        value: separator,
+        label: `${SEPARATOR_LABELS[separator][0].toUpperCase()}${SEPARATOR_LABELS[separator].slice(1)} (${separator === '\t' ? '⇥' : separator})`
+      })), state.csvSeparator);
+      csvSeparatorSelect.addEventListener('change', () => {
+        state.csvSeparator = csvSeparatorSelect.value;
+        readDeckAgain();
+      });
+    }
+    const csvEncodingSelect = document.getElementById('csvEncodingSelect');
+    if (csvEncodingSelect) {
+      fillFormatSelect(csvEncodingSelect, Object.values(ENCODINGS).map(encoding => ({
+        value: encoding,
+        label: ENCODING_LABELS[encoding]
+      })), state.csvEncoding);
+      csvEncodingSelect.addEventListener('change', () => {
+        state.csvEncoding = csvEncodingSelect.value;
+        readDeckAgain();
+      });
+    }
+    document.addEventListener('keydown', handleKeyDown);
+    // CSV files can be dropped anywhere on the window.
+    document.addEventListener('dragover', handleDragOver);
+    document.addEventListener('dragleave', handleDragLeave);
+    document.addEventListener('drop', handleDrop);
+    const shortcutsBtn = document.getElementById('shortcutsBtn');
+    if (shortcutsBtn) {
+      shortcutsBtn.addEventListener('click', () => toggleShortcutsPanel());
+    }
+    loadKeyBindings();
+    // The File menu of the main process opens files and recent decks in this window.
+    if (quizApi) {
+      quizApi.onOpenCsvFiles(() => selectCSVFile());
+      quizApi.onOpenRecentDeck(deck => openRecentDeck(deck));
+      quizApi.onRecentDecksChanged(updated => showRecentDecks(updated));
+      quizApi.onOpenDeckEditor(() => editDeck());
+      quizApi.onExportDeck(() => exportDeck());
+      quizApi.onExportResults(() => exportResults());
+    }
+    loadRecentDecks({ startup: true });
   }
 }
 
@@ -596,13 +3884,14 @@ if (typeof window !== 'undefined' && document) {
 /**
  * resetScore
  * ----------
- * Resets the quiz score counters (correctCount and incorrectCount) to zero
+ * Resets the quiz score counters (correctCount, incorrectCount and pointsEarned) to zero
  * and updates the modern UI score card display accordingly.
  * Used when starting a new quiz or when changing question groups.
  */
 function resetScore() {
   correctCount = 0;
   incorrectCount = 0;
+  pointsEarned = 0;
   updateCounter();
 }
 
@@ -618,6 +3907,20 @@ if (typeof module !== 'undefined') {
     checkAnswer,
     displayQuestion,
     loadQuestions,
+    showColumnMappingDialog,
+    applyQuestionFilter,
+    startRetryRound,
+    submitExam,
+    exportResults,
+    exportImportReport,
+    exportDeck,
+    handleKeyDown,
+    reloadDeckFiles,
+    openDeckEditor,
+    saveDeckEditor,
+    closeDeckEditor,
+    handleDrop,
+    openRecentDeck,
     initialize,
     resetScore,
     selectCSVFile,
@@ -625,11 +3928,14 @@ if (typeof module !== 'undefined') {
     questions,
     currentQuestionIndex,
     state,
+    get keyBindings() { return keyBindings; },
+    get importReport() { return lastImportReport; },
     // Timer-related exports for testing
     startTimer,
     stopTimer,
     resetTimer,
     updateTimerDisplay,
-    get timerInterval() { return timerInterval; }
+    get timerInterval() { return timerInterval; },
+    get questionTimerInterval() { return questionTimerInterval; }
   };
 }
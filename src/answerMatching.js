@@ -0,0 +1,353 @@
+// src/answerMatching.js
+//
+// This module checks typed answers for free-text and numeric questions.
+// It performs the following tasks:
+//   - Normalizes the question type given in the CSV "type" column.
+//   - Parses the list of accepted answers from the correct answer column.
+//     Entries are separated by "|" and can be plain text (matched case-insensitively),
+//     regular expressions written as /pattern/flags, or numbers with an optional
+//     tolerance ("3.14±0.01", "3.14+-0.01") or range ("10..20").
+//   - Rejects regular expressions that could take very long to run on a typed answer.
+//   - Matches a typed answer against the accepted answers.
+
+// -----------------------------------------------------------------------------
+// Question types
+//
+// CHOICE - The user picks one or more of the listed options (the default).
+// TEXT   - The user types an answer that is compared with the accepted answers.
+// NUMBER - The user types a number that must fall within an accepted value or range.
+// -----------------------------------------------------------------------------
+const QUESTION_TYPES = {
+  CHOICE: 'choice',
+  TEXT: 'text',
+  NUMBER: 'number'
+};
+
+// Spellings accepted in the CSV "type" column for each question type.
+const TYPE_ALIASES = {
+  choice: QUESTION_TYPES.CHOICE,
+  multiplechoice: QUESTION_TYPES.CHOICE,
+  mc: QUESTION_TYPES.CHOICE,
+  truefalse: QUESTION_TYPES.CHOICE,
+  text: QUESTION_TYPES.TEXT,
+  freetext: QUESTION_TYPES.TEXT,
+  shortanswer: QUESTION_TYPES.TEXT,
+  short: QUESTION_TYPES.TEXT,
+  number: QUESTION_TYPES.NUMBER,
+  numeric: QUESTION_TYPES.NUMBER,
+  num: QUESTION_TYPES.NUMBER
+};
+
+// Regular expressions used to parse accepted answers.
+const REGEX_ENTRY = /^\/((?:\\.|[^\\])*?)\/([gimsuy]*)\s*(?:\||$)/;
+const NUMBER_PATTERN = '[-+]?(?:\\d+(?:[.,]\\d{3})*(?:[.,]\\d*)?|[.,]\\d+)(?:e[-+]?\\d+)?';
+const NUMBER_ENTRY = new RegExp(`^(${NUMBER_PATTERN})$`, 'i');
+const TOLERANCE_ENTRY = new RegExp(`^(${NUMBER_PATTERN})\\s*(?:±|\\+-|\\+/-)\\s*(${NUMBER_PATTERN})$`, 'i');
+const RANGE_ENTRY = new RegExp(`^(${NUMBER_PATTERN})\\s*\\.\\.\\s*(${NUMBER_PATTERN})$`, 'i');
+
+// Relative slack for numeric comparisons, so that "3.14±0.01" accepts 3.13 despite
+// floating point rounding in 3.14 - 0.01.
+const NUMBER_EPSILON = 1e-9;
+
+// Decks may come from anyone, and their regular expressions run on every typed answer.
+// Longer patterns, and patterns that repeat a group which can match the same text in more
+// than one way (e.g. "(a+)+" or "(a|ab)*"), are rejected: such patterns can take
+// exponential time and freeze the window.
+const MAX_PATTERN_LENGTH = 200;
+const COUNTED_QUANTIFIER = /^\{\d+(?:,\d*)?\}/;
+const PATTERN_SYNTAX = '.[](){}*+?^$';
+
+/**
+ * normalizeQuestionType
+ * ---------------------
+ * Converts a value from the CSV "type" column into one of QUESTION_TYPES.
+ *
+ * @param {string} value - The raw type value, e.g. "Free text" or "numeric".
+ * @returns {string|null} The question type, or null if the value is not recognised.
+ */
+function normalizeQuestionType(value) {
+  const normalized = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  return TYPE_ALIASES[normalized] || null;
+}
+
+/**
+ * parseNumber
+ * -----------
+ * Parses a number written with either a decimal point or a decimal comma, optionally
+ * with thousands separators ("1,234.5", "1.234,5", "1,234,567"). The last of "," and "."
+ * is the decimal mark unless it appears more than once; the other one must then group
+ * the digits in threes. A single "," or "." is always a decimal mark, so "1,234" is 1.234,
+ * never 1234: write "1234" or "1,234.0" for the latter. Spaces do not group digits.
+ *
+ * @param {string} value - The text to parse.
+ * @returns {number} The number, or NaN if the text is not a number.
+ */
+function parseNumber(value) {
+  let text = String(value === undefined || value === null ? '' : value).trim();
+  const commas = text.split(',').length - 1;
+  const points = text.split('.').length - 1;
+  let decimalMark = null;
+  if (commas > 0 && points > 0) {
+    decimalMark = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+  } else if (commas === 1) {
+    decimalMark = ',';
+  } else if (points === 1) {
+    decimalMark = '.';
+  }
+  const groupMark = [',', '.'].find(mark => mark !== decimalMark && text.includes(mark));
+  if (groupMark) {
+    const end = decimalMark ? text.indexOf(decimalMark) : text.length;
+    const integer = text.slice(0, end);
+    if (!new RegExp(`^[-+]?\\d{1,3}(?:\\${groupMark}\\d{3})+$`).test(integer)) return NaN;
+    text = integer.split(groupMark).join('') + text.slice(end);
+  }
+  if (decimalMark === ',') text = text.replace(',', '.');
+  if (!NUMBER_ENTRY.test(text)) return NaN;
+  return Number(text);
+}
+
+/**
+ * hasDistinctAlternatives
+ * -----------------------
+ * Checks whether the alternatives of a group, e.g. "TCP|UDP", can only split a text one
+ * way when the group repeats: each alternative is plain text (escaped punctuation is
+ * allowed), and none is the start of another, ignoring letter case. "a|ab" fails, since
+ * "ab" is "ab" or "a" followed by the "b" of the next repetition.
+ *
+ * @param {string} body - The pattern inside the group's parentheses.
+ * @returns {boolean} True if the alternatives are distinct plain text.
+ */
+function hasDistinctAlternatives(body) {
+  const text = body.startsWith('?:') ? body.slice(2) : body;
+  const alternatives = [''];
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      // Escapes such as \d or \1 match more than one text.
+      if (i + 1 >= text.length || /[A-Za-z0-9]/.test(text[i + 1])) return false;
+      alternatives[alternatives.length - 1] += text[++i];
+    } else if (ch === '|') {
+      alternatives.push('');
+    } else if (PATTERN_SYNTAX.includes(ch)) {
+      return false;
+    } else {
+      alternatives[alternatives.length - 1] += ch;
+    }
+  }
+  const lower = alternatives.map(alternative => alternative.toLowerCase());
+  return lower.every((a, i) => lower.every((b, j) => i === j || !b.startsWith(a)));
+}
+
+/**
+ * hasAmbiguousRepetition
+ * ----------------------
+ * Checks whether a regular expression repeats (+, * or {n,m}) a group that can match the
+ * same text in more than one way: a group that itself contains a repetition, such as
+ * "(a+)+" or "(\\w*\\s)*", or whose alternatives overlap, such as "(a|a)*" or "(a|ab)*c"
+ * (see hasDistinctAlternatives), directly or in a group inside it. Escaped characters and
+ * character classes are skipped.
+ *
+ * @param {string} pattern - The pattern, without slashes or flags.
+ * @returns {boolean} True if a repeated group can match a text in more than one way.
+ */
+function hasAmbiguousRepetition(pattern) {
+  // For each open group, where it starts, whether it contains alternatives and whether it
+  // would be ambiguous if repeated; the first entry is the whole pattern.
+  const groups = [{ start: -1, alternates: false, ambiguous: false }];
+  const isQuantifier = index => pattern[index] === '+' || pattern[index] === '*' ||
+    COUNTED_QUANTIFIER.test(pattern.slice(index));
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (ch === '(') {
+      groups.push({ start: i, alternates: false, ambiguous: false });
+    } else if (ch === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const ambiguous = group.ambiguous ||
+        (group.alternates && !hasDistinctAlternatives(pattern.slice(group.start + 1, i)));
+      if (ambiguous && isQuantifier(i + 1)) return true;
+      if (ambiguous) groups[groups.length - 1].ambiguous = true;
+    } else if (ch === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else if (isQuantifier(i)) {
+      groups[groups.length - 1].ambiguous = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * splitAcceptedAnswers
+ * --------------------
+ * Splits the correct answer column into its "|"-separated entries.
+ *
+ * Regular expression entries are read up to their closing slash, so a pattern
+ * such as /^(TCP|UDP)$/i is kept whole.
+ *
+ * @param {string} value - The raw correct answer value.
+ * @returns {Array<string>} The trimmed, non-empty entries.
+ */
+function splitAcceptedAnswers(value) {
+  const entries = [];
+  let rest = String(value || '').trim();
+  while (rest.length > 0) {
+    const regexMatch = rest.match(REGEX_ENTRY);
+    if (regexMatch) {
+      entries.push(regexMatch[0].replace(/\s*\|$/, ''));
+      rest = rest.slice(regexMatch[0].length).trim();
+      continue;
+    }
+    const separator = rest.indexOf('|');
+    const entry = separator === -1 ? rest : rest.slice(0, separator);
+    if (entry.trim()) entries.push(entry.trim());
+    rest = separator === -1 ? '' : rest.slice(separator + 1).trim();
+  }
+  return entries;
+}
+
+/**
+ * parseAcceptedAnswers
+ * --------------------
+ * Parses the correct answer column of a free-text or numeric question.
+ *
+ * Text entries become { kind: 'text', value } or { kind: 'regex', pattern, flags }.
+ * Numeric entries become { kind: 'number', min, max }, where a single value has
+ * min === max. Plain objects are used so the accepted answers can be stored with
+ * the question and copied like the rest of its fields.
+ *
+ * @param {string} value - The raw correct answer value.
+ * @param {string} type - QUESTION_TYPES.TEXT or QUESTION_TYPES.NUMBER.
+ * @returns {Array<Object>|null} The accepted answers, or null if there are none or
+ *   an entry is invalid (a broken or unsafe regular expression, see MAX_PATTERN_LENGTH,
+ *   or a value, tolerance or range bound that is not a number).
+ */
+function parseAcceptedAnswers(value, type) {
+  const entries = splitAcceptedAnswers(value);
+  if (entries.length === 0) return null;
+  const accepted = [];
+  for (const entry of entries) {
+    if (type === QUESTION_TYPES.NUMBER) {
+      const tolerance = entry.match(TOLERANCE_ENTRY);
+      const range = entry.match(RANGE_ENTRY);
+      if (tolerance) {
+        const center = parseNumber(tolerance[1]);
+        const delta = Math.abs(parseNumber(tolerance[2]));
+        if (Number.isNaN(center) || Number.isNaN(delta)) return null;
+        accepted.push({ kind: 'number', min: center - delta, max: center + delta });
+      } else if (range) {
+        const a = parseNumber(range[1]);
+        const b = parseNumber(range[2]);
+        if (Number.isNaN(a) || Number.isNaN(b)) return null;
+        accepted.push({ kind: 'number', min: Math.min(a, b), max: Math.max(a, b) });
+      } else {
+        const number = parseNumber(entry);
+        if (Number.isNaN(number)) return null;
+        accepted.push({ kind: 'number', min: number, max: number });
+      }
+    } else {
+      const regexMatch = entry.match(REGEX_ENTRY);
+      if (regexMatch) {
+        if (regexMatch[1].length > MAX_PATTERN_LENGTH || hasAmbiguousRepetition(regexMatch[1])) return null;
+        try {
+          new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (err) {
+          return null;
+        }
+        accepted.push({ kind: 'regex', pattern: regexMatch[1], flags: regexMatch[2] });
+      } else {
+        accepted.push({ kind: 'text', value: entry });
+      }
+    }
+  }
+  return accepted;
+}
+
+/**
+ * isNumericAnswer
+ * ---------------
+ * Checks whether every accepted answer in a correct answer value is numeric.
+ * Used to pick the question type when the CSV has no "type" column.
+ *
+ * @param {string} value - The raw correct answer value.
+ * @returns {boolean} True if the value only contains numbers, tolerances or ranges.
+ */
+function isNumericAnswer(value) {
+  const entries = splitAcceptedAnswers(value);
+  return entries.length > 0 && parseAcceptedAnswers(value, QUESTION_TYPES.NUMBER) !== null;
+}
+
+/**
+ * normalizeText
+ * -------------
+ * Normalizes text for case-insensitive comparison: trimmed, lower case, and with
+ * runs of whitespace collapsed to a single space.
+ *
+ * @param {string} value - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+function normalizeText(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * matchTypedAnswer
+ * ----------------
+ * Checks a typed answer against a question's accepted answers.
+ *
+ * @param {string} input - The text the user typed.
+ * @param {Array<Object>} accepted - The accepted answers (see parseAcceptedAnswers).
+ * @returns {boolean} True if the input matches any accepted answer.
+ */
+function matchTypedAnswer(input, accepted) {
+  return (accepted || []).some(answer => {
+    if (answer.kind === 'number') {
+      const number = parseNumber(input);
+      const slack = NUMBER_EPSILON * Math.max(1, Math.abs(number));
+      return !Number.isNaN(number) && number >= answer.min - slack && number <= answer.max + slack;
+    }
+    if (answer.kind === 'regex') {
+      return new RegExp(answer.pattern, answer.flags).test(String(input || '').trim());
+    }
+    return normalizeText(input) === normalizeText(answer.value);
+  });
+}
+
+/**
+ * describeAcceptedAnswers
+ * -----------------------
+ * Builds a short, readable description of the accepted answers for feedback messages.
+ *
+ * @param {Array<Object>} accepted - The accepted answers (see parseAcceptedAnswers).
+ * @returns {string} For example "HTTP or HyperText Transfer Protocol", "42" or "3.13 to 3.15".
+ */
+function describeAcceptedAnswers(accepted) {
+  return (accepted || []).map(answer => {
+    if (answer.kind === 'number') {
+      // Round away floating point noise such as 3.1300000000000003.
+      const min = Number(answer.min.toPrecision(12));
+      const max = Number(answer.max.toPrecision(12));
+      return min === max ? String(min) : `${min} to ${max}`;
+    }
+    if (answer.kind === 'regex') {
+      return `/${answer.pattern}/${answer.flags}`;
+    }
+    return answer.value;
+  }).join(' or ');
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  normalizeQuestionType,
+  parseNumber,
+  hasAmbiguousRepetition,
+  splitAcceptedAnswers,
+  parseAcceptedAnswers,
+  isNumericAnswer,
+  matchTypedAnswer,
+  describeAcceptedAnswers
+};
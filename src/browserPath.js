@@ -0,0 +1,48 @@
+// src/browserPath.js
+//
+// This module stands in for Node's path module in the quiz page, which runs without
+// Node.js (see the "browser" field of package.json, which the page bundle is built with).
+// The page only needs the names and extensions of the deck files the main process reads
+// for it; reading, resolving and watching files is left to the main process.
+// It performs the following tasks:
+//   - Takes the file name and the extension of a path, with the arguments and results of
+//     Node's path.basename and path.extname.
+//   - Splits paths at "/" and at "\", since the page cannot tell which system a path is from.
+
+// The characters that end a directory name in Windows and POSIX paths.
+const SEPARATORS = /[\\/]/;
+
+/**
+ * basename
+ * --------
+ * Returns the last part of a path, e.g. "deck.csv" for "C:\decks\deck.csv".
+ *
+ * @param {string} filePath - The path.
+ * @param {string} [ext] - An extension to take off the name, e.g. ".csv".
+ * @returns {string} The file name.
+ */
+function basename(filePath, ext) {
+  const parts = String(filePath).split(SEPARATORS).filter(Boolean);
+  const name = parts.length > 0 ? parts[parts.length - 1] : '';
+  return ext && name !== ext && name.endsWith(ext) ? name.slice(0, -ext.length) : name;
+}
+
+/**
+ * extname
+ * -------
+ * Returns the extension of a path, from its last "." to the end of the file name. Names
+ * that start with their only "." (e.g. ".hidden") have no extension.
+ *
+ * @param {string} filePath - The path.
+ * @returns {string} The extension with its ".", or an empty string.
+ */
+function extname(filePath) {
+  const name = basename(filePath);
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot) : '';
+}
+
+module.exports = {
+  basename,
+  extname
+};
@@ -0,0 +1,243 @@
+// src/columnMapping.js
+//
+// This module decides which CSV column holds which question field.
+// It performs the following tasks:
+//   - Detects whether the first CSV row is a header row or a question.
+//   - Matches header names to question fields, including common aliases
+//     (e.g. "question", "answer", "category").
+//   - Builds the column map used by loadQuestions to read each row, and reports
+//     which required fields could not be matched so the renderer can ask the user.
+
+// -----------------------------------------------------------------------------
+// Answer options
+//
+// A question has between MIN_OPTIONS and MAX_OPTIONS answer options, labelled
+// with consecutive letters starting at "A". Two options cover True/False questions.
+// -----------------------------------------------------------------------------
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 8;
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+const OPTION_FIELDS = OPTION_LETTERS.map((letter, i) => `option${i + 1}`);
+
+// -----------------------------------------------------------------------------
+// Question fields, in the positional order used by header-less CSV files.
+// Options 5 to 8, the question type, the explanation, the media file and the
+// time limit come after the group column so that files written for the original four-option
+// layout keep working unchanged.
+// -----------------------------------------------------------------------------
+const FIELDS = [
+  'questionText',
+  ...OPTION_FIELDS.slice(0, 4),
+  'correctAnswer',
+  'group',
+  ...OPTION_FIELDS.slice(4),
+  'type',
+  'explanation',
+  'media',
+  'timeLimit'
+];
+
+// Fields that must be mapped to a column before any row can be imported.
+// Options are not required: free-text and numeric questions have none.
+const REQUIRED_FIELDS = ['questionText', 'correctAnswer'];
+
+// Human-readable field names, used by the column mapping dialog.
+const FIELD_LABELS = {
+  questionText: 'Question',
+  correctAnswer: 'Correct answer',
+  group: 'Group',
+  type: 'Question type',
+  explanation: 'Explanation',
+  media: 'Media file',
+  timeLimit: 'Time limit (seconds)'
+};
+OPTION_FIELDS.forEach((field, i) => { FIELD_LABELS[field] = `Option ${i + 1}`; });
+
+// -----------------------------------------------------------------------------
+// Header aliases
+//
+// Each field lists the header names it is recognised by. Names are compared
+// after normalizeHeaderName, so "Correct Answer", "correct_answer" and
+// "correctAnswer" are all the same name. Option columns are recognised by
+// number or letter ("option1", "Option A", "choice_b", "answer3", ...).
+// -----------------------------------------------------------------------------
+const FIELD_ALIASES = {
+  questionText: ['questiontext', 'question', 'questions', 'prompt', 'text'],
+  correctAnswer: ['correctanswer', 'answer', 'correct', 'solution', 'key', 'answerkey'],
+  group: ['group', 'category', 'topic', 'section', 'chapter', 'tag'],
+  type: ['type', 'questiontype', 'kind', 'format'],
+  explanation: ['explanation', 'rationale', 'reason', 'why', 'feedback', 'explain'],
+  media: ['media', 'mediafile', 'image', 'picture', 'audio', 'attachment'],
+  timeLimit: ['timelimit', 'time', 'seconds', 'timeout', 'duration', 'limit']
+};
+OPTION_FIELDS.forEach((field, i) => {
+  const number = String(i + 1);
+  const letter = OPTION_LETTERS[i].toLowerCase();
+  FIELD_ALIASES[field] = ['option', 'choice', 'answer'].reduce(
+    (aliases, prefix) => aliases.concat(prefix + number, prefix + letter),
+    []
+  );
+});
+
+/**
+ * normalizeHeaderName
+ * -------------------
+ * Reduces a header cell to a comparable form: lower case, with spaces,
+ * punctuation and any byte order mark removed.
+ *
+ * @param {string} name - The raw header cell.
+ * @returns {string} The normalized name.
+ */
+function normalizeHeaderName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * matchHeaderName
+ * ---------------
+ * Looks up the question field a header name refers to.
+ *
+ * @param {string} name - The raw header cell.
+ * @returns {string|null} The matching field name, or null if the name is unknown.
+ */
+function matchHeaderName(name) {
+  const normalized = normalizeHeaderName(name);
+  if (!normalized) return null;
+  const field = FIELDS.find(f => FIELD_ALIASES[f].includes(normalized));
+  return field || null;
+}
+
+/**
+ * defaultColumnMap
+ * ----------------
+ * Returns the positional column map used for files without a header row.
+ *
+ * @returns {Object} A map from field name to column index.
+ */
+function defaultColumnMap() {
+  const map = {};
+  FIELDS.forEach((field, index) => { map[field] = index; });
+  return map;
+}
+
+/**
+ * detectHeaderRow
+ * ---------------
+ * Decides whether the first CSV row is a header.
+ *
+ * The row is treated as a header when at least two of its cells are known field
+ * names. Otherwise, if the following row has a valid answer letter in the
+ * positional correct answer column while the first row does not, the first row
+ * is still treated as a header whose names simply are not recognised.
+ *
+ * @param {Array<string>} firstRow - The cells of the first row.
+ * @param {Array<string>} [secondRow] - The cells of the second row, if any.
+ * @returns {boolean} True if the first row is a header.
+ */
+function detectHeaderRow(firstRow, secondRow) {
+  if (!firstRow || firstRow.length === 0) return false;
+  const known = firstRow.filter(cell => matchHeaderName(cell) !== null).length;
+  if (known >= 2) return true;
+  if (!secondRow) return false;
+  const answerIndex = FIELDS.indexOf('correctAnswer');
+  const isAnswer = cell => OPTION_LETTERS.includes(String(cell || '').trim().toUpperCase());
+  return !isAnswer(firstRow[answerIndex]) && isAnswer(secondRow[answerIndex]);
+}
+
+/**
+ * buildColumnMap
+ * --------------
+ * Matches each header cell to a question field.
+ *
+ * The first column that matches a field wins; later duplicates are reported as
+ * unknown so the user can decide what to do with them.
+ *
+ * @param {Array<string>} headerRow - The cells of the header row.
+ * @returns {{map: Object, unknownColumns: Array<number>, missingFields: Array<string>}}
+ *   The field-to-index map, the indexes of columns that could not be matched,
+ *   and the required fields that have no column.
+ */
+function buildColumnMap(headerRow) {
+  const map = {};
+  const unknownColumns = [];
+  headerRow.forEach((cell, index) => {
+    const field = matchHeaderName(cell);
+    if (field && map[field] === undefined) {
+      map[field] = index;
+    } else {
+      unknownColumns.push(index);
+    }
+  });
+  const missingFields = REQUIRED_FIELDS.filter(field => map[field] === undefined);
+  return { map, unknownColumns, missingFields };
+}
+
+/**
+ * isColumnMapComplete
+ * -------------------
+ * Checks whether every required field is mapped to a column.
+ *
+ * @param {Object} map - A map from field name to column index.
+ * @returns {boolean} True if the map can be used to import rows.
+ */
+function isColumnMapComplete(map) {
+  return !!map && REQUIRED_FIELDS.every(field => Number.isInteger(map[field]));
+}
+
+/**
+ * applyColumnMap
+ * --------------
+ * Converts an array of cells into a row object keyed by field name.
+ *
+ * @param {Array<string>} cells - The cells of one CSV row.
+ * @param {Object} map - A map from field name to column index.
+ * @returns {Object} The row keyed by field name; unmapped fields are undefined.
+ */
+function applyColumnMap(cells, map) {
+  const row = {};
+  Object.keys(map).forEach(field => {
+    row[field] = cells[map[field]];
+  });
+  return row;
+}
+
+/**
+ * collectOptions
+ * --------------
+ * Gathers the answer options of a mapped row in order.
+ *
+ * Trailing empty option columns are dropped, so a True/False question can leave
+ * options 3 to 8 blank. A blank option followed by a filled one would shift the
+ * letters of the later options, so such rows are rejected.
+ *
+ * @param {Object} row - A row keyed by field name (see applyColumnMap).
+ * @returns {Array<string>|null} The trimmed option texts, or null if an option is
+ *   missing in the middle of the list.
+ */
+function collectOptions(row) {
+  const options = OPTION_FIELDS.map(field => (row[field] || '').trim());
+  while (options.length > 0 && options[options.length - 1] === '') {
+    options.pop();
+  }
+  if (options.includes('')) return null;
+  return options;
+}
+
+module.exports = {
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  OPTION_LETTERS,
+  OPTION_FIELDS,
+  FIELDS,
+  REQUIRED_FIELDS,
+  FIELD_LABELS,
+  FIELD_ALIASES,
+  normalizeHeaderName,
+  matchHeaderName,
+  defaultColumnMap,
+  detectHeaderRow,
+  buildColumnMap,
+  isColumnMapComplete,
+  applyColumnMap,
+  collectOptions
+};
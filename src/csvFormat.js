@@ -0,0 +1,203 @@
+// src/csvFormat.js
+//
+// This module reads and writes CSV text, for the files the app saves (results exports,
+// import reports and decks saved by the deck editor).
+// It performs the following tasks:
+//   - Detects the separator of a deck file (comma, semicolon, tab or pipe) from how the
+//     rows split into fields, ignoring separators inside quoted fields.
+//   - Splits CSV text into rows of cells, following the quoting rules, with the line each
+//     row starts on and its raw text (for the import report).
+//   - Quotes a field when needed, doubling any quotes inside it.
+//   - Joins fields into CSV rows with a given separator.
+//   - Keeps text in the exports opened in spreadsheets from being run as formulas.
+
+// The separators deck files may use, in order of preference when several fit equally well.
+const SEPARATORS = [',', ';', '\t', '|'];
+
+// Name of each separator, as shown to the user.
+const SEPARATOR_LABELS = {
+  ',': 'comma',
+  ';': 'semicolon',
+  '\t': 'tab',
+  '|': 'pipe'
+};
+
+// Text starting with one of these characters is run as a formula by spreadsheets.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// How many rows are looked at to detect the separator.
+const SAMPLE_ROWS = 50;
+
+/**
+ * detectSeparator
+ * ---------------
+ * Detects the field separator of a deck file. The first rows are split with each of the
+ * SEPARATORS, following the quoting rules, and the separator that splits them most
+ * consistently wins: the most rows with the same number of fields, then the most fields.
+ * A semicolon in the text of a comma-separated file therefore does not make it a
+ * semicolon file. Text that no separator splits is read as comma-separated.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string} The separator, one of SEPARATORS.
+ */
+function detectSeparator(text) {
+  // Only the first rows are looked at; the last line of the sample may be cut off.
+  const lines = text.split(/\r\n|\r|\n/);
+  const sample = lines.slice(0, SAMPLE_ROWS * 2).join('\n');
+  let best = { separator: SEPARATORS[0], matching: 0, fields: 1 };
+  SEPARATORS.forEach(separator => {
+    let rows = parseCsvText(sample, separator).filter(cells => cells.some(cell => cell.trim()));
+    if (lines.length > SAMPLE_ROWS * 2 && rows.length > 1) rows = rows.slice(0, -1);
+    rows = rows.slice(0, SAMPLE_ROWS);
+    // The most common number of fields, and how many rows have it.
+    const counts = new Map();
+    rows.forEach(cells => counts.set(cells.length, (counts.get(cells.length) || 0) + 1));
+    let fields = 1;
+    let matching = 0;
+    counts.forEach((count, width) => {
+      if (count > matching || (count === matching && width > fields)) {
+        fields = width;
+        matching = count;
+      }
+    });
+    if (fields < 2) return;
+    if (matching > best.matching || (matching === best.matching && fields > best.fields)) {
+      best = { separator, matching, fields };
+    }
+  });
+  return best.separator;
+}
+
+/**
+ * parseCsvRecords
+ * ---------------
+ * Splits CSV text into rows of cells. A field that starts with a quote runs to the
+ * matching closing quote, so it may contain the separator and line breaks; a doubled
+ * quote inside it stands for one quote, and a quote anywhere else in a field is text.
+ * Line breaks may be LF, CRLF or a lone CR (old Mac files, which some spreadsheets still
+ * export), and a line break at the end of the text does not start another row. Each row comes with the line it starts on and its raw text, so the import
+ * report points at the lines the rows were read from.
+ *
+ * @param {string} text - The CSV text.
+ * @param {string} [separator=','] - The field separator.
+ * @returns {Array<{line: number, raw: string, cells: Array<string>}>} The rows: the number
+ *   of the line each starts on (1-based), its raw text without the line break and its cells.
+ */
+function parseCsvRecords(text, separator = ',') {
+  const records = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let atFieldStart = true;
+  let line = 1;
+  let start = 0;
+  let startLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && atFieldStart) {
+      inQuotes = true;
+      atFieldStart = false;
+    } else if (ch === separator) {
+      row.push(cell);
+      cell = '';
+      atFieldStart = true;
+    } else if (ch === '\n' || ch === '\r') {
+      row.push(cell);
+      records.push({ line: startLine, raw: text.slice(start, i), cells: row });
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      start = i + 1;
+      startLine = line;
+      row = [];
+      cell = '';
+      atFieldStart = true;
+    } else {
+      cell += ch;
+      atFieldStart = false;
+    }
+  }
+  if (cell !== '' || row.length > 0 || inQuotes) {
+    row.push(cell);
+    records.push({ line: startLine, raw: text.slice(start), cells: row });
+  }
+  return records;
+}
+
+/**
+ * parseCsvText
+ * ------------
+ * Splits CSV text into rows of cells (see parseCsvRecords).
+ *
+ * @param {string} text - The CSV text.
+ * @param {string} [separator=','] - The field separator.
+ * @returns {Array<Array<string>>} The rows, each an array of cells.
+ */
+function parseCsvText(text, separator = ',') {
+  return parseCsvRecords(text, separator).map(record => record.cells);
+}
+
+/**
+ * csvField
+ * --------
+ * Quotes a value for a CSV file when needed (the separator, quotes, line breaks or
+ * surrounding spaces), doubling any quotes inside it.
+ *
+ * @param {*} value - The value.
+ * @param {string} [separator=','] - The field separator of the file.
+ * @returns {string} The CSV field.
+ */
+function csvField(value, separator = ',') {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = text.includes(separator) || /["\r\n]|^\s|\s$/.test(text);
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * csvRow
+ * ------
+ * Joins values into one CSV line.
+ *
+ * @param {Array} values - The values of the row.
+ * @param {string} [separator=','] - The field separator of the file.
+ * @returns {string} The CSV line.
+ */
+function csvRow(values, separator = ',') {
+  return values.map(value => csvField(value, separator)).join(separator);
+}
+
+/**
+ * spreadsheetRow
+ * --------------
+ * Joins values into one line of a CSV file meant for spreadsheets (results exports and
+ * import reports). Their text comes from the deck and from typed answers, so text that a
+ * spreadsheet would run as a formula (starting with "=", "+", "-", "@", a tab or a carriage
+ * return) is prefixed with an apostrophe. Numbers are written as they are. Decks are saved
+ * with csvRow, which keeps the text unchanged.
+ *
+ * @param {Array} values - The values of the row.
+ * @returns {string} The CSV line, comma-separated.
+ */
+function spreadsheetRow(values) {
+  return csvRow(values.map(value => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value)));
+}
+
+module.exports = {
+  SEPARATORS,
+  SEPARATOR_LABELS,
+  detectSeparator,
+  parseCsvRecords,
+  parseCsvText,
+  csvField,
+  csvRow,
+  spreadsheetRow
+};
@@ -0,0 +1,171 @@
+// src/deckChanges.js
+//
+// This module compares the questions of a CSV file before and after it was changed on
+// disk, so a reloaded deck can keep the progress of the questions that are still there.
+// It performs the following tasks:
+//   - Pairs each question read before with the same question read again: first by its
+//     question key (text and options), then by its text alone for questions whose
+//     options were edited.
+//   - Lists which fields of a paired question changed, and whether the change affects
+//     how answers are scored (and thus whether an earlier answer still counts).
+//   - Summarizes the changes for the user.
+
+const { questionKey } = require('./questionKey'); // Stable question keys.
+
+// Fields compared between the two versions of a question, in the order they are reported.
+const COMPARED_FIELDS = ['questionText', 'options', 'type', 'correctAnswer', 'group', 'explanation', 'media', 'timeLimit'];
+
+// Fields whose change makes an earlier answer meaningless.
+const ANSWER_FIELDS = ['questionText', 'options', 'type', 'correctAnswer'];
+
+// Name of each compared field, as shown to the user.
+const FIELD_LABELS = {
+  questionText: 'question',
+  options: 'options',
+  type: 'type',
+  correctAnswer: 'correct answer',
+  group: 'group',
+  explanation: 'explanation',
+  media: 'media',
+  timeLimit: 'time limit'
+};
+
+/**
+ * normalizeText
+ * -------------
+ * Normalizes text for comparison like questionKey does: trimmed, single spaces, lower case.
+ *
+ * @param {*} text - The text.
+ * @returns {string} The normalized text.
+ */
+function normalizeText(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * changedFields
+ * -------------
+ * Lists the fields that differ between two versions of a question.
+ *
+ * @param {Object} before - The question as read before the change.
+ * @param {Object} after - The question as read after the change.
+ * @returns {Array<string>} The names of the changed fields (see COMPARED_FIELDS).
+ */
+function changedFields(before, after) {
+  return COMPARED_FIELDS.filter(field => {
+    const a = before[field];
+    const b = after[field];
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return JSON.stringify(a || []) !== JSON.stringify(b || []);
+    }
+    return (a === undefined || a === null ? '' : a) !== (b === undefined || b === null ? '' : b);
+  });
+}
+
+/**
+ * diffQuestions
+ * -------------
+ * Compares the questions of a file read before and after it changed.
+ *
+ * Questions are paired by question key, then the remaining ones by question text, each
+ * question being paired at most once. A question whose text and options both changed
+ * counts as removed and added.
+ *
+ * @param {Array<Object>} before - The questions read before, in CSV order. They must be
+ *   the questions as read from the CSV, not copies with shuffled options.
+ * @param {Array<Object>} after - The questions read after, in CSV order.
+ * @returns {{unchanged: Array<Object>, modified: Array<Object>, added: Array<Object>, removed: Array<Object>}}
+ *   unchanged and modified hold pairs { before, after }; modified pairs also list the
+ *   changed fields and whether answers are affected (answerChanged). added holds questions
+ *   of after, removed questions of before.
+ */
+function diffQuestions(before, after) {
+  const pairs = new Map(); // Question of after -> question of before.
+  const unpaired = before.slice();
+  const pairBy = (keyOf) => {
+    after.forEach(question => {
+      if (pairs.has(question)) return;
+      const key = keyOf(question);
+      const index = unpaired.findIndex(candidate => keyOf(candidate) === key);
+      if (index === -1) return;
+      pairs.set(question, unpaired[index]);
+      unpaired.splice(index, 1);
+    });
+  };
+  pairBy(questionKey);
+  pairBy(question => normalizeText(question.questionText));
+
+  const diff = { unchanged: [], modified: [], added: [], removed: unpaired };
+  after.forEach(question => {
+    const earlier = pairs.get(question);
+    if (!earlier) {
+      diff.added.push(question);
+      return;
+    }
+    const fields = changedFields(earlier, question);
+    if (fields.length === 0) {
+      diff.unchanged.push({ before: earlier, after: question });
+    } else {
+      diff.modified.push({
+        before: earlier,
+        after: question,
+        fields,
+        answerChanged: fields.some(field => ANSWER_FIELDS.includes(field))
+      });
+    }
+  });
+  return diff;
+}
+
+/**
+ * hasChanges
+ * ----------
+ * Checks whether a comparison found any change.
+ *
+ * @param {Object} diff - The result of diffQuestions.
+ * @returns {boolean} True if questions were added, removed or modified.
+ */
+function hasChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.modified.length > 0;
+}
+
+/**
+ * describeChanges
+ * ---------------
+ * Summarizes a comparison in a few words, e.g. "2 questions added, 1 removed, 3 modified".
+ *
+ * @param {Object} diff - The result of diffQuestions.
+ * @returns {string} The summary, or "no questions changed".
+ */
+function describeChanges(diff) {
+  const parts = [
+    [diff.added.length, 'added'],
+    [diff.removed.length, 'removed'],
+    [diff.modified.length, 'modified']
+  ].filter(([count]) => count > 0);
+  if (parts.length === 0) return 'no questions changed';
+  return parts
+    .map(([count, what], index) => index === 0 ? `${count} question${count === 1 ? '' : 's'} ${what}` : `${count} ${what}`)
+    .join(', ');
+}
+
+/**
+ * describeChangedFields
+ * ---------------------
+ * Names the changed fields of a modified question, e.g. "correct answer, explanation".
+ *
+ * @param {Array<string>} fields - The changed fields (see changedFields).
+ * @returns {string} Their names, separated by commas.
+ */
+function describeChangedFields(fields) {
+  return fields.map(field => FIELD_LABELS[field] || field).join(', ');
+}
+
+module.exports = {
+  ANSWER_FIELDS,
+  changedFields,
+  diffQuestions,
+  hasChanges,
+  describeChanges,
+  describeChangedFields
+};
@@ -0,0 +1,295 @@
+// src/deckEditor.js
+//
+// This module holds a deck file while it is edited in the deck editor, and writes it
+// back as CSV. The file keeps its layout: its separator, encoding, line breaks, byte order
+// mark, header row and columns, including columns the editor does not show.
+// It performs the following tasks:
+//   - Reads a deck file into a document of rows of cells, with the map of which column
+//     holds which question field (see src/columnMapping.js).
+//   - Reads and changes the fields of a row, adding a column to the header when a field
+//     has none yet.
+//   - Adds, removes and moves rows.
+//   - Validates every row with the rules of the import (see src/questionRow.js),
+//     including questions repeated in the file.
+//   - Formats the document as CSV, quoting fields where needed, and picks an encoding
+//     that can hold its text (see src/textEncoding.js); the main process writes the file.
+
+const {
+  OPTION_FIELDS,
+  FIELDS,
+  FIELD_LABELS,
+  matchHeaderName
+} = require('./columnMapping'); // Question fields and header names.
+const { detectSeparator, parseCsvText, csvRow } = require('./csvFormat'); // CSV reading and quoting.
+const { parseQuestionRow } = require('./questionRow'); // Validation of question rows.
+const { questionKey } = require('./questionKey'); // Stable question keys.
+const { SKIP_REASONS } = require('./importReport'); // Reasons a row is not a question.
+const { ENCODINGS, canEncode } = require('./textEncoding'); // Encoding of deck files.
+
+// Fields shown for each row in the deck editor.
+const EDITOR_FIELDS = ['questionText', ...OPTION_FIELDS, 'correctAnswer', 'group'];
+
+// Byte order mark some programs write at the start of UTF-8 files.
+const BYTE_ORDER_MARK = '\uFEFF';
+
+// Columns of a new deck: the original layout, up to the group column.
+const NEW_DECK_FIELDS = FIELDS.slice(0, FIELDS.indexOf('group') + 1);
+
+/**
+ * headerName
+ * ----------
+ * Returns the header cell written for a field: its label if the import recognises it
+ * (e.g. "Option 5"), otherwise the field name itself (e.g. "timeLimit").
+ *
+ * @param {string} field - The field name.
+ * @returns {string} The header cell.
+ */
+function headerName(field) {
+  const label = FIELD_LABELS[field];
+  return label && matchHeaderName(label) === field ? label : field;
+}
+
+/**
+ * parseDeckText
+ * -------------
+ * Splits the text of a deck file into rows and notes its layout. Empty rows are left
+ * out; they are not questions and are not written back.
+ *
+ * @param {string} text - The content of the file.
+ * @param {string} [separator] - The field separator; detected from the text by default.
+ * @returns {{separator: string, lineBreak: string, byteOrderMark: boolean, rows: Array<Array<string>>}}
+ *   The separator, the line break ("\r\n", "\n" or "\r"), whether the file starts with a byte
+ *   order mark, and the rows (the header row included).
+ */
+function parseDeckText(text, separator) {
+  const byteOrderMark = text.startsWith(BYTE_ORDER_MARK);
+  const content = byteOrderMark ? text.slice(1) : text;
+  if (!separator) separator = detectSeparator(content);
+  return {
+    separator,
+    lineBreak: ['\r\n', '\n', '\r'].find(lineBreak => content.includes(lineBreak)) || '\n',
+    byteOrderMark,
+    rows: parseCsvText(content, separator).filter(cells => cells.some(cell => cell.trim()))
+  };
+}
+
+/**
+ * createDeckDocument
+ * ------------------
+ * Creates the document of a deck file that is being edited.
+ *
+ * @param {Object} layout - The layout and content of the file.
+ * @param {string} [layout.separator=','] - The field separator.
+ * @param {string} [layout.encoding='utf-8'] - The encoding of the file (one of ENCODINGS).
+ * @param {string} [layout.lineBreak='\n'] - The line break.
+ * @param {boolean} [layout.byteOrderMark=false] - Whether the file starts with a byte order mark.
+ * @param {Array<string>|null} [layout.header=null] - The header row, or null for a file without one.
+ * @param {Object} layout.columnMap - The column of each field (see src/columnMapping.js).
+ * @param {Array<Array<string>>} [layout.rows=[]] - The question rows, without the header.
+ * @returns {Object} The document.
+ */
+function createDeckDocument(layout) {
+  return {
+    separator: layout.separator || ',',
+    encoding: layout.encoding || ENCODINGS.UTF8,
+    lineBreak: layout.lineBreak || '\n',
+    byteOrderMark: !!layout.byteOrderMark,
+    header: layout.header ? layout.header.slice() : null,
+    columnMap: Object.assign({}, layout.columnMap),
+    rows: (layout.rows || []).map(cells => cells.slice())
+  };
+}
+
+/**
+ * newDeckDocument
+ * ---------------
+ * Creates the document of a new deck: a header row with the original column layout
+ * (question, four options, correct answer and group) and one empty question.
+ *
+ * @returns {Object} The document.
+ */
+function newDeckDocument() {
+  const columnMap = {};
+  NEW_DECK_FIELDS.forEach((field, index) => { columnMap[field] = index; });
+  return createDeckDocument({
+    header: NEW_DECK_FIELDS.map(headerName),
+    columnMap,
+    rows: [NEW_DECK_FIELDS.map(() => '')]
+  });
+}
+
+/**
+ * getRowFields
+ * ------------
+ * Reads the fields of a row.
+ *
+ * @param {Object} doc - The document.
+ * @param {number} index - The index of the row.
+ * @returns {Object} The row keyed by field name; fields without a column or cell are ''.
+ */
+function getRowFields(doc, index) {
+  const cells = doc.rows[index];
+  const fields = {};
+  FIELDS.forEach(field => {
+    const column = doc.columnMap[field];
+    fields[field] = Number.isInteger(column) && cells[column] !== undefined ? cells[column] : '';
+  });
+  return fields;
+}
+
+/**
+ * setRowField
+ * -----------
+ * Changes a field of a row. A field without a column gets one, added to the end of the
+ * header row.
+ *
+ * @param {Object} doc - The document.
+ * @param {number} index - The index of the row.
+ * @param {string} field - The field name (see FIELDS).
+ * @param {string} value - The new value.
+ */
+function setRowField(doc, index, field, value) {
+  if (!Number.isInteger(doc.columnMap[field])) {
+    const width = doc.header ? doc.header.length : Math.max(0, ...doc.rows.map(cells => cells.length));
+    doc.columnMap[field] = width;
+    if (doc.header) doc.header.push(headerName(field));
+  }
+  const cells = doc.rows[index];
+  const column = doc.columnMap[field];
+  while (cells.length <= column) cells.push('');
+  cells[column] = value;
+}
+
+/**
+ * addRow
+ * ------
+ * Inserts an empty row.
+ *
+ * @param {Object} doc - The document.
+ * @param {number} [index=doc.rows.length] - Where to insert it; at the end by default.
+ * @returns {number} The index of the new row.
+ */
+function addRow(doc, index = doc.rows.length) {
+  const width = doc.header ? doc.header.length : NEW_DECK_FIELDS.length;
+  doc.rows.splice(index, 0, new Array(width).fill(''));
+  return index;
+}
+
+/**
+ * removeRow
+ * ---------
+ * Removes a row.
+ *
+ * @param {Object} doc - The document.
+ * @param {number} index - The index of the row.
+ */
+function removeRow(doc, index) {
+  doc.rows.splice(index, 1);
+}
+
+/**
+ * moveRow
+ * -------
+ * Moves a row up or down.
+ *
+ * @param {Object} doc - The document.
+ * @param {number} index - The index of the row.
+ * @param {number} offset - How far to move it, e.g. -1 for one row up.
+ * @returns {number} The new index of the row, or its index if it cannot move that far.
+ */
+function moveRow(doc, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= doc.rows.length) return index;
+  const [cells] = doc.rows.splice(index, 1);
+  doc.rows.splice(target, 0, cells);
+  return target;
+}
+
+/**
+ * validateDeckDocument
+ * --------------------
+ * Validates every row as the import would: a row that is not a valid question, or that
+ * repeats an earlier question of the file (same text and options), would be skipped.
+ *
+ * @param {Object} doc - The document.
+ * @returns {Array<{question: Object|null, error: Object|null, empty: boolean}>} One result
+ *   per row: the question, or the reason and message of the problem (see parseQuestionRow).
+ *   Empty rows have neither; they are not saved.
+ */
+function validateDeckDocument(doc) {
+  const seen = new Map(); // Question key -> number of the row it first appears in.
+  return doc.rows.map((cells, index) => {
+    if (!cells.some(cell => String(cell || '').trim())) return { question: null, error: null, empty: true };
+    const result = parseQuestionRow(getRowFields(doc, index));
+    if (result.error) return { question: null, error: result.error, empty: false };
+    const key = questionKey(result.question);
+    if (seen.has(key)) {
+      return {
+        question: null,
+        error: { reason: SKIP_REASONS.DUPLICATE, message: `Same question and options as question ${seen.get(key)}` },
+        empty: false
+      };
+    }
+    seen.set(key, index + 1);
+    return { question: result.question, error: null, empty: false };
+  });
+}
+
+/**
+ * formatDeckDocument
+ * ------------------
+ * Formats a document as the text of its CSV file, with the file's separator, line
+ * breaks and byte order mark. Fields are quoted where needed (see src/csvFormat.js),
+ * rows are as wide as the header and empty rows are left out.
+ *
+ * @param {Object} doc - The document.
+ * @returns {string} The CSV text.
+ */
+function formatDeckDocument(doc) {
+  const width = doc.header ? doc.header.length : 0;
+  const lines = doc.header ? [csvRow(doc.header, doc.separator)] : [];
+  doc.rows
+    .filter(cells => cells.some(cell => String(cell || '').trim()))
+    .forEach(cells => {
+      const padded = cells.concat(new Array(Math.max(0, width - cells.length)).fill(''));
+      lines.push(csvRow(padded, doc.separator));
+    });
+  return (doc.byteOrderMark ? BYTE_ORDER_MARK : '') + lines.join(doc.lineBreak) + doc.lineBreak;
+}
+
+/**
+ * deckFileContent
+ * ---------------
+ * Formats a document as CSV (see formatDeckDocument) for the file's encoding. Text that
+ * Windows-1252 cannot hold is saved as UTF-8 with a byte order mark instead, which
+ * spreadsheets read correctly; the document then records that encoding.
+ *
+ * @param {Object} doc - The document.
+ * @returns {{text: string, encoding: string}} The text of the file, starting with the byte
+ *   order mark if it has one, and the encoding to write it in (one of ENCODINGS); the byte
+ *   order mark is part of the text, so it is written in the file's encoding.
+ */
+function deckFileContent(doc) {
+  let text = formatDeckDocument(doc);
+  if (!canEncode(text, doc.encoding)) {
+    doc.encoding = ENCODINGS.UTF8;
+    doc.byteOrderMark = true;
+    text = formatDeckDocument(doc);
+  }
+  return { text, encoding: doc.encoding };
+}
+
+module.exports = {
+  EDITOR_FIELDS,
+  parseDeckText,
+  createDeckDocument,
+  newDeckDocument,
+  getRowFields,
+  setRowField,
+  addRow,
+  removeRow,
+  moveRow,
+  validateDeckDocument,
+  formatDeckDocument,
+  deckFileContent
+};
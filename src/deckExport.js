@@ -0,0 +1,413 @@
+// src/deckExport.js
+//
+// This module exports the questions of a deck to the formats of other tools, so the CSV
+// file stays the one source of the questions while they are published to a learning
+// management system or a flashcard app. The renderer builds the deck; the main process
+// writes it.
+// It performs the following tasks:
+//   - Builds a plain, serializable deck from the loaded questions.
+//   - Formats the deck as Moodle XML and as Moodle GIFT, with each group as a question
+//     category; the GIFT files can be imported again (see src/importers.js).
+//   - Formats the deck as tab-separated text for Anki's importer (front, back and tags),
+//     with each group as a tag.
+//   - Picks the format from the file extension and writes the deck to disk.
+
+const fs = require('fs'); // File system module used to write the deck.
+const path = require('path'); // Module for handling file paths.
+const { OPTION_LETTERS } = require('./columnMapping'); // Option letters A to H.
+const { parseAnswerLetters } = require('./scoring'); // Correct answer letters.
+const { QUESTION_TYPES, parseAcceptedAnswers } = require('./answerMatching'); // Free-text and numeric questions.
+const { describeCorrectAnswer } = require('./results'); // Correct answers in words.
+const { escapeHtml } = require('./resultsExport'); // Escaping for XML and HTML.
+
+// Supported deck export formats, keyed by name; the values are the file extensions.
+const DECK_EXPORT_FORMATS = {
+  MOODLE_XML: 'xml',
+  GIFT: 'gift',
+  ANKI: 'tsv'
+};
+
+// File filters for the save dialog, one per export format.
+const DECK_EXPORT_FILTERS = [
+  { name: 'Moodle XML', extensions: ['xml'] },
+  { name: 'Moodle GIFT', extensions: ['gift'] },
+  { name: 'Anki Text (Tab-Separated)', extensions: ['tsv', 'txt'] }
+];
+
+// The group of questions that have none; it is not written as a category or tag.
+const DEFAULT_GROUP = 'All';
+
+// Category path that Moodle puts the categories of a course under.
+const MOODLE_CATEGORY_ROOT = '$course$/top';
+
+// Characters GIFT gives a meaning, which are escaped with a backslash in text.
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+// Longest Moodle question name; longer question text is cut off in the name.
+const MOODLE_NAME_LENGTH = 60;
+
+/**
+ * deckExportFormat
+ * ----------------
+ * Picks the export format from the extension of a file path.
+ *
+ * @param {string} filePath - The path chosen in the save dialog.
+ * @returns {string|null} One of the DECK_EXPORT_FORMATS values, or null for other extensions.
+ */
+function deckExportFormat(filePath) {
+  const extension = path.extname(String(filePath || '')).slice(1).toLowerCase();
+  if (extension === 'txt') return DECK_EXPORT_FORMATS.ANKI;
+  return Object.values(DECK_EXPORT_FORMATS).includes(extension) ? extension : null;
+}
+
+/**
+ * buildDeckExport
+ * ---------------
+ * Builds the deck to export from a list of questions, keeping only what the export
+ * formats use.
+ *
+ * @param {Array<Object>} questionList - The questions, in deck order.
+ * @param {Object} [options] - Details of the deck.
+ * @param {string} [options.deckPath] - The path of the deck file the questions came from.
+ * @returns {Object} The deck with its file name (deck) and questions (questionText,
+ *   options, type, correctAnswer, group and explanation).
+ */
+function buildDeckExport(questionList, options = {}) {
+  return {
+    deck: options.deckPath ? path.basename(options.deckPath) : '',
+    questions: questionList.map(question => ({
+      questionText: question.questionText,
+      options: question.options ? question.options.slice() : [],
+      type: question.type || QUESTION_TYPES.CHOICE,
+      correctAnswer: question.correctAnswer,
+      group: question.group || DEFAULT_GROUP,
+      explanation: question.explanation || ''
+    }))
+  };
+}
+
+/**
+ * isTypedQuestion
+ * ---------------
+ * Checks whether a question is answered by typing (free-text or numeric).
+ *
+ * @param {Object} question - A question of the deck.
+ * @returns {boolean} True for free-text and numeric questions.
+ */
+function isTypedQuestion(question) {
+  return question.type === QUESTION_TYPES.TEXT || question.type === QUESTION_TYPES.NUMBER;
+}
+
+/**
+ * isTrueFalse
+ * -----------
+ * Checks whether a choice question is a true/false question, which Moodle has its own
+ * question type for.
+ *
+ * @param {Object} question - A question of the deck.
+ * @returns {boolean} True for the options "True" and "False" with one right answer.
+ */
+function isTrueFalse(question) {
+  return question.options.length === 2 &&
+    question.options[0].trim().toLowerCase() === 'true' &&
+    question.options[1].trim().toLowerCase() === 'false' &&
+    parseAnswerLetters(question.correctAnswer).length === 1;
+}
+
+/**
+ * moodleAnswers
+ * -------------
+ * Lists the answers of a question as Moodle grades them. Regular expressions have no
+ * counterpart in Moodle and are left out; a range of numbers becomes its middle with a
+ * tolerance.
+ *
+ * @param {Object} question - A question of the deck.
+ * @returns {Array<Object>} For a choice question, each option with its fraction of the
+ *   grade ({ text, fraction }); several right answers share the grade and the wrong ones
+ *   take it back. For a free-text question the accepted answers ({ text }), for a numeric
+ *   one the accepted values ({ value, tolerance }); empty if none can be written.
+ */
+function moodleAnswers(question) {
+  if (isTypedQuestion(question)) {
+    const accepted = parseAcceptedAnswers(question.correctAnswer, question.type) || [];
+    if (question.type === QUESTION_TYPES.NUMBER) {
+      return accepted.filter(answer => answer.kind === 'number').map(answer => ({
+        // Round away floating point noise such as 3.1300000000000003.
+        value: Number(((answer.min + answer.max) / 2).toPrecision(12)),
+        tolerance: Number(((answer.max - answer.min) / 2).toPrecision(12))
+      }));
+    }
+    return accepted.filter(answer => answer.kind === 'text').map(answer => ({ text: answer.value }));
+  }
+  const correct = parseAnswerLetters(question.correctAnswer);
+  const wrongCount = question.options.length - correct.length;
+  // Moodle only accepts certain fractions, which include 100/n and -100/n for n up to 8.
+  const fraction = value => Number(value.toFixed(5));
+  return question.options.map((text, index) => {
+    const isCorrect = correct.includes(OPTION_LETTERS[index]);
+    if (correct.length === 1) return { text, fraction: isCorrect ? 100 : 0 };
+    return { text, fraction: isCorrect ? fraction(100 / correct.length) : fraction(-100 / wrongCount) };
+  });
+}
+
+/**
+ * groupsInOrder
+ * -------------
+ * Gathers the questions of each group, in the order the groups first appear. Questions
+ * without a group come first, so they are not put in the category of another group.
+ *
+ * @param {Array<Object>} questionList - The questions of the deck.
+ * @returns {Array<{group: string, questions: Array<Object>}>} The groups.
+ */
+function groupsInOrder(questionList) {
+  const groups = new Map([[DEFAULT_GROUP, []]]);
+  questionList.forEach(question => {
+    const group = question.group || DEFAULT_GROUP;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(question);
+  });
+  return Array.from(groups, ([group, questions]) => ({ group, questions }))
+    .filter(entry => entry.questions.length > 0);
+}
+
+/**
+ * canExport
+ * ---------
+ * Checks whether a question can be written in a format. Anki cards take any question;
+ * Moodle needs at least one answer it can grade, so a typed question whose answers are
+ * all regular expressions is left out.
+ *
+ * @param {Object} question - A question of the deck.
+ * @param {string} format - One of DECK_EXPORT_FORMATS.
+ * @returns {boolean} True if the question can be written.
+ */
+function canExport(question, format) {
+  return format === DECK_EXPORT_FORMATS.ANKI || moodleAnswers(question).length > 0;
+}
+
+/**
+ * moodleXmlText
+ * -------------
+ * Formats a Moodle XML text element.
+ *
+ * @param {string} indent - The indentation of the element.
+ * @param {string} text - The text.
+ * @returns {string} The element.
+ */
+function moodleXmlText(indent, text) {
+  return `${indent}<text>${escapeHtml(text)}</text>`;
+}
+
+/**
+ * formatMoodleXml
+ * ---------------
+ * Formats a deck as Moodle XML: each group becomes a category below the course's top
+ * category, followed by its questions as multiple-choice, true/false, short-answer or
+ * numerical questions. Explanations become general feedback. Text is written as plain
+ * text.
+ *
+ * @param {Object} deck - The deck (see buildDeckExport).
+ * @returns {string} The XML document.
+ */
+function formatMoodleXml(deck) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+  const questions = deck.questions.filter(question => canExport(question, DECK_EXPORT_FORMATS.MOODLE_XML));
+  groupsInOrder(questions).forEach(({ group, questions: groupQuestions }) => {
+    if (group !== DEFAULT_GROUP) {
+      lines.push('  <question type="category">', '    <category>',
+        moodleXmlText('      ', `${MOODLE_CATEGORY_ROOT}/${group}`), '    </category>', '  </question>');
+    }
+    groupQuestions.forEach(question => {
+      const answers = moodleAnswers(question);
+      let type = 'multichoice';
+      if (question.type === QUESTION_TYPES.TEXT) type = 'shortanswer';
+      else if (question.type === QUESTION_TYPES.NUMBER) type = 'numerical';
+      else if (isTrueFalse(question)) type = 'truefalse';
+      const name = question.questionText.replace(/\s+/g, ' ').trim();
+      lines.push(`  <question type="${type}">`,
+        '    <name>', moodleXmlText('      ', name.length > MOODLE_NAME_LENGTH ? `${name.slice(0, MOODLE_NAME_LENGTH - 1)}…` : name), '    </name>',
+        '    <questiontext format="plain_text">', moodleXmlText('      ', question.questionText), '    </questiontext>');
+      if (question.explanation) {
+        lines.push('    <generalfeedback format="plain_text">', moodleXmlText('      ', question.explanation), '    </generalfeedback>');
+      }
+      lines.push('    <defaultgrade>1</defaultgrade>');
+      if (type === 'truefalse') {
+        const isTrue = parseAnswerLetters(question.correctAnswer)[0] === OPTION_LETTERS[0];
+        lines.push(`    <answer fraction="${isTrue ? 100 : 0}">`, moodleXmlText('      ', 'true'), '    </answer>',
+          `    <answer fraction="${isTrue ? 0 : 100}">`, moodleXmlText('      ', 'false'), '    </answer>');
+      } else if (type === 'multichoice') {
+        const single = parseAnswerLetters(question.correctAnswer).length === 1;
+        lines.push(`    <single>${single}</single>`, '    <shuffleanswers>true</shuffleanswers>', '    <answernumbering>ABCD</answernumbering>');
+        answers.forEach(answer => {
+          lines.push(`    <answer fraction="${answer.fraction}" format="plain_text">`, moodleXmlText('      ', answer.text), '    </answer>');
+        });
+      } else if (type === 'shortanswer') {
+        lines.push('    <usecase>0</usecase>');
+        answers.forEach(answer => {
+          lines.push('    <answer fraction="100" format="plain_text">', moodleXmlText('      ', answer.text), '    </answer>');
+        });
+      } else {
+        answers.forEach(answer => {
+          lines.push('    <answer fraction="100">', moodleXmlText('      ', String(answer.value)),
+            `      <tolerance>${answer.tolerance}</tolerance>`, '    </answer>');
+        });
+      }
+      lines.push('  </question>');
+    });
+  });
+  lines.push('</quiz>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * giftEscape
+ * ----------
+ * Escapes text for a GIFT file: characters GIFT gives a meaning get a backslash, and
+ * line breaks are written as "\n" so the question stays in one block.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function giftEscape(text) {
+  return String(text || '').trim().replace(GIFT_SPECIAL, ch => `\\${ch}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * formatGift
+ * ----------
+ * Formats a deck as Moodle GIFT: each group starts with a "$CATEGORY:" line, followed by
+ * its questions separated by blank lines. Several right answers share the grade with
+ * "%50%" weights, and explanations become "####" general feedback.
+ *
+ * @param {Object} deck - The deck (see buildDeckExport).
+ * @returns {string} The GIFT text.
+ */
+function formatGift(deck) {
+  const blocks = [];
+  const questions = deck.questions.filter(question => canExport(question, DECK_EXPORT_FORMATS.GIFT));
+  groupsInOrder(questions).forEach(({ group, questions: groupQuestions }) => {
+    if (group !== DEFAULT_GROUP) blocks.push(`$CATEGORY: ${MOODLE_CATEGORY_ROOT}/${group}`);
+    groupQuestions.forEach(question => {
+      const answers = moodleAnswers(question);
+      let body;
+      if (question.type === QUESTION_TYPES.NUMBER) {
+        const values = answers.map(answer => (answer.tolerance ? `${answer.value}:${answer.tolerance}` : String(answer.value)));
+        body = values.length === 1 ? [`#${values[0]}`] : ['#', ...values.map(value => `=${value}`)];
+      } else if (question.type === QUESTION_TYPES.TEXT) {
+        body = answers.map(answer => `=${giftEscape(answer.text)}`);
+      } else if (isTrueFalse(question)) {
+        body = [parseAnswerLetters(question.correctAnswer)[0] === OPTION_LETTERS[0] ? 'TRUE' : 'FALSE'];
+      } else if (parseAnswerLetters(question.correctAnswer).length === 1) {
+        body = answers.map(answer => `${answer.fraction > 0 ? '=' : '~'}${giftEscape(answer.text)}`);
+      } else {
+        body = answers.map(answer => `~%${answer.fraction}%${giftEscape(answer.text)}`);
+      }
+      if (question.explanation) body.push(`####${giftEscape(question.explanation)}`);
+      blocks.push(`${giftEscape(question.questionText)} {\n${body.map(line => `\t${line}`).join('\n')}\n}`);
+    });
+  });
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * ankiField
+ * ---------
+ * Formats text for a field of Anki's text import, which reads the fields as HTML:
+ * markup characters are escaped and line breaks become <br>, so no field holds a tab
+ * or a line break.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The field.
+ */
+function ankiField(text) {
+  return escapeHtml(String(text || '').trim()).replace(/\r?\n/g, '<br>').replace(/\t/g, ' ');
+}
+
+/**
+ * ankiTag
+ * -------
+ * Turns a group into an Anki tag: tags cannot hold spaces, and "/" in a group becomes
+ * Anki's "::" for nested tags, e.g. "Math/Linear algebra" becomes "Math::Linear_algebra".
+ *
+ * @param {string} group - The group.
+ * @returns {string} The tag, or '' for questions without a group.
+ */
+function ankiTag(group) {
+  if (!group || group === DEFAULT_GROUP) return '';
+  return group.split('/').map(part => part.trim().replace(/\s+/g, '_')).filter(Boolean).join('::');
+}
+
+/**
+ * formatAnkiText
+ * --------------
+ * Formats a deck as tab-separated text for Anki's importer: header lines telling Anki
+ * the separator, that fields are HTML and which column holds the tags, then one note per
+ * question with the question and its options on the front, the correct answer and the
+ * explanation on the back, and the group as a tag.
+ *
+ * @param {Object} deck - The deck (see buildDeckExport).
+ * @returns {string} The text.
+ */
+function formatAnkiText(deck) {
+  const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+  deck.questions.forEach(question => {
+    const options = question.options.map((option, index) => `${OPTION_LETTERS[index]}) ${ankiField(option)}`);
+    const front = [ankiField(question.questionText)].concat(options.length > 0 ? ['', ...options] : []).join('<br>');
+    const accepted = isTypedQuestion(question) ? parseAcceptedAnswers(question.correctAnswer, question.type) || [] : [];
+    const answer = ankiField(describeCorrectAnswer(Object.assign({}, question, { acceptedAnswers: accepted })));
+    const back = question.explanation ? `${answer}<br><br>${ankiField(question.explanation)}` : answer;
+    lines.push([front, back, ankiTag(question.group)].join('\t'));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * formatDeckExport
+ * ----------------
+ * Formats a deck in the given format.
+ *
+ * @param {Object} deck - The deck (see buildDeckExport).
+ * @param {string} format - One of DECK_EXPORT_FORMATS.
+ * @returns {string} The content of the file.
+ */
+function formatDeckExport(deck, format) {
+  switch (format) {
+    case DECK_EXPORT_FORMATS.GIFT:
+      return formatGift(deck);
+    case DECK_EXPORT_FORMATS.ANKI:
+      return formatAnkiText(deck);
+    default:
+      return formatMoodleXml(deck);
+  }
+}
+
+/**
+ * writeDeckExport
+ * ---------------
+ * Writes a deck to a file, in the format given by the file extension (Moodle XML when
+ * the extension is not recognized).
+ *
+ * @param {string} filePath - The path to write to.
+ * @param {Object} deck - The deck (see buildDeckExport).
+ * @returns {{filePath: string, format: string, exported: number, skipped: number}} Where
+ *   and in which format the deck was written, how many questions were written and how
+ *   many were left out because the format cannot hold them.
+ */
+function writeDeckExport(filePath, deck) {
+  const format = deckExportFormat(filePath) || DECK_EXPORT_FORMATS.MOODLE_XML;
+  fs.writeFileSync(filePath, formatDeckExport(deck, format), 'utf8');
+  const exported = deck.questions.filter(question => canExport(question, format)).length;
+  return { filePath, format, exported, skipped: deck.questions.length - exported };
+}
+
+module.exports = {
+  DECK_EXPORT_FORMATS,
+  DECK_EXPORT_FILTERS,
+  deckExportFormat,
+  buildDeckExport,
+  formatMoodleXml,
+  formatGift,
+  formatAnkiText,
+  formatDeckExport,
+  writeDeckExport
+};
@@ -0,0 +1,91 @@
+// src/fileWatcher.js
+//
+// This module watches the CSV files of the loaded deck for changes on disk, so the deck
+// can be reloaded while its author edits it in a spreadsheet.
+// It performs the following tasks:
+//   - Watches the directories of the files rather than the files themselves: spreadsheet
+//     programs often save by writing a new file and renaming it over the old one, which
+//     ends a watch on the old file.
+//   - Ignores changes to other files in the same directories.
+//   - Waits until the files have been quiet for a moment, since a single save usually
+//     produces several events, and reports all files changed in that time at once.
+
+const fs = require('fs');     // File system module used to watch directories.
+const path = require('path'); // Module for handling file paths.
+
+// Time to wait after the last change before reporting, in milliseconds.
+const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * watchFiles
+ * ----------
+ * Watches files for changes.
+ *
+ * A directory that cannot be watched (e.g. it was removed) is logged and skipped; the
+ * other files are still watched. The watches do not keep the process running.
+ *
+ * @param {Array<string>} filePaths - The absolute paths of the files to watch.
+ * @param {Function} onChange - Called with the paths of the files that changed.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.debounceMs=300] - Quiet time before changes are reported.
+ * @param {Function} [options.watch=fs.watch] - Watches a directory; it is called like fs.watch
+ *   with the directory, options and a listener(eventType, fileName), and returns an object
+ *   with close().
+ * @returns {Function} Stops watching.
+ */
+function watchFiles(filePaths, onChange, options = {}) {
+  const debounceMs = options.debounceMs === undefined ? DEFAULT_DEBOUNCE_MS : options.debounceMs;
+  const watch = options.watch || fs.watch;
+  const byDirectory = new Map(); // Directory -> Map of file name -> absolute path.
+  filePaths.forEach(filePath => {
+    const dir = path.dirname(filePath);
+    if (!byDirectory.has(dir)) byDirectory.set(dir, new Map());
+    byDirectory.get(dir).set(path.basename(filePath), filePath);
+  });
+
+  const changed = new Set();
+  let timer = null;
+  let stopped = false;
+  const report = () => {
+    timer = null;
+    if (stopped || changed.size === 0) return;
+    const paths = filePaths.filter(filePath => changed.has(filePath));
+    changed.clear();
+    onChange(paths);
+  };
+
+  const watchers = [];
+  byDirectory.forEach((files, dir) => {
+    try {
+      const watcher = watch(dir, { persistent: false }, (eventType, fileName) => {
+        // Some platforms do not name the file; every watched file of the directory may then have changed.
+        const names = fileName ? [String(fileName)] : [...files.keys()];
+        names.forEach(name => {
+          if (files.has(name)) changed.add(files.get(name));
+        });
+        if (changed.size === 0 || stopped) return;
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(report, debounceMs);
+      });
+      // A watched directory that is removed ends its watch with an error event.
+      if (typeof watcher.on === 'function') {
+        watcher.on('error', err => console.error(`Stopped watching ${dir} for changes:`, err.message));
+      }
+      watchers.push(watcher);
+    } catch (err) {
+      console.error(`Cannot watch ${dir} for changes:`, err.message);
+    }
+  });
+
+  return () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    watchers.forEach(watcher => watcher.close());
+  };
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE_MS,
+  watchFiles
+};
@@ -0,0 +1,151 @@
+// src/historyStore.js
+//
+// This module stores the answer history of every deck in a JSON file under the
+// Electron userData directory. It runs in the main process.
+// It performs the following tasks:
+//   - Reads the history file, starting from an empty history if it is missing or unreadable.
+//   - Appends answer attempts, keyed by deck file and question (see src/questionKey.js).
+//   - Returns the recorded attempts of a deck.
+//
+// The file has the following shape:
+//   {
+//     "version": 1,
+//     "decks": {
+//       "<absolute deck path>": {
+//         "<question key>": {
+//           "questionText": "...",
+//           "attempts": [
+//             { "timestamp": "...", "answer": "B", "correct": true, "score": 1, "timeSpentMs": 5230 }
+//           ]
+//         }
+//       }
+//     }
+//   }
+
+const fs = require('fs');     // File system module used to read and write the history file.
+const path = require('path'); // Module for handling file paths.
+
+// Version of the history file format.
+const HISTORY_VERSION = 1;
+
+// File name of the history store inside the userData directory.
+const HISTORY_FILE_NAME = 'answer-history.json';
+
+/**
+ * emptyHistory
+ * ------------
+ * Returns a new, empty history object.
+ *
+ * @returns {Object} The empty history.
+ */
+function emptyHistory() {
+  return { version: HISTORY_VERSION, decks: {} };
+}
+
+/**
+ * readHistory
+ * -----------
+ * Reads the history file.
+ *
+ * A missing file yields an empty history. A file that cannot be parsed is logged and
+ * also yields an empty history, so a damaged file never prevents the quiz from running.
+ *
+ * @param {string} storePath - The path of the history file.
+ * @returns {Object} The history.
+ */
+function readHistory(storePath) {
+  let content;
+  try {
+    content = fs.readFileSync(storePath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error("Error reading answer history:", err);
+    return emptyHistory();
+  }
+  try {
+    const history = JSON.parse(content);
+    if (!history || typeof history.decks !== 'object' || history.decks === null) {
+      throw new Error('Missing "decks" object');
+    }
+    return history;
+  } catch (err) {
+    console.error("Answer history file is damaged; starting a new history:", err.message);
+    return emptyHistory();
+  }
+}
+
+/**
+ * writeHistory
+ * ------------
+ * Writes the history file. The data is written to a temporary file first and then
+ * renamed, so an interrupted write cannot leave a half-written history behind.
+ *
+ * @param {string} storePath - The path of the history file.
+ * @param {Object} history - The history to write.
+ */
+function writeHistory(storePath, history) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  const tmpPath = `${storePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(history, null, 2), 'utf8');
+  fs.renameSync(tmpPath, storePath);
+}
+
+/**
+ * recordAttempt
+ * -------------
+ * Appends one answer attempt to the history file.
+ *
+ * @param {string} storePath - The path of the history file.
+ * @param {Object} attempt - The attempt to record.
+ * @param {string} attempt.deckPath - The absolute path of the deck file.
+ * @param {string} attempt.questionKey - The key of the question (see src/questionKey.js).
+ * @param {string} attempt.questionText - The question text, kept to make the file readable.
+ * @param {string} attempt.answer - The chosen answer (option letters or the typed text).
+ * @param {boolean} attempt.correct - Whether the answer was fully correct.
+ * @param {number} [attempt.score] - The score between 0 and 1 (defaults to 1 or 0 from correct).
+ * @param {number} [attempt.timeSpentMs] - The time spent on the question, in milliseconds.
+ * @param {string} [attempt.timestamp] - When the answer was given (defaults to now, ISO 8601).
+ * @returns {Object} The stored attempt.
+ * @throws {Error} If the deck path or question key is missing.
+ */
+function recordAttempt(storePath, attempt) {
+  if (!attempt || !attempt.deckPath || !attempt.questionKey) {
+    throw new Error('An attempt needs a deckPath and a questionKey');
+  }
+  const history = readHistory(storePath);
+  const deck = history.decks[attempt.deckPath] || (history.decks[attempt.deckPath] = {});
+  const entry = deck[attempt.questionKey] || (deck[attempt.questionKey] = { questionText: '', attempts: [] });
+  entry.questionText = attempt.questionText || entry.questionText;
+  const stored = {
+    timestamp: attempt.timestamp || new Date().toISOString(),
+    answer: attempt.answer === undefined ? '' : String(attempt.answer),
+    correct: !!attempt.correct,
+    score: typeof attempt.score === 'number' ? attempt.score : (attempt.correct ? 1 : 0),
+    timeSpentMs: typeof attempt.timeSpentMs === 'number' ? Math.max(0, Math.round(attempt.timeSpentMs)) : null
+  };
+  entry.attempts.push(stored);
+  writeHistory(storePath, history);
+  return stored;
+}
+
+/**
+ * getDeckHistory
+ * --------------
+ * Returns the recorded questions and attempts of one deck.
+ *
+ * @param {string} storePath - The path of the history file.
+ * @param {string} deckPath - The absolute path of the deck file.
+ * @returns {Object} A map from question key to { questionText, attempts }; empty if
+ *   the deck has no history.
+ */
+function getDeckHistory(storePath, deckPath) {
+  const history = readHistory(storePath);
+  return history.decks[deckPath] || {};
+}
+
+module.exports = {
+  HISTORY_FILE_NAME,
+  readHistory,
+  writeHistory,
+  recordAttempt,
+  getDeckHistory
+};
@@ -0,0 +1,159 @@
+// src/importReport.js
+//
+// This module keeps the import report of one or more CSV files: which rows were skipped,
+// where they are in which file and why, so authors can fix their spreadsheets.
+// It performs the following tasks:
+//   - Detects rows with characters that could not be decoded.
+//   - Collects the skipped rows with a reason and counts them per reason.
+//   - Formats the report as CSV and writes it to disk.
+
+const fs = require('fs'); // File system module used to write the report.
+const path = require('path'); // Module for handling file paths.
+const { spreadsheetRow } = require('./csvFormat'); // CSV quoting for spreadsheets.
+
+// Reasons a row can be skipped.
+const SKIP_REASONS = {
+  MISSING_FIELD: 'missing-field',
+  INVALID_ANSWER: 'invalid-answer',
+  INVALID_VALUE: 'invalid-value',
+  DUPLICATE: 'duplicate',
+  BAD_ENCODING: 'bad-encoding'
+};
+
+// Label of each reason, as shown in the report.
+const SKIP_REASON_LABELS = {
+  [SKIP_REASONS.MISSING_FIELD]: 'Missing field',
+  [SKIP_REASONS.INVALID_ANSWER]: 'Invalid answer',
+  [SKIP_REASONS.INVALID_VALUE]: 'Invalid value',
+  [SKIP_REASONS.DUPLICATE]: 'Duplicate',
+  [SKIP_REASONS.BAD_ENCODING]: 'Bad encoding'
+};
+
+// Character that replaces bytes that are not valid in the file's encoding.
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+// Column headers of the CSV export of a report.
+const REPORT_HEADERS = ['File', 'Line', 'Reason', 'Details', 'Raw Content'];
+
+/**
+ * hasEncodingProblem
+ * ------------------
+ * Checks whether any cell of a row holds characters that could not be decoded,
+ * e.g. a Windows-1252 file read as UTF-8.
+ *
+ * @param {Array<string>} cells - The cells of the row.
+ * @returns {boolean} True if a cell contains the replacement character.
+ */
+function hasEncodingProblem(cells) {
+  return cells.some(cell => String(cell || '').includes(REPLACEMENT_CHARACTER));
+}
+
+/**
+ * createImportReport
+ * ------------------
+ * Creates an empty import report for one or more files imported together.
+ *
+ * @param {string|Array<string>} deckPaths - The path of the imported file, or the paths of
+ *   several files.
+ * @returns {{deckPath: string, files: Array<string>, formats: Array<Object>, rows: number, imported: number, skipped: Array<Object>}}
+ *   The report: the first file's path, the names of all files, the encoding and separator
+ *   each file was read with ({ file, encoding, separator }), the number of rows read, the
+ *   number of questions imported and the skipped rows.
+ */
+function createImportReport(deckPaths) {
+  const paths = Array.isArray(deckPaths) ? deckPaths : [deckPaths];
+  return {
+    deckPath: paths[0],
+    files: paths.map(deckPath => path.basename(deckPath)),
+    formats: [],
+    rows: 0,
+    imported: 0,
+    skipped: []
+  };
+}
+
+/**
+ * addSkippedRow
+ * -------------
+ * Records a skipped row in a report.
+ *
+ * @param {Object} report - The report (see createImportReport).
+ * @param {Object} entry - The skipped row.
+ * @param {string} [entry.file] - The name of the file the row is in.
+ * @param {number|null} entry.line - The line the row starts on.
+ * @param {string} entry.reason - One of SKIP_REASONS.
+ * @param {string} entry.message - What is wrong, e.g. 'Correct answer "E" is not one of the options A-C'.
+ * @param {string} entry.raw - The row as written in the file.
+ * @returns {Object} The recorded entry.
+ */
+function addSkippedRow(report, entry) {
+  const skipped = {
+    file: entry.file || path.basename(String(report.deckPath || '')),
+    line: entry.line === undefined ? null : entry.line,
+    reason: entry.reason,
+    message: entry.message,
+    raw: entry.raw || ''
+  };
+  report.skipped.push(skipped);
+  return skipped;
+}
+
+/**
+ * countSkippedByReason
+ * --------------------
+ * Counts the skipped rows of a report per reason.
+ *
+ * @param {Object} report - The report.
+ * @returns {Array<{reason: string, label: string, count: number}>} One entry per reason
+ *   that occurs, in the order of SKIP_REASONS.
+ */
+function countSkippedByReason(report) {
+  return Object.values(SKIP_REASONS)
+    .map(reason => ({
+      reason,
+      label: SKIP_REASON_LABELS[reason],
+      count: report.skipped.filter(entry => entry.reason === reason).length
+    }))
+    .filter(entry => entry.count > 0);
+}
+
+/**
+ * formatImportReportCsv
+ * ---------------------
+ * Formats a report as CSV, one row per skipped row of the files.
+ *
+ * @param {Object} report - The report.
+ * @returns {string} The CSV text.
+ */
+function formatImportReportCsv(report) {
+  const lines = [spreadsheetRow(REPORT_HEADERS)];
+  report.skipped.forEach(entry => {
+    lines.push(spreadsheetRow([entry.file, entry.line, SKIP_REASON_LABELS[entry.reason] || entry.reason, entry.message, entry.raw]));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * writeImportReport
+ * -----------------
+ * Writes a report as CSV.
+ *
+ * @param {string} filePath - The path of the file to write.
+ * @param {Object} report - The report.
+ * @returns {{filePath: string}} The path written.
+ */
+function writeImportReport(filePath, report) {
+  fs.writeFileSync(filePath, formatImportReportCsv(report), 'utf8');
+  return { filePath };
+}
+
+module.exports = {
+  SKIP_REASONS,
+  SKIP_REASON_LABELS,
+  hasEncodingProblem,
+  createImportReport,
+  addSkippedRow,
+  countSkippedByReason,
+  formatImportReportCsv,
+  writeImportReport
+};
@@ -0,0 +1,472 @@
+// src/importers.js
+//
+// This module reads deck files in the formats the app imports: CSV, its own JSON format,
+// Moodle GIFT and Aiken. Every importer turns a file into records, one per question, whose
+// fields are keyed by field name like a mapped CSV row (see src/columnMapping.js). The
+// records are then validated and turned into questions the same way for every format
+// (see src/questionRow.js), so all formats produce the same question objects.
+// It performs the following tasks:
+//   - Lists the importers with their file extensions, and the file filters of the open
+//     dialog; a format is added by adding its importer to IMPORTERS.
+//   - Picks the importer of a file from its extension, and from its content for extensions
+//     that several formats use (".txt" for GIFT and Aiken).
+//   - Reads CSV rows through the column map, and JSON, GIFT and Aiken questions, each with
+//     the line it starts on and its raw text for the import report.
+
+const path = require('path'); // Module for handling file paths.
+const { parseCsvRecords } = require('./csvFormat'); // Splits CSV text into rows of cells.
+const { MAX_OPTIONS, OPTION_LETTERS, OPTION_FIELDS, applyColumnMap } = require('./columnMapping'); // Question fields.
+const { QUESTION_TYPES } = require('./answerMatching'); // Free-text and numeric questions.
+const { SKIP_REASONS } = require('./importReport'); // Reasons records are skipped.
+
+// The formats that can be imported.
+const IMPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  AIKEN: 'aiken',
+  GIFT: 'gift'
+};
+
+// An Aiken answer line, e.g. "ANSWER: B".
+const AIKEN_ANSWER = /^ANSWER:\s*(.*)$/i;
+
+// An Aiken option line, e.g. "A. Paris" or "B) Rome".
+const AIKEN_OPTION = /^([A-Z])[.)]\s+(.*)$/;
+
+// Characters GIFT escapes with a backslash, and the private characters that stand in for
+// them while a question is split into its parts.
+const GIFT_ESCAPES = { '~': '\uE000', '=': '\uE001', '#': '\uE002', '{': '\uE003', '}': '\uE004', ':': '\uE005', '\\': '\uE006' };
+
+// A GIFT answer weight, e.g. "%50%" or "%-100%".
+const GIFT_WEIGHT = /^%(-?\d+(?:\.\d+)?)%/;
+
+/**
+ * optionError
+ * -----------
+ * The error of a question with more options than the app can show.
+ *
+ * @param {number} count - The number of options.
+ * @returns {{reason: string, message: string}} The error.
+ */
+function optionError(count) {
+  return { reason: SKIP_REASONS.INVALID_VALUE, message: `${count} options; a question can have at most ${MAX_OPTIONS}` };
+}
+
+/**
+ * addOptions
+ * ----------
+ * Puts a list of options into the option fields of a record.
+ *
+ * @param {Object} fields - The fields of the record.
+ * @param {Array<string>} options - The option texts.
+ * @returns {Object} The fields.
+ */
+function addOptions(fields, options) {
+  options.forEach((option, index) => { fields[OPTION_FIELDS[index]] = option; });
+  return fields;
+}
+
+/**
+ * readCsvRecords
+ * --------------
+ * Reads the rows of a CSV file. The column map decides which column holds which field;
+ * empty rows are left out.
+ *
+ * @param {string} text - The content of the file.
+ * @param {Object} options - Read options.
+ * @param {string} options.separator - The field separator.
+ * @param {Function} options.resolveColumnMap - Works out the column map of the rows and
+ *   takes off a header row (see resolveColumnMap in renderer.js); resolves with null if
+ *   the user cancelled.
+ * @returns {Promise<Array<Object>|null>} The records ({ line, raw, fields }), or null if the
+ *   column mapping was cancelled.
+ */
+function readCsvRecords(text, options) {
+  const separator = options.separator;
+  // The line and raw text of each row, for the import report, as the parser read them.
+  const rowRecords = parseCsvRecords(text, separator);
+  // Rows are plain arrays of cells; the column map is only known once the rows have been seen.
+  const rows = rowRecords.map(record => record.cells);
+  const rowCount = rows.length;
+  return options.resolveColumnMap(rows).then((columnMap) => {
+    if (!columnMap) return null;
+    // Rows are matched with their place in the file; a header row taken off by
+    // resolveColumnMap is skipped here as well.
+    const headerRows = rowCount - rows.length;
+    const result = [];
+    rows.forEach((cells, rowIndex) => {
+      // Empty rows (e.g. trailing lines exported by a spreadsheet) are not questions.
+      if (cells.every(cell => !String(cell || '').trim())) return;
+      const record = rowRecords[rowIndex + headerRows] || { line: null, raw: cells.join(separator) };
+      result.push({ line: record.line, raw: record.raw, fields: applyColumnMap(cells, columnMap) });
+    });
+    return result;
+  });
+}
+
+/**
+ * jsonItemLines
+ * -------------
+ * Finds the line each question of a JSON deck starts on: the elements of the top-level
+ * array, or of the "questions" array of a top-level object.
+ *
+ * @param {string} text - The JSON text.
+ * @returns {Array<number>} The line of each element (1-based).
+ */
+function jsonItemLines(text) {
+  const lines = [];
+  let line = 1;
+  let depth = 0;
+  let listDepth = null;    // Depth inside the list of questions.
+  let expectingItem = false;
+  let inString = false;
+  let stringStart = 0;
+  let lastKey = null;      // The last string read at the top level of an object.
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n') line++;
+    if (inString) {
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '"') {
+        inString = false;
+        if (depth === 1) lastKey = text.slice(stringStart + 1, i);
+      }
+      continue;
+    }
+    if (expectingItem && !/[\s,\]]/.test(ch)) {
+      lines.push(line);
+      expectingItem = false;
+    }
+    if (ch === '"') {
+      inString = true;
+      stringStart = i;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+      if (listDepth === null && ch === '[' && (depth === 1 || (depth === 2 && lastKey === 'questions'))) {
+        listDepth = depth;
+        expectingItem = true;
+      }
+    } else if (ch === ']' || ch === '}') {
+      if (ch === ']' && depth === listDepth) listDepth = -1; // The list has ended.
+      depth--;
+    } else if (ch === ',' && depth === listDepth) {
+      expectingItem = true;
+    }
+  }
+  return lines;
+}
+
+/**
+ * readJsonRecords
+ * ---------------
+ * Reads the questions of a deck in the app's JSON format: a list of questions, or an
+ * object whose "questions" property is that list. Each question has the fields of the
+ * CSV columns (questionText, correctAnswer, group, explanation, media, timeLimit and type;
+ * "question" and "answer" may be used for the first two) and its options as a list. A
+ * correct answer may also be a list: the letters of a multiple-answer question, or the
+ * accepted answers of a free-text or numeric question.
+ *
+ * @param {string} text - The content of the file.
+ * @returns {Promise<Array<Object>>} The records ({ line, raw, fields } or { line, raw, error }).
+ *   It rejects if the file is not JSON or holds no list of questions.
+ */
+function readJsonRecords(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return Promise.reject(new Error(`Not valid JSON: ${err.message}`));
+  }
+  const items = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(items)) {
+    return Promise.reject(new Error('A JSON deck must be a list of questions, or an object with a "questions" list'));
+  }
+  const lines = jsonItemLines(text);
+  const asText = value => (value === undefined || value === null ? undefined : String(value));
+  return Promise.resolve(items.map((item, index) => {
+    const record = { line: lines[index] || null, raw: JSON.stringify(item) };
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return Object.assign(record, { error: { reason: SKIP_REASONS.INVALID_VALUE, message: 'Not a question object' } });
+    }
+    const options = item.options === undefined ? [] : item.options;
+    if (!Array.isArray(options)) {
+      return Object.assign(record, { error: { reason: SKIP_REASONS.INVALID_VALUE, message: '"options" must be a list' } });
+    }
+    if (options.length > MAX_OPTIONS) return Object.assign(record, { error: optionError(options.length) });
+    let answer = item.correctAnswer !== undefined ? item.correctAnswer : item.answer;
+    if (Array.isArray(answer)) answer = answer.map(String).join(options.length > 0 ? ',' : '|');
+    const fields = {
+      questionText: asText(item.questionText !== undefined ? item.questionText : item.question),
+      correctAnswer: asText(answer),
+      group: asText(item.group),
+      explanation: asText(item.explanation),
+      media: asText(item.media),
+      timeLimit: asText(item.timeLimit),
+      type: asText(item.type)
+    };
+    return Object.assign(record, { fields: addOptions(fields, options.map(String)) });
+  }));
+}
+
+/**
+ * readAikenRecords
+ * ----------------
+ * Reads the questions of an Aiken file: the question on one or more lines, one option per
+ * line ("A. text" or "A) text") and the line "ANSWER: B". A question that ends without an
+ * answer line is reported as missing its correct answer.
+ *
+ * @param {string} text - The content of the file.
+ * @returns {Promise<Array<Object>>} The records ({ line, raw, fields } or { line, raw, error }).
+ */
+function readAikenRecords(text) {
+  const records = [];
+  let current = null;
+  const finish = (answer) => {
+    const fields = { questionText: current.text.join(' '), correctAnswer: answer };
+    const record = { line: current.line, raw: current.raw.join('\n') };
+    records.push(current.options.length > MAX_OPTIONS
+      ? Object.assign(record, { error: optionError(current.options.length) })
+      : Object.assign(record, { fields: addOptions(fields, current.options) }));
+    current = null;
+  };
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const trimmed = rawLine.trim();
+    if (!current) {
+      if (!trimmed) return;
+      current = { line: index + 1, raw: [], text: [], options: [] };
+    }
+    const answer = trimmed.match(AIKEN_ANSWER);
+    const option = trimmed.match(AIKEN_OPTION);
+    if (answer) {
+      current.raw.push(rawLine);
+      finish(answer[1].trim());
+    } else if (option && current.text.length > 0) {
+      current.raw.push(rawLine);
+      current.options.push(option[2].trim());
+    } else if (current.options.length === 0) {
+      current.raw.push(rawLine);
+      if (trimmed) current.text.push(trimmed);
+    } else if (trimmed) {
+      // Text after the options without an answer line starts the next question.
+      finish(undefined);
+      current = { line: index + 1, raw: [rawLine], text: [trimmed], options: [] };
+    }
+  });
+  if (current) finish(undefined);
+  return Promise.resolve(records);
+}
+
+/**
+ * giftUnescape
+ * ------------
+ * Turns the stand-ins of escaped characters back into the characters, and trims the text.
+ *
+ * @param {string} text - Text of a GIFT question whose escapes were replaced.
+ * @returns {string} The text.
+ */
+function giftUnescape(text) {
+  let result = text;
+  Object.keys(GIFT_ESCAPES).forEach(ch => { result = result.split(GIFT_ESCAPES[ch]).join(ch); });
+  return result.trim();
+}
+
+/**
+ * giftCategory
+ * ------------
+ * Turns a GIFT category into a group: "$course$/top/Math/Algebra" becomes "Math/Algebra".
+ *
+ * @param {string} category - The category after "$CATEGORY:".
+ * @returns {string} The group.
+ */
+function giftCategory(category) {
+  return category.trim().replace(/^\$[a-z]+\$\//i, '').replace(/^top\//, '').trim();
+}
+
+/**
+ * parseGiftAnswers
+ * ----------------
+ * Reads the answer block of a GIFT question (the text between the braces, escapes
+ * replaced) into fields: options and the letters of the correct ones for multiple-choice
+ * and true/false questions, or the accepted answers of short-answer and numeric questions
+ * (see src/answerMatching.js). Feedback is left out; "####" general feedback becomes the
+ * explanation.
+ *
+ * @param {string} block - The answer block.
+ * @returns {{fields: Object}|{error: {reason: string, message: string}}} The fields, or why
+ *   the question cannot be imported (essay and matching questions have no counterpart).
+ */
+function parseGiftAnswers(block) {
+  const [answers, explanation] = block.split('####');
+  const fields = { explanation: explanation === undefined ? undefined : giftUnescape(explanation) };
+  const body = answers.trim();
+  const unsupported = kind => ({ error: { reason: SKIP_REASONS.INVALID_VALUE, message: `${kind} questions cannot be imported` } });
+  if (!body) return unsupported('Essay');
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/i);
+  if (trueFalse) {
+    const isTrue = trueFalse[1][0].toUpperCase() === 'T';
+    return { fields: addOptions(Object.assign(fields, { correctAnswer: isTrue ? 'A' : 'B' }), ['True', 'False']) };
+  }
+  // Split the answers at each "=" or "~" that starts one.
+  const numeric = body.startsWith('#');
+  const entries = (numeric ? body.slice(1) : body).split(/(?=[=~])/).map(entry => entry.trim()).filter(Boolean);
+  const parsed = entries.map(entry => {
+    let marker = null;
+    let rest = entry;
+    if (rest[0] === '=' || rest[0] === '~') {
+      marker = rest[0];
+      rest = rest.slice(1).trim();
+    }
+    const weight = rest.match(GIFT_WEIGHT);
+    if (weight) rest = rest.slice(weight[0].length);
+    const feedback = rest.indexOf('#');
+    if (feedback !== -1) rest = rest.slice(0, feedback);
+    return { marker, weight: weight ? Number(weight[1]) : null, text: giftUnescape(rest) };
+  });
+  if (numeric) {
+    // "3.14:0.01" is 3.14 give or take 0.01; "1..5" is a range. Partial-credit answers are left out.
+    const accepted = parsed
+      .filter(entry => entry.marker !== '~' && (entry.weight === null || entry.weight >= 100))
+      .map(entry => entry.text.replace(/^(.+?):(.+)$/, '$1±$2'));
+    return { fields: Object.assign(fields, { type: QUESTION_TYPES.NUMBER, correctAnswer: accepted.join('|') }) };
+  }
+  if (parsed.some(entry => entry.text.includes('->'))) return unsupported('Matching');
+  if (parsed.every(entry => entry.marker === '=')) {
+    // Only right answers: a short-answer question that accepts each of them.
+    const accepted = parsed.filter(entry => entry.weight === null || entry.weight >= 100).map(entry => entry.text);
+    return { fields: Object.assign(fields, { type: QUESTION_TYPES.TEXT, correctAnswer: accepted.join('|') }) };
+  }
+  if (parsed.length > MAX_OPTIONS) return { error: optionError(parsed.length) };
+  // "=" marks the right answer; with "~%50%" weights, every option with a positive weight is right.
+  const correct = parsed
+    .map((entry, index) => ((entry.marker === '=' || entry.weight > 0) ? OPTION_LETTERS[index] : null))
+    .filter(Boolean);
+  return { fields: addOptions(Object.assign(fields, { correctAnswer: correct.join(',') }), parsed.map(entry => entry.text)) };
+}
+
+/**
+ * readGiftRecords
+ * ---------------
+ * Reads the questions of a Moodle GIFT file. Questions are separated by blank lines;
+ * "//" lines are comments, and "$CATEGORY:" sets the group of the questions after it.
+ * A question may have a "::title::" (left out) and a format such as "[html]" (left out);
+ * text after its answer block makes it a fill-in-the-blank question, shown with a gap.
+ *
+ * @param {string} text - The content of the file.
+ * @returns {Promise<Array<Object>>} The records ({ line, raw, fields } or { line, raw, error }).
+ */
+function readGiftRecords(text) {
+  const records = [];
+  let group;
+  let block = null;
+  const finish = () => {
+    const record = { line: block.line, raw: block.raw.join('\n') };
+    block = null;
+    // Replace escaped characters, so only the structure of the question is left.
+    const source = record.raw
+      .split('\n').filter(rawLine => !rawLine.trim().startsWith('//')).join('\n')
+      .replace(/\\(.)/g, (match, ch) => GIFT_ESCAPES[ch] || (ch === 'n' ? '\n' : match));
+    const open = source.indexOf('{');
+    const close = source.indexOf('}', open);
+    if (open === -1 || close === -1) {
+      records.push(Object.assign(record, { error: { reason: SKIP_REASONS.MISSING_FIELD, message: 'No answer block {…}' } }));
+      return;
+    }
+    const before = source.slice(0, open).replace(/^\s*::.*?::/s, '').replace(/^\s*\[[a-z]+\]/i, '');
+    const after = source.slice(close + 1);
+    const questionText = giftUnescape(after.trim() ? `${before.trim()} _____ ${after.trim()}` : before);
+    const answers = parseGiftAnswers(source.slice(open + 1, close));
+    if (answers.error) {
+      records.push(Object.assign(record, { error: answers.error }));
+      return;
+    }
+    records.push(Object.assign(record, { fields: Object.assign(answers.fields, { questionText, group }) }));
+  };
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const trimmed = rawLine.trim();
+    const category = !block && trimmed.match(/^\$CATEGORY:(.*)$/i);
+    if (category) {
+      group = giftCategory(category[1]) || undefined;
+    } else if (!trimmed) {
+      if (block) finish();
+    } else if (block) {
+      block.raw.push(rawLine);
+    } else if (!trimmed.startsWith('//')) {
+      block = { line: index + 1, raw: [rawLine] };
+    }
+  });
+  if (block) finish();
+  return Promise.resolve(records);
+}
+
+// The importers, in the order they are tried for a file extension that several use.
+// Each has a format (one of IMPORT_FORMATS), a name for the open dialog, its file
+// extensions, a read function that resolves with the file's records, and optionally a
+// detect function that recognises its files by their content.
+const IMPORTERS = [
+  { format: IMPORT_FORMATS.CSV, name: 'CSV', extensions: ['csv'], read: readCsvRecords },
+  { format: IMPORT_FORMATS.JSON, name: 'JSON', extensions: ['json'], read: readJsonRecords },
+  {
+    format: IMPORT_FORMATS.AIKEN,
+    name: 'Aiken',
+    extensions: ['txt'],
+    detect: text => text.split(/\r?\n/).some(line => AIKEN_ANSWER.test(line.trim())),
+    read: readAikenRecords
+  },
+  {
+    format: IMPORT_FORMATS.GIFT,
+    name: 'Moodle GIFT',
+    extensions: ['gift', 'txt'],
+    detect: text => /\{[\s\S]*\}/.test(text),
+    read: readGiftRecords
+  }
+];
+
+// The extensions of all importable files.
+const IMPORT_EXTENSIONS = [...new Set([].concat(...IMPORTERS.map(importer => importer.extensions)))];
+
+// File filters for the open dialog: every supported file, then one filter per format.
+const IMPORT_FILTERS = [{ name: 'Quiz Decks', extensions: IMPORT_EXTENSIONS }].concat(
+  IMPORTERS.map(importer => ({ name: `${importer.name} Files`, extensions: importer.extensions })));
+
+/**
+ * isImportPath
+ * ------------
+ * Checks whether a file path names a file that can be imported, by its extension.
+ *
+ * @param {string} filePath - The path of the file.
+ * @returns {boolean} True for the extensions of IMPORTERS (in any letter case).
+ */
+function isImportPath(filePath) {
+  return IMPORT_EXTENSIONS.includes(path.extname(String(filePath || '')).slice(1).toLowerCase());
+}
+
+/**
+ * findImporter
+ * ------------
+ * Picks the importer of a file: the one for its extension or, if several formats use the
+ * extension, the first that recognises the content (or else the first of them).
+ *
+ * @param {string} filePath - The path of the file.
+ * @param {string} text - The content of the file.
+ * @returns {Object|null} The importer (see IMPORTERS), or null for other extensions.
+ */
+function findImporter(filePath, text) {
+  const extension = path.extname(String(filePath || '')).slice(1).toLowerCase();
+  const candidates = IMPORTERS.filter(importer => importer.extensions.includes(extension));
+  if (candidates.length <= 1) return candidates[0] || null;
+  return candidates.find(importer => importer.detect && importer.detect(text)) || candidates[0];
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORTERS,
+  IMPORT_EXTENSIONS,
+  IMPORT_FILTERS,
+  isImportPath,
+  findImporter,
+  readCsvRecords,
+  readJsonRecords,
+  readAikenRecords,
+  readGiftRecords
+};
@@ -0,0 +1,287 @@
+// src/keyBindings.js
+//
+// This module defines the keyboard shortcuts of the quiz and lets the user change them.
+// The bindings are stored as a JSON file in the Electron userData directory; the
+// main process reads and writes the file, and the renderer matches key presses.
+// It performs the following tasks:
+//   - Lists the actions that can be bound to keys, with their default keys.
+//   - Turns key presses and key names typed in the bindings file into one form,
+//     such as "A", "ArrowRight" or "Ctrl+O".
+//   - Merges the user's bindings with the defaults and finds the action of a key press.
+//   - Rebinds an action to a new key, taking the key away from any other action.
+//   - Reads and writes the bindings file.
+//
+// The file maps action names to lists of keys; actions missing from it keep their
+// default keys, for example:
+//   { "next": ["ArrowRight", "N"], "openCsv": ["Ctrl+O"] }
+
+const fs = require('fs');     // File system module used to read and write the bindings file.
+const path = require('path'); // Module for handling file paths.
+
+// File name of the key bindings inside the userData directory.
+const KEY_BINDINGS_FILE_NAME = 'key-bindings.json';
+
+// Actions that can be bound to keys, in the order the cheat sheet lists them.
+const KEY_ACTIONS = [
+  { action: 'answer1', label: 'Answer option A' },
+  { action: 'answer2', label: 'Answer option B' },
+  { action: 'answer3', label: 'Answer option C' },
+  { action: 'answer4', label: 'Answer option D' },
+  { action: 'answer5', label: 'Answer option E' },
+  { action: 'answer6', label: 'Answer option F' },
+  { action: 'answer7', label: 'Answer option G' },
+  { action: 'answer8', label: 'Answer option H' },
+  { action: 'submit', label: 'Submit selected options, or next question' },
+  { action: 'previous', label: 'Previous question' },
+  { action: 'next', label: 'Next question' },
+  { action: 'focusGroup', label: 'Focus the group filter' },
+  { action: 'openCsv', label: 'Open a CSV file' },
+  { action: 'toggleShortcuts', label: 'Show or hide this cheat sheet' }
+];
+
+// Default keys of each action. G is left to the group filter, so option G only has 7.
+const DEFAULT_KEY_BINDINGS = {
+  answer1: ['A', '1'],
+  answer2: ['B', '2'],
+  answer3: ['C', '3'],
+  answer4: ['D', '4'],
+  answer5: ['E', '5'],
+  answer6: ['F', '6'],
+  answer7: ['7'],
+  answer8: ['H', '8'],
+  submit: ['Enter'],
+  previous: ['ArrowLeft', 'ArrowUp'],
+  next: ['ArrowRight', 'ArrowDown'],
+  focusGroup: ['G'],
+  openCsv: ['Ctrl+O', 'Meta+O'],
+  toggleShortcuts: ['?']
+};
+
+// Modifier keys in the order they are written in a key combination.
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// Spellings of the modifiers accepted in the bindings file.
+const MODIFIER_ALIASES = {
+  ctrl: 'Ctrl', control: 'Ctrl',
+  alt: 'Alt', option: 'Alt',
+  shift: 'Shift',
+  meta: 'Meta', cmd: 'Meta', command: 'Meta', super: 'Meta'
+};
+
+// Named keys by their lower-case spelling, including a few common abbreviations.
+const NAMED_KEYS = {
+  esc: 'Escape', return: 'Enter', space: 'Space', spacebar: 'Space', del: 'Delete',
+  left: 'ArrowLeft', right: 'ArrowRight', up: 'ArrowUp', down: 'ArrowDown'
+};
+['Enter', 'Escape', 'Tab', 'Backspace', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+  'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Space']
+  .concat(Array.from({ length: 12 }, (unused, i) => `F${i + 1}`))
+  .forEach(name => { NAMED_KEYS[name.toLowerCase()] = name; });
+
+// Readable names of keys for the cheat sheet.
+const KEY_SYMBOLS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+
+/**
+ * normalizeKeyName
+ * ----------------
+ * Writes a key name in its standard form: single characters in upper case, the space
+ * bar as "Space", and named keys (e.g. "arrowleft", "esc") as the browser names them.
+ *
+ * @param {string} key - The key name.
+ * @returns {string} The normalized key name.
+ */
+function normalizeKeyName(key) {
+  if (key === ' ') return 'Space';
+  if (key.length === 1) return key.toUpperCase();
+  return NAMED_KEYS[key.toLowerCase()] || key;
+}
+
+/**
+ * keyCombo
+ * --------
+ * Describes a key press as a key combination, e.g. "A", "Enter" or "Ctrl+O".
+ *
+ * Shift is only written for named keys (e.g. "Shift+Enter"): for characters, the key
+ * itself already shows it, so Shift+/ is "?".
+ *
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {string|null} The key combination, or null for a press of a modifier alone.
+ */
+function keyCombo(event) {
+  const key = event.key;
+  if (!key || ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'Dead'].includes(key)) return null;
+  const name = normalizeKeyName(key);
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey && key.length > 1) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(name);
+  return parts.join('+');
+}
+
+/**
+ * comboParts
+ * ----------
+ * Splits a key combination into its modifiers and its key. A "+" at the end is the
+ * plus key itself, as in "+" or "Ctrl++".
+ *
+ * @param {string} combo - The key combination.
+ * @returns {Array<string>} The modifiers followed by the key.
+ */
+function comboParts(combo) {
+  if (combo === '+') return ['+'];
+  if (combo.endsWith('++')) return comboParts(combo.slice(0, -2)).concat('+');
+  return combo.split('+').map(part => part.trim());
+}
+
+/**
+ * normalizeCombo
+ * --------------
+ * Normalizes a key combination written by the user, so "ctrl+o", "Control + O" and
+ * "Ctrl+O" are the same binding.
+ *
+ * @param {string} text - The key combination.
+ * @returns {string|null} The normalized combination, or null if it names no key.
+ */
+function normalizeCombo(text) {
+  if (typeof text !== 'string' || text.trim() === '') return null;
+  const parts = comboParts(text.trim());
+  const key = parts.pop();
+  const modifiers = [];
+  for (const part of parts) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+    if (!modifier) return null;
+    if (!modifiers.includes(modifier)) modifiers.push(modifier);
+  }
+  if (MODIFIER_ALIASES[key.toLowerCase()]) return null;
+  modifiers.sort((a, b) => MODIFIERS.indexOf(a) - MODIFIERS.indexOf(b));
+  return modifiers.concat(normalizeKeyName(key)).join('+');
+}
+
+/**
+ * describeCombo
+ * -------------
+ * Writes a key combination for the cheat sheet, with arrows shown as symbols.
+ *
+ * @param {string} combo - The key combination.
+ * @returns {string} The readable combination, e.g. "→" or "Ctrl+O".
+ */
+function describeCombo(combo) {
+  return comboParts(combo).map(part => KEY_SYMBOLS[part] || part).join('+');
+}
+
+/**
+ * mergeKeyBindings
+ * ----------------
+ * Combines the user's bindings with the defaults. Unknown actions and keys that cannot
+ * be read are ignored; actions the user did not bind keep their default keys.
+ *
+ * @param {Object} custom - The user's bindings, mapping action names to lists of keys.
+ * @returns {Object} The bindings of every action, mapping action names to lists of keys.
+ */
+function mergeKeyBindings(custom) {
+  const bindings = {};
+  KEY_ACTIONS.forEach(({ action }) => {
+    const keys = custom && Array.isArray(custom[action]) ? custom[action] : DEFAULT_KEY_BINDINGS[action];
+    bindings[action] = keys.map(normalizeCombo).filter(Boolean)
+      .filter((combo, i, list) => list.indexOf(combo) === i);
+  });
+  return bindings;
+}
+
+/**
+ * findKeyAction
+ * -------------
+ * Finds the action bound to a key combination.
+ *
+ * @param {Object} bindings - The bindings (see mergeKeyBindings).
+ * @param {string} combo - The key combination (see keyCombo).
+ * @returns {string|null} The action name, or null if the key is not bound.
+ */
+function findKeyAction(bindings, combo) {
+  const entry = KEY_ACTIONS.find(({ action }) => (bindings[action] || []).includes(combo));
+  return entry ? entry.action : null;
+}
+
+/**
+ * rebindKey
+ * ---------
+ * Binds an action to a single new key. The key is taken away from any other action,
+ * so one key never triggers two actions.
+ *
+ * @param {Object} bindings - The current bindings.
+ * @param {string} action - The action to rebind.
+ * @param {string} combo - The new key combination.
+ * @returns {Object} The new bindings (the current bindings are left unchanged).
+ */
+function rebindKey(bindings, action, combo) {
+  const result = {};
+  Object.keys(bindings).forEach(name => {
+    result[name] = name === action ? [combo] : bindings[name].filter(key => key !== combo);
+  });
+  return result;
+}
+
+/**
+ * readKeyBindings
+ * ---------------
+ * Reads the user's bindings from the bindings file.
+ *
+ * A missing file means no custom bindings. A file that cannot be parsed is logged and
+ * ignored, so a damaged file never takes the keyboard away.
+ *
+ * @param {string} storePath - The path of the bindings file.
+ * @returns {Object} The user's bindings (empty if there are none).
+ */
+function readKeyBindings(storePath) {
+  let content;
+  try {
+    content = fs.readFileSync(storePath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error("Error reading key bindings:", err);
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    console.error("Key bindings file is damaged; using the default keys:", err);
+    return {};
+  }
+}
+
+/**
+ * writeKeyBindings
+ * ----------------
+ * Writes the bindings to the bindings file, creating its directory if needed.
+ *
+ * @param {string} storePath - The path of the bindings file.
+ * @param {Object} bindings - The bindings to store.
+ * @returns {Object} The bindings as stored (merged with the defaults).
+ */
+function writeKeyBindings(storePath, bindings) {
+  const merged = mergeKeyBindings(bindings);
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, JSON.stringify(merged, null, 2), 'utf8');
+  return merged;
+}
+
+module.exports = {
+  KEY_BINDINGS_FILE_NAME,
+  KEY_ACTIONS,
+  DEFAULT_KEY_BINDINGS,
+  keyCombo,
+  normalizeCombo,
+  describeCombo,
+  mergeKeyBindings,
+  findKeyAction,
+  rebindKey,
+  readKeyBindings,
+  writeKeyBindings
+};
@@ -0,0 +1,196 @@
+// src/media.js
+//
+// This module handles images and audio clips referenced from CSV rows.
+// It performs the following tasks:
+//   - Finds media references written inline in question and option text, such as
+//     img:diagrams/osi.png, audio:clips/a.mp3 or img:"diagrams/with spaces.png".
+//   - Tells images and audio clips apart by file extension (for the media column).
+//   - Builds the file URLs of references, relative to the URL of the CSV file, in the page.
+//   - Lists the referenced files that do not exist (in the main process, which resolves
+//     them against the directory of the CSV file), so they can be reported at import.
+
+const fs = require('fs');     // File system module used to check that media files exist.
+const path = require('path'); // Module for resolving media paths.
+
+// -----------------------------------------------------------------------------
+// Media kinds and the file extensions that belong to them.
+// -----------------------------------------------------------------------------
+const MEDIA_KINDS = {
+  IMAGE: 'image',
+  AUDIO: 'audio'
+};
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp'];
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.m4a', '.aac', '.flac'];
+
+// Inline references: a prefix, then a quoted path or a path without spaces.
+const INLINE_MEDIA_PATTERN = /\b(img|audio):(?:"([^"]+)"|(\S+))/gi;
+// Punctuation that ends a sentence rather than a path ("see img:a.png.").
+const TRAILING_PUNCTUATION = /[.,;:!?)]+$/;
+
+// A Windows path that starts with a drive letter, e.g. "C:/media/a.png".
+const WINDOWS_DRIVE = /^[A-Za-z]:\//;
+
+/**
+ * mediaKindFromPath
+ * -----------------
+ * Determines whether a file is an image or an audio clip from its extension.
+ *
+ * @param {string} mediaPath - The file path or reference.
+ * @returns {string|null} One of MEDIA_KINDS, or null for unsupported extensions.
+ */
+function mediaKindFromPath(mediaPath) {
+  const ext = path.extname(String(mediaPath || '')).toLowerCase();
+  if (IMAGE_EXTENSIONS.includes(ext)) return MEDIA_KINDS.IMAGE;
+  if (AUDIO_EXTENSIONS.includes(ext)) return MEDIA_KINDS.AUDIO;
+  return null;
+}
+
+/**
+ * parseMediaText
+ * --------------
+ * Splits text into plain text segments and inline media references.
+ *
+ * @param {string} text - Question or option text, possibly containing img: or audio: references.
+ * @returns {Array<{type: string, value: string}>} Segments in order; type is 'text',
+ *   MEDIA_KINDS.IMAGE or MEDIA_KINDS.AUDIO, and value is the text or the media path.
+ */
+function parseMediaText(text) {
+  const source = String(text || '');
+  const segments = [];
+  let lastIndex = 0;
+  INLINE_MEDIA_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = INLINE_MEDIA_PATTERN.exec(source)) !== null) {
+    let mediaPath = match[2];
+    let matchEnd = INLINE_MEDIA_PATTERN.lastIndex;
+    if (mediaPath === undefined) {
+      // Leave sentence punctuation after an unquoted path as text.
+      mediaPath = match[3].replace(TRAILING_PUNCTUATION, '');
+      matchEnd -= match[3].length - mediaPath.length;
+      INLINE_MEDIA_PATTERN.lastIndex = matchEnd;
+    }
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    const kind = match[1].toLowerCase() === 'audio' ? MEDIA_KINDS.AUDIO : MEDIA_KINDS.IMAGE;
+    segments.push({ type: kind, value: mediaPath });
+    lastIndex = matchEnd;
+  }
+  if (lastIndex < source.length) {
+    segments.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return segments;
+}
+
+/**
+ * hasMediaReferences
+ * ------------------
+ * Checks whether text contains any inline media reference.
+ *
+ * @param {string} text - The text to check.
+ * @returns {boolean} True if the text references an image or audio clip.
+ */
+function hasMediaReferences(text) {
+  return parseMediaText(text).some(segment => segment.type !== 'text');
+}
+
+/**
+ * resolveMediaPath
+ * ----------------
+ * Resolves a media reference against the directory of the CSV file.
+ *
+ * @param {string} mediaPath - The reference as written in the CSV (relative or absolute).
+ * @param {string} baseDir - The directory of the CSV file.
+ * @returns {string} The absolute file path.
+ */
+function resolveMediaPath(mediaPath, baseDir) {
+  return path.resolve(baseDir || '.', mediaPath);
+}
+
+/**
+ * mediaUrl
+ * --------
+ * Builds the file:// URL used as the src of an <img> or <audio> element. The reference
+ * is resolved against the URL of the CSV file, so the page can build it without the file
+ * system; "\" separators of Windows paths are read as "/".
+ *
+ * @param {string} mediaPath - The reference as written in the CSV (relative or absolute).
+ * @param {string} deckUrl - The file:// URL of the CSV file.
+ * @returns {string} The file URL.
+ */
+function mediaUrl(mediaPath, deckUrl) {
+  // "%", "#" and "?" are part of the file name, not of the URL's syntax.
+  const reference = String(mediaPath).replace(/\\/g, '/').replace(/[%#?]/g, encodeURIComponent);
+  // A drive letter would otherwise be read as the scheme of an absolute URL.
+  return new URL(WINDOWS_DRIVE.test(reference) ? `/${reference}` : reference, deckUrl).href;
+}
+
+/**
+ * collectMediaReferences
+ * ----------------------
+ * Lists every media file a question refers to: inline references in its text and
+ * options, and the file in its media column.
+ *
+ * @param {Object} question - A question with questionText, options and optional media.
+ * @returns {Array<string>} The referenced paths, as written in the CSV.
+ */
+function collectMediaReferences(question) {
+  const texts = [question.questionText].concat(question.options || []);
+  const refs = [];
+  texts.forEach(text => {
+    parseMediaText(text).forEach(segment => {
+      if (segment.type !== 'text') refs.push(segment.value);
+    });
+  });
+  if (question.media) refs.push(question.media);
+  return refs;
+}
+
+/**
+ * findMissingFiles
+ * ----------------
+ * Lists the references whose files do not exist. This runs in the main process (see
+ * 'find-missing-media' in main.js), since the page cannot see the file system.
+ *
+ * @param {Array<string>} references - The references, as written in the CSV.
+ * @param {string} baseDir - The directory of the CSV file.
+ * @returns {Array<string>} The references whose files were not found.
+ */
+function findMissingFiles(references, baseDir) {
+  return references.filter(ref => !fs.existsSync(resolveMediaPath(ref, baseDir)));
+}
+
+/**
+ * findMissingMedia
+ * ----------------
+ * Lists the media files of a question that do not exist or cannot be displayed.
+ *
+ * @param {Object} question - A question with questionText, options and optional media.
+ * @param {Array<string>} missingFiles - The references whose files were not found (see
+ *   findMissingFiles).
+ * @returns {Array<{path: string, reason: string}>} The problem files with a short reason
+ *   ("not found" or "unsupported file type").
+ */
+function findMissingMedia(question, missingFiles) {
+  const problems = [];
+  collectMediaReferences(question).forEach(ref => {
+    if (question.media === ref && !mediaKindFromPath(ref)) {
+      problems.push({ path: ref, reason: 'unsupported file type' });
+    } else if ((missingFiles || []).includes(ref)) {
+      problems.push({ path: ref, reason: 'not found' });
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  MEDIA_KINDS,
+  mediaKindFromPath,
+  parseMediaText,
+  hasMediaReferences,
+  resolveMediaPath,
+  mediaUrl,
+  collectMediaReferences,
+  findMissingFiles,
+  findMissingMedia
+};
@@ -0,0 +1,56 @@
+// src/questionKey.js
+//
+// This module builds a stable key that identifies a question within a deck.
+// The key is derived from the question text and options, so it stays the same
+// across reloads and restarts (unlike the question's index, which changes when
+// rows are added, removed or filtered). It is used to store answer history.
+
+/**
+ * hashString
+ * ----------
+ * Computes a 53-bit hash of a string (the cyrb53 algorithm) without Node's crypto
+ * module, so the key can be computed in the renderer process as well.
+ *
+ * @param {string} text - The text to hash.
+ * @returns {number} A non-negative integer hash.
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * questionKey
+ * -----------
+ * Returns the key of a question: a hash of its trimmed text and options.
+ * Differences in surrounding whitespace and letter case do not change the key.
+ * Options shuffled for display (see src/shuffle.js) are put back in CSV order
+ * first, so shuffling does not change the key either.
+ *
+ * @param {Object} question - A question with questionText and options.
+ * @returns {string} The key, e.g. "q1f3a9c0b2d4e".
+ */
+function questionKey(question) {
+  let options = question.options || [];
+  if (question.optionOrder) {
+    const csvOrder = [];
+    question.optionOrder.forEach((csvIndex, i) => { csvOrder[csvIndex] = options[i]; });
+    options = csvOrder;
+  }
+  const parts = [question.questionText].concat(options)
+    .map(part => String(part || '').trim().replace(/\s+/g, ' ').toLowerCase());
+  return 'q' + hashString(parts.join('\u001f')).toString(16);
+}
+
+module.exports = {
+  hashString,
+  questionKey
+};
@@ -0,0 +1,124 @@
+// src/questionRow.js
+//
+// This module turns one CSV row, keyed by field name (see src/columnMapping.js), into a
+// question, or explains why the row is not a valid question. The same rules apply when
+// a deck is imported (see loadQuestions in renderer.js) and while it is edited in the
+// deck editor (see src/deckEditor.js).
+// It performs the following tasks:
+//   - Checks the required fields, the options and the question type.
+//   - Checks that the correct answer names the row's options, or that the accepted
+//     answers of a free-text or numeric question can be read.
+//   - Reads the optional group, explanation, media file and time limit.
+
+const { MIN_OPTIONS, OPTION_LETTERS, collectOptions } = require('./columnMapping'); // Answer options.
+const { parseAnswerLetters } = require('./scoring'); // Correct answer letters.
+const {
+  QUESTION_TYPES,
+  normalizeQuestionType,
+  parseAcceptedAnswers,
+  isNumericAnswer
+} = require('./answerMatching'); // Free-text and numeric questions.
+const { parseTimeLimit } = require('./timeLimit'); // Per-question time limits.
+const { SKIP_REASONS } = require('./importReport'); // Reasons a row is not a question.
+
+/**
+ * parseQuestionRow
+ * ----------------
+ * Validates a row and builds its question.
+ *
+ * A row needs question text and a correct answer. A choice question needs at least two
+ * options without gaps between them, and a correct answer whose letters (e.g. "A,C" for a
+ * multiple-answer question) all name one of its options. A row without options (or with
+ * type "text" or "number") is a free-text or numeric question whose correct answer column
+ * lists the accepted answers (see src/answerMatching.js). The group defaults to "All".
+ *
+ * @param {Object} row - The row keyed by field name (see applyColumnMap).
+ * @returns {{question: Object}|{error: {reason: string, message: string}}} The question, or
+ *   the reason (one of SKIP_REASONS) and a message saying what is wrong.
+ */
+function parseQuestionRow(row) {
+  const invalid = (reason, message) => ({ error: { reason, message } });
+  const group = row.group && row.group.trim() ? row.group.trim() : "All";  // Default to "All" if no group provided.
+  const explanation = row.explanation ? row.explanation.trim() : "";
+  const media = row.media ? row.media.trim() : "";
+  const timeLimit = parseTimeLimit(row.timeLimit);
+  if (Number.isNaN(timeLimit)) {
+    return invalid(SKIP_REASONS.INVALID_VALUE, `Time limit "${row.timeLimit}" is not a number of seconds`);
+  }
+  // Read the question type; without a type column it follows from the row itself.
+  const hasType = !!(row.type && row.type.trim());
+  const declaredType = hasType ? normalizeQuestionType(row.type) : null;
+  if (hasType && !declaredType) {
+    return invalid(SKIP_REASONS.INVALID_VALUE, `Unknown question type "${row.type}"`);
+  }
+  // Verify that all required fields are present: the question text, a correct
+  // answer and, for choice questions, at least two options without gaps between them.
+  const options = collectOptions(row);
+  if (!row.questionText) {
+    return invalid(SKIP_REASONS.MISSING_FIELD, 'Missing question text');
+  }
+  if (!row.correctAnswer) {
+    return invalid(SKIP_REASONS.MISSING_FIELD, 'Missing correct answer');
+  }
+  if (!options) {
+    return invalid(SKIP_REASONS.MISSING_FIELD, 'An option is empty while a later option is filled in');
+  }
+  // Rows without options are free-text questions, or numeric ones if every accepted answer is a number.
+  let type = declaredType;
+  if (!type) {
+    if (options.length > 0) {
+      type = QUESTION_TYPES.CHOICE;
+    } else {
+      type = isNumericAnswer(row.correctAnswer) ? QUESTION_TYPES.NUMBER : QUESTION_TYPES.TEXT;
+    }
+  }
+
+  if (type !== QUESTION_TYPES.CHOICE) {
+    // Free-text and numeric questions: the correct answer column lists the accepted answers.
+    const acceptedAnswers = parseAcceptedAnswers(row.correctAnswer, type);
+    if (!acceptedAnswers) {
+      return invalid(SKIP_REASONS.INVALID_ANSWER, `Accepted answers "${row.correctAnswer}" cannot be read for a ${type} question`);
+    }
+    return {
+      question: {
+        questionText: row.questionText.trim(),
+        options: [],
+        type,
+        correctAnswer: row.correctAnswer.trim(),
+        acceptedAnswers,
+        group,
+        explanation,
+        media,
+        timeLimit
+      }
+    };
+  }
+
+  if (options.length < MIN_OPTIONS) {
+    return invalid(SKIP_REASONS.MISSING_FIELD, `A choice question needs at least ${MIN_OPTIONS} options`);
+  }
+  // Standardize and validate the correct answer; every letter must name one of this
+  // row's options. Several letters (e.g. "A,C") make a "select all that apply" question.
+  const correct = parseAnswerLetters(row.correctAnswer);
+  if (correct.length === 0 || !correct.every(letter => OPTION_LETTERS.slice(0, options.length).includes(letter))) {
+    return invalid(SKIP_REASONS.INVALID_ANSWER,
+      `Correct answer "${row.correctAnswer}" is not one of the options ${OPTION_LETTERS[0]}-${OPTION_LETTERS[options.length - 1]}`);
+  }
+  return {
+    question: {
+      questionText: row.questionText.trim(),
+      options,
+      type,
+      correctAnswer: correct.join(','),
+      multiSelect: correct.length > 1,
+      group,
+      explanation,
+      media,
+      timeLimit
+    }
+  };
+}
+
+module.exports = {
+  parseQuestionRow
+};
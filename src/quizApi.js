@@ -0,0 +1,411 @@
+// src/quizApi.js
+//
+// This module defines the IPC API between the quiz window and the main process.
+// The window only talks to the main process through the functions listed here, each
+// with a fixed channel and checked arguments; the main process checks the same
+// arguments again before acting on them, since it cannot trust what it receives.
+// The preload script (preload.js) hands the API to the page as window.quizApi; the page
+// itself has no Node.js, so it reads and watches deck files only through these calls.
+// It performs the following tasks:
+//   - Names the IPC channels, including those on which the main process messages the window.
+//   - Checks the arguments of each call (answer attempts, deck paths, dropped deck files to
+//     confirm, deck files to read, watch or check for media, results reports, key bindings,
+//     import reports, recent decks, decks saved by the deck editor and exported decks).
+//   - Creates the API object used by the renderer on top of Electron's ipcRenderer.
+
+// IPC channels handled by the main process (see main.js).
+const IPC_CHANNELS = {
+  SELECT_CSV_FILE: 'select-csv-file',
+  CONFIRM_DROPPED_FILES: 'confirm-dropped-files',
+  READ_DECK_FILE: 'read-deck-file',
+  FIND_MISSING_MEDIA: 'find-missing-media',
+  WATCH_DECK_FILES: 'watch-deck-files',
+  RECORD_ATTEMPT: 'record-attempt',
+  GET_DECK_HISTORY: 'get-deck-history',
+  EXPORT_RESULTS: 'export-results',
+  GET_KEY_BINDINGS: 'get-key-bindings',
+  SAVE_KEY_BINDINGS: 'save-key-bindings',
+  EXPORT_IMPORT_REPORT: 'export-import-report',
+  GET_RECENT_DECKS: 'get-recent-decks',
+  RECORD_RECENT_DECK: 'record-recent-deck',
+  SET_REOPEN_LAST_DECK: 'set-reopen-last-deck',
+  SAVE_DECK: 'save-deck',
+  EXPORT_DECK: 'export-deck'
+};
+
+// Channels on which the main process sends messages to the window (e.g. from the File menu).
+const WINDOW_CHANNELS = {
+  OPEN_CSV_FILES: 'open-csv-files',
+  OPEN_RECENT_DECK: 'open-recent-deck',
+  RECENT_DECKS_CHANGED: 'recent-decks-changed',
+  OPEN_DECK_EDITOR: 'open-deck-editor',
+  EXPORT_DECK: 'export-deck',
+  EXPORT_RESULTS: 'export-results',
+  DECK_FILES_CHANGED: 'deck-files-changed'
+};
+
+/**
+ * isPlainObject
+ * -------------
+ * Checks whether a value is a plain object (not null, not an array).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * expect
+ * ------
+ * Throws a TypeError naming the argument if a check failed.
+ *
+ * @param {boolean} ok - The result of the check.
+ * @param {string} message - What the argument should have been.
+ * @throws {TypeError} If the check failed.
+ */
+function expect(ok, message) {
+  if (!ok) throw new TypeError(message);
+}
+
+/**
+ * validateDeckPath
+ * ----------------
+ * Checks a deck path.
+ *
+ * @param {*} deckPath - The path of a CSV file.
+ * @returns {string} The path.
+ * @throws {TypeError} If the path is not a non-empty string.
+ */
+function validateDeckPath(deckPath) {
+  expect(typeof deckPath === 'string' && deckPath.length > 0, 'deckPath must be a non-empty string');
+  return deckPath;
+}
+
+/**
+ * validateDeckPaths
+ * -----------------
+ * Checks a list of deck paths.
+ *
+ * @param {*} deckPaths - The paths of deck files; the list may be empty.
+ * @returns {Array<string>} The paths.
+ * @throws {TypeError} If it is not a list of non-empty strings.
+ */
+function validateDeckPaths(deckPaths) {
+  expect(Array.isArray(deckPaths) && deckPaths.every(deckPath => typeof deckPath === 'string' && deckPath.length > 0),
+    'deckPaths must be a list of non-empty strings');
+  return deckPaths;
+}
+
+/**
+ * validateDeckRead
+ * ----------------
+ * Checks a request to read a deck file: its path and the encoding to read it in.
+ *
+ * @param {*} request - The request, e.g. { filePath: "/decks/a.csv", encoding: "auto" }.
+ * @returns {Object} The request.
+ * @throws {TypeError} If the path or the encoding is not a non-empty string.
+ */
+function validateDeckRead(request) {
+  expect(isPlainObject(request), 'request must be an object');
+  expect(typeof request.filePath === 'string' && request.filePath.length > 0, 'request.filePath must be a non-empty string');
+  expect(typeof request.encoding === 'string' && request.encoding.length > 0, 'request.encoding must be a non-empty string');
+  return request;
+}
+
+/**
+ * validateMediaCheck
+ * ------------------
+ * Checks a request to find the missing media files of a deck file: the path of the deck
+ * file and the media references written in it.
+ *
+ * @param {*} request - The request, e.g. { deckPath: "/decks/a.csv", references: ["img/a.png"] }.
+ * @returns {Object} The request.
+ * @throws {TypeError} If the deck path is missing or the references are not strings.
+ */
+function validateMediaCheck(request) {
+  expect(isPlainObject(request), 'request must be an object');
+  validateDeckPath(request.deckPath);
+  expect(Array.isArray(request.references) && request.references.every(ref => typeof ref === 'string'),
+    'request.references must be a list of strings');
+  return request;
+}
+
+/**
+ * validateAttempt
+ * ---------------
+ * Checks an answer attempt sent to the answer history.
+ *
+ * @param {*} attempt - The attempt (see src/historyStore.js).
+ * @returns {Object} The attempt.
+ * @throws {TypeError} If the attempt does not have the expected fields.
+ */
+function validateAttempt(attempt) {
+  expect(isPlainObject(attempt), 'attempt must be an object');
+  validateDeckPath(attempt.deckPath);
+  expect(typeof attempt.questionKey === 'string' && attempt.questionKey.length > 0,
+    'attempt.questionKey must be a non-empty string');
+  expect(typeof attempt.correct === 'boolean', 'attempt.correct must be a boolean');
+  ['questionText', 'answer', 'timestamp'].forEach(field => {
+    expect(attempt[field] === undefined || attempt[field] === null || typeof attempt[field] === 'string',
+      `attempt.${field} must be a string`);
+  });
+  ['score', 'timeSpentMs'].forEach(field => {
+    expect(attempt[field] === undefined || attempt[field] === null || typeof attempt[field] === 'number',
+      `attempt.${field} must be a number`);
+  });
+  return attempt;
+}
+
+/**
+ * validateResultsReport
+ * ---------------------
+ * Checks a results report sent for export.
+ *
+ * @param {*} report - The report (see buildResultsReport in src/resultsExport.js).
+ * @returns {Object} The report.
+ * @throws {TypeError} If the report does not have a summary and a list of questions.
+ */
+function validateResultsReport(report) {
+  expect(isPlainObject(report), 'report must be an object');
+  expect(isPlainObject(report.summary), 'report.summary must be an object');
+  expect(Array.isArray(report.summary.groups), 'report.summary.groups must be an array');
+  expect(Array.isArray(report.questions) && report.questions.every(isPlainObject),
+    'report.questions must be an array of objects');
+  return report;
+}
+
+/**
+ * validateKeyBindings
+ * -------------------
+ * Checks key bindings sent to be stored.
+ *
+ * @param {*} bindings - The bindings, mapping action names to lists of keys.
+ * @returns {Object} The bindings.
+ * @throws {TypeError} If the bindings are not lists of strings.
+ */
+function validateKeyBindings(bindings) {
+  expect(isPlainObject(bindings), 'bindings must be an object');
+  Object.keys(bindings).forEach(action => {
+    expect(Array.isArray(bindings[action]) && bindings[action].every(key => typeof key === 'string'),
+      `bindings.${action} must be a list of keys`);
+  });
+  return bindings;
+}
+
+/**
+ * validateImportReport
+ * --------------------
+ * Checks an import report sent for export.
+ *
+ * @param {*} report - The report (see src/importReport.js).
+ * @returns {Object} The report.
+ * @throws {TypeError} If the report does not have a list of skipped rows.
+ */
+function validateImportReport(report) {
+  expect(isPlainObject(report), 'report must be an object');
+  expect(Array.isArray(report.skipped) && report.skipped.every(isPlainObject),
+    'report.skipped must be an array of objects');
+  report.skipped.forEach(entry => {
+    expect(entry.line === null || Number.isInteger(entry.line), 'report.skipped[].line must be a line number');
+    ['file', 'reason', 'message', 'raw'].forEach(field => {
+      expect(typeof entry[field] === 'string', `report.skipped[].${field} must be a string`);
+    });
+  });
+  return report;
+}
+
+/**
+ * validateRecentDeck
+ * ------------------
+ * Checks a deck for the recent decks list.
+ *
+ * @param {*} deck - The deck, with the paths of its CSV files and the selected group.
+ * @returns {Object} The deck.
+ * @throws {TypeError} If the deck has no paths or the group is not a string.
+ */
+function validateRecentDeck(deck) {
+  expect(isPlainObject(deck), 'deck must be an object');
+  expect(Array.isArray(deck.paths) && deck.paths.length > 0 &&
+    deck.paths.every(filePath => typeof filePath === 'string' && filePath.length > 0),
+  'deck.paths must be a non-empty list of paths');
+  expect(deck.group === undefined || typeof deck.group === 'string', 'deck.group must be a string');
+  return deck;
+}
+
+/**
+ * validateReopenLast
+ * ------------------
+ * Checks the "reopen last deck on startup" setting.
+ *
+ * @param {*} reopenLast - The setting.
+ * @returns {boolean} The setting.
+ * @throws {TypeError} If the setting is not a boolean.
+ */
+function validateReopenLast(reopenLast) {
+  expect(typeof reopenLast === 'boolean', 'reopenLast must be a boolean');
+  return reopenLast;
+}
+
+/**
+ * validateRecentDeckList
+ * ----------------------
+ * Checks a recent decks list sent by the main process.
+ *
+ * @param {*} recent - The list (see src/recentDecks.js).
+ * @returns {Object} The list.
+ * @throws {TypeError} If the list does not hold valid decks.
+ */
+function validateRecentDeckList(recent) {
+  expect(isPlainObject(recent) && Array.isArray(recent.decks), 'recent decks must be an object with a list of decks');
+  recent.decks.forEach(validateRecentDeck);
+  return recent;
+}
+
+/**
+ * validateDeckFileName
+ * --------------------
+ * Checks the file name suggested in the dialog that saves a deck from the deck editor.
+ * It must be a plain file name, so the renderer cannot pick the directory.
+ *
+ * @param {*} fileName - The file name, e.g. "chapter1.csv".
+ * @returns {string} The file name.
+ * @throws {TypeError} If it is not a non-empty file name without a directory.
+ */
+function validateDeckFileName(fileName) {
+  expect(typeof fileName === 'string' && fileName.length > 0 && !/[\\/]/.test(fileName) && fileName !== '..',
+    'fileName must be a file name without a directory');
+  return fileName;
+}
+
+/**
+ * validateDeckSave
+ * ----------------
+ * Checks a deck saved from the deck editor: the text of the CSV file, its encoding, the
+ * file it was read from (null for a new deck, or to choose another file) and the file
+ * name suggested in the save dialog.
+ *
+ * @param {*} deck - The deck, e.g. { text, encoding: "utf-8", filePath: null, fileName: "new-deck.csv" }.
+ * @returns {Object} The deck.
+ * @throws {TypeError} If a field is missing or has the wrong type.
+ */
+function validateDeckSave(deck) {
+  expect(isPlainObject(deck), 'deck must be an object');
+  expect(typeof deck.text === 'string', 'deck.text must be a string');
+  expect(typeof deck.encoding === 'string' && deck.encoding.length > 0, 'deck.encoding must be a non-empty string');
+  expect(deck.filePath === null || (typeof deck.filePath === 'string' && deck.filePath.length > 0),
+    'deck.filePath must be null or a non-empty string');
+  validateDeckFileName(deck.fileName);
+  return deck;
+}
+
+/**
+ * validateDeckExport
+ * ------------------
+ * Checks a deck sent for export.
+ *
+ * @param {*} deck - The deck (see buildDeckExport in src/deckExport.js).
+ * @returns {Object} The deck.
+ * @throws {TypeError} If the deck does not have a list of questions with their text,
+ *   options and correct answer.
+ */
+function validateDeckExport(deck) {
+  expect(isPlainObject(deck), 'deck must be an object');
+  expect(Array.isArray(deck.questions) && deck.questions.every(isPlainObject),
+    'deck.questions must be an array of objects');
+  deck.questions.forEach(question => {
+    ['questionText', 'correctAnswer', 'group', 'explanation'].forEach(field => {
+      expect(typeof question[field] === 'string', `deck.questions[].${field} must be a string`);
+    });
+    expect(Array.isArray(question.options) && question.options.every(option => typeof option === 'string'),
+      'deck.questions[].options must be a list of strings');
+  });
+  return deck;
+}
+
+/**
+ * createQuizApi
+ * -------------
+ * Creates the API the renderer uses to reach the main process. Every function checks
+ * its arguments and returns a promise; invalid arguments reject with a TypeError
+ * without reaching the main process. The on... functions subscribe to messages from the
+ * main process; messages whose content fails the checks are logged and dropped.
+ *
+ * @param {Object} ipcRenderer - Electron's ipcRenderer (or a stand-in with invoke and on).
+ * @returns {Object} The frozen API: selectCsvFile, confirmDroppedFiles, readDeckFile,
+ *   findMissingMedia, watchDeckFiles, recordAttempt, getDeckHistory, exportResults,
+ *   getKeyBindings, saveKeyBindings, exportImportReport, getRecentDecks, recordRecentDeck,
+ *   setReopenLastDeck, saveDeck, exportDeck, onOpenCsvFiles, onOpenRecentDeck, onRecentDecksChanged,
+ *   onOpenDeckEditor, onExportDeck, onExportResults and onDeckFilesChanged.
+ */
+function createQuizApi(ipcRenderer) {
+  const invoke = (channel, validate, value) => {
+    try {
+      if (validate) validate(value);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return Promise.resolve(validate ? ipcRenderer.invoke(channel, value) : ipcRenderer.invoke(channel));
+  };
+  // Subscribes to a window channel; returns a function that ends the subscription.
+  const listen = (channel, validate, callback) => {
+    if (typeof ipcRenderer.on !== 'function') return () => {};
+    const listener = (event, value) => {
+      try {
+        if (validate) validate(value);
+      } catch (err) {
+        console.error(`Ignored invalid message on ${channel}:`, err.message);
+        return;
+      }
+      callback(value);
+    };
+    ipcRenderer.on(channel, listener);
+    return () => ipcRenderer.removeListener(channel, listener);
+  };
+  return Object.freeze({
+    selectCsvFile: () => invoke(IPC_CHANNELS.SELECT_CSV_FILE),
+    confirmDroppedFiles: deckPaths => invoke(IPC_CHANNELS.CONFIRM_DROPPED_FILES, validateDeckPaths, deckPaths),
+    readDeckFile: request => invoke(IPC_CHANNELS.READ_DECK_FILE, validateDeckRead, request),
+    findMissingMedia: request => invoke(IPC_CHANNELS.FIND_MISSING_MEDIA, validateMediaCheck, request),
+    watchDeckFiles: deckPaths => invoke(IPC_CHANNELS.WATCH_DECK_FILES, validateDeckPaths, deckPaths),
+    recordAttempt: attempt => invoke(IPC_CHANNELS.RECORD_ATTEMPT, validateAttempt, attempt),
+    getDeckHistory: deckPath => invoke(IPC_CHANNELS.GET_DECK_HISTORY, validateDeckPath, deckPath),
+    exportResults: report => invoke(IPC_CHANNELS.EXPORT_RESULTS, validateResultsReport, report),
+    getKeyBindings: () => invoke(IPC_CHANNELS.GET_KEY_BINDINGS),
+    saveKeyBindings: bindings => invoke(IPC_CHANNELS.SAVE_KEY_BINDINGS, validateKeyBindings, bindings),
+    exportImportReport: report => invoke(IPC_CHANNELS.EXPORT_IMPORT_REPORT, validateImportReport, report),
+    getRecentDecks: () => invoke(IPC_CHANNELS.GET_RECENT_DECKS),
+    recordRecentDeck: deck => invoke(IPC_CHANNELS.RECORD_RECENT_DECK, validateRecentDeck, deck),
+    setReopenLastDeck: reopenLast => invoke(IPC_CHANNELS.SET_REOPEN_LAST_DECK, validateReopenLast, reopenLast),
+    saveDeck: deck => invoke(IPC_CHANNELS.SAVE_DECK, validateDeckSave, deck),
+    exportDeck: deck => invoke(IPC_CHANNELS.EXPORT_DECK, validateDeckExport, deck),
+    onOpenCsvFiles: callback => listen(WINDOW_CHANNELS.OPEN_CSV_FILES, null, callback),
+    onOpenRecentDeck: callback => listen(WINDOW_CHANNELS.OPEN_RECENT_DECK, validateRecentDeck, callback),
+    onRecentDecksChanged: callback => listen(WINDOW_CHANNELS.RECENT_DECKS_CHANGED, validateRecentDeckList, callback),
+    onOpenDeckEditor: callback => listen(WINDOW_CHANNELS.OPEN_DECK_EDITOR, null, callback),
+    onExportDeck: callback => listen(WINDOW_CHANNELS.EXPORT_DECK, null, callback),
+    onExportResults: callback => listen(WINDOW_CHANNELS.EXPORT_RESULTS, null, callback),
+    onDeckFilesChanged: callback => listen(WINDOW_CHANNELS.DECK_FILES_CHANGED, validateDeckPaths, callback)
+  });
+}
+
+module.exports = {
+  IPC_CHANNELS,
+  WINDOW_CHANNELS,
+  validateDeckPath,
+  validateDeckPaths,
+  validateDeckRead,
+  validateMediaCheck,
+  validateAttempt,
+  validateResultsReport,
+  validateKeyBindings,
+  validateImportReport,
+  validateRecentDeck,
+  validateRecentDeckList,
+  validateReopenLast,
+  validateDeckFileName,
+  validateDeckSave,
+  validateDeckExport,
+  createQuizApi
+};
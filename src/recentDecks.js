@@ -0,0 +1,198 @@
+// src/recentDecks.js
+//
+// This module keeps the list of recently opened decks in a JSON file under the
+// Electron userData directory, so a deck can be opened again without the file
+// dialog. It runs in the main process.
+// It performs the following tasks:
+//   - Reads the list, starting from an empty list if it is missing or unreadable.
+//   - Moves a deck to the top of the list when it is opened, with the group that
+//     was selected, and keeps the list short.
+//   - Drops the files that no longer exist, and the decks left without files.
+//   - Stores whether the last deck is opened again when the app starts.
+//
+// The file has the following shape:
+//   {
+//     "version": 1,
+//     "reopenLast": true,
+//     "decks": [
+//       { "paths": ["/decks/chapter1.csv", "/decks/chapter2.csv"], "group": "Math", "openedAt": "..." }
+//     ]
+//   }
+// A deck merged from several CSV files (see loadQuestions in renderer.js) is one entry.
+
+const fs = require('fs');     // File system module used to read and write the list.
+const path = require('path'); // Module for handling file paths.
+
+// Version of the recent decks file format.
+const RECENT_DECKS_VERSION = 1;
+
+// File name of the recent decks list inside the userData directory.
+const RECENT_DECKS_FILE_NAME = 'recent-decks.json';
+
+// Number of decks kept in the list.
+const MAX_RECENT_DECKS = 10;
+
+/**
+ * emptyRecentDecks
+ * ----------------
+ * Returns a new, empty list.
+ *
+ * @returns {Object} The empty list.
+ */
+function emptyRecentDecks() {
+  return { version: RECENT_DECKS_VERSION, reopenLast: false, decks: [] };
+}
+
+/**
+ * sameFiles
+ * ---------
+ * Checks whether two decks consist of the same files, in the same order.
+ *
+ * @param {Array<string>} a - The paths of one deck.
+ * @param {Array<string>} b - The paths of the other deck.
+ * @returns {boolean} True if the paths are equal.
+ */
+function sameFiles(a, b) {
+  return a.length === b.length && a.every((filePath, i) => filePath === b[i]);
+}
+
+/**
+ * normalizeDeck
+ * -------------
+ * Cleans up one entry of the list.
+ *
+ * @param {*} deck - The entry as read from the file.
+ * @returns {Object|null} The entry with paths, group and openedAt, or null if it has no paths.
+ */
+function normalizeDeck(deck) {
+  if (!deck || typeof deck !== 'object' || !Array.isArray(deck.paths)) return null;
+  const paths = deck.paths.filter(filePath => typeof filePath === 'string' && filePath.length > 0);
+  if (paths.length === 0) return null;
+  return {
+    paths,
+    group: typeof deck.group === 'string' && deck.group ? deck.group : 'All',
+    openedAt: typeof deck.openedAt === 'string' ? deck.openedAt : null
+  };
+}
+
+/**
+ * readRecentDecks
+ * ---------------
+ * Reads the recent decks file.
+ *
+ * A missing file yields an empty list. A file that cannot be parsed is logged and
+ * also yields an empty list, so a damaged file never prevents the app from starting.
+ *
+ * @param {string} storePath - The path of the recent decks file.
+ * @returns {Object} The list: { version, reopenLast, decks }.
+ */
+function readRecentDecks(storePath) {
+  let content;
+  try {
+    content = fs.readFileSync(storePath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error("Error reading recent decks:", err);
+    return emptyRecentDecks();
+  }
+  try {
+    const parsed = JSON.parse(content);
+    if (!parsed || !Array.isArray(parsed.decks)) {
+      throw new Error('Missing "decks" list');
+    }
+    return {
+      version: RECENT_DECKS_VERSION,
+      reopenLast: parsed.reopenLast === true,
+      decks: parsed.decks.map(normalizeDeck).filter(Boolean).slice(0, MAX_RECENT_DECKS)
+    };
+  } catch (err) {
+    console.error("Recent decks file is damaged; starting a new list:", err.message);
+    return emptyRecentDecks();
+  }
+}
+
+/**
+ * writeRecentDecks
+ * ----------------
+ * Writes the recent decks file, creating its directory if needed.
+ *
+ * @param {string} storePath - The path of the recent decks file.
+ * @param {Object} recent - The list to write.
+ * @returns {Object} The list as written.
+ */
+function writeRecentDecks(storePath, recent) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, JSON.stringify(recent, null, 2), 'utf8');
+  return recent;
+}
+
+/**
+ * pruneRecentDecks
+ * ----------------
+ * Removes the files that no longer exist from the list; a deck none of whose files
+ * exist is removed altogether.
+ *
+ * @param {Object} recent - The list.
+ * @param {Function} [exists=fs.existsSync] - Checks whether a file exists.
+ * @returns {{recent: Object, pruned: Array<string>}} The cleaned-up list and the paths
+ *   that were removed.
+ */
+function pruneRecentDecks(recent, exists = fs.existsSync) {
+  const pruned = [];
+  const decks = [];
+  recent.decks.forEach(deck => {
+    const paths = deck.paths.filter(filePath => {
+      if (exists(filePath)) return true;
+      if (!pruned.includes(filePath)) pruned.push(filePath);
+      return false;
+    });
+    // Two decks can become the same once their missing files are gone.
+    if (paths.length > 0 && !decks.some(other => sameFiles(other.paths, paths))) {
+      decks.push(Object.assign({}, deck, { paths }));
+    }
+  });
+  return { recent: Object.assign({}, recent, { decks }), pruned };
+}
+
+/**
+ * addRecentDeck
+ * -------------
+ * Puts a deck at the top of the list, replacing an earlier entry with the same files,
+ * and drops the oldest decks beyond MAX_RECENT_DECKS.
+ *
+ * @param {Object} recent - The list.
+ * @param {Object} deck - The deck that was opened.
+ * @param {Array<string>} deck.paths - The absolute paths of its CSV files.
+ * @param {string} [deck.group='All'] - The group selected in the group filter.
+ * @param {Date} [openedAt=new Date()] - When the deck was opened.
+ * @returns {Object} The updated list.
+ */
+function addRecentDeck(recent, deck, openedAt = new Date()) {
+  const entry = normalizeDeck(Object.assign({}, deck, { openedAt: openedAt.toISOString() }));
+  if (!entry) return recent;
+  const others = recent.decks.filter(other => !sameFiles(other.paths, entry.paths));
+  return Object.assign({}, recent, { decks: [entry].concat(others).slice(0, MAX_RECENT_DECKS) });
+}
+
+/**
+ * describeDeck
+ * ------------
+ * Names a deck for menus and lists: the file name, or the first file name and the
+ * number of other files for a merged deck.
+ *
+ * @param {Object} deck - An entry of the list.
+ * @returns {string} The name, e.g. "chapter1.csv" or "chapter1.csv + 2 more".
+ */
+function describeDeck(deck) {
+  const first = path.basename(deck.paths[0]);
+  return deck.paths.length > 1 ? `${first} + ${deck.paths.length - 1} more` : first;
+}
+
+module.exports = {
+  RECENT_DECKS_FILE_NAME,
+  MAX_RECENT_DECKS,
+  readRecentDecks,
+  writeRecentDecks,
+  pruneRecentDecks,
+  addRecentDeck,
+  describeDeck
+};
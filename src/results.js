@@ -0,0 +1,156 @@
+// src/results.js
+//
+// This module summarizes the results of a quiz round for the results view.
+// It performs the following tasks:
+//   - Adds up the score, the number of correct answers and the percentage.
+//   - Breaks the results down per group.
+//   - Lists the questions that were missed, with their position in the round.
+//   - Describes given and correct answers in words, e.g. "B) Paris".
+//   - Formats durations such as the elapsed time as MM:SS (or H:MM:SS).
+
+const { OPTION_LETTERS } = require('./columnMapping'); // Option letters A to H.
+const { parseAnswerLetters } = require('./scoring'); // Answer letter parsing.
+const { QUESTION_TYPES, describeAcceptedAnswers } = require('./answerMatching'); // Typed answers.
+
+/**
+ * percentage
+ * ----------
+ * Computes a rounded percentage.
+ *
+ * @param {number} part - The points earned.
+ * @param {number} whole - The maximum points.
+ * @returns {number} The percentage rounded to a whole number (0 when whole is 0).
+ */
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+/**
+ * summarizeResults
+ * ----------------
+ * Summarizes the answered questions of a round.
+ *
+ * Each question is worth one point; partially correct answers earn their fraction of
+ * the point (the question's score), and only fully correct answers count as correct.
+ * Groups are listed in the order they first appear.
+ *
+ * @param {Array<Object>} questionList - The questions of the round, in order.
+ * @param {number} elapsedSeconds - The time the round took.
+ * @returns {{total: number, answered: number, correct: number, points: number, percentage: number,
+ *   elapsedSeconds: number, groups: Array<Object>, missed: Array<{index: number, question: Object}>}}
+ *   The summary. Each group entry has group, total, correct, points and percentage.
+ */
+function summarizeResults(questionList, elapsedSeconds) {
+  const summary = {
+    total: questionList.length,
+    answered: 0,
+    correct: 0,
+    points: 0,
+    percentage: 0,
+    elapsedSeconds: elapsedSeconds || 0,
+    groups: [],
+    missed: []
+  };
+  const groups = new Map();
+  questionList.forEach((question, index) => {
+    const groupName = question.group || 'All';
+    if (!groups.has(groupName)) {
+      groups.set(groupName, { group: groupName, total: 0, correct: 0, points: 0, percentage: 0 });
+    }
+    const group = groups.get(groupName);
+    const points = Number(question.score) || 0;
+    group.total++;
+    group.points += points;
+    summary.points += points;
+    if (question.userAnswered) summary.answered++;
+    if (question.answeredCorrectly) {
+      group.correct++;
+      summary.correct++;
+    } else {
+      summary.missed.push({ index, question });
+    }
+  });
+  summary.percentage = percentage(summary.points, summary.total);
+  summary.groups = Array.from(groups.values());
+  summary.groups.forEach(group => { group.percentage = percentage(group.points, group.total); });
+  return summary;
+}
+
+/**
+ * formatDuration
+ * --------------
+ * Formats a duration in seconds as MM:SS, or H:MM:SS from one hour on.
+ *
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} The formatted duration, e.g. "04:05" or "1:02:03".
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const mins = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${mins}:${secs}` : `${mins}:${secs}`;
+}
+
+/**
+ * isTypedQuestion
+ * ---------------
+ * Checks whether a question is answered by typing rather than by picking options.
+ *
+ * @param {Object} question - The question to check.
+ * @returns {boolean} True for free-text and numeric questions.
+ */
+function isTypedQuestion(question) {
+  return question.type === QUESTION_TYPES.TEXT || question.type === QUESTION_TYPES.NUMBER;
+}
+
+/**
+ * describeLetters
+ * ---------------
+ * Describes option letters together with the option text, e.g. "A) 2, C) 4".
+ *
+ * @param {Object} question - The question the letters belong to.
+ * @param {string} answer - The letters, e.g. "A,C".
+ * @returns {string} The description.
+ */
+function describeLetters(question, answer) {
+  return parseAnswerLetters(answer)
+    .map(letter => `${letter}) ${question.options[OPTION_LETTERS.indexOf(letter)]}`)
+    .join(', ');
+}
+
+/**
+ * describeGivenAnswer
+ * -------------------
+ * Describes the answer given to a question, e.g. "C) Berlin", the typed text, or
+ * "No answer" for a question left unanswered.
+ *
+ * @param {Object} question - The answered question.
+ * @returns {string} The description.
+ */
+function describeGivenAnswer(question) {
+  if (!question.userAnswer) return 'No answer';
+  if (isTypedQuestion(question)) return question.userAnswer;
+  return describeLetters(question, question.userAnswer);
+}
+
+/**
+ * describeCorrectAnswer
+ * ---------------------
+ * Describes the correct answer of a question, e.g. "B) Paris" or "A) 2, C) 4" for
+ * choice questions, and the accepted answers for typed questions.
+ *
+ * @param {Object} question - The question.
+ * @returns {string} The description.
+ */
+function describeCorrectAnswer(question) {
+  if (isTypedQuestion(question)) return describeAcceptedAnswers(question.acceptedAnswers);
+  return describeLetters(question, question.correctAnswer);
+}
+
+module.exports = {
+  summarizeResults,
+  formatDuration,
+  describeGivenAnswer,
+  describeCorrectAnswer
+};
@@ -0,0 +1,291 @@
+// src/resultsExport.js
+//
+// This module exports the results of a quiz session to a file, so they can be kept,
+// shared or printed. The renderer builds the report; the main process writes it.
+// It performs the following tasks:
+//   - Builds a plain, serializable report from the answered questions: per question the
+//     given answer, the correct answer, whether it was correct, the score and the time
+//     spent, plus the totals per group and for the whole session.
+//   - Formats the report as CSV, as JSON or as a standalone, printable HTML page.
+//   - Picks the format from the file extension and writes the report to disk.
+
+const fs = require('fs'); // File system module used to write the report.
+const path = require('path'); // Module for handling file paths.
+const {
+  summarizeResults,
+  formatDuration,
+  describeGivenAnswer,
+  describeCorrectAnswer
+} = require('./results'); // Results summary and answer descriptions.
+const { spreadsheetRow } = require('./csvFormat'); // CSV quoting for spreadsheets.
+
+// Supported export formats, keyed by name; the values are the file extensions.
+const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  HTML: 'html'
+};
+
+// File filters for the save dialog, one per export format.
+const EXPORT_FILTERS = [
+  { name: 'CSV Files', extensions: ['csv'] },
+  { name: 'JSON Files', extensions: ['json'] },
+  { name: 'HTML Report', extensions: ['html', 'htm'] }
+];
+
+// Column headers of the per-question section of the CSV export.
+const CSV_QUESTION_HEADERS = [
+  'Number', 'Group', 'Question', 'Type', 'Answer', 'Correct Answer', 'Correct', 'Score', 'Time (s)'
+];
+
+// Column headers of the group totals section of the CSV export.
+const CSV_GROUP_HEADERS = ['Group', 'Questions', 'Correct', 'Points', 'Percentage'];
+
+/**
+ * formatFromPath
+ * --------------
+ * Picks the export format from the extension of a file path.
+ *
+ * @param {string} filePath - The path chosen in the save dialog.
+ * @returns {string|null} One of the EXPORT_FORMATS values, or null for other extensions.
+ */
+function formatFromPath(filePath) {
+  const extension = path.extname(String(filePath || '')).slice(1).toLowerCase();
+  if (extension === 'htm') return EXPORT_FORMATS.HTML;
+  return Object.values(EXPORT_FORMATS).includes(extension) ? extension : null;
+}
+
+/**
+ * roundSeconds
+ * ------------
+ * Converts milliseconds to seconds with one decimal.
+ *
+ * @param {number} ms - The time in milliseconds.
+ * @returns {number|null} The time in seconds, or null if no time was recorded.
+ */
+function roundSeconds(ms) {
+  if (typeof ms !== 'number' || Number.isNaN(ms)) return null;
+  return Math.round(ms / 100) / 10;
+}
+
+/**
+ * buildResultsReport
+ * ------------------
+ * Builds the report of a session from its questions.
+ *
+ * @param {Array<Object>} questionList - The questions of the session, in order.
+ * @param {Object} [options] - Details of the session.
+ * @param {string} [options.deckPath] - The path of the CSV file the questions came from.
+ * @param {number} [options.elapsedSeconds] - The time the session took.
+ * @param {Date} [options.exportedAt=new Date()] - The time of the export.
+ * @returns {Object} The report with deck, exportedAt, summary (totals, elapsed time and
+ *   groups) and questions (number, group, question, type, answer, correctAnswer, correct,
+ *   score and timeSeconds).
+ */
+function buildResultsReport(questionList, options = {}) {
+  const summary = summarizeResults(questionList, options.elapsedSeconds);
+  const exportedAt = options.exportedAt || new Date();
+  return {
+    deck: options.deckPath ? path.basename(options.deckPath) : '',
+    exportedAt: exportedAt.toISOString(),
+    summary: {
+      total: summary.total,
+      answered: summary.answered,
+      correct: summary.correct,
+      points: Math.round(summary.points * 100) / 100,
+      percentage: summary.percentage,
+      elapsedSeconds: summary.elapsedSeconds,
+      groups: summary.groups.map(group => ({
+        group: group.group,
+        total: group.total,
+        correct: group.correct,
+        points: Math.round(group.points * 100) / 100,
+        percentage: group.percentage
+      }))
+    },
+    questions: questionList.map((question, index) => ({
+      number: index + 1,
+      group: question.group || '',
+      question: question.questionText,
+      type: question.type || 'choice',
+      answer: question.userAnswered ? describeGivenAnswer(question) : 'No answer',
+      correctAnswer: describeCorrectAnswer(question),
+      correct: !!question.answeredCorrectly,
+      score: Math.round((Number(question.score) || 0) * 100) / 100,
+      timeSeconds: roundSeconds(question.timeSpentMs)
+    }))
+  };
+}
+
+/**
+ * formatResultsCsv
+ * ----------------
+ * Formats a report as CSV: one row per question, an empty line, then the totals per
+ * group and a final "Total" row.
+ *
+ * @param {Object} report - The report built by buildResultsReport.
+ * @returns {string} The CSV text.
+ */
+function formatResultsCsv(report) {
+  const lines = [spreadsheetRow(CSV_QUESTION_HEADERS)];
+  report.questions.forEach(q => {
+    lines.push(spreadsheetRow([
+      q.number, q.group, q.question, q.type, q.answer, q.correctAnswer,
+      q.correct ? 'yes' : 'no', q.score, q.timeSeconds
+    ]));
+  });
+  lines.push('');
+  lines.push(spreadsheetRow(CSV_GROUP_HEADERS));
+  report.summary.groups.forEach(g => {
+    lines.push(spreadsheetRow([g.group, g.total, g.correct, g.points, `${g.percentage}%`]));
+  });
+  const s = report.summary;
+  lines.push(spreadsheetRow(['Total', s.total, s.correct, s.points, `${s.percentage}%`]));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * formatResultsJson
+ * -----------------
+ * Formats a report as indented JSON.
+ *
+ * @param {Object} report - The report built by buildResultsReport.
+ * @returns {string} The JSON text.
+ */
+function formatResultsJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+/**
+ * escapeHtml
+ * ----------
+ * Escapes text for use in HTML, so question text from a CSV file is shown as text.
+ *
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Inline style sheet of the HTML report; it has no external files so it can be mailed or printed.
+const HTML_REPORT_STYLE = `
+  body { font-family: Arial, sans-serif; margin: 2em; color: #222; }
+  h1 { margin-bottom: 0.2em; }
+  .meta { color: #666; margin-top: 0; }
+  .stats { font-size: 1.1em; }
+  table { border-collapse: collapse; width: 100%; margin: 1em 0 2em; }
+  th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f0f0f0; }
+  tr.correct td.result { color: #2e7d32; }
+  tr.incorrect td.result { color: #c62828; }
+  td.number { text-align: right; }
+  @media print {
+    body { margin: 0; }
+    tr { page-break-inside: avoid; }
+  }
+`;
+
+/**
+ * formatResultsHtml
+ * -----------------
+ * Formats a report as a standalone HTML page with an inline style sheet, ready to be
+ * opened in a browser and printed.
+ *
+ * @param {Object} report - The report built by buildResultsReport.
+ * @returns {string} The HTML text.
+ */
+function formatResultsHtml(report) {
+  const s = report.summary;
+  const title = report.deck ? `Quiz Results: ${report.deck}` : 'Quiz Results';
+  const groupRows = s.groups.map(g => `
+      <tr><td>${escapeHtml(g.group)}</td><td class="number">${g.correct} / ${g.total}</td>` +
+    `<td class="number">${g.points}</td><td class="number">${g.percentage}%</td></tr>`).join('');
+  const questionRows = report.questions.map(q => `
+      <tr class="${q.correct ? 'correct' : 'incorrect'}">` +
+    `<td class="number">${q.number}</td><td>${escapeHtml(q.group)}</td><td>${escapeHtml(q.question)}</td>` +
+    `<td>${escapeHtml(q.answer)}</td><td>${escapeHtml(q.correctAnswer)}</td>` +
+    `<td class="result">${q.correct ? 'Correct' : 'Incorrect'}</td><td class="number">${q.score}</td>` +
+    `<td class="number">${q.timeSeconds === null ? '' : q.timeSeconds}</td></tr>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${HTML_REPORT_STYLE}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">Exported ${escapeHtml(report.exportedAt)}</p>
+  <p class="stats">Score: ${s.points} / ${s.total} (${s.percentage}%) &middot; ` +
+    `${s.correct} of ${s.total} correct &middot; Time: ${formatDuration(s.elapsedSeconds)}</p>
+  <h2>Groups</h2>
+  <table>
+    <thead><tr><th>Group</th><th>Correct</th><th>Points</th><th>Percentage</th></tr></thead>
+    <tbody>${groupRows}
+    </tbody>
+  </table>
+  <h2>Questions</h2>
+  <table>
+    <thead><tr><th>#</th><th>Group</th><th>Question</th><th>Your answer</th><th>Correct answer</th>` +
+    `<th>Result</th><th>Score</th><th>Time (s)</th></tr></thead>
+    <tbody>${questionRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * formatResultsReport
+ * -------------------
+ * Formats a report in the given format.
+ *
+ * @param {Object} report - The report built by buildResultsReport.
+ * @param {string} format - One of the EXPORT_FORMATS values.
+ * @returns {string} The formatted report.
+ * @throws {Error} If the format is not supported.
+ */
+function formatResultsReport(report, format) {
+  switch (format) {
+    case EXPORT_FORMATS.CSV: return formatResultsCsv(report);
+    case EXPORT_FORMATS.JSON: return formatResultsJson(report);
+    case EXPORT_FORMATS.HTML: return formatResultsHtml(report);
+    default: throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+/**
+ * writeResultsReport
+ * ------------------
+ * Writes a report to a file, in the format given by the file extension (CSV when the
+ * extension is not recognized).
+ *
+ * @param {string} filePath - The path of the file to write.
+ * @param {Object} report - The report built by buildResultsReport.
+ * @returns {{filePath: string, format: string}} The path written and the format used.
+ */
+function writeResultsReport(filePath, report) {
+  const format = formatFromPath(filePath) || EXPORT_FORMATS.CSV;
+  fs.writeFileSync(filePath, formatResultsReport(report, format), 'utf8');
+  return { filePath, format };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FILTERS,
+  formatFromPath,
+  buildResultsReport,
+  escapeHtml,
+  formatResultsCsv,
+  formatResultsJson,
+  formatResultsHtml,
+  formatResultsReport,
+  writeResultsReport
+};
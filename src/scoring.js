@@ -0,0 +1,70 @@
+// src/scoring.js
+//
+// This module scores an answer against a question's correct answer.
+// It performs the following tasks:
+//   - Parses answer values such as "B" or "A,C" into lists of option letters.
+//   - Scores single-answer and "select all that apply" questions.
+//   - Supports all-or-nothing and partial credit scoring for multiple-answer questions.
+//   - Reports which correct options were missed and which picks were wrong,
+//     so the renderer can highlight them differently.
+
+// -----------------------------------------------------------------------------
+// Scoring modes
+//
+// ALL_OR_NOTHING - A question scores 1 only if exactly the correct options were picked.
+// PARTIAL        - Each correct pick earns an equal share of the point and each wrong
+//                  pick takes one share away; the score never drops below 0.
+// -----------------------------------------------------------------------------
+const SCORING_MODES = {
+  ALL_OR_NOTHING: 'all-or-nothing',
+  PARTIAL: 'partial'
+};
+
+/**
+ * parseAnswerLetters
+ * ------------------
+ * Converts an answer value into a sorted list of unique, upper-case option letters.
+ *
+ * Letters may be separated by commas, semicolons, slashes, pipes or spaces
+ * ("A,C", "a; c", "A C"). An array of letters is accepted as well.
+ *
+ * @param {string|Array<string>} value - The answer value.
+ * @returns {Array<string>} The option letters, e.g. ['A', 'C'].
+ */
+function parseAnswerLetters(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,;/|]+/);
+  const letters = parts
+    .map(part => String(part).trim().toUpperCase())
+    .filter(part => part.length > 0);
+  return Array.from(new Set(letters)).sort();
+}
+
+/**
+ * scoreAnswer
+ * -----------
+ * Scores the selected option letters against the correct ones.
+ *
+ * @param {Array<string>} selected - The letters the user picked.
+ * @param {Array<string>} correct - The letters of the correct options.
+ * @param {string} [mode=SCORING_MODES.ALL_OR_NOTHING] - One of SCORING_MODES.
+ * @returns {{score: number, isCorrect: boolean, missed: Array<string>, wrong: Array<string>}}
+ *   The score between 0 and 1, whether the answer is fully correct, the correct
+ *   letters that were not picked, and the picked letters that are not correct.
+ */
+function scoreAnswer(selected, correct, mode = SCORING_MODES.ALL_OR_NOTHING) {
+  const missed = correct.filter(letter => !selected.includes(letter));
+  const wrong = selected.filter(letter => !correct.includes(letter));
+  const isCorrect = correct.length > 0 && missed.length === 0 && wrong.length === 0;
+  let score = isCorrect ? 1 : 0;
+  if (mode === SCORING_MODES.PARTIAL && correct.length > 0) {
+    const hits = correct.length - missed.length;
+    score = Math.max(0, (hits - wrong.length) / correct.length);
+  }
+  return { score, isCorrect, missed, wrong };
+}
+
+module.exports = {
+  SCORING_MODES,
+  parseAnswerLetters,
+  scoreAnswer
+};
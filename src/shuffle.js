@@ -0,0 +1,143 @@
+// src/shuffle.js
+//
+// This module shuffles the question order and the answer options with a seeded
+// random number generator, so the same seed always gives the same randomized quiz
+// (for example, an instructor can hand out one seed to a whole class).
+// It performs the following tasks:
+//   - Creates a repeatable random number generator from a seed.
+//   - Generates short, readable seeds and normalizes seeds typed in by the user.
+//   - Shuffles lists (the question order).
+//   - Shuffles the options of a question, remapping its correct answer letters.
+//   - Maps answer letters of shuffled options back to the letters used in the CSV.
+
+const { OPTION_LETTERS } = require('./columnMapping'); // Option letters A to H.
+const { hashString, questionKey } = require('./questionKey'); // String hashing and question keys.
+
+// Characters used in generated seeds; similar-looking characters (0/O, 1/I/L) are left out.
+const SEED_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const SEED_LENGTH = 6;
+
+/**
+ * createRandom
+ * ------------
+ * Creates a random number generator (mulberry32) that always returns the same
+ * sequence for the same seed.
+ *
+ * @param {string|number} seed - The seed.
+ * @returns {function(): number} A function returning numbers in [0, 1), like Math.random.
+ */
+function createRandom(seed) {
+  let a = hashString(String(seed)) >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * generateSeed
+ * ------------
+ * Generates a new seed of six easy-to-read characters, such as "K7QX3M".
+ *
+ * @param {function(): number} [random=Math.random] - The source of randomness.
+ * @returns {string} The seed.
+ */
+function generateSeed(random = Math.random) {
+  let seed = '';
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[Math.floor(random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+}
+
+/**
+ * normalizeSeed
+ * -------------
+ * Normalizes a seed typed in by the user, so "k7qx3m " and "K7QX3M" give the same quiz.
+ *
+ * @param {string} value - The seed as typed.
+ * @returns {string} The trimmed, upper-case seed (empty if nothing was typed).
+ */
+function normalizeSeed(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+/**
+ * shuffleArray
+ * ------------
+ * Returns a shuffled copy of a list (Fisher-Yates), leaving the list itself unchanged.
+ *
+ * @param {Array} items - The list to shuffle.
+ * @param {function(): number} random - The random number generator (see createRandom).
+ * @returns {Array} The shuffled copy.
+ */
+function shuffleArray(items, random) {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const tmp = result[i];
+    result[i] = result[j];
+    result[j] = tmp;
+  }
+  return result;
+}
+
+/**
+ * shuffleOptions
+ * --------------
+ * Returns a copy of a choice question with its options in a shuffled order.
+ *
+ * The order depends only on the seed and the question (not on its position in the
+ * quiz), so a question is shuffled the same way whichever group or order it is asked in.
+ * The correct answer letters are remapped to the new positions, and optionOrder records
+ * the CSV position of each displayed option (optionOrder[i] is the CSV index of option i).
+ * Questions without options are returned unchanged.
+ *
+ * @param {Object} question - The question, with options in CSV order.
+ * @param {string} seed - The shuffle seed.
+ * @returns {Object} The shuffled copy, or the question itself if it has no options.
+ */
+function shuffleOptions(question, seed) {
+  if (!question.options || question.options.length < 2 || question.optionOrder) return question;
+  const random = createRandom(`${seed}:${questionKey(question)}`);
+  const order = shuffleArray(question.options.map((option, i) => i), random);
+  const correct = String(question.correctAnswer).split(',')
+    .map(letter => OPTION_LETTERS[order.indexOf(OPTION_LETTERS.indexOf(letter))])
+    .sort();
+  return Object.assign({}, question, {
+    options: order.map(i => question.options[i]),
+    correctAnswer: correct.join(','),
+    optionOrder: order
+  });
+}
+
+/**
+ * originalAnswerLetters
+ * ---------------------
+ * Maps answer letters of a question with shuffled options back to the letters of
+ * the same options in the CSV, e.g. for the answer history.
+ *
+ * @param {Object} question - The question, possibly with shuffled options.
+ * @param {string} answer - The answer letters as displayed, e.g. "A,C".
+ * @returns {string} The CSV letters, sorted and comma-separated (the answer itself if
+ *   the options were not shuffled).
+ */
+function originalAnswerLetters(question, answer) {
+  if (!question.optionOrder || !answer) return answer;
+  return String(answer).split(',')
+    .map(letter => OPTION_LETTERS[question.optionOrder[OPTION_LETTERS.indexOf(letter.trim())]])
+    .sort()
+    .join(',');
+}
+
+module.exports = {
+  createRandom,
+  generateSeed,
+  normalizeSeed,
+  shuffleArray,
+  shuffleOptions,
+  originalAnswerLetters
+};
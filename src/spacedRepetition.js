@@ -0,0 +1,164 @@
+// src/spacedRepetition.js
+//
+// This module schedules questions for the spaced-repetition study mode, based on the
+// attempts recorded in the answer history (see src/historyStore.js).
+// It performs the following tasks:
+//   - Places each question in a Leitner box by replaying its recorded attempts.
+//   - Works out when a question is due again from its box and its last review.
+//   - Builds the study queue: due questions first (weakest and most overdue first),
+//     then questions that have never been answered.
+//   - Counts the questions that are due today.
+//
+// Leitner boxes
+//   A wrong answer moves a question back to box 0, which is due again the same day.
+//   A correct answer given when the question was due moves it up one box; each box
+//   waits longer than the one before (see LEITNER_INTERVALS_DAYS). Correct answers
+//   given before the question was due again do not move it, so answering the same
+//   question several times in one sitting does not mark it as mastered.
+
+const { questionKey } = require('./questionKey'); // Keys matching the answer history.
+
+// Number of milliseconds in a day.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days to wait before a question in each box is due again, from box 0 upwards.
+const LEITNER_INTERVALS_DAYS = [0, 1, 3, 7, 14, 30, 60];
+
+/**
+ * scheduleFromAttempts
+ * --------------------
+ * Replays the recorded attempts of a question to find its Leitner box and due time.
+ *
+ * @param {Array<Object>} attempts - The recorded attempts, each with timestamp and correct.
+ * @returns {{box: number, reviewedAt: number|null, dueAt: number|null, isNew: boolean}}
+ *   The box, the time of the last attempt and the time the question is due again
+ *   (both in milliseconds), and whether the question has never been answered.
+ */
+function scheduleFromAttempts(attempts) {
+  const sorted = (attempts || [])
+    .map(attempt => ({ time: Date.parse(attempt.timestamp), correct: !!attempt.correct }))
+    .filter(attempt => !Number.isNaN(attempt.time))
+    .sort((a, b) => a.time - b.time);
+  if (sorted.length === 0) {
+    return { box: 0, reviewedAt: null, dueAt: null, isNew: true };
+  }
+  let box = 0;
+  let dueAt = null;
+  sorted.forEach(attempt => {
+    if (!attempt.correct) {
+      box = 0;
+    } else if (dueAt === null || attempt.time >= dueAt) {
+      box = Math.min(box + 1, LEITNER_INTERVALS_DAYS.length - 1);
+    }
+    dueAt = attempt.time + LEITNER_INTERVALS_DAYS[box] * DAY_MS;
+  });
+  return { box, reviewedAt: sorted[sorted.length - 1].time, dueAt, isNew: false };
+}
+
+/**
+ * endOfDay
+ * --------
+ * Returns the last millisecond of the local day that contains the given time.
+ *
+ * @param {number} now - The time in milliseconds.
+ * @returns {number} The end of that day in milliseconds.
+ */
+function endOfDay(now) {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+}
+
+/**
+ * isDueToday
+ * ----------
+ * Checks whether a scheduled question should be studied today. Questions that have
+ * never been answered are always due.
+ *
+ * @param {Object} schedule - The schedule returned by scheduleFromAttempts.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {boolean} True if the question is new or due before the end of today.
+ */
+function isDueToday(schedule, now) {
+  return schedule.isNew || schedule.dueAt <= endOfDay(now);
+}
+
+/**
+ * scheduleQuestion
+ * ----------------
+ * Looks up a question in a deck's history and returns its schedule.
+ *
+ * @param {Object} question - The question.
+ * @param {Object} deckHistory - The deck's history, as returned by getDeckHistory.
+ * @returns {Object} The schedule (see scheduleFromAttempts).
+ */
+function scheduleQuestion(question, deckHistory) {
+  const entry = (deckHistory || {})[questionKey(question)];
+  return scheduleFromAttempts(entry ? entry.attempts : []);
+}
+
+/**
+ * buildStudyQueue
+ * ---------------
+ * Picks the questions to study today and puts them in study order.
+ *
+ * Due questions come first, the lowest box (least known) first and, within a box,
+ * the longest overdue first. Questions that have never been answered follow in
+ * their original order.
+ *
+ * @param {Array<Object>} questionList - The questions to choose from.
+ * @param {Object} deckHistory - The deck's history, as returned by getDeckHistory.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {Array<Object>} The questions due today, in study order.
+ */
+function buildStudyQueue(questionList, deckHistory, now = Date.now()) {
+  const reviews = [];
+  const newQuestions = [];
+  questionList.forEach(question => {
+    const schedule = scheduleQuestion(question, deckHistory);
+    if (schedule.isNew) {
+      newQuestions.push(question);
+    } else if (isDueToday(schedule, now)) {
+      reviews.push({ question, schedule });
+    }
+  });
+  reviews.sort((a, b) => (a.schedule.box - b.schedule.box) || (a.schedule.dueAt - b.schedule.dueAt));
+  return reviews.map(review => review.question).concat(newQuestions);
+}
+
+/**
+ * countDueToday
+ * -------------
+ * Counts the questions due today.
+ *
+ * @param {Array<Object>} questionList - The questions to count.
+ * @param {Object} deckHistory - The deck's history, as returned by getDeckHistory.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {{total: number, reviews: number, new: number}} The number of due questions,
+ *   split into questions answered before and questions never answered.
+ */
+function countDueToday(questionList, deckHistory, now = Date.now()) {
+  const counts = { total: 0, reviews: 0, new: 0 };
+  questionList.forEach(question => {
+    const schedule = scheduleQuestion(question, deckHistory);
+    if (!isDueToday(schedule, now)) return;
+    counts.total++;
+    if (schedule.isNew) {
+      counts.new++;
+    } else {
+      counts.reviews++;
+    }
+  });
+  return counts;
+}
+
+module.exports = {
+  DAY_MS,
+  LEITNER_INTERVALS_DAYS,
+  scheduleFromAttempts,
+  endOfDay,
+  isDueToday,
+  scheduleQuestion,
+  buildStudyQueue,
+  countDueToday
+};
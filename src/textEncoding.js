@@ -0,0 +1,247 @@
+// src/textEncoding.js
+//
+// This module reads and writes the text of deck files in the encodings spreadsheets save
+// CSV files in. Excel, for instance, saves "CSV UTF-8" with a byte order mark, "Unicode
+// Text" as UTF-16 and plain "CSV" in the Windows code page (Windows-1252 in Western Europe
+// and the Americas).
+// It performs the following tasks:
+//   - Detects the encoding of a file from its byte order mark, or from its bytes: UTF-16
+//     text without a byte order mark has a zero byte in most characters, and text that is
+//     not valid UTF-8 is read as Windows-1252.
+//   - Decodes and encodes UTF-8, UTF-16 (little and big endian) and Windows-1252.
+//   - Reads a file with a detected or chosen encoding, and writes text in a given encoding.
+
+const fs = require('fs'); // File system module used to read and write deck files.
+
+// The encodings deck files can be read and written in.
+const ENCODINGS = {
+  UTF8: 'utf-8',
+  UTF16LE: 'utf-16le',
+  UTF16BE: 'utf-16be',
+  WINDOWS_1252: 'windows-1252'
+};
+
+// Name of each encoding, as shown to the user.
+const ENCODING_LABELS = {
+  [ENCODINGS.UTF8]: 'UTF-8',
+  [ENCODINGS.UTF16LE]: 'UTF-16 LE',
+  [ENCODINGS.UTF16BE]: 'UTF-16 BE',
+  [ENCODINGS.WINDOWS_1252]: 'Windows-1252'
+};
+
+// Byte order mark of each Unicode encoding. Plain lists rather than Buffers, so the quiz
+// page, which has no Buffer, can load this module for the encoding names and canEncode.
+const BYTE_ORDER_MARKS = {
+  [ENCODINGS.UTF8]: [0xEF, 0xBB, 0xBF],
+  [ENCODINGS.UTF16LE]: [0xFF, 0xFE],
+  [ENCODINGS.UTF16BE]: [0xFE, 0xFF]
+};
+
+// Characters of the bytes 0x80-0x9F in Windows-1252; the other bytes are the same as in
+// Latin-1. The five bytes it leaves undefined are read as the control characters of Latin-1.
+const WINDOWS_1252_HIGH = [
+  '€', '\u0081', '‚', 'ƒ', '„', '…', '†', '‡',
+  'ˆ', '‰', 'Š', '‹', 'Œ', '\u008D', 'Ž', '\u008F',
+  '\u0090', '‘', '’', '“', '”', '•', '–', '—',
+  '˜', '™', 'š', '›', 'œ', '\u009D', 'ž', 'Ÿ'
+];
+
+// Byte of each character of WINDOWS_1252_HIGH.
+const WINDOWS_1252_BYTES = new Map(WINDOWS_1252_HIGH.map((ch, index) => [ch, 0x80 + index]));
+
+// How many bytes are looked at to tell UTF-16 without a byte order mark.
+const SAMPLE_BYTES = 4096;
+
+/**
+ * hasByteOrderMark
+ * ----------------
+ * Checks whether bytes start with the byte order mark of an encoding.
+ *
+ * @param {Buffer} bytes - The bytes.
+ * @param {string} encoding - One of ENCODINGS.
+ * @returns {boolean} True if the encoding has a byte order mark and the bytes start with it.
+ */
+function hasByteOrderMark(bytes, encoding) {
+  const mark = BYTE_ORDER_MARKS[encoding];
+  return !!mark && bytes.length >= mark.length && mark.every((byte, index) => bytes[index] === byte);
+}
+
+/**
+ * detectEncoding
+ * --------------
+ * Detects the encoding of a file's bytes.
+ *
+ * @param {Buffer} bytes - The content of the file.
+ * @returns {{encoding: string, byteOrderMark: boolean}} One of ENCODINGS, and whether the
+ *   bytes start with its byte order mark.
+ */
+function detectEncoding(bytes) {
+  for (const encoding of Object.keys(BYTE_ORDER_MARKS)) {
+    if (hasByteOrderMark(bytes, encoding)) {
+      return { encoding, byteOrderMark: true };
+    }
+  }
+  // In UTF-16 text that is mostly ASCII, every other byte is zero.
+  const sample = bytes.subarray(0, SAMPLE_BYTES - (SAMPLE_BYTES % 2));
+  const pairs = Math.floor(sample.length / 2);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (pairs > 0 && oddZeros > pairs / 3 && evenZeros < pairs / 10) {
+    return { encoding: ENCODINGS.UTF16LE, byteOrderMark: false };
+  }
+  if (pairs > 0 && evenZeros > pairs / 3 && oddZeros < pairs / 10) {
+    return { encoding: ENCODINGS.UTF16BE, byteOrderMark: false };
+  }
+  // Invalid UTF-8 sequences do not survive being decoded and encoded again.
+  const isUtf8 = Buffer.from(bytes.toString('utf8'), 'utf8').equals(bytes);
+  return { encoding: isUtf8 ? ENCODINGS.UTF8 : ENCODINGS.WINDOWS_1252, byteOrderMark: false };
+}
+
+/**
+ * decodeText
+ * ----------
+ * Decodes bytes in an encoding. A byte order mark of the encoding is left out.
+ *
+ * @param {Buffer} bytes - The bytes.
+ * @param {string} encoding - One of ENCODINGS.
+ * @returns {string} The text.
+ * @throws {RangeError} If the encoding is not one of ENCODINGS.
+ */
+function decodeText(bytes, encoding) {
+  const content = hasByteOrderMark(bytes, encoding) ? bytes.subarray(BYTE_ORDER_MARKS[encoding].length) : bytes;
+  switch (encoding) {
+    case ENCODINGS.UTF8:
+      return content.toString('utf8');
+    case ENCODINGS.UTF16LE:
+      return content.toString('utf16le');
+    case ENCODINGS.UTF16BE:
+      // Swap the bytes of each character; an odd last byte is not a character.
+      return Buffer.from(content.subarray(0, content.length - (content.length % 2))).swap16().toString('utf16le');
+    case ENCODINGS.WINDOWS_1252:
+      return Array.from(content, byte => (byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte))).join('');
+    default:
+      throw new RangeError(`Unknown encoding "${encoding}"`);
+  }
+}
+
+/**
+ * windows1252Byte
+ * ---------------
+ * Finds the Windows-1252 byte of a character: its byte in WINDOWS_1252_HIGH, or for the
+ * characters U+0000-U+007F and U+00A0-U+00FF the byte of the same value. The other
+ * characters of U+0080-U+009F have no byte, since their bytes are read as other characters.
+ *
+ * @param {string} ch - The character.
+ * @returns {number|null} The byte, or null if Windows-1252 cannot hold the character.
+ */
+function windows1252Byte(ch) {
+  if (WINDOWS_1252_BYTES.has(ch)) return WINDOWS_1252_BYTES.get(ch);
+  const code = ch.charCodeAt(0);
+  return ch.length === 1 && (code <= 0x7F || (code >= 0xA0 && code <= 0xFF)) ? code : null;
+}
+
+/**
+ * canEncode
+ * ---------
+ * Checks whether every character of a text can be written in an encoding. Only
+ * Windows-1252 is limited (see windows1252Byte); the Unicode encodings hold every character.
+ *
+ * @param {string} text - The text.
+ * @param {string} encoding - One of ENCODINGS.
+ * @returns {boolean} True if the text can be encoded without loss.
+ */
+function canEncode(text, encoding) {
+  if (encoding !== ENCODINGS.WINDOWS_1252) return true;
+  return Array.from(text).every(ch => windows1252Byte(ch) !== null);
+}
+
+/**
+ * encodeText
+ * ----------
+ * Encodes text in an encoding, optionally starting with its byte order mark. Characters
+ * Windows-1252 cannot hold are written as "?"; check with canEncode first.
+ *
+ * @param {string} text - The text.
+ * @param {string} encoding - One of ENCODINGS.
+ * @param {boolean} [byteOrderMark=false] - Start with the encoding's byte order mark.
+ * @returns {Buffer} The bytes.
+ * @throws {RangeError} If the encoding is not one of ENCODINGS.
+ */
+function encodeText(text, encoding, byteOrderMark = false) {
+  let bytes;
+  switch (encoding) {
+    case ENCODINGS.UTF8:
+      bytes = Buffer.from(text, 'utf8');
+      break;
+    case ENCODINGS.UTF16LE:
+      bytes = Buffer.from(text, 'utf16le');
+      break;
+    case ENCODINGS.UTF16BE:
+      bytes = Buffer.from(text, 'utf16le').swap16();
+      break;
+    case ENCODINGS.WINDOWS_1252:
+      bytes = Buffer.from(Array.from(text, ch => {
+        const byte = windows1252Byte(ch);
+        return byte === null ? 0x3F : byte;
+      }));
+      break;
+    default:
+      throw new RangeError(`Unknown encoding "${encoding}"`);
+  }
+  const mark = byteOrderMark ? BYTE_ORDER_MARKS[encoding] : null;
+  return mark ? Buffer.concat([Buffer.from(mark), bytes]) : bytes;
+}
+
+/**
+ * readTextFile
+ * ------------
+ * Reads a text file in a chosen encoding, or in the encoding detected from its bytes.
+ *
+ * @param {string} filePath - The path of the file.
+ * @param {string} [encoding='auto'] - One of ENCODINGS, or 'auto' to detect it.
+ * @returns {{text: string, encoding: string, byteOrderMark: boolean}} The text without a
+ *   byte order mark, the encoding it was read in, and whether the file starts with the
+ *   encoding's byte order mark.
+ * @throws {Error} If the file cannot be read.
+ */
+function readTextFile(filePath, encoding = 'auto') {
+  const bytes = fs.readFileSync(filePath);
+  const detected = detectEncoding(bytes);
+  const used = encoding === 'auto' ? detected.encoding : encoding;
+  return {
+    text: decodeText(bytes, used),
+    encoding: used,
+    byteOrderMark: hasByteOrderMark(bytes, used)
+  };
+}
+
+/**
+ * writeTextFile
+ * -------------
+ * Writes text to a file in the given encoding. A byte order mark, if wanted, is part
+ * of the text (see deckFileContent in src/deckEditor.js).
+ *
+ * @param {string} filePath - The path of the file.
+ * @param {string} text - The text.
+ * @param {string} encoding - One of ENCODINGS.
+ * @throws {RangeError} If the encoding is not one of ENCODINGS.
+ * @throws {Error} If the file cannot be written.
+ */
+function writeTextFile(filePath, text, encoding) {
+  fs.writeFileSync(filePath, encodeText(text, encoding));
+}
+
+module.exports = {
+  ENCODINGS,
+  ENCODING_LABELS,
+  detectEncoding,
+  decodeText,
+  canEncode,
+  encodeText,
+  readTextFile,
+  writeTextFile
+};
@@ -0,0 +1,60 @@
+// src/timeLimit.js
+//
+// This module reads per-question time limits, given in the CSV "timeLimit" column
+// or in the app's settings.
+// It performs the following tasks:
+//   - Parses time limits written as seconds ("30", "45s"), minutes ("2m") or
+//     minutes and seconds ("1:30").
+//   - Picks the time limit that applies to a question.
+
+// Accepted spellings: plain or suffixed seconds, minutes, and m:ss.
+const SECONDS_ENTRY = /^(\d+(?:[.,]\d+)?)\s*(?:s|sec|secs|seconds?)?$/i;
+const MINUTES_ENTRY = /^(\d+(?:[.,]\d+)?)\s*(?:m|min|mins|minutes?)$/i;
+const CLOCK_ENTRY = /^(\d+):([0-5]\d)$/;
+
+/**
+ * parseTimeLimit
+ * --------------
+ * Parses a time limit into whole seconds.
+ *
+ * @param {string|number} value - The time limit, e.g. "30", "45s", "2m" or "1:30".
+ * @returns {number|null} The limit in seconds, null if the value is empty or zero
+ *   (no limit), or NaN if the value cannot be read.
+ */
+function parseTimeLimit(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (text === '') return null;
+  let seconds;
+  let match;
+  if ((match = text.match(SECONDS_ENTRY))) {
+    seconds = Number(match[1].replace(',', '.'));
+  } else if ((match = text.match(MINUTES_ENTRY))) {
+    seconds = Number(match[1].replace(',', '.')) * 60;
+  } else if ((match = text.match(CLOCK_ENTRY))) {
+    seconds = Number(match[1]) * 60 + Number(match[2]);
+  } else {
+    return NaN;
+  }
+  seconds = Math.round(seconds);
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * questionTimeLimit
+ * -----------------
+ * Returns the time limit that applies to a question: its own limit from the CSV,
+ * or otherwise the global limit from the settings.
+ *
+ * @param {Object} question - The question, with an optional timeLimit in seconds.
+ * @param {number} globalLimit - The global limit in seconds (0 or less for none).
+ * @returns {number} The limit in seconds, or 0 if the question has no time limit.
+ */
+function questionTimeLimit(question, globalLimit) {
+  if (question && question.timeLimit > 0) return question.timeLimit;
+  return globalLimit > 0 ? globalLimit : 0;
+}
+
+module.exports = {
+  parseTimeLimit,
+  questionTimeLimit
+};
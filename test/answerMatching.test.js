@@ -0,0 +1,171 @@
+/* test/answerMatching.test.js
+ *
+ * This test file uses Mocha and Chai to test the typed answer checking module
+ * (src/answerMatching.js) used by free-text and numeric questions.
+ *
+ * The tests cover:
+ *   - normalizeQuestionType: Verifies that the spellings of the CSV "type" column are recognised.
+ *   - parseNumber: Checks decimal points and commas and thousands separators.
+ *   - splitAcceptedAnswers / parseAcceptedAnswers: Checks parsing of "|"-separated text,
+ *     regular expression and numeric answers, and rejection of invalid entries and of regular
+ *     expressions that could run for very long.
+ *   - matchTypedAnswer: Checks case-insensitive text matching, regular expressions and
+ *     numeric tolerances and ranges.
+ *   - describeAcceptedAnswers: Checks the text shown in feedback messages.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const {
+  QUESTION_TYPES,
+  normalizeQuestionType,
+  parseNumber,
+  hasAmbiguousRepetition,
+  splitAcceptedAnswers,
+  parseAcceptedAnswers,
+  isNumericAnswer,
+  matchTypedAnswer,
+  describeAcceptedAnswers
+} = require("../src/answerMatching");
+
+describe("Answer Matching", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: normalizeQuestionType
+  // ---------------------------------------------------------------------------
+  describe("normalizeQuestionType", function () {
+    it("should recognise question type spellings", function () {
+      expect(normalizeQuestionType("Free text")).to.equal(QUESTION_TYPES.TEXT);
+      expect(normalizeQuestionType("NUMERIC")).to.equal(QUESTION_TYPES.NUMBER);
+      expect(normalizeQuestionType("multiple-choice")).to.equal(QUESTION_TYPES.CHOICE);
+      expect(normalizeQuestionType("essay")).to.be.null;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: parseNumber
+  // ---------------------------------------------------------------------------
+  describe("parseNumber", function () {
+    it("should read decimal points and commas and strip thousands separators", function () {
+      expect(parseNumber("3.14")).to.equal(3.14);
+      expect(parseNumber("3,14")).to.equal(3.14);
+      expect(parseNumber("1,234.5")).to.equal(1234.5);
+      expect(parseNumber("1.234,5")).to.equal(1234.5);
+      expect(parseNumber("-1,234,567")).to.equal(-1234567);
+      expect(parseNumber("1 234")).to.be.NaN;
+      // A single separator is always the decimal mark.
+      expect(parseNumber("1,234")).to.equal(1.234);
+      // Separators that do not group the digits in threes are not thousands separators.
+      expect(parseNumber("12,34.5")).to.be.NaN;
+      expect(parseNumber("1,234.5.6")).to.be.NaN;
+    });
+
+    it("should accept thousands separators in accepted answers", function () {
+      const accepted = parseAcceptedAnswers("1,234.5±0.5", QUESTION_TYPES.NUMBER);
+      expect(accepted[0]).to.deep.equal({ kind: "number", min: 1234, max: 1235 });
+      expect(matchTypedAnswer("1,234.5", accepted)).to.be.true;
+      expect(matchTypedAnswer("1.234,9", accepted)).to.be.true;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: splitAcceptedAnswers and parseAcceptedAnswers
+  // ---------------------------------------------------------------------------
+  describe("parseAcceptedAnswers", function () {
+    it("should split entries on | but keep regular expressions whole", function () {
+      expect(splitAcceptedAnswers("HTTP | HyperText Transfer Protocol")).to.deep.equal(["HTTP", "HyperText Transfer Protocol"]);
+      expect(splitAcceptedAnswers("/^(TCP|UDP)$/i|SCTP")).to.deep.equal(["/^(TCP|UDP)$/i", "SCTP"]);
+    });
+
+    it("should parse text and regular expression answers", function () {
+      expect(parseAcceptedAnswers("HTTP|/^https?$/i", QUESTION_TYPES.TEXT)).to.deep.equal([
+        { kind: "text", value: "HTTP" },
+        { kind: "regex", pattern: "^https?$", flags: "i" }
+      ]);
+    });
+
+    it("should parse numbers, tolerances and ranges", function () {
+      const accepted = parseAcceptedAnswers("1969|3.14±0.01|10..20|2,5", QUESTION_TYPES.NUMBER);
+      expect(accepted[0]).to.deep.equal({ kind: "number", min: 1969, max: 1969 });
+      expect(accepted[1].min).to.be.closeTo(3.13, 1e-9);
+      expect(accepted[1].max).to.be.closeTo(3.15, 1e-9);
+      expect(accepted[2]).to.deep.equal({ kind: "number", min: 10, max: 20 });
+      expect(accepted[3]).to.deep.equal({ kind: "number", min: 2.5, max: 2.5 });
+    });
+
+    it("should reject invalid entries", function () {
+      expect(parseAcceptedAnswers("", QUESTION_TYPES.TEXT)).to.be.null;
+      expect(parseAcceptedAnswers("/[unclosed/", QUESTION_TYPES.TEXT)).to.be.null;
+      expect(parseAcceptedAnswers("about 5", QUESTION_TYPES.NUMBER)).to.be.null;
+      // Tolerances and ranges whose numbers cannot be read.
+      ["abc±1", "1..x", "1.234.5±1", "1..2.345.6", "2|1,2,3±1"].forEach(entry => {
+        expect(parseAcceptedAnswers(entry, QUESTION_TYPES.NUMBER), entry).to.be.null;
+      });
+    });
+
+    it("should reject regular expressions that could run for very long", function () {
+      expect(hasAmbiguousRepetition("(a+)+$")).to.be.true;
+      expect(hasAmbiguousRepetition("^(\\w+\\s?)*$")).to.be.true;
+      expect(hasAmbiguousRepetition("((ab)*c){2,}")).to.be.true;
+      expect(hasAmbiguousRepetition("^(TCP|UDP)+$")).to.be.false;
+      expect(hasAmbiguousRepetition("^(a\\+)+$")).to.be.false;
+      expect(hasAmbiguousRepetition("^([a+]b)*$")).to.be.false;
+      // Repeated alternatives that can split the same text in more than one way.
+      expect(hasAmbiguousRepetition("(a|a)*")).to.be.true;
+      expect(hasAmbiguousRepetition("(a|ab)*c")).to.be.true;
+      expect(hasAmbiguousRepetition("^(Yes|yes)+$")).to.be.true;
+      expect(hasAmbiguousRepetition("((a|ab)c)*")).to.be.true;
+      expect(hasAmbiguousRepetition("(\\d|x)+")).to.be.true;
+      expect(hasAmbiguousRepetition("^(?:(TCP|UDP)\\s)+$")).to.be.false;
+      expect(hasAmbiguousRepetition("^(a|ab)$")).to.be.false;
+      expect(parseAcceptedAnswers("/^(a|ab)*c$/", QUESTION_TYPES.TEXT)).to.be.null;
+      expect(parseAcceptedAnswers("/^(a+)+$/", QUESTION_TYPES.TEXT)).to.be.null;
+      expect(parseAcceptedAnswers(`/^${"a".repeat(201)}$/`, QUESTION_TYPES.TEXT)).to.be.null;
+      expect(parseAcceptedAnswers("/^https?$/|/^(a|b)+$/", QUESTION_TYPES.TEXT)).to.have.length(2);
+    });
+
+    it("should tell numeric answers apart from text answers", function () {
+      expect(isNumericAnswer("42")).to.be.true;
+      expect(isNumericAnswer("3.14+-0.01")).to.be.true;
+      expect(isNumericAnswer("HTTP")).to.be.false;
+      expect(isNumericAnswer("")).to.be.false;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: matchTypedAnswer
+  // ---------------------------------------------------------------------------
+  describe("matchTypedAnswer", function () {
+    it("should match text case-insensitively and ignore extra whitespace", function () {
+      const accepted = parseAcceptedAnswers("HyperText Transfer Protocol", QUESTION_TYPES.TEXT);
+      expect(matchTypedAnswer("  hypertext   transfer protocol ", accepted)).to.be.true;
+      expect(matchTypedAnswer("HTTPS", accepted)).to.be.false;
+    });
+
+    it("should match regular expressions", function () {
+      const accepted = parseAcceptedAnswers("/^(TCP|UDP)$/i", QUESTION_TYPES.TEXT);
+      expect(matchTypedAnswer("udp", accepted)).to.be.true;
+      expect(matchTypedAnswer("ICMP", accepted)).to.be.false;
+    });
+
+    it("should match numbers within their tolerance or range", function () {
+      const accepted = parseAcceptedAnswers("3.14±0.01|100..200", QUESTION_TYPES.NUMBER);
+      expect(matchTypedAnswer("3.13", accepted)).to.be.true;
+      expect(matchTypedAnswer("3,15", accepted)).to.be.true;
+      expect(matchTypedAnswer("3.16", accepted)).to.be.false;
+      expect(matchTypedAnswer("150", accepted)).to.be.true;
+      expect(matchTypedAnswer("abc", accepted)).to.be.false;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: describeAcceptedAnswers
+  // ---------------------------------------------------------------------------
+  describe("describeAcceptedAnswers", function () {
+    it("should describe accepted answers for feedback messages", function () {
+      expect(describeAcceptedAnswers(parseAcceptedAnswers("HTTP|Hypertext", QUESTION_TYPES.TEXT))).to.equal("HTTP or Hypertext");
+      expect(describeAcceptedAnswers(parseAcceptedAnswers("3.14±0.01", QUESTION_TYPES.NUMBER))).to.equal("3.13 to 3.15");
+    });
+  });
+});
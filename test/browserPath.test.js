@@ -0,0 +1,51 @@
+/* test/browserPath.test.js
+ *
+ * This test file uses Mocha and Chai to test the stand-in for Node's path module used by
+ * the quiz page (src/browserPath.js). Its results are compared with those of Node's own
+ * path module for POSIX and Windows paths.
+ *
+ * The tests cover:
+ *   - basename: Checks file names of POSIX and Windows paths, with and without an extension.
+ *   - extname: Checks extensions, names without one and hidden files.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const path = require("path");
+const { basename, extname } = require("../src/browserPath");
+
+describe("Browser Path", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: basename
+  // ---------------------------------------------------------------------------
+  describe("basename", function () {
+    it("should give the file name of POSIX and Windows paths as Node does", function () {
+      ["/decks/quiz.csv", "/decks/", "quiz.csv", "/", ""].forEach(filePath => {
+        expect(basename(filePath), filePath).to.equal(path.posix.basename(filePath));
+      });
+      ["C:\\decks\\quiz.csv", "C:\\decks\\", "\\\\server\\share\\quiz.csv", "C:/decks/quiz.csv"].forEach(filePath => {
+        expect(basename(filePath), filePath).to.equal(path.win32.basename(filePath));
+      });
+    });
+
+    it("should take off an extension unless it is the whole name", function () {
+      expect(basename("/decks/quiz.csv", ".csv")).to.equal("quiz");
+      expect(basename("C:\\decks\\quiz.csv", ".json")).to.equal("quiz.csv");
+      expect(basename("/decks/.csv", ".csv")).to.equal(".csv");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: extname
+  // ---------------------------------------------------------------------------
+  describe("extname", function () {
+    it("should give the extension as Node does", function () {
+      ["/decks/quiz.csv", "/decks/quiz.tar.gz", "/decks/quiz", "/decks/.hidden", "/decks.d/quiz", "/decks/quiz."].forEach(filePath => {
+        expect(extname(filePath), filePath).to.equal(path.posix.extname(filePath));
+      });
+      expect(extname("C:\\decks.d\\Quiz.GIFT")).to.equal(".GIFT");
+    });
+  });
+});
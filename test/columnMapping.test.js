@@ -0,0 +1,140 @@
+/* test/columnMapping.test.js
+ *
+ * This test file uses Mocha and Chai to test the column mapping module used by the
+ * CSV importer (src/columnMapping.js).
+ *
+ * The tests cover:
+ *   - matchHeaderName: Verifies that header names and their aliases are matched to fields
+ *     regardless of case, spacing and punctuation.
+ *   - detectHeaderRow: Checks that header rows are told apart from question rows, including
+ *     headers whose names are not recognised.
+ *   - buildColumnMap: Ensures that columns are matched in any order and that unmatched
+ *     columns and missing required fields are reported.
+ *   - applyColumnMap / isColumnMapComplete: Checks conversion of cells into row objects.
+ *   - collectOptions: Checks that between two and eight options are gathered in order.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const {
+  matchHeaderName,
+  defaultColumnMap,
+  detectHeaderRow,
+  buildColumnMap,
+  isColumnMapComplete,
+  applyColumnMap,
+  collectOptions
+} = require("../src/columnMapping");
+
+describe("Column Mapping", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: matchHeaderName
+  // ---------------------------------------------------------------------------
+  describe("matchHeaderName", function () {
+    it("should match field names and aliases ignoring case, spaces and punctuation", function () {
+      expect(matchHeaderName("questionText")).to.equal("questionText");
+      expect(matchHeaderName("Question")).to.equal("questionText");
+      expect(matchHeaderName("Correct Answer")).to.equal("correctAnswer");
+      expect(matchHeaderName("answer")).to.equal("correctAnswer");
+      expect(matchHeaderName("Option_B")).to.equal("option2");
+      expect(matchHeaderName(" Category ")).to.equal("group");
+      expect(matchHeaderName("Option 8")).to.equal("option8");
+      expect(matchHeaderName("choice E")).to.equal("option5");
+    });
+
+    it("should return null for unknown or empty names", function () {
+      expect(matchHeaderName("Pregunta")).to.be.null;
+      expect(matchHeaderName("")).to.be.null;
+      expect(matchHeaderName(undefined)).to.be.null;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: detectHeaderRow
+  // ---------------------------------------------------------------------------
+  describe("detectHeaderRow", function () {
+    it("should detect a header made of known names", function () {
+      const header = ["questionText", "option1", "option2", "option3", "option4", "correctAnswer"];
+      expect(detectHeaderRow(header, ["Q", "1", "2", "3", "4", "B"])).to.be.true;
+    });
+
+    it("should not treat a question row as a header", function () {
+      const row = ["What is 2+2?", "1", "2", "3", "4", "B", "Math"];
+      expect(detectHeaderRow(row, ["Q2", "1", "2", "3", "4", "A", "Math"])).to.be.false;
+      expect(detectHeaderRow(row)).to.be.false;
+      expect(detectHeaderRow(undefined)).to.be.false;
+    });
+
+    it("should detect a header with unknown names when the next row has an answer letter", function () {
+      const header = ["Pregunta", "Uno", "Dos", "Tres", "Cuatro", "Clave"];
+      expect(detectHeaderRow(header, ["Q", "1", "2", "3", "4", "c"])).to.be.true;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: buildColumnMap
+  // ---------------------------------------------------------------------------
+  describe("buildColumnMap", function () {
+    it("should match columns in any order", function () {
+      const result = buildColumnMap(["Category", "Answer", "Question", "A", "Option A", "Option B", "Option C", "Option D"]);
+      expect(result.map).to.deep.equal({
+        group: 0,
+        correctAnswer: 1,
+        questionText: 2,
+        option1: 4,
+        option2: 5,
+        option3: 6,
+        option4: 7
+      });
+      expect(result.unknownColumns).to.deep.equal([3]);
+      expect(result.missingFields).to.be.empty;
+    });
+
+    it("should report required fields that have no column", function () {
+      const result = buildColumnMap(["Pregunta", "Option A", "Answer"]);
+      expect(result.missingFields).to.deep.equal(["questionText"]);
+      expect(result.unknownColumns).to.deep.equal([0]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: applyColumnMap and isColumnMapComplete
+  // ---------------------------------------------------------------------------
+  describe("applyColumnMap and isColumnMapComplete", function () {
+    it("should convert cells into a row keyed by field name", function () {
+      const row = applyColumnMap(["Q", "1", "2", "3", "4", "A"], defaultColumnMap());
+      expect(row.questionText).to.equal("Q");
+      expect(row.option4).to.equal("4");
+      expect(row.correctAnswer).to.equal("A");
+      expect(row.group).to.be.undefined;
+    });
+
+    it("should only accept maps with every required field", function () {
+      expect(isColumnMapComplete(defaultColumnMap())).to.be.true;
+      expect(isColumnMapComplete({ questionText: 0, option1: 1 })).to.be.false;
+      expect(isColumnMapComplete(null)).to.be.false;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: collectOptions
+  // ---------------------------------------------------------------------------
+  describe("collectOptions", function () {
+    it("should drop trailing empty options", function () {
+      const row = { option1: " True ", option2: "False", option3: "", option4: undefined };
+      expect(collectOptions(row)).to.deep.equal(["True", "False"]);
+    });
+
+    it("should gather up to eight options", function () {
+      const row = {};
+      ["1", "2", "3", "4", "5", "6", "7", "8"].forEach((value, i) => { row[`option${i + 1}`] = value; });
+      expect(collectOptions(row)).to.have.length(8);
+    });
+
+    it("should reject a gap between options", function () {
+      expect(collectOptions({ option1: "a", option2: "", option3: "c" })).to.be.null;
+    });
+  });
+});
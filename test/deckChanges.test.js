@@ -0,0 +1,85 @@
+/* test/deckChanges.test.js
+ *
+ * This test file uses Mocha and Chai to test the comparison of the questions of a CSV file
+ * before and after it changed (src/deckChanges.js).
+ *
+ * The tests cover:
+ *   - diffQuestions: Checks that unchanged, modified, added and removed questions are told
+ *     apart, including questions whose options were edited and changes that affect answers.
+ *   - describeChanges / describeChangedFields: Checks the summaries shown to the user.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const {
+  changedFields,
+  diffQuestions,
+  hasChanges,
+  describeChanges,
+  describeChangedFields
+} = require("../src/deckChanges");
+
+describe("Deck Changes", function () {
+  // Builds a question as read from a CSV file.
+  const question = (questionText, options, correctAnswer, extra = {}) =>
+    Object.assign({ questionText, options, type: "choice", correctAnswer, group: "All", explanation: "", media: "", timeLimit: null }, extra);
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: diffQuestions
+  // ---------------------------------------------------------------------------
+  describe("diffQuestions", function () {
+    it("should pair questions that are still there and list the others", function () {
+      const before = [
+        question("2+2?", ["3", "4"], "B"),
+        question("Capital of Italy?", ["Rome", "Paris"], "A"),
+        question("Largest ocean?", ["Pacific", "Atlantic"], "A")
+      ];
+      const after = [
+        question("Capital of Italy?", ["Rome", "Paris"], "A", { explanation: "Rome since 1871." }),
+        question("2+2?", ["3", "4"], "B"),
+        question("Boiling point of water?", ["100 °C", "90 °C"], "A")
+      ];
+      const diff = diffQuestions(before, after);
+      expect(diff.unchanged).to.deep.equal([{ before: before[0], after: after[1] }]);
+      expect(diff.modified).to.have.length(1);
+      expect(diff.modified[0]).to.include({ before: before[1], after: after[0], answerChanged: false });
+      expect(diff.modified[0].fields).to.deep.equal(["explanation"]);
+      expect(diff.added).to.deep.equal([after[2]]);
+      expect(diff.removed).to.deep.equal([before[2]]);
+      expect(hasChanges(diff)).to.be.true;
+    });
+
+    it("should pair a question whose options or answer changed by its text", function () {
+      const before = [question("2+2?", ["3", "4"], "B")];
+      const after = [question("2+2?", ["3", "4", "5"], "B"), question("2 + 2?", ["4", "5"], "A")];
+      const diff = diffQuestions(before, after);
+      expect(diff.modified).to.have.length(1);
+      expect(diff.modified[0].after).to.equal(after[0]);
+      expect(diff.modified[0].answerChanged).to.be.true;
+      // Each question is paired once; the other one is new.
+      expect(diff.added).to.deep.equal([after[1]]);
+      expect(changedFields(before[0], question("2+2?", ["3", "4"], "A"))).to.deep.equal(["correctAnswer"]);
+    });
+
+    it("should find no changes when the file was saved unchanged", function () {
+      const before = [question("2+2?", ["3", "4"], "B")];
+      const diff = diffQuestions(before, [question("2+2?", ["3", "4"], "B")]);
+      expect(hasChanges(diff)).to.be.false;
+      expect(describeChanges(diff)).to.equal("no questions changed");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: describeChanges / describeChangedFields
+  // ---------------------------------------------------------------------------
+  describe("describeChanges / describeChangedFields", function () {
+    it("should summarize the changes", function () {
+      const diff = { unchanged: [], added: [{}, {}], removed: [{}], modified: [{}, {}, {}] };
+      expect(describeChanges(diff)).to.equal("2 questions added, 1 removed, 3 modified");
+      expect(describeChanges({ unchanged: [], added: [], removed: [], modified: [{}] })).to.equal("1 question modified");
+      expect(describeChangedFields(["correctAnswer", "timeLimit"])).to.equal("correct answer, time limit");
+    });
+  });
+});
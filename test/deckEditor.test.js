@@ -0,0 +1,165 @@
+/* test/deckEditor.test.js
+ *
+ * This test file uses Mocha and Chai to test the document of a deck file edited in the deck
+ * editor (src/deckEditor.js), and the CSV reading it relies on (src/csvFormat.js).
+ *
+ * The tests cover:
+ *   - parseCsvText / detectSeparator: Checks that quoted fields may hold separators, quotes and
+ *     line breaks, and that the separator is detected from how the rows split into fields.
+ *   - parseDeckText / formatDeckDocument / deckFileContent: Checks that a file is written back
+ *     with its separator, encoding, line breaks, byte order mark and columns, quoting fields where needed.
+ *   - Editing rows: Checks that fields are changed (adding a column when needed), and that rows
+ *     are added, removed and moved.
+ *   - validateDeckDocument: Checks that each row is validated as the import would, including
+ *     repeated questions.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const { detectSeparator, parseCsvText } = require("../src/csvFormat");
+const { ENCODINGS, decodeText, encodeText } = require("../src/textEncoding");
+const { buildColumnMap } = require("../src/columnMapping");
+const {
+  parseDeckText,
+  createDeckDocument,
+  newDeckDocument,
+  getRowFields,
+  setRowField,
+  addRow,
+  removeRow,
+  moveRow,
+  validateDeckDocument,
+  formatDeckDocument,
+  deckFileContent
+} = require("../src/deckEditor");
+
+describe("Deck Editor", function () {
+  // Reads a deck file with a header row into a document.
+  const documentOf = (text) => {
+    const parsed = parseDeckText(text);
+    const [header, ...rows] = parsed.rows;
+    return createDeckDocument(Object.assign(parsed, { header, columnMap: buildColumnMap(header).map, rows }));
+  };
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: parseCsvText / detectSeparator
+  // ---------------------------------------------------------------------------
+  describe("parseCsvText / detectSeparator", function () {
+    it("should read quoted fields with separators, quotes and line breaks", function () {
+      const text = 'Q,A\r\n"Say ""hi"", then go",a\r\n"two\nlines",b\n';
+      expect(parseCsvText(text)).to.deep.equal([
+        ["Q", "A"],
+        ['Say "hi", then go', "a"],
+        ["two\nlines", "b"]
+      ]);
+      expect(parseCsvText("a;b;\n", ";")).to.deep.equal([["a", "b", ""]]);
+    });
+
+    it("should pick the separator that splits the rows most consistently", function () {
+      expect(detectSeparator("Q;A;B\n")).to.equal(";");
+      expect(detectSeparator("Q,A,B\n")).to.equal(",");
+      expect(detectSeparator("Q\tA\tB\n2+2?\t3\t4\n")).to.equal("\t");
+      expect(detectSeparator("Q|A|B\n2+2?|3|4\n")).to.equal("|");
+      // A semicolon in the text of a comma-separated file, or a comma in a semicolon file.
+      expect(detectSeparator("Question,A,B,Answer\nPick one; quickly,x,y,A\n2+2?,3,4,B\n")).to.equal(",");
+      expect(detectSeparator("Question;A;B;Answer\nRome, Italy?;yes;no;A\n2+2?;3;4;B\n")).to.equal(";");
+      // Separators inside quoted fields do not count.
+      expect(detectSeparator('"a;b;c;d",x\n"e;f;g;h",y\n')).to.equal(",");
+      expect(detectSeparator("one column\nonly\n")).to.equal(",");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: parseDeckText / formatDeckDocument / deckFileContent
+  // ---------------------------------------------------------------------------
+  describe("parseDeckText / formatDeckDocument / deckFileContent", function () {
+    it("should write an unchanged file back as it was read", function () {
+      const text = '\uFEFFQuestion;Option 1;Option 2;Correct answer;Notes\r\n' +
+        '"Pick; one";"Say ""yes""";No;A;keep me\r\n';
+      const doc = documentOf(text);
+      expect(doc).to.include({ separator: ";", lineBreak: "\r\n", byteOrderMark: true });
+      expect(getRowFields(doc, 0)).to.include({ questionText: "Pick; one", option1: 'Say "yes"', correctAnswer: "A" });
+      expect(formatDeckDocument(doc)).to.equal(text);
+    });
+
+    it("should keep the lone carriage returns of an old Mac file", function () {
+      const text = "Question,Option 1,Option 2,Correct answer\r2+2?,3,4,B\r";
+      const doc = documentOf(text);
+      expect(doc.lineBreak).to.equal("\r");
+      expect(getRowFields(doc, 0)).to.include({ questionText: "2+2?", correctAnswer: "B" });
+      expect(formatDeckDocument(doc)).to.equal(text);
+    });
+
+    it("should quote new text where needed and leave empty rows out", function () {
+      const doc = documentOf("Question,Option 1,Option 2,Correct answer\n2+2?,3,4,B\n");
+      setRowField(doc, 0, "questionText", "2+2, or \"four\"?");
+      addRow(doc);
+      expect(formatDeckDocument(doc)).to.equal('Question,Option 1,Option 2,Correct answer\n"2+2, or ""four""?",3,4,B\n');
+    });
+
+    it("should save in the file's encoding, or in UTF-8 if it cannot hold the text", function () {
+      const doc = documentOf("Question,Option 1,Option 2,Correct answer\nCafé?,oui,non,A\n");
+      doc.encoding = ENCODINGS.WINDOWS_1252;
+      const content = deckFileContent(doc);
+      expect(content.encoding).to.equal(ENCODINGS.WINDOWS_1252);
+      expect(decodeText(encodeText(content.text, content.encoding), ENCODINGS.WINDOWS_1252)).to.include("Café?");
+      expect(encodeText(content.text, content.encoding)).to.have.length(formatDeckDocument(doc).length);
+      setRowField(doc, 0, "questionText", "Ωmega?");
+      const { text, encoding } = deckFileContent(doc);
+      expect(doc).to.include({ encoding: "utf-8", byteOrderMark: true });
+      expect(encoding).to.equal("utf-8");
+      expect(encodeText(text, encoding).toString("utf8")).to.equal("\uFEFFQuestion,Option 1,Option 2,Correct answer\nΩmega?,oui,non,A\n");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Editing rows
+  // ---------------------------------------------------------------------------
+  describe("Editing rows", function () {
+    it("should add a column for a field the file does not have", function () {
+      const doc = documentOf("Question,Option 1,Option 2,Correct answer\n2+2?,3,4,B\n");
+      setRowField(doc, 0, "group", "Math");
+      expect(doc.header).to.deep.equal(["Question", "Option 1", "Option 2", "Correct answer", "Group"]);
+      expect(getRowFields(doc, 0).group).to.equal("Math");
+      expect(formatDeckDocument(doc)).to.equal("Question,Option 1,Option 2,Correct answer,Group\n2+2?,3,4,B,Math\n");
+    });
+
+    it("should add, move and remove rows", function () {
+      const doc = newDeckDocument();
+      setRowField(doc, 0, "questionText", "First");
+      const second = addRow(doc);
+      setRowField(doc, second, "questionText", "Second");
+      expect(moveRow(doc, second, -1)).to.equal(0);
+      expect(moveRow(doc, 0, -1)).to.equal(0);
+      expect(doc.rows.map((cells, i) => getRowFields(doc, i).questionText)).to.deep.equal(["Second", "First"]);
+      removeRow(doc, 0);
+      expect(getRowFields(doc, 0).questionText).to.equal("First");
+      expect(doc.rows).to.have.length(1);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: validateDeckDocument
+  // ---------------------------------------------------------------------------
+  describe("validateDeckDocument", function () {
+    it("should report the problem of each row as the import would", function () {
+      const doc = documentOf([
+        "Question,Option 1,Option 2,Correct answer",
+        "2+2?,3,4,B",
+        "2+3?,5,6,C",
+        "2+2?,3,4,A",
+        "Capital of France?,,,Paris"
+      ].join("\n"));
+      addRow(doc, 2);
+      const results = validateDeckDocument(doc);
+      expect(results[0].question).to.include({ questionText: "2+2?", correctAnswer: "B" });
+      expect(results[1].error).to.include({ reason: "invalid-answer" });
+      expect(results[1].error.message).to.equal('Correct answer "C" is not one of the options A-B');
+      expect(results[2]).to.deep.equal({ question: null, error: null, empty: true });
+      expect(results[3].error).to.deep.equal({ reason: "duplicate", message: "Same question and options as question 1" });
+      expect(results[4].question).to.include({ type: "text" });
+    });
+  });
+});
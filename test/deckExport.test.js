@@ -0,0 +1,176 @@
+/* test/deckExport.test.js
+ *
+ * This test file uses Mocha and Chai to test the export of decks to other tools
+ * (src/deckExport.js). GIFT exports are read back with the GIFT importer
+ * (src/importers.js), which must give the questions that were exported.
+ *
+ * Dependencies:
+ *  - fs, os and path: For writing decks to a temporary directory.
+ *
+ * The tests cover:
+ *   - buildDeckExport: Checks that only the fields the formats use are kept.
+ *   - formatMoodleXml: Checks the categories, question types, fractions and escaping.
+ *   - formatGift: Checks the categories and escaping, and that the file imports again.
+ *   - formatAnkiText: Checks the header lines, the front and back of the notes and the tags.
+ *   - writeDeckExport: Checks that the format follows the file extension and the count of
+ *     questions left out.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseQuestionRow } = require("../src/questionRow");
+const { readGiftRecords } = require("../src/importers");
+const {
+  DECK_EXPORT_FORMATS,
+  deckExportFormat,
+  buildDeckExport,
+  formatMoodleXml,
+  formatGift,
+  formatAnkiText,
+  writeDeckExport
+} = require("../src/deckExport");
+
+// A deck with a question of each kind, built from CSV rows as the import builds it.
+function sampleDeck() {
+  const rows = [
+    { questionText: "Sky is blue", option1: "True", option2: "False", correctAnswer: "A" },
+    { questionText: "2+2 = ?", option1: "3", option2: "4", correctAnswer: "B", group: "Math/Basic arithmetic", explanation: "Add {them}." },
+    { questionText: "Primes?", option1: "2", option2: "4", option3: "5", correctAnswer: "A,C", group: "Math/Basic arithmetic" },
+    { questionText: "Web protocol?\nIn capitals", correctAnswer: "HTTP|HTTPS", group: "IT" },
+    { questionText: "Pi?", correctAnswer: "3.14±0.01", group: "Math/Basic arithmetic" },
+    { questionText: "Only a's?", correctAnswer: "/^a+$/", group: "IT" }
+  ];
+  const questions = rows.map(row => Object.assign(parseQuestionRow(row).question, { deckPath: "/decks/quiz.csv", userAnswered: true }));
+  return buildDeckExport(questions, { deckPath: "/decks/quiz.csv" });
+}
+
+describe("Deck Export", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: buildDeckExport
+  // ---------------------------------------------------------------------------
+  describe("buildDeckExport", function () {
+    it("should keep only the fields the formats use", function () {
+      const deck = sampleDeck();
+      expect(deck.deck).to.equal("quiz.csv");
+      expect(deck.questions[1]).to.deep.equal({
+        questionText: "2+2 = ?", options: ["3", "4"], type: "choice", correctAnswer: "B",
+        group: "Math/Basic arithmetic", explanation: "Add {them}."
+      });
+      expect(deck.questions[0].group).to.equal("All");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: formatMoodleXml
+  // ---------------------------------------------------------------------------
+  describe("formatMoodleXml", function () {
+    it("should write each group as a category with its questions", function () {
+      const xml = formatMoodleXml(sampleDeck());
+      expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n')).to.be.true;
+      // Questions without a group come first, before any category.
+      const types = Array.from(xml.matchAll(/<question type="(\w+)">/g), match => match[1]);
+      expect(types).to.deep.equal(["truefalse", "category", "multichoice", "multichoice", "numerical", "category", "shortanswer"]);
+      expect(xml).to.contain("<text>$course$/top/Math/Basic arithmetic</text>");
+      expect(xml).to.contain("<text>$course$/top/IT</text>");
+      // Several right answers share the grade; the wrong ones take it back.
+      expect(xml).to.contain('<single>false</single>');
+      expect(xml.match(/<answer fraction="(-?[\d.]+)"/g).slice(4, 7)).to.deep.equal(
+        ['<answer fraction="50"', '<answer fraction="-100"', '<answer fraction="50"']);
+      expect(xml).to.contain("<text>3.14</text>\n      <tolerance>0.01</tolerance>");
+      expect(xml).to.contain("<text>Web protocol?\nIn capitals</text>");
+      // The question with only a regular expression answer is left out.
+      expect(xml).not.to.contain("Only a");
+    });
+
+    it("should escape markup characters", function () {
+      const deck = buildDeckExport([{ questionText: "Is 1 < 2 & 3 > 2?", options: ["Yes", 'A "maybe"'], type: "choice", correctAnswer: "A" }]);
+      const xml = formatMoodleXml(deck);
+      expect(xml).to.contain("<text>Is 1 &lt; 2 &amp; 3 &gt; 2?</text>");
+      expect(xml).to.contain("<text>A &quot;maybe&quot;</text>");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: formatGift
+  // ---------------------------------------------------------------------------
+  describe("formatGift", function () {
+    it("should write categories, escaped text and answer blocks", function () {
+      const gift = formatGift(sampleDeck());
+      expect(gift).to.contain("Sky is blue {\n\tTRUE\n}");
+      expect(gift).to.contain("$CATEGORY: $course$/top/Math/Basic arithmetic\n\n2+2 \\= ? {\n\t~3\n\t=4\n\t####Add \\{them\\}.\n}");
+      expect(gift).to.contain("Primes? {\n\t~%50%2\n\t~%-100%4\n\t~%50%5\n}");
+      expect(gift).to.contain("Pi? {\n\t#3.14:0.01\n}");
+      expect(gift).to.contain("Web protocol?\\nIn capitals {\n\t=HTTP\n\t=HTTPS\n}");
+    });
+
+    it("should import again as the questions that were exported", async function () {
+      const deck = sampleDeck();
+      const records = await readGiftRecords(formatGift(deck));
+      const imported = records.map(record => buildDeckExport([parseQuestionRow(record.fields).question]).questions[0]);
+      const exported = deck.questions.filter(question => question.questionText !== "Only a's?");
+      // Questions without a group come first in the file.
+      expect(imported).to.have.deep.members(exported);
+      expect(imported[0]).to.deep.equal(exported[0]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: formatAnkiText
+  // ---------------------------------------------------------------------------
+  describe("formatAnkiText", function () {
+    it("should write one note per question with the group as a tag", function () {
+      const lines = formatAnkiText(sampleDeck()).split("\n");
+      expect(lines.slice(0, 3)).to.deep.equal(["#separator:tab", "#html:true", "#tags column:3"]);
+      expect(lines[4].split("\t")).to.deep.equal([
+        "2+2 = ?<br><br>A) 3<br>B) 4", "B) 4<br><br>Add {them}.", "Math::Basic_arithmetic"
+      ]);
+      expect(lines[3].split("\t")[2]).to.equal("");
+      expect(lines[6].split("\t")).to.deep.equal(["Web protocol?<br>In capitals", "HTTP or HTTPS", "IT"]);
+      // Anki takes every question, including those Moodle cannot grade.
+      expect(lines[8].split("\t").slice(0, 2)).to.deep.equal(["Only a&#39;s?", "/^a+$/"]);
+      expect(lines).to.have.length(10);
+    });
+
+    it("should keep tabs and line breaks out of the fields", function () {
+      const deck = buildDeckExport([{ questionText: "Tab\there", options: [], type: "text", correctAnswer: "x", explanation: "One\ntwo" }]);
+      expect(formatAnkiText(deck).split("\n")[3]).to.equal("Tab here\tx<br><br>One<br>two\t");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: writeDeckExport
+  // ---------------------------------------------------------------------------
+  describe("writeDeckExport", function () {
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "deck-export-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("should pick the format from the file extension", function () {
+      expect(deckExportFormat("a.XML")).to.equal(DECK_EXPORT_FORMATS.MOODLE_XML);
+      expect(deckExportFormat("a.gift")).to.equal(DECK_EXPORT_FORMATS.GIFT);
+      expect(deckExportFormat("a.txt")).to.equal(DECK_EXPORT_FORMATS.ANKI);
+      expect(deckExportFormat("a.pdf")).to.be.null;
+      const deck = sampleDeck();
+      const gift = writeDeckExport(path.join(tmpDir, "quiz.gift"), deck);
+      expect(gift).to.deep.equal({ filePath: path.join(tmpDir, "quiz.gift"), format: "gift", exported: 5, skipped: 1 });
+      expect(fs.readFileSync(gift.filePath, "utf8")).to.equal(formatGift(deck));
+      const anki = writeDeckExport(path.join(tmpDir, "quiz.tsv"), deck);
+      expect(anki).to.include({ format: "tsv", exported: 6, skipped: 0 });
+      // Other extensions are written as Moodle XML.
+      const other = writeDeckExport(path.join(tmpDir, "quiz.questions"), deck);
+      expect(other.format).to.equal("xml");
+      expect(fs.readFileSync(other.filePath, "utf8")).to.equal(formatMoodleXml(deck));
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/* test/fileWatcher.test.js
+ *
+ * This test file uses Mocha and Chai to test the watcher of the deck's CSV files
+ * (src/fileWatcher.js). A stand-in for fs.watch lets the tests send change events.
+ *
+ * The tests cover:
+ *   - watchFiles: Checks that the directories are watched, that changes to other files are
+ *     ignored, that the changes of one save are reported at once, and that stopping ends
+ *     the watches.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const { watchFiles } = require("../src/fileWatcher");
+
+describe("File Watcher", function () {
+  let listeners, closed;
+
+  // A stand-in for fs.watch that keeps the listener of each directory.
+  const fakeWatch = (dir, options, listener) => {
+    listeners[dir] = listener;
+    return { close: () => closed.push(dir) };
+  };
+
+  // Waits for the debounce time to pass.
+  const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  beforeEach(function () {
+    listeners = {};
+    closed = [];
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: watchFiles
+  // ---------------------------------------------------------------------------
+  describe("watchFiles", function () {
+    it("should report the watched files that changed, once per save", async function () {
+      const reports = [];
+      const stop = watchFiles(["/decks/a.csv", "/decks/b.csv", "/other/c.csv"], paths => reports.push(paths),
+        { debounceMs: 5, watch: fakeWatch });
+      expect(Object.keys(listeners)).to.deep.equal(["/decks", "/other"]);
+      // A spreadsheet saves through a temporary file that is renamed over the CSV file.
+      listeners["/decks"]("rename", "~a.csv.tmp");
+      listeners["/decks"]("rename", "a.csv");
+      listeners["/decks"]("change", "a.csv");
+      listeners["/other"]("change", "c.csv");
+      await settle();
+      expect(reports).to.deep.equal([["/decks/a.csv", "/other/c.csv"]]);
+      // Changes to other files are not reported.
+      listeners["/decks"]("change", "notes.txt");
+      await settle();
+      expect(reports).to.have.length(1);
+      stop();
+      expect(closed).to.deep.equal(["/decks", "/other"]);
+    });
+
+    it("should report nothing once stopped", async function () {
+      const reports = [];
+      const stop = watchFiles(["/decks/a.csv"], paths => reports.push(paths), { debounceMs: 5, watch: fakeWatch });
+      listeners["/decks"]("change", "a.csv");
+      stop();
+      await settle();
+      expect(reports).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/* test/historyStore.test.js
+ *
+ * This test file uses Mocha and Chai to test the answer history store (src/historyStore.js)
+ * and the question keys it is indexed by (src/questionKey.js).
+ *
+ * Dependencies:
+ *  - fs, os and path: For creating a temporary history file.
+ *
+ * The tests cover:
+ *   - questionKey: Verifies that keys are stable and ignore case and surrounding whitespace.
+ *   - recordAttempt: Checks that attempts are appended per deck and question, with defaults.
+ *   - getDeckHistory: Checks that the attempts of one deck are returned.
+ *   - readHistory: Ensures that missing or damaged files yield an empty history.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readHistory, recordAttempt, getDeckHistory } = require("../src/historyStore");
+const { questionKey } = require("../src/questionKey");
+
+describe("Answer History", function () {
+  let tmpDir, storePath;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "quiz-history-"));
+    storePath = path.join(tmpDir, "nested", "answer-history.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: questionKey
+  // ---------------------------------------------------------------------------
+  describe("questionKey", function () {
+    it("should give the same key to the same question", function () {
+      const a = questionKey({ questionText: "What is 2+2?", options: ["3", "4"] });
+      const b = questionKey({ questionText: "  what IS 2+2? ", options: ["3", " 4"] });
+      expect(a).to.match(/^q[0-9a-f]+$/);
+      expect(a).to.equal(b);
+    });
+
+    it("should give different keys to different questions", function () {
+      const a = questionKey({ questionText: "What is 2+2?", options: ["3", "4"] });
+      const b = questionKey({ questionText: "What is 2+2?", options: ["4", "3"] });
+      expect(a).to.not.equal(b);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: recordAttempt and getDeckHistory
+  // ---------------------------------------------------------------------------
+  describe("recordAttempt", function () {
+    it("should append attempts per deck and question", function () {
+      recordAttempt(storePath, {
+        deckPath: "/decks/math.csv",
+        questionKey: "q1",
+        questionText: "What is 2+2?",
+        answer: "B",
+        correct: false,
+        timeSpentMs: 1234.4,
+        timestamp: "2026-01-01T10:00:00.000Z"
+      });
+      recordAttempt(storePath, { deckPath: "/decks/math.csv", questionKey: "q1", answer: "A", correct: true });
+      recordAttempt(storePath, { deckPath: "/decks/other.csv", questionKey: "q1", answer: "C", correct: true, score: 0.5 });
+
+      const deck = getDeckHistory(storePath, "/decks/math.csv");
+      expect(Object.keys(deck)).to.deep.equal(["q1"]);
+      expect(deck.q1.questionText).to.equal("What is 2+2?");
+      expect(deck.q1.attempts).to.have.length(2);
+      expect(deck.q1.attempts[0]).to.deep.equal({
+        timestamp: "2026-01-01T10:00:00.000Z",
+        answer: "B",
+        correct: false,
+        score: 0,
+        timeSpentMs: 1234
+      });
+      expect(deck.q1.attempts[1].score).to.equal(1);
+      expect(deck.q1.attempts[1].timeSpentMs).to.be.null;
+      expect(getDeckHistory(storePath, "/decks/other.csv").q1.attempts[0].score).to.equal(0.5);
+      expect(getDeckHistory(storePath, "/decks/unknown.csv")).to.deep.equal({});
+    });
+
+    it("should reject attempts without a deck or question key", function () {
+      expect(() => recordAttempt(storePath, { questionKey: "q1" })).to.throw("deckPath");
+      expect(() => recordAttempt(storePath, { deckPath: "/d.csv" })).to.throw("questionKey");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: readHistory
+  // ---------------------------------------------------------------------------
+  describe("readHistory", function () {
+    it("should start with an empty history if the file is missing or damaged", function () {
+      expect(readHistory(storePath)).to.deep.equal({ version: 1, decks: {} });
+      fs.mkdirSync(path.dirname(storePath), { recursive: true });
+      fs.writeFileSync(storePath, "{ not json", "utf8");
+      expect(readHistory(storePath)).to.deep.equal({ version: 1, decks: {} });
+    });
+  });
+});
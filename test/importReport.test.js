@@ -0,0 +1,199 @@
+/* test/importReport.test.js
+ *
+ * This test file uses Mocha and Chai to test the import report of CSV files
+ * (src/importReport.js) and the CSV quoting it uses (src/csvFormat.js).
+ *
+ * Dependencies:
+ *  - fs, os and path: For writing reports to a temporary directory.
+ *
+ * The tests cover:
+ *   - csvField: Checks when fields are quoted.
+ *   - spreadsheetRow: Checks that text a spreadsheet would run as a formula is neutralised.
+ *   - parseCsvRecords: Checks the line numbers and raw text of records, including quoted
+ *     fields spanning lines, quotes inside unquoted fields, empty lines and Windows and old Mac
+ *     line endings.
+ *   - hasEncodingProblem: Checks the detection of undecodable characters.
+ *   - createImportReport: Checks the reports of one and of several files.
+ *   - countSkippedByReason: Checks the counts per reason.
+ *   - writeImportReport: Checks the CSV written for a report.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { csvField, spreadsheetRow, parseCsvRecords } = require("../src/csvFormat");
+const {
+  SKIP_REASONS,
+  hasEncodingProblem,
+  createImportReport,
+  addSkippedRow,
+  countSkippedByReason,
+  writeImportReport
+} = require("../src/importReport");
+
+// A report with three skipped rows: two with a missing field and one duplicate.
+function sampleReport() {
+  const report = createImportReport("/decks/quiz.csv");
+  report.rows = 5;
+  report.imported = 2;
+  addSkippedRow(report, { line: 2, reason: SKIP_REASONS.MISSING_FIELD, message: "Missing correct answer", raw: "Q?,a,b,," });
+  addSkippedRow(report, { line: 4, reason: SKIP_REASONS.DUPLICATE, message: "Same question and options as line 1", raw: "2+2?,3,4,B" });
+  addSkippedRow(report, { line: 5, reason: SKIP_REASONS.MISSING_FIELD, message: "Missing question text", raw: ',"x, y",B' });
+  return report;
+}
+
+describe("Import Report", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: csvField
+  // ---------------------------------------------------------------------------
+  describe("csvField", function () {
+    it("should quote only fields that need it", function () {
+      expect(csvField("plain")).to.equal("plain");
+      expect(csvField(3)).to.equal("3");
+      expect(csvField(null)).to.equal("");
+      expect(csvField("a,b")).to.equal('"a,b"');
+      expect(csvField('say "hi"')).to.equal('"say ""hi"""');
+      expect(csvField("two\nlines")).to.equal('"two\nlines"');
+      expect(csvField("a;b")).to.equal("a;b");
+      expect(csvField("a;b", ";")).to.equal('"a;b"');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: spreadsheetRow
+  // ---------------------------------------------------------------------------
+  describe("spreadsheetRow", function () {
+    it("should prefix text that would run as a formula, but not numbers", function () {
+      expect(spreadsheetRow(["=1+1", "+1", "-x", "@SUM(A1)", "\tcmd", "\rcmd", "a=b"])).to.equal(
+        "'=1+1,'+1,'-x,'@SUM(A1),'\tcmd,\"'\rcmd\",a=b");
+      expect(spreadsheetRow([-1, 0.5, '=HYPERLINK("http://x","y")'])).to.equal(
+        '-1,0.5,"\'=HYPERLINK(""http://x"",""y"")"');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: parseCsvRecords
+  // ---------------------------------------------------------------------------
+  describe("parseCsvRecords", function () {
+    // The line and raw text of each record, as the report shows them.
+    function linesOf(text) {
+      return parseCsvRecords(text).map(({ line, raw }) => ({ line, raw }));
+    }
+
+    it("should number records by the line they start on", function () {
+      const text = 'Q1,a,b,A\r\n"Multi\nline",a,b,B\n\nQ3,"x ""quoted""",y,A\n';
+      expect(linesOf(text)).to.deep.equal([
+        { line: 1, raw: "Q1,a,b,A" },
+        { line: 2, raw: '"Multi\nline",a,b,B' },
+        { line: 4, raw: "" },
+        { line: 5, raw: 'Q3,"x ""quoted""",y,A' }
+      ]);
+    });
+
+    it("should read a quote inside an unquoted field as text", function () {
+      const text = 'Pipe 12" wide?,a,b,A\nQ2,a,b,\nBolt 3" long?,a,b,B\nQ4,a,b,\nQ5,a,b,\n';
+      const records = parseCsvRecords(text);
+      expect(records.map(record => record.line)).to.deep.equal([1, 2, 3, 4, 5]);
+      expect(records[1]).to.deep.equal({ line: 2, raw: "Q2,a,b,", cells: ["Q2", "a", "b", ""] });
+      expect(records[2].cells[0]).to.equal('Bolt 3" long?');
+      expect(records[4].raw).to.equal("Q5,a,b,");
+    });
+
+    it("should end records at a lone carriage return, as in old Mac files", function () {
+      const text = 'Q1,a,b,A\r"Multi\rline",a,b,B\r\rQ3,a,b,A\r';
+      expect(linesOf(text)).to.deep.equal([
+        { line: 1, raw: "Q1,a,b,A" },
+        { line: 2, raw: '"Multi\rline",a,b,B' },
+        { line: 4, raw: "" },
+        { line: 5, raw: "Q3,a,b,A" }
+      ]);
+      expect(parseCsvRecords(text)[1].cells).to.deep.equal(["Multi\rline", "a", "b", "B"]);
+    });
+
+    it("should keep a last record without a line break", function () {
+      expect(linesOf("a,b\nc,d")).to.deep.equal([{ line: 1, raw: "a,b" }, { line: 2, raw: "c,d" }]);
+      expect(linesOf("")).to.deep.equal([]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: hasEncodingProblem
+  // ---------------------------------------------------------------------------
+  describe("hasEncodingProblem", function () {
+    it("should detect replacement characters", function () {
+      expect(hasEncodingProblem(["Caf�", "ok"])).to.be.true;
+      expect(hasEncodingProblem(["Café", undefined, "ok"])).to.be.false;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: createImportReport
+  // ---------------------------------------------------------------------------
+  describe("createImportReport", function () {
+    it("should name the files and default skipped rows to the first one", function () {
+      expect(createImportReport("/decks/quiz.csv")).to.deep.equal(
+        { deckPath: "/decks/quiz.csv", files: ["quiz.csv"], formats: [], rows: 0, imported: 0, skipped: [] });
+      const report = createImportReport(["/decks/ch1.csv", "/decks/ch2.csv"]);
+      expect(report.deckPath).to.equal("/decks/ch1.csv");
+      expect(report.files).to.deep.equal(["ch1.csv", "ch2.csv"]);
+      expect(addSkippedRow(report, { line: 3, reason: SKIP_REASONS.DUPLICATE, message: "m", raw: "r" }).file)
+        .to.equal("ch1.csv");
+      expect(addSkippedRow(report, { file: "ch2.csv", line: 1, reason: SKIP_REASONS.DUPLICATE, message: "m", raw: "r" }).file)
+        .to.equal("ch2.csv");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: countSkippedByReason
+  // ---------------------------------------------------------------------------
+  describe("countSkippedByReason", function () {
+    it("should count the reasons that occur", function () {
+      expect(countSkippedByReason(sampleReport())).to.deep.equal([
+        { reason: SKIP_REASONS.MISSING_FIELD, label: "Missing field", count: 2 },
+        { reason: SKIP_REASONS.DUPLICATE, label: "Duplicate", count: 1 }
+      ]);
+      expect(countSkippedByReason(createImportReport("a.csv"))).to.deep.equal([]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: writeImportReport
+  // ---------------------------------------------------------------------------
+  describe("writeImportReport", function () {
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "quiz-import-report-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("should write one CSV row per skipped row", function () {
+      const filePath = path.join(tmpDir, "report.csv");
+      expect(writeImportReport(filePath, sampleReport())).to.deep.equal({ filePath });
+      const lines = fs.readFileSync(filePath, "utf8").split("\r\n");
+      expect(lines).to.deep.equal([
+        "File,Line,Reason,Details,Raw Content",
+        "quiz.csv,2,Missing field,Missing correct answer,\"Q?,a,b,,\"",
+        "quiz.csv,4,Duplicate,Same question and options as line 1,\"2+2?,3,4,B\"",
+        "quiz.csv,5,Missing field,Missing question text,\",\"\"x, y\"\",B\"",
+        ""
+      ]);
+    });
+
+    it("should keep rows of the deck from running as formulas", function () {
+      const report = createImportReport("/decks/quiz.csv");
+      addSkippedRow(report, { line: 2, reason: SKIP_REASONS.MISSING_FIELD, message: "Missing correct answer", raw: "=cmd|' /C calc'!A0,a,b" });
+      const filePath = path.join(tmpDir, "report.csv");
+      writeImportReport(filePath, report);
+      expect(fs.readFileSync(filePath, "utf8").split("\r\n")[1]).to.equal(
+        "quiz.csv,2,Missing field,Missing correct answer,\"'=cmd|' /C calc'!A0,a,b\"");
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/* test/importers.test.js
+ *
+ * This test file uses Mocha and Chai to test the deck importers (src/importers.js).
+ * Records are also checked against the question validation (src/questionRow.js), since
+ * every format must give the same questions as the equivalent CSV row.
+ *
+ * The tests cover:
+ *   - findImporter: Checks the importer picked by extension and, for ".txt", by content,
+ *     and the file filters of the open dialog.
+ *   - readCsvRecords: Checks the rows read through the column map, and their lines.
+ *   - readJsonRecords: Checks both layouts, list answers, line numbers and invalid files.
+ *   - readAikenRecords: Checks options, answers and questions without an answer line.
+ *   - readGiftRecords: Checks the question types, categories, escapes, fill-in-the-blank
+ *     questions and the questions that cannot be imported.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const { defaultColumnMap } = require("../src/columnMapping");
+const { parseQuestionRow } = require("../src/questionRow");
+const { SKIP_REASONS } = require("../src/importReport");
+const {
+  IMPORT_FORMATS,
+  IMPORT_EXTENSIONS,
+  IMPORT_FILTERS,
+  isImportPath,
+  findImporter,
+  readCsvRecords,
+  readJsonRecords,
+  readAikenRecords,
+  readGiftRecords
+} = require("../src/importers");
+
+// The question of a record, as the import builds it.
+function questionOf(record) {
+  const result = parseQuestionRow(record.fields);
+  expect(result.error, JSON.stringify(result.error)).to.be.undefined;
+  return result.question;
+}
+
+describe("Importers", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: findImporter
+  // ---------------------------------------------------------------------------
+  describe("findImporter", function () {
+    it("should pick the importer by extension, in any letter case", function () {
+      expect(findImporter("/decks/a.csv", "").format).to.equal(IMPORT_FORMATS.CSV);
+      expect(findImporter("/decks/a.JSON", "[]").format).to.equal(IMPORT_FORMATS.JSON);
+      expect(findImporter("/decks/a.gift", "").format).to.equal(IMPORT_FORMATS.GIFT);
+      expect(findImporter("/decks/a.docx", "")).to.be.null;
+      expect(isImportPath("/decks/a.Txt")).to.be.true;
+      expect(isImportPath("/decks/a.xlsx")).to.be.false;
+    });
+
+    it("should tell Aiken from GIFT text files by their content", function () {
+      expect(findImporter("q.txt", "2+2?\nA. 3\nB. 4\nANSWER: B\n").format).to.equal(IMPORT_FORMATS.AIKEN);
+      expect(findImporter("q.txt", "2+2? {=4 ~3}\n").format).to.equal(IMPORT_FORMATS.GIFT);
+    });
+
+    it("should offer every format in the open dialog, all of them first", function () {
+      expect(IMPORT_FILTERS[0]).to.deep.equal({ name: "Quiz Decks", extensions: IMPORT_EXTENSIONS });
+      expect(IMPORT_EXTENSIONS).to.have.members(["csv", "json", "txt", "gift"]);
+      expect(IMPORT_FILTERS.map(filter => filter.name)).to.include.members(["CSV Files", "JSON Files", "Aiken Files", "Moodle GIFT Files"]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: readCsvRecords
+  // ---------------------------------------------------------------------------
+  describe("readCsvRecords", function () {
+    it("should read the rows through the column map, leaving out empty rows", async function () {
+      const text = '2+2?;3;4;;;B;Math\n;;;;;;\n"Capital; of France?";Paris;Rome;;;A;\n';
+      const records = await readCsvRecords(text, { separator: ";", resolveColumnMap: () => Promise.resolve(defaultColumnMap()) });
+      expect(records.map(record => record.line)).to.deep.equal([1, 3]);
+      expect(records[1].fields.questionText).to.equal("Capital; of France?");
+      expect(questionOf(records[0])).to.include({ questionText: "2+2?", correctAnswer: "B", group: "Math" });
+    });
+
+    it("should give each row the line and raw text it was read from", async function () {
+      const text = 'Pipe 12" wide?,a,b,,,A\nQ2,a,b,,,\nBolt 3" long?,a,b,,,B\nQ4,a,b,,,\n';
+      const records = await readCsvRecords(text, { separator: ",", resolveColumnMap: () => Promise.resolve(defaultColumnMap()) });
+      expect(records.map(record => [record.line, record.raw])).to.deep.equal([
+        [1, 'Pipe 12" wide?,a,b,,,A'], [2, "Q2,a,b,,,"], [3, 'Bolt 3" long?,a,b,,,B'], [4, "Q4,a,b,,,"]
+      ]);
+      expect(records[2].fields.questionText).to.equal('Bolt 3" long?');
+    });
+
+    it("should resolve with null when the column mapping is cancelled", async function () {
+      const records = await readCsvRecords("a,b\n", { separator: ",", resolveColumnMap: () => Promise.resolve(null) });
+      expect(records).to.be.null;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: readJsonRecords
+  // ---------------------------------------------------------------------------
+  describe("readJsonRecords", function () {
+    it("should give the same question as the equivalent CSV row", async function () {
+      const text = JSON.stringify([
+        { questionText: "2+2?", options: ["3", "4"], correctAnswer: "B", group: "Math", explanation: "Add.", timeLimit: 30 }
+      ]);
+      const [record] = await readJsonRecords(text);
+      const csvRow = parseQuestionRow({ questionText: "2+2?", option1: "3", option2: "4", correctAnswer: "B", group: "Math", explanation: "Add.", timeLimit: "30" });
+      expect(questionOf(record)).to.deep.equal(csvRow.question);
+    });
+
+    it("should read a questions list with short field names, list answers and line numbers", async function () {
+      const text = [
+        '{',
+        '  "title": "Mixed",',
+        '  "questions": [',
+        '    { "question": "Primes?", "options": ["2", "4", "5"], "answer": ["A", "C"] },',
+        '    {',
+        '      "question": "Colour of the sky?",',
+        '      "answer": ["blue", "azure"]',
+        '    }',
+        '  ]',
+        '}'
+      ].join('\n');
+      const records = await readJsonRecords(text);
+      expect(records.map(record => record.line)).to.deep.equal([4, 5]);
+      expect(questionOf(records[0])).to.include({ correctAnswer: "A,C", multiSelect: true });
+      expect(questionOf(records[1])).to.include({ type: "text", correctAnswer: "blue|azure" });
+    });
+
+    it("should report questions that are not objects or whose options are not a list", async function () {
+      const records = await readJsonRecords(JSON.stringify(["text", { question: "Q", options: "a,b", answer: "A" }]));
+      expect(records[0].error.reason).to.equal(SKIP_REASONS.INVALID_VALUE);
+      expect(records[1].error.message).to.equal('"options" must be a list');
+    });
+
+    it("should reject text that is not JSON or holds no list of questions", async function () {
+      let error = null;
+      await readJsonRecords("{ nope").catch(err => { error = err; });
+      expect(error.message).to.match(/^Not valid JSON/);
+      error = null;
+      await readJsonRecords('{ "deck": [] }').catch(err => { error = err; });
+      expect(error.message).to.contain('"questions" list');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: readAikenRecords
+  // ---------------------------------------------------------------------------
+  describe("readAikenRecords", function () {
+    it("should read questions, options and answers", async function () {
+      const text = [
+        "What is the capital",
+        "of France?",
+        "A. Paris",
+        "B) Rome",
+        "ANSWER: A",
+        "",
+        "2+2?",
+        "A. 3",
+        "B. 4",
+        "C. 5",
+        "ANSWER: B"
+      ].join("\r\n");
+      const records = await readAikenRecords(text);
+      expect(records.map(record => record.line)).to.deep.equal([1, 7]);
+      expect(questionOf(records[0])).to.include({ questionText: "What is the capital of France?", correctAnswer: "A" });
+      expect(questionOf(records[0]).options).to.deep.equal(["Paris", "Rome"]);
+      expect(questionOf(records[1]).options).to.have.length(3);
+    });
+
+    it("should report a question without an answer line", async function () {
+      const records = await readAikenRecords("Q1?\nA. x\nB. y\nQ2?\nA. x\nB. y\nANSWER: B\n");
+      expect(records).to.have.length(2);
+      expect(parseQuestionRow(records[0].fields).error.message).to.equal("Missing correct answer");
+      expect(questionOf(records[1]).questionText).to.equal("Q2?");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: readGiftRecords
+  // ---------------------------------------------------------------------------
+  describe("readGiftRecords", function () {
+    it("should read multiple-choice, true/false, short-answer and numeric questions", async function () {
+      const text = [
+        "// A comment",
+        "::Q1:: Which are primes? {~%50%2 ~%50%3 ~%-100%4}",
+        "",
+        "The sun is a star.{T}",
+        "",
+        "[html]Capital of France? {=Paris =paris#Well done}",
+        "",
+        "Pi to two decimals? {#3.14:0.01}",
+        "",
+        "2+2? {",
+        "  ~3",
+        "  =4#Right",
+        "  ####Two plus two.",
+        "}"
+      ].join("\n");
+      const records = await readGiftRecords(text);
+      expect(records.map(record => record.line)).to.deep.equal([2, 4, 6, 8, 10]);
+      expect(questionOf(records[0])).to.include({ questionText: "Which are primes?", correctAnswer: "A,B", multiSelect: true });
+      expect(questionOf(records[1])).to.include({ correctAnswer: "A" });
+      expect(questionOf(records[1]).options).to.deep.equal(["True", "False"]);
+      expect(questionOf(records[2])).to.include({ questionText: "Capital of France?", type: "text", correctAnswer: "Paris|paris" });
+      expect(questionOf(records[3])).to.include({ type: "number", correctAnswer: "3.14±0.01" });
+      expect(questionOf(records[4])).to.include({ correctAnswer: "B", explanation: "Two plus two." });
+    });
+
+    it("should use the category as the group and keep escaped characters", async function () {
+      const text = [
+        "$CATEGORY: $course$/top/Math/Algebra",
+        "",
+        "Solve x\\=2\\: x? {=2 ~3}",
+        "",
+        "Mars is the {=red ~blue} planet."
+      ].join("\n");
+      const records = await readGiftRecords(text);
+      expect(questionOf(records[0])).to.include({ questionText: "Solve x=2: x?", group: "Math/Algebra" });
+      expect(questionOf(records[1])).to.include({ questionText: "Mars is the _____ planet.", group: "Math/Algebra" });
+    });
+
+    it("should report essay and matching questions and questions without answers", async function () {
+      const text = "Write an essay. {}\n\nMatch. {=a -> 1 =b -> 2}\n\nNo answers here.\n";
+      const records = await readGiftRecords(text);
+      expect(records.map(record => record.error.message)).to.deep.equal([
+        "Essay questions cannot be imported",
+        "Matching questions cannot be imported",
+        "No answer block {…}"
+      ]);
+    });
+  });
+});
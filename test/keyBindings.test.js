@@ -0,0 +1,137 @@
+/* test/keyBindings.test.js
+ *
+ * This test file uses Mocha and Chai to test the keyboard shortcuts (src/keyBindings.js).
+ *
+ * Dependencies:
+ *  - fs, os and path: For creating a temporary key bindings file.
+ *
+ * The tests cover:
+ *   - keyCombo: Checks how key presses are written, with and without modifiers.
+ *   - normalizeCombo: Checks that keys written by the user are read in any spelling.
+ *   - mergeKeyBindings / findKeyAction: Checks the defaults, overrides and key lookup.
+ *   - rebindKey: Checks that a key is moved to the rebound action.
+ *   - readKeyBindings / writeKeyBindings: Checks the bindings file, including damaged files.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  DEFAULT_KEY_BINDINGS,
+  keyCombo,
+  normalizeCombo,
+  describeCombo,
+  mergeKeyBindings,
+  findKeyAction,
+  rebindKey,
+  readKeyBindings,
+  writeKeyBindings
+} = require("../src/keyBindings");
+
+describe("Key Bindings", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: keyCombo
+  // ---------------------------------------------------------------------------
+  describe("keyCombo", function () {
+    it("should write key presses with their modifiers", function () {
+      expect(keyCombo({ key: "a" })).to.equal("A");
+      expect(keyCombo({ key: "o", ctrlKey: true })).to.equal("Ctrl+O");
+      expect(keyCombo({ key: "Enter", shiftKey: true })).to.equal("Shift+Enter");
+      // Shift is part of the character itself.
+      expect(keyCombo({ key: "?", shiftKey: true })).to.equal("?");
+      expect(keyCombo({ key: " " })).to.equal("Space");
+      expect(keyCombo({ key: "Shift", shiftKey: true })).to.be.null;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: normalizeCombo
+  // ---------------------------------------------------------------------------
+  describe("normalizeCombo", function () {
+    it("should read keys in any spelling", function () {
+      expect(normalizeCombo("ctrl+o")).to.equal("Ctrl+O");
+      expect(normalizeCombo("Control + O")).to.equal("Ctrl+O");
+      expect(normalizeCombo("shift+alt+left")).to.equal("Alt+Shift+ArrowLeft");
+      expect(normalizeCombo("esc")).to.equal("Escape");
+      expect(normalizeCombo("Ctrl++")).to.equal("Ctrl++");
+      expect(describeCombo("ArrowRight")).to.equal("→");
+    });
+
+    it("should reject combinations without a key", function () {
+      expect(normalizeCombo("")).to.be.null;
+      expect(normalizeCombo("Ctrl")).to.be.null;
+      expect(normalizeCombo("Hyper+A")).to.be.null;
+      expect(normalizeCombo(42)).to.be.null;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: mergeKeyBindings / findKeyAction
+  // ---------------------------------------------------------------------------
+  describe("mergeKeyBindings / findKeyAction", function () {
+    it("should use the defaults for actions the user did not bind", function () {
+      const bindings = mergeKeyBindings({ next: ["n", "Right", "N", "Bogus+X"], unknown: ["Q"] });
+      expect(bindings.next).to.deep.equal(["N", "ArrowRight"]);
+      expect(bindings.previous).to.deep.equal(DEFAULT_KEY_BINDINGS.previous);
+      expect(bindings).to.not.have.property("unknown");
+      expect(findKeyAction(bindings, "N")).to.equal("next");
+      expect(findKeyAction(bindings, "1")).to.equal("answer1");
+      expect(findKeyAction(bindings, "G")).to.equal("focusGroup");
+      expect(findKeyAction(bindings, "Ctrl+O")).to.equal("openCsv");
+      expect(findKeyAction(bindings, "ArrowDown")).to.be.null;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: rebindKey
+  // ---------------------------------------------------------------------------
+  describe("rebindKey", function () {
+    it("should bind the key to one action only", function () {
+      const bindings = mergeKeyBindings({});
+      const rebound = rebindKey(bindings, "next", "A");
+      expect(rebound.next).to.deep.equal(["A"]);
+      expect(rebound.answer1).to.deep.equal(["1"]);
+      // The original bindings are unchanged.
+      expect(bindings.answer1).to.deep.equal(["A", "1"]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: readKeyBindings / writeKeyBindings
+  // ---------------------------------------------------------------------------
+  describe("readKeyBindings / writeKeyBindings", function () {
+    let tmpDir, storePath;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "quiz-keys-"));
+      storePath = path.join(tmpDir, "config", "key-bindings.json");
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("should store bindings and read them back", function () {
+      expect(readKeyBindings(storePath)).to.deep.equal({});
+      const stored = writeKeyBindings(storePath, { next: ["ctrl+n"] });
+      expect(stored.next).to.deep.equal(["Ctrl+N"]);
+      expect(readKeyBindings(storePath).next).to.deep.equal(["Ctrl+N"]);
+    });
+
+    it("should ignore a damaged file", function () {
+      fs.mkdirSync(path.dirname(storePath), { recursive: true });
+      fs.writeFileSync(storePath, "{ not json", "utf8");
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        expect(readKeyBindings(storePath)).to.deep.equal({});
+      } finally {
+        console.error = originalError;
+      }
+    });
+  });
+});
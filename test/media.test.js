@@ -0,0 +1,130 @@
+/* test/media.test.js
+ *
+ * This test file uses Mocha and Chai to test the media module (src/media.js), which
+ * handles images and audio clips referenced from CSV rows.
+ *
+ * Dependencies:
+ *  - fs, os and path: For creating a temporary directory with media files.
+ *
+ * The tests cover:
+ *   - parseMediaText: Verifies that inline img: and audio: references are split from the
+ *     surrounding text, including quoted paths and trailing punctuation.
+ *   - mediaKindFromPath: Checks detection of images and audio clips by extension.
+ *   - resolveMediaPath / mediaUrl: Checks that paths resolve against the CSV directory, and
+ *     URLs against the URL of the CSV file, for POSIX and Windows paths.
+ *   - findMissingFiles / findMissingMedia: Ensures that missing and unsupported files are reported.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const {
+  MEDIA_KINDS,
+  mediaKindFromPath,
+  parseMediaText,
+  hasMediaReferences,
+  resolveMediaPath,
+  mediaUrl,
+  collectMediaReferences,
+  findMissingFiles,
+  findMissingMedia
+} = require("../src/media");
+
+describe("Media", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: parseMediaText
+  // ---------------------------------------------------------------------------
+  describe("parseMediaText", function () {
+    it("should split text and inline media references", function () {
+      expect(parseMediaText("Which layer? img:diagrams/osi.png Listen: audio:clip.mp3")).to.deep.equal([
+        { type: "text", value: "Which layer? " },
+        { type: MEDIA_KINDS.IMAGE, value: "diagrams/osi.png" },
+        { type: "text", value: " Listen: " },
+        { type: MEDIA_KINDS.AUDIO, value: "clip.mp3" }
+      ]);
+    });
+
+    it("should support quoted paths and leave trailing punctuation as text", function () {
+      expect(parseMediaText('See img:"my diagrams/osi.png" and img:a.png.')).to.deep.equal([
+        { type: "text", value: "See " },
+        { type: MEDIA_KINDS.IMAGE, value: "my diagrams/osi.png" },
+        { type: "text", value: " and " },
+        { type: MEDIA_KINDS.IMAGE, value: "a.png" },
+        { type: "text", value: "." }
+      ]);
+    });
+
+    it("should leave text without references unchanged", function () {
+      expect(parseMediaText("Plain question?")).to.deep.equal([{ type: "text", value: "Plain question?" }]);
+      expect(hasMediaReferences("Plain question?")).to.be.false;
+      expect(hasMediaReferences("IMG:x.png")).to.be.true;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: mediaKindFromPath, resolveMediaPath and mediaUrl
+  // ---------------------------------------------------------------------------
+  describe("paths", function () {
+    it("should detect images and audio clips by extension", function () {
+      expect(mediaKindFromPath("a/b.PNG")).to.equal(MEDIA_KINDS.IMAGE);
+      expect(mediaKindFromPath("clip.ogg")).to.equal(MEDIA_KINDS.AUDIO);
+      expect(mediaKindFromPath("notes.txt")).to.be.null;
+    });
+
+    it("should resolve paths against the CSV directory", function () {
+      const baseDir = path.join(os.tmpdir(), "deck");
+      expect(resolveMediaPath("img/a.png", baseDir)).to.equal(path.join(baseDir, "img", "a.png"));
+      const deckUrl = pathToFileURL(path.join(baseDir, "quiz.csv")).href;
+      expect(mediaUrl("a b.png", deckUrl)).to.equal(pathToFileURL(path.join(baseDir, "a b.png")).href);
+      expect(mediaUrl("../#1?.png", deckUrl)).to.equal(pathToFileURL(path.join(baseDir, "..", "#1?.png")).href);
+    });
+
+    it("should build URLs of Windows paths", function () {
+      const deckUrl = "file:///C:/decks/quiz.csv";
+      expect(mediaUrl("img\\a.png", deckUrl)).to.equal("file:///C:/decks/img/a.png");
+      expect(mediaUrl("D:\\media\\a.png", deckUrl)).to.equal("file:///D:/media/a.png");
+      expect(mediaUrl("\\\\server\\share\\a.png", deckUrl)).to.equal("file://server/share/a.png");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: collectMediaReferences, findMissingFiles and findMissingMedia
+  // ---------------------------------------------------------------------------
+  describe("findMissingMedia", function () {
+    let baseDir;
+
+    before(function () {
+      baseDir = fs.mkdtempSync(path.join(os.tmpdir(), "quiz-media-"));
+      fs.writeFileSync(path.join(baseDir, "present.png"), "");
+      fs.writeFileSync(path.join(baseDir, "notes.txt"), "");
+    });
+
+    after(function () {
+      fs.rmSync(baseDir, { recursive: true, force: true });
+    });
+
+    it("should collect references from the text, options and media column", function () {
+      const question = { questionText: "Q img:a.png", options: ["audio:b.mp3", "plain"], media: "c.png" };
+      expect(collectMediaReferences(question)).to.deep.equal(["a.png", "b.mp3", "c.png"]);
+    });
+
+    it("should report missing and unsupported files", function () {
+      const question = {
+        questionText: "Q img:present.png img:absent.png",
+        options: ["x", "y"],
+        media: "notes.txt"
+      };
+      const missing = findMissingFiles(collectMediaReferences(question), baseDir);
+      expect(missing).to.deep.equal(["absent.png"]);
+      expect(findMissingMedia(question, missing)).to.deep.equal([
+        { path: "absent.png", reason: "not found" },
+        { path: "notes.txt", reason: "unsupported file type" }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/* test/questionRow.test.js
+ *
+ * This test file uses Mocha and Chai to test the validation of one CSV row into a question
+ * (src/questionRow.js), shared by the import and the deck editor.
+ *
+ * The tests cover:
+ *   - parseQuestionRow: Checks the questions built from valid rows, and the reason and message
+ *     given for rows that are skipped.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const { parseQuestionRow } = require("../src/questionRow");
+
+describe("Question Row", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: parseQuestionRow
+  // ---------------------------------------------------------------------------
+  describe("parseQuestionRow", function () {
+    it("should build choice, multiple-answer and free-text questions", function () {
+      const { question } = parseQuestionRow({ questionText: " 2+2? ", option1: "3", option2: "4", correctAnswer: "b" });
+      expect(question).to.include({ questionText: "2+2?", type: "choice", correctAnswer: "B", multiSelect: false, group: "All" });
+      expect(question.options).to.deep.equal(["3", "4"]);
+      const multi = parseQuestionRow({ questionText: "Primes?", option1: "2", option2: "4", option3: "5", correctAnswer: "A, C", group: "Math" });
+      expect(multi.question).to.include({ correctAnswer: "A,C", multiSelect: true, group: "Math" });
+      const numeric = parseQuestionRow({ questionText: "Square root of 9?", correctAnswer: "3" });
+      expect(numeric.question).to.include({ type: "number" });
+    });
+
+    it("should explain why a row is skipped", function () {
+      expect(parseQuestionRow({ option1: "3", option2: "4", correctAnswer: "B" }))
+        .to.deep.equal({ error: { reason: "missing-field", message: "Missing question text" } });
+      expect(parseQuestionRow({ questionText: "2+2?", option1: "3", option3: "4", correctAnswer: "A" }).error.message)
+        .to.equal("An option is empty while a later option is filled in");
+      expect(parseQuestionRow({ questionText: "2+2?", option1: "4", correctAnswer: "A" }).error.message)
+        .to.equal("A choice question needs at least 2 options");
+      expect(parseQuestionRow({ questionText: "2+2?", option1: "3", option2: "4", correctAnswer: "B", timeLimit: "soon" }).error)
+        .to.deep.equal({ reason: "invalid-value", message: 'Time limit "soon" is not a number of seconds' });
+      expect(parseQuestionRow({ questionText: "Pi?", correctAnswer: "1.234.5±0.01", type: "number" }).error)
+        .to.deep.equal({ reason: "invalid-answer", message: 'Accepted answers "1.234.5±0.01" cannot be read for a number question' });
+    });
+  });
+});
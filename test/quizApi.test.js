@@ -0,0 +1,190 @@
+/* test/quizApi.test.js
+ *
+ * This test file uses Mocha and Chai to test the IPC API between the quiz window and the
+ * main process (src/quizApi.js).
+ *
+ * The tests cover:
+ *   - createQuizApi: Checks that each call uses its fixed channel and that invalid
+ *     arguments are rejected before reaching the main process.
+ *   - Window messages: Checks that messages from the main process reach their callback,
+ *     and that invalid ones are dropped.
+ *   - validateAttempt / validateResultsReport / validateKeyBindings / validateImportReport: Checks
+ *     the argument checks that the main process repeats, and those of the deck file, recent
+ *     decks, deck save and deck export calls.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const {
+  IPC_CHANNELS,
+  WINDOW_CHANNELS,
+  validateDeckPaths,
+  validateDeckRead,
+  validateMediaCheck,
+  validateAttempt,
+  validateResultsReport,
+  validateKeyBindings,
+  validateImportReport,
+  validateRecentDeck,
+  validateReopenLast,
+  validateDeckFileName,
+  validateDeckSave,
+  validateDeckExport,
+  createQuizApi
+} = require("../src/quizApi");
+
+describe("Quiz API", function () {
+  // A stand-in for ipcRenderer that records each call.
+  let calls, api;
+
+  beforeEach(function () {
+    calls = [];
+    api = createQuizApi({
+      invoke: (...args) => {
+        calls.push(args);
+        return Promise.resolve("ok");
+      }
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: createQuizApi
+  // ---------------------------------------------------------------------------
+  describe("createQuizApi", function () {
+    it("should send each call on its own channel", async function () {
+      const attempt = { deckPath: "/decks/a.csv", questionKey: "q1", correct: true, answer: "B", score: 1 };
+      expect(await api.selectCsvFile()).to.equal("ok");
+      await api.confirmDroppedFiles(["/decks/a.csv"]);
+      await api.readDeckFile({ filePath: "/decks/a.csv", encoding: "auto" });
+      await api.findMissingMedia({ deckPath: "/decks/a.csv", references: ["img/a.png"] });
+      await api.watchDeckFiles(["/decks/a.csv"]);
+      await api.recordAttempt(attempt);
+      await api.getDeckHistory("/decks/a.csv");
+      await api.getKeyBindings();
+      await api.saveKeyBindings({ next: ["N"] });
+      await api.exportImportReport({ skipped: [] });
+      await api.getRecentDecks();
+      await api.recordRecentDeck({ paths: ["/decks/a.csv"], group: "Math" });
+      await api.setReopenLastDeck(true);
+      await api.saveDeck({ text: "Q,a,b,A\n", encoding: "utf-8", filePath: null, fileName: "chapter-1.csv" });
+      await api.exportDeck({ deck: "a.csv", questions: [] });
+      expect(calls).to.deep.equal([
+        [IPC_CHANNELS.SELECT_CSV_FILE],
+        [IPC_CHANNELS.CONFIRM_DROPPED_FILES, ["/decks/a.csv"]],
+        [IPC_CHANNELS.READ_DECK_FILE, { filePath: "/decks/a.csv", encoding: "auto" }],
+        [IPC_CHANNELS.FIND_MISSING_MEDIA, { deckPath: "/decks/a.csv", references: ["img/a.png"] }],
+        [IPC_CHANNELS.WATCH_DECK_FILES, ["/decks/a.csv"]],
+        [IPC_CHANNELS.RECORD_ATTEMPT, attempt],
+        [IPC_CHANNELS.GET_DECK_HISTORY, "/decks/a.csv"],
+        [IPC_CHANNELS.GET_KEY_BINDINGS],
+        [IPC_CHANNELS.SAVE_KEY_BINDINGS, { next: ["N"] }],
+        [IPC_CHANNELS.EXPORT_IMPORT_REPORT, { skipped: [] }],
+        [IPC_CHANNELS.GET_RECENT_DECKS],
+        [IPC_CHANNELS.RECORD_RECENT_DECK, { paths: ["/decks/a.csv"], group: "Math" }],
+        [IPC_CHANNELS.SET_REOPEN_LAST_DECK, true],
+        [IPC_CHANNELS.SAVE_DECK, { text: "Q,a,b,A\n", encoding: "utf-8", filePath: null, fileName: "chapter-1.csv" }],
+        [IPC_CHANNELS.EXPORT_DECK, { deck: "a.csv", questions: [] }]
+      ]);
+      // The API cannot be changed or extended by the code that uses it.
+      expect(Object.isFrozen(api)).to.be.true;
+    });
+
+    it("should reject invalid arguments without calling the main process", async function () {
+      let error;
+      try {
+        await api.getDeckHistory({ path: "/etc/passwd" });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      expect(error.message).to.equal("deckPath must be a non-empty string");
+      expect(calls).to.have.length(0);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Window messages
+  // ---------------------------------------------------------------------------
+  describe("Window messages", function () {
+    it("should pass valid messages to the callback and drop invalid ones", function () {
+      const listeners = {};
+      const windowApi = createQuizApi({
+        invoke: () => Promise.resolve(),
+        on: (channel, listener) => { listeners[channel] = listener; },
+        removeListener: (channel) => { delete listeners[channel]; }
+      });
+      const opened = [];
+      const unsubscribe = windowApi.onOpenRecentDeck(deck => opened.push(deck));
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        listeners[WINDOW_CHANNELS.OPEN_RECENT_DECK]({}, { paths: ["/decks/a.csv"], group: "All" });
+        listeners[WINDOW_CHANNELS.OPEN_RECENT_DECK]({}, { paths: "/etc/passwd" });
+      } finally {
+        console.error = originalError;
+      }
+      expect(opened).to.deep.equal([{ paths: ["/decks/a.csv"], group: "All" }]);
+      const changed = [];
+      windowApi.onDeckFilesChanged(paths => changed.push(paths));
+      listeners[WINDOW_CHANNELS.DECK_FILES_CHANGED]({}, ["/decks/a.csv"]);
+      expect(changed).to.deep.equal([["/decks/a.csv"]]);
+      unsubscribe();
+      expect(listeners[WINDOW_CHANNELS.OPEN_RECENT_DECK]).to.be.undefined;
+      // Without ipcRenderer.on (e.g. in tests) subscribing does nothing.
+      expect(api.onOpenCsvFiles(() => {})).to.be.a("function");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: validateAttempt / validateResultsReport / validateKeyBindings / validateImportReport
+  // ---------------------------------------------------------------------------
+  describe("validateAttempt / validateResultsReport / validateKeyBindings / validateImportReport", function () {
+    it("should accept well-formed arguments", function () {
+      const attempt = { deckPath: "a.csv", questionKey: "q1", correct: false, timeSpentMs: 1200 };
+      expect(validateAttempt(attempt)).to.equal(attempt);
+      const report = { summary: { groups: [] }, questions: [{ number: 1 }] };
+      expect(validateResultsReport(report)).to.equal(report);
+      expect(validateKeyBindings({ next: [] })).to.deep.equal({ next: [] });
+      const importReport = { skipped: [{ file: "a.csv", line: 3, reason: "duplicate", message: "Same question", raw: "Q,a,b,A" }] };
+      expect(validateImportReport(importReport)).to.equal(importReport);
+      expect(validateRecentDeck({ paths: ["/decks/a.csv"] })).to.deep.equal({ paths: ["/decks/a.csv"] });
+      expect(validateReopenLast(false)).to.equal(false);
+      expect(validateDeckFileName("new-deck.csv")).to.equal("new-deck.csv");
+      expect(validateDeckPaths([])).to.deep.equal([]);
+      expect(validateDeckRead({ filePath: "/decks/a.csv", encoding: "utf-16le" })).to.deep.equal({ filePath: "/decks/a.csv", encoding: "utf-16le" });
+      expect(validateMediaCheck({ deckPath: "/decks/a.csv", references: [] })).to.deep.equal({ deckPath: "/decks/a.csv", references: [] });
+      const saved = { text: "", encoding: "windows-1252", filePath: "/decks/a.csv", fileName: "a.csv" };
+      expect(validateDeckSave(saved)).to.equal(saved);
+      const deck = { questions: [{ questionText: "2+2?", options: ["3", "4"], correctAnswer: "B", group: "Math", explanation: "" }] };
+      expect(validateDeckExport(deck)).to.equal(deck);
+    });
+
+    it("should reject malformed arguments", function () {
+      expect(() => validateAttempt(null)).to.throw(TypeError, "attempt must be an object");
+      expect(() => validateAttempt({ deckPath: "a.csv", questionKey: "q1", correct: "yes" }))
+        .to.throw(TypeError, "attempt.correct must be a boolean");
+      expect(() => validateAttempt({ deckPath: "a.csv", questionKey: "q1", correct: true, score: "1" }))
+        .to.throw(TypeError, "attempt.score must be a number");
+      expect(() => validateResultsReport({ summary: { groups: [] }, questions: "all" }))
+        .to.throw(TypeError, "report.questions must be an array of objects");
+      expect(() => validateKeyBindings({ next: "N" })).to.throw(TypeError, "bindings.next must be a list of keys");
+      expect(() => validateImportReport({ skipped: [{ line: "3", reason: "duplicate", message: "", raw: "" }] }))
+        .to.throw(TypeError, "report.skipped[].line must be a line number");
+      expect(() => validateRecentDeck({ paths: [] })).to.throw(TypeError, "deck.paths must be a non-empty list of paths");
+      expect(() => validateReopenLast("yes")).to.throw(TypeError, "reopenLast must be a boolean");
+      expect(() => validateDeckFileName("../../.bashrc")).to.throw(TypeError, "fileName must be a file name without a directory");
+      expect(() => validateDeckSave({ text: Buffer.from("Q"), encoding: "utf-8", filePath: null, fileName: "a.csv" }))
+        .to.throw(TypeError, "deck.text must be a string");
+      expect(() => validateDeckSave({ text: "", encoding: "utf-8", fileName: "a.csv" }))
+        .to.throw(TypeError, "deck.filePath must be null or a non-empty string");
+      expect(() => validateDeckPaths("/decks/a.csv")).to.throw(TypeError, "deckPaths must be a list of non-empty strings");
+      expect(() => validateDeckRead({ filePath: "/decks/a.csv" })).to.throw(TypeError, "request.encoding must be a non-empty string");
+      expect(() => validateMediaCheck({ deckPath: "/decks/a.csv", references: [null] }))
+        .to.throw(TypeError, "request.references must be a list of strings");
+      expect(() => validateDeckExport({ questions: [{ questionText: "Q", options: [1, 2], correctAnswer: "A", group: "", explanation: "" }] }))
+        .to.throw(TypeError, "deck.questions[].options must be a list of strings");
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/* test/recentDecks.test.js
+ *
+ * This test file uses Mocha and Chai to test the recent decks list (src/recentDecks.js).
+ *
+ * Dependencies:
+ *  - fs, os and path: For creating a temporary recent decks file.
+ *
+ * The tests cover:
+ *   - addRecentDeck: Checks the order of the list, the update of a deck opened again and the
+ *     length limit.
+ *   - pruneRecentDecks: Checks that missing files, and decks left without files, are removed.
+ *   - describeDeck: Checks the names of single and merged decks.
+ *   - readRecentDecks / writeRecentDecks: Checks the list file, including damaged files.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MAX_RECENT_DECKS,
+  readRecentDecks,
+  writeRecentDecks,
+  pruneRecentDecks,
+  addRecentDeck,
+  describeDeck
+} = require("../src/recentDecks");
+
+describe("Recent Decks", function () {
+  const empty = () => ({ version: 1, reopenLast: false, decks: [] });
+  const openedAt = new Date("2024-05-01T10:00:00Z");
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: addRecentDeck
+  // ---------------------------------------------------------------------------
+  describe("addRecentDeck", function () {
+    it("should put the opened deck first and update its group", function () {
+      let recent = addRecentDeck(empty(), { paths: ["/decks/a.csv"] }, openedAt);
+      recent = addRecentDeck(recent, { paths: ["/decks/b.csv", "/decks/c.csv"], group: "Math" }, openedAt);
+      expect(recent.decks.map(deck => deck.paths)).to.deep.equal([["/decks/b.csv", "/decks/c.csv"], ["/decks/a.csv"]]);
+      expect(recent.decks[1]).to.deep.equal({ paths: ["/decks/a.csv"], group: "All", openedAt: "2024-05-01T10:00:00.000Z" });
+      recent = addRecentDeck(recent, { paths: ["/decks/a.csv"], group: "Geo" }, openedAt);
+      expect(recent.decks).to.have.length(2);
+      expect(recent.decks[0]).to.include({ group: "Geo" });
+      // A deck without files is not added.
+      expect(addRecentDeck(recent, { paths: [] })).to.equal(recent);
+    });
+
+    it("should keep only the most recent decks", function () {
+      let recent = empty();
+      for (let i = 0; i < MAX_RECENT_DECKS + 2; i++) {
+        recent = addRecentDeck(recent, { paths: [`/decks/${i}.csv`] }, openedAt);
+      }
+      expect(recent.decks).to.have.length(MAX_RECENT_DECKS);
+      expect(recent.decks[0].paths).to.deep.equal([`/decks/${MAX_RECENT_DECKS + 1}.csv`]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: pruneRecentDecks
+  // ---------------------------------------------------------------------------
+  describe("pruneRecentDecks", function () {
+    it("should remove missing files and decks left without files", function () {
+      const recent = Object.assign(empty(), {
+        decks: [
+          { paths: ["/decks/a.csv", "/gone/b.csv"], group: "All", openedAt: null },
+          { paths: ["/gone/b.csv"], group: "Math", openedAt: null },
+          { paths: ["/decks/a.csv"], group: "Geo", openedAt: null }
+        ]
+      });
+      const exists = filePath => !filePath.startsWith("/gone/");
+      const { recent: pruned, pruned: removed } = pruneRecentDecks(recent, exists);
+      expect(removed).to.deep.equal(["/gone/b.csv"]);
+      // The first deck is left with a.csv only, which makes the third one a repeat.
+      expect(pruned.decks).to.deep.equal([{ paths: ["/decks/a.csv"], group: "All", openedAt: null }]);
+      expect(recent.decks).to.have.length(3);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: describeDeck
+  // ---------------------------------------------------------------------------
+  describe("describeDeck", function () {
+    it("should name single and merged decks", function () {
+      expect(describeDeck({ paths: ["/decks/chapter1.csv"] })).to.equal("chapter1.csv");
+      expect(describeDeck({ paths: ["/decks/chapter1.csv", "/decks/chapter2.csv", "/decks/chapter3.csv"] }))
+        .to.equal("chapter1.csv + 2 more");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: readRecentDecks / writeRecentDecks
+  // ---------------------------------------------------------------------------
+  describe("readRecentDecks / writeRecentDecks", function () {
+    let tmpDir, storePath;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "quiz-recent-"));
+      storePath = path.join(tmpDir, "nested", "recent-decks.json");
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("should read back the list that was written", function () {
+      expect(readRecentDecks(storePath)).to.deep.equal(empty());
+      const recent = Object.assign(addRecentDeck(empty(), { paths: ["/decks/a.csv"], group: "Math" }, openedAt), { reopenLast: true });
+      writeRecentDecks(storePath, recent);
+      expect(readRecentDecks(storePath)).to.deep.equal(recent);
+    });
+
+    it("should start a new list when the file is damaged", function () {
+      fs.mkdirSync(path.dirname(storePath), { recursive: true });
+      fs.writeFileSync(storePath, "{ not json", "utf8");
+      expect(readRecentDecks(storePath)).to.deep.equal(empty());
+      fs.writeFileSync(storePath, JSON.stringify({ decks: [{ paths: [] }, { paths: ["/a.csv"], group: 3 }, "x"] }), "utf8");
+      expect(readRecentDecks(storePath).decks).to.deep.equal([{ paths: ["/a.csv"], group: "All", openedAt: null }]);
+    });
+  });
+});
@@ -8,27 +8,69 @@
  *  - Chai: Assertion library (using the "expect" style).
  *  - JSDOM: Used to simulate a browser DOM.
  *  - fs and path: For creating temporary CSV files for testing.
- *  - Proxyquire: To stub out Electron's ipcRenderer, so that functions like selectCSVFile can be
- *                tested without opening an actual file dialog.
+ *  - src/quizApi.js: The page's API to the main process (window.quizApi), created on a fake
+ *                main process, so that functions like selectCSVFile can be tested without
+ *                opening an actual file dialog, and deck files are read as main.js reads them.
  *
  * The tests cover:
  *   - checkAnswer: Verifies that correct and incorrect answers update the floating feedback message,
  *     the styles of the answer buttons, and the combined counter (displaying current question, total questions,
  *     correct and incorrect counts). Tests that userAnswered flag is set correctly.
+ *   - Multiple-Answer Questions: Tests toggling and submitting options, the highlighting of missed
+ *     and wrong options, and partial credit scoring.
+ *   - Free-Text and Numeric Questions: Tests loading typed questions, the answer input field,
+ *     and checking typed answers.
+ *   - Explanations: Tests that the explanation panel appears after answering and is cleared
+ *     when another question is displayed.
+ *   - Results View: Tests the end-of-round results with the per-group breakdown and links to missed questions,
+ *     and exporting the results through the main process.
+ *   - Retry Incorrect Answers: Tests the end-of-round panel and repeated rounds of the missed questions.
+ *   - Import Report: Tests that skipped rows are listed with their line number, reason and raw
+ *     content, that the counts are shown, and that the report can be exported.
+ *   - CSV Format: Tests detecting the separator and encoding of CSV files, how they are shown in
+ *                 the import report, and reading the deck again with the ones chosen in the settings.
+ *   - Import Formats: Tests loading JSON, Moodle GIFT and Aiken files, how their format is shown in
+ *     the import report, and that only CSV decks open in the deck editor.
+ *   - Media: Tests that images and audio referenced from the CSV are rendered and that missing
+ *     files are reported at import.
+ *   - Answer History: Tests that each answer is sent to the main process to be recorded, once per
+ *     question: a revisited question is shown as answered and cannot be answered again.
+ *   - Study Mode: Tests the due count next to the group filter, the spaced-repetition question order
+ *     and that a question answered twice in a session moves one box.
+ *   - Exam Mode: Tests the countdown, answers saved without feedback, submission and automatic submission.
+ *   - Per-Question Time Limit: Tests the per-question countdown, expiry with auto-advance and the CSV column.
+ *   - Shuffling: Tests that the seeded shuffle is repeatable and remaps the correct answer letters.
+ *   - Keyboard Shortcuts: Tests answering and navigating with keys, keys pressed on a revisited
+ *     question, keys typed into fields, and the cheat sheet with its configurable bindings.
  *   - Timer Functionality: Tests that the timer starts with the first question, continues until all 
  *     questions in a group are answered, and properly stops when complete.
  *   - Modern UI: Ensures the new card-style scorer UI elements are properly rendered with the
  *     expected layout and content.
  *   - displayQuestion: Ensures that the question text and its answer options are rendered properly,
- *     and that the combined counter is updated.
+ *     that text from the CSV is never interpreted as HTML, and that the combined counter is updated.
  *   - loadQuestions: Checks that CSV files are parsed correctly, that rows missing required fields or
  *     with invalid correct answers are ignored, that errors during file reading cause the promise to reject,
  *     that a CSV file with no valid rows is handled gracefully, and that userAnswered flags are cleared.
+ *     Also checks header detection, matching columns by name, and the column mapping dialog.
  *   - selectCSVFile: Ensures that if a CSV file dialog is already open, a new one is not opened.
- *                    We simulate this using a fake promise.
+ *                    We simulate this using a fake promise. Also checks that a file that cannot
+ *                    be read is reported.
  *   - Group Filtering: Tests that the group dropdown is populated with unique groups from the CSV
  *                      and that selecting a group filters the questions accordingly.
- *   - Edge Cases: Tests additional conditions such as when document or ipcRenderer are undefined.
+ *   - Merging CSV Files: Tests loading several files into one deck, adding a file to the loaded deck,
+ *                        the files as sources in the group filter, duplicates across files and the
+ *                        answer history of each file.
+ *   - Live Reload: Tests that the deck's files are watched and that a changed file is reloaded,
+ *                  keeping the answers to unchanged questions and its column mapping, and
+ *                  listing what changed.
+ *   - Deck Editor: Tests editing the file of the loaded deck with live validation, saving it as CSV
+ *                  with its separator and quoting, new decks, and closing with unsaved changes.
+ *   - Deck Export: Tests exporting the selected group or the whole deck through the main process.
+ *   - Recent Decks: Tests that opened decks and their group are remembered, the recent decks
+ *                   dropdown, reopening the last deck at startup and decks whose files are gone.
+ *   - Drag and Drop: Tests loading dropped CSV files, dropped files that are not confirmed, the
+ *                    replace/add choice during a quiz and the rejection of other files.
+ *   - Edge Cases: Tests additional conditions such as when document is undefined.
  */
 
 // -----------------------------------------------------------------------------
@@ -38,7 +80,10 @@ const { expect } = require("chai");       // Chai's expect function for assertio
 const { JSDOM } = require("jsdom");         // JSDOM to simulate a browser environment.
 const fs = require("fs");                   // Node's file system module.
 const path = require("path");               // Node's path module.
-const proxyquire = require("proxyquire");   // Proxyquire to stub modules (e.g., Electron's ipcRenderer).
+const { pathToFileURL } = require("url");   // File URLs of the deck files, as main.js builds them.
+const { IPC_CHANNELS, WINDOW_CHANNELS, createQuizApi } = require("../src/quizApi"); // The page's API to the main process.
+const { readTextFile } = require("../src/textEncoding"); // Reads deck files, as main.js does.
+const { findMissingFiles } = require("../src/media");     // Finds missing media files, as main.js does.
 
 // -----------------------------------------------------------------------------
 // Create a fake ipcRenderer object with a stubbed invoke method.
@@ -49,10 +94,56 @@ let fakeIpcRenderer = {
 };
 
 // -----------------------------------------------------------------------------
-// Use proxyquire to load the renderer module, replacing Electron's ipcRenderer
-// with our fake ipcRenderer.
+// Create a fake main process that reads deck files and finds their missing media as the
+// handlers of main.js do, confirms dropped files (unless confirmDroppedFiles is false),
+// and passes every other call on to the fake ipcRenderer. Watched files are recorded
+// instead of watched, so files written and removed by the tests do not trigger reloads;
+// a test reports a change with the onChange of a recorded watch.
 // -----------------------------------------------------------------------------
-const renderer = proxyquire("../renderer", { electron: { ipcRenderer: fakeIpcRenderer } });
+const fakeWatches = [];
+const windowListeners = {};
+let confirmDroppedFiles = true; // Whether the user confirms files dropped on the window.
+const fakeMainProcess = {
+  invoke: (channel, payload) => {
+    if (channel === IPC_CHANNELS.CONFIRM_DROPPED_FILES) {
+      return Promise.resolve(confirmDroppedFiles ? payload : null);
+    }
+    if (channel === IPC_CHANNELS.READ_DECK_FILE) {
+      try {
+        const file = readTextFile(payload.filePath, payload.encoding);
+        return Promise.resolve(Object.assign(file, { fileUrl: pathToFileURL(payload.filePath).href }));
+      } catch (err) {
+        return Promise.resolve({ error: err.message, code: err.code || null });
+      }
+    }
+    if (channel === IPC_CHANNELS.FIND_MISSING_MEDIA) {
+      return Promise.resolve(findMissingFiles(payload.references, path.dirname(payload.deckPath)));
+    }
+    if (channel === IPC_CHANNELS.WATCH_DECK_FILES) {
+      fakeWatches.forEach(watch => { watch.stopped = true; });
+      fakeWatches.push({
+        files: payload,
+        stopped: false,
+        onChange: changedPaths => windowListeners[WINDOW_CHANNELS.DECK_FILES_CHANGED](null, changedPaths)
+      });
+      return Promise.resolve(payload);
+    }
+    return fakeIpcRenderer.invoke(channel, payload);
+  },
+  on: (channel, listener) => { windowListeners[channel] = listener; },
+  removeListener: (channel) => { delete windowListeners[channel]; }
+};
+
+// -----------------------------------------------------------------------------
+// Load the renderer module with the API the preload script would hand the page. The
+// renderer takes window.quizApi when it loads, before the tests set up their own window
+// (without a document, it does not initialize itself).
+// -----------------------------------------------------------------------------
+global.window = { quizApi: createQuizApi(fakeMainProcess) };
+global.document = null;
+const renderer = require("../renderer");
+delete global.window;
+delete global.document;
 
 // Destructure the exported functions and variables from the renderer module.
 const {
@@ -92,6 +183,7 @@ describe("Electron Quiz App from CSV - Additional Tests", function () {
           <div id="groupFilterContainer">
             <label for="groupSelect">Filter by Group:</label>
             <select id="groupSelect"></select>
+            <span id="dueCount"></span>
           </div>
           <div id="quiz-container"></div>
         </body>
@@ -200,59 +292,1309 @@ describe("Electron Quiz App from CSV - Additional Tests", function () {
         correctAnswer: "A"
       });
       renderer.currentQuestionIndex = 0;
-      // Simulate an incorrect answer (select "B" when "A" is correct).
-      checkAnswer("B", "A");
-      // Assertion: Check that a floating feedback message is created containing "Incorrect".
-      const floatingFeedback = document.querySelector('.floating-feedback');
-      expect(floatingFeedback).to.exist;
-      expect(floatingFeedback.textContent).to.contain("Incorrect");
-      // Assertion: Verify that the selected button ("B") is styled with a lightcoral background
-      // and that the correct button ("A") is styled with a lightgreen background.
-      const selectedBtn = document.querySelector('button[data-letter="B"]');
-      const correctBtn = document.querySelector('button[data-letter="A"]');
-      expect(selectedBtn.style.backgroundColor).to.equal("lightcoral");
-      expect(correctBtn.style.backgroundColor).to.equal("lightgreen");
-      // Assertion: Verify that the combined counter reflects 0 correct and 1 incorrect answer.
-      const counterContainer = document.getElementById("counterContainer");
-      expect(counterContainer.querySelector('.score-card')).to.exist;
-      expect(counterContainer.innerHTML).to.contain('Current');
-      expect(counterContainer.innerHTML).to.contain('Total');
-      expect(counterContainer.innerHTML).to.contain('Correct');
-      expect(counterContainer.innerHTML).to.contain('Incorrect');
-      expect(counterContainer.innerHTML).to.contain('>0<'); // Correct
-      expect(counterContainer.innerHTML).to.contain('>1<'); // Incorrect
+      // Simulate an incorrect answer (select "B" when "A" is correct).
+      checkAnswer("B", "A");
+      // Assertion: Check that a floating feedback message is created containing "Incorrect".
+      const floatingFeedback = document.querySelector('.floating-feedback');
+      expect(floatingFeedback).to.exist;
+      expect(floatingFeedback.textContent).to.contain("Incorrect");
+      // Assertion: Verify that the selected button ("B") is styled with a lightcoral background
+      // and that the correct button ("A") is styled with a lightgreen background.
+      const selectedBtn = document.querySelector('button[data-letter="B"]');
+      const correctBtn = document.querySelector('button[data-letter="A"]');
+      expect(selectedBtn.style.backgroundColor).to.equal("lightcoral");
+      expect(correctBtn.style.backgroundColor).to.equal("lightgreen");
+      // Assertion: Verify that the combined counter reflects 0 correct and 1 incorrect answer.
+      const counterContainer = document.getElementById("counterContainer");
+      expect(counterContainer.querySelector('.score-card')).to.exist;
+      expect(counterContainer.innerHTML).to.contain('Current');
+      expect(counterContainer.innerHTML).to.contain('Total');
+      expect(counterContainer.innerHTML).to.contain('Correct');
+      expect(counterContainer.innerHTML).to.contain('Incorrect');
+      expect(counterContainer.innerHTML).to.contain('>0<'); // Correct
+      expect(counterContainer.innerHTML).to.contain('>1<'); // Incorrect
+    });
+
+    it("should stop the timer only when all questions are answered", function () {
+      // This test verifies timer functionality:
+      // 1. Timer starts and runs while questions remain unanswered
+      // 2. Timer only stops when ALL questions in the current set have been answered
+      // 3. userAnswered flags track which questions have been completed
+      
+      // Setup: 2 questions, answer only one, timer should not stop
+      renderer.questions.splice(0, renderer.questions.length);
+      renderer.questions.push({ questionText: "Q1", options: ["1","2","3","4"], correctAnswer: "A" });
+      renderer.questions.push({ questionText: "Q2", options: ["1","2","3","4"], correctAnswer: "A" });
+      renderer.currentQuestionIndex = 0;
+      // Simulate DOM for both questions
+      const optionsDiv = document.getElementById("options");
+      optionsDiv.innerHTML = `<button class="option-button" data-letter="A">A) 1</button>`;
+      // Start timer using exported function
+      renderer.startTimer();
+      renderer.checkAnswer("A", "A");
+      expect(renderer.questions[0].userAnswered).to.be.true;
+      expect(renderer.timerInterval).to.not.be.null;
+      // Now answer the second question
+      renderer.currentQuestionIndex = 1;
+      renderer.displayQuestion(1); // Ensure DOM is set up for Q2
+      // Simulate clicking the answer button for 'A' on Q2
+      // This simulates a real user interaction and ensures the DOM event handler sets userAnswered properly
+      const btnQ2 = document.querySelector('button[data-letter="A"]');
+      btnQ2.click();
+      // Verify userAnswered is set for the second question
+      expect(renderer.questions[1].userAnswered).to.be.true;
+      // Verify timer stops when all questions are answered
+      expect(renderer.timerInterval).to.be.null;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Multiple-Answer Questions
+  // ---------------------------------------------------------------------------
+  describe("Multiple-Answer Questions", function () {
+    afterEach(function () {
+      renderer.state.scoringMode = "all-or-nothing";
+    });
+
+    function showMultiQuestion() {
+      renderer.questions.splice(0, renderer.questions.length);
+      renderer.questions.push({
+        questionText: "Which are prime?",
+        options: ["2", "4", "5", "9"],
+        correctAnswer: "A,C",
+        multiSelect: true
+      });
+      renderer.currentQuestionIndex = 0;
+      displayQuestion(0);
+    }
+
+    it("should toggle options and only check the answer on submit", function () {
+      showMultiQuestion();
+      const buttonA = document.querySelector('button[data-letter="A"]');
+      buttonA.click();
+      expect(buttonA.classList.contains("selected")).to.be.true;
+      expect(buttonA.disabled).to.be.false;
+      expect(renderer.questions[0].userAnswered).to.be.undefined;
+      buttonA.click();
+      expect(buttonA.classList.contains("selected")).to.be.false;
+      // Submitting with nothing selected does nothing.
+      document.getElementById("submitAnswerBtn").click();
+      expect(renderer.questions[0].userAnswered).to.be.undefined;
+      buttonA.click();
+      document.querySelector('button[data-letter="C"]').click();
+      document.getElementById("submitAnswerBtn").click();
+      expect(renderer.questions[0].userAnswered).to.be.true;
+      expect(document.querySelector('.floating-feedback').textContent).to.contain("Correct!");
+      expect(document.getElementById("submitAnswerBtn").disabled).to.be.true;
+    });
+
+    it("should mark missed correct options separately from wrong picks", function () {
+      showMultiQuestion();
+      checkAnswer(["A", "B"], "A,C");
+      expect(document.querySelector('button[data-letter="A"]').style.backgroundColor).to.equal("lightgreen");
+      expect(document.querySelector('button[data-letter="B"]').style.backgroundColor).to.equal("lightcoral");
+      const missed = document.querySelector('button[data-letter="C"]');
+      expect(missed.classList.contains("missed-option")).to.be.true;
+      expect(missed.style.backgroundColor).to.equal("khaki");
+      expect(document.querySelector('button[data-letter="D"]').style.backgroundColor).to.equal("");
+      expect(document.querySelector('.floating-feedback').textContent).to.contain("A) 2, C) 5");
+    });
+
+    it("should award partial credit in partial scoring mode", function () {
+      renderer.state.scoringMode = "partial";
+      showMultiQuestion();
+      checkAnswer(["A"], "A,C");
+      expect(document.querySelector('.floating-feedback').textContent).to.contain("Partially correct (0.5 points)");
+      const counterContainer = document.getElementById("counterContainer");
+      expect(counterContainer.innerHTML).to.contain("Points");
+      expect(counterContainer.querySelector(".points-score").textContent).to.equal("0.5");
+      expect(counterContainer.querySelector(".incorrect-score").textContent).to.equal("1");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Free-Text and Numeric Questions
+  // ---------------------------------------------------------------------------
+  describe("Free-Text and Numeric Questions", function () {
+    it("should load typed questions from rows without options or with a type column", async function () {
+      this.timeout(5000);
+      // Header-less layout: the type column comes after option8.
+      const tmpFile = path.join(__dirname, "temp_typed.csv");
+      const csvContent = `In which year did Apollo 11 land?,,,,,1969,History
+Name the web protocol.,,,,,HTTP|/^https?$/i,Networks
+Value of pi?,,,,,3.14±0.01,Math
+Zip code?,,,,,08001,Places,,,,,text
+Essay?,,,,,anything,Places,,,,,essay
+`;
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      // The last row is skipped: "essay" is not a known question type.
+      expect(renderer.questions.map(q => q.type)).to.deep.equal(["number", "text", "number", "text"]);
+      expect(renderer.questions[1].acceptedAnswers).to.have.length(2);
+      // The first question is shown with an answer field for numbers instead of option buttons.
+      const input = document.getElementById("answerInput");
+      expect(input).to.exist;
+      expect(input.type).to.equal("text");
+      expect(input.getAttribute("inputmode")).to.equal("decimal");
+      expect(document.querySelectorAll("#options button.option-button").length).to.equal(0);
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should accept a decimal comma typed into a numeric question", function () {
+      renderer.questions.splice(0, renderer.questions.length);
+      renderer.questions.push({
+        questionText: "Value of pi?",
+        options: [],
+        type: "number",
+        correctAnswer: "3.14±0.01",
+        acceptedAnswers: [{ kind: "number", min: 3.13, max: 3.15 }]
+      });
+      renderer.currentQuestionIndex = 0;
+      displayQuestion(0);
+      const input = document.getElementById("answerInput");
+      input.value = "3,14";
+      document.getElementById("submitAnswerBtn").click();
+      expect(renderer.questions[0].answeredCorrectly).to.be.true;
+      expect(renderer.questions[0].userAnswer).to.equal("3,14");
+    });
+
+    it("should check a typed answer on submit and ignore empty input", function () {
+      renderer.questions.splice(0, renderer.questions.length);
+      renderer.questions.push({
+        questionText: "Name the web protocol.",
+        options: [],
+        type: "text",
+        correctAnswer: "HTTP",
+        acceptedAnswers: [{ kind: "text", value: "HTTP" }]
+      });
+      renderer.currentQuestionIndex = 0;
+      displayQuestion(0);
+      const input = document.getElementById("answerInput");
+      expect(input.type).to.equal("text");
+      document.getElementById("submitAnswerBtn").click();
+      expect(renderer.questions[0].userAnswered).to.be.undefined;
+      input.value = " http ";
+      input.dispatchEvent(new dom.window.KeyboardEvent("keydown", { key: "Enter" }));
+      expect(renderer.questions[0].userAnswered).to.be.true;
+      expect(input.disabled).to.be.true;
+      expect(input.style.backgroundColor).to.equal("lightgreen");
+      expect(document.querySelector('.floating-feedback').textContent).to.contain("Correct!");
+      expect(document.getElementById("counterContainer").querySelector(".correct-score").textContent).to.equal("1");
+    });
+
+    it("should show the accepted answer when a typed answer is wrong", function () {
+      renderer.questions.splice(0, renderer.questions.length);
+      renderer.questions.push({
+        questionText: "Value of pi?",
+        options: [],
+        type: "number",
+        correctAnswer: "3.14±0.01",
+        acceptedAnswers: [{ kind: "number", min: 3.13, max: 3.15 }]
+      });
+      renderer.currentQuestionIndex = 0;
+      displayQuestion(0);
+      checkAnswer("3.2", "3.14±0.01");
+      expect(document.getElementById("answerInput").style.backgroundColor).to.equal("lightcoral");
+      expect(document.querySelector('.floating-feedback').textContent).to.contain("3.13 to 3.15");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Explanations
+  // ---------------------------------------------------------------------------
+  describe("Explanations", function () {
+    it("should show the explanation after answering and hide it on the next question", async function () {
+      this.timeout(5000);
+      const tmpFile = path.join(__dirname, "temp_explanation.csv");
+      const csvContent = `Question,Option A,Option B,Answer,Rationale
+What is 2+2?,4,5,A,Two plus two is <b>four</b>.
+What is 3+3?,6,7,A,
+`;
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      expect(renderer.questions[0].explanation).to.equal("Two plus two is <b>four</b>.");
+      expect(renderer.questions[1].explanation).to.equal("");
+      // Nothing is shown before the question is answered.
+      expect(document.getElementById("explanation")).to.not.exist;
+      renderer.currentQuestionIndex = 0;
+      document.querySelector('button[data-letter="B"]').click();
+      const panel = document.getElementById("explanation");
+      expect(panel.hidden).to.be.false;
+      // The explanation is shown as text, not markup.
+      expect(panel.querySelector(".explanation-text").textContent).to.equal("Two plus two is <b>four</b>.");
+      expect(panel.querySelector("b")).to.not.exist;
+      // Moving on clears the panel; a question without an explanation leaves it hidden.
+      renderer.currentQuestionIndex = 1;
+      displayQuestion(1);
+      expect(panel.hidden).to.be.true;
+      document.querySelector('button[data-letter="A"]').click();
+      expect(panel.hidden).to.be.true;
+      fs.unlinkSync(tmpFile);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Retry Incorrect Answers
+  // ---------------------------------------------------------------------------
+  describe("Retry Incorrect Answers", function () {
+    it("should offer a new round of the missed questions until everything is correct", async function () {
+      this.timeout(5000);
+      const tmpFile = path.join(__dirname, "temp_retry.csv");
+      fs.writeFileSync(tmpFile, `Q1,a,b,,,A,G
+Q2,a,b,,,A,G
+Q3,a,b,,,A,G
+`, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      const answer = (index, letter) => {
+        renderer.currentQuestionIndex = index;
+        displayQuestion(index);
+        document.querySelector(`button[data-letter="${letter}"]`).click();
+      };
+      answer(0, "A");
+      answer(1, "B");
+      expect(document.getElementById("roundComplete")).to.not.exist;
+      answer(2, "B");
+      // The round is complete: the timer stops and a retry of the two misses is offered.
+      expect(renderer.timerInterval).to.be.null;
+      const panel = document.getElementById("roundComplete");
+      expect(panel.hidden).to.be.false;
+      expect(panel.querySelector(".round-summary").textContent).to.equal("Round complete: 1 of 3 correct.");
+      const retryBtn = document.getElementById("retryIncorrectBtn");
+      expect(retryBtn.textContent).to.equal("Retry incorrect answers (2)");
+      retryBtn.click();
+      // The retry round holds only the missed questions, with a fresh score, timer and round number.
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Q2", "Q3"]);
+      expect(renderer.questions.every(q => !q.userAnswered)).to.be.true;
+      expect(state.round).to.equal(2);
+      expect(renderer.timerInterval).to.not.be.null;
+      expect(document.querySelector(".correct-score").textContent).to.equal("0");
+      expect(document.querySelector(".incorrect-score").textContent).to.equal("0");
+      expect(document.querySelector(".round-score").textContent).to.equal("2");
+      expect(document.getElementById("roundComplete").hidden).to.be.true;
+      answer(0, "A");
+      answer(1, "B");
+      expect(panel.querySelector(".round-summary").textContent).to.equal("Retry round 1 complete: 1 of 2 correct.");
+      document.getElementById("retryIncorrectBtn").click();
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Q3"]);
+      answer(0, "A");
+      expect(panel.querySelector(".round-summary").textContent).to.equal("Retry round 2 complete: 1 of 1 correct.");
+      expect(document.getElementById("retryIncorrectBtn")).to.not.exist;
+      expect(panel.querySelector(".round-all-correct").textContent).to.equal("Everything is correct!");
+      fs.unlinkSync(tmpFile);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Results View
+  // ---------------------------------------------------------------------------
+  describe("Results View", function () {
+    it("should show the score, time, group accuracy and missed questions at the end", async function () {
+      this.timeout(5000);
+      const tmpFile = path.join(__dirname, "temp_results.csv");
+      fs.writeFileSync(tmpFile, `2+2?,3,4,,,B,Math
+3+3?,6,7,,,A,Math
+Capital of France?,,,,,Paris,Geo
+`, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      const answer = (index, value) => {
+        renderer.currentQuestionIndex = index;
+        displayQuestion(index);
+        if (renderer.questions[index].type === "choice") {
+          document.querySelector(`button[data-letter="${value}"]`).click();
+        } else {
+          document.getElementById("answerInput").value = value;
+          document.getElementById("submitAnswerBtn").click();
+        }
+      };
+      answer(0, "B");
+      answer(1, "B");
+      expect(document.getElementById("showResultsBtn")).to.not.exist;
+      answer(2, "Berlin");
+      const panel = document.getElementById("roundComplete");
+      expect(panel.hidden).to.be.false;
+      // The results replace the question on screen.
+      expect(document.getElementById("question").hidden).to.be.true;
+      expect(document.getElementById("options").hidden).to.be.true;
+      expect(panel.querySelector(".results-score").textContent).to.equal("1 / 3");
+      expect(panel.querySelector(".results-percentage").textContent).to.equal("33%");
+      expect(panel.querySelector(".results-time").textContent).to.match(/^\d\d:\d\d$/);
+      const groupRows = Array.from(panel.querySelectorAll(".results-groups tbody tr"))
+        .map(row => Array.from(row.cells).map(cell => cell.textContent));
+      expect(groupRows).to.deep.equal([["Math", "1 / 2", "50%"], ["Geo", "0 / 1", "0%"]]);
+      const missed = Array.from(panel.querySelectorAll(".results-missed li"));
+      expect(missed).to.have.length(2);
+      expect(missed[0].querySelector(".missed-question-link").textContent).to.equal("Question 2: 3+3?");
+      expect(missed[0].querySelector(".results-given-answer").textContent).to.equal("Your answer: B) 7");
+      expect(missed[0].querySelector(".results-correct-answer").textContent).to.equal("Correct answer: A) 6");
+      expect(missed[1].querySelector(".results-given-answer").textContent).to.equal("Your answer: Berlin");
+      expect(missed[1].querySelector(".results-correct-answer").textContent).to.equal("Correct answer: Paris");
+      // A missed question links back to the question itself.
+      missed[0].querySelector(".missed-question-link").click();
+      expect(panel.hidden).to.be.true;
+      expect(document.getElementById("question").hidden).to.be.false;
+      expect(document.getElementById("question").textContent).to.equal("3+3?");
+      expect(renderer.currentQuestionIndex).to.equal(1);
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should reopen the results with the View Results button", async function () {
+      const tmpFile = path.join(__dirname, "temp_results.csv");
+      fs.writeFileSync(tmpFile, `2+2?,3,4,,,B,Math\n`, "utf8");
+      document.getElementById("quiz-container").insertAdjacentHTML("afterend", '<button id="showResultsBtn" hidden>View Results</button>');
+      renderer.initialize();
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      const showResultsBtn = document.getElementById("showResultsBtn");
+      expect(showResultsBtn.hidden).to.be.true;
+      renderer.currentQuestionIndex = 0;
+      document.querySelector('button[data-letter="B"]').click();
+      expect(showResultsBtn.hidden).to.be.false;
+      displayQuestion(0);
+      expect(document.getElementById("roundComplete").hidden).to.be.true;
+      showResultsBtn.click();
+      expect(document.getElementById("roundComplete").hidden).to.be.false;
+      expect(document.querySelector(".round-all-correct").textContent).to.equal("Everything is correct!");
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should send the results report to the main process when exporting", async function () {
+      const tmpFile = path.join(__dirname, "temp_results.csv");
+      fs.writeFileSync(tmpFile, `2+2?,3,4,,,B,Math\nCapital of France?,,,,,Paris,Geo\n`, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      renderer.currentQuestionIndex = 0;
+      document.querySelector('button[data-letter="A"]').click();
+      renderer.currentQuestionIndex = 1;
+      displayQuestion(1);
+      document.getElementById("answerInput").value = "paris";
+      document.getElementById("submitAnswerBtn").click();
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const calls = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.resolve({ filePath: "/tmp/results.html", format: "html" });
+      };
+      let result;
+      try {
+        document.getElementById("exportResultsBtn").click();
+        result = await renderer.exportResults();
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
+      expect(calls.map(call => call.channel)).to.deep.equal(["export-results", "export-results"]);
+      const report = calls[0].payload;
+      expect(report.deck).to.equal("temp_results.csv");
+      expect(report.summary.correct).to.equal(1);
+      expect(report.questions[0]).to.include({ answer: "A) 3", correctAnswer: "B) 4", correct: false });
+      expect(report.questions[1]).to.include({ answer: "paris", correct: true, group: "Geo" });
+      expect(result).to.deep.equal({ filePath: "/tmp/results.html", format: "html" });
+      const messages = document.querySelectorAll(".floating-feedback");
+      expect(messages[messages.length - 1].textContent).to.equal("Results exported to /tmp/results.html");
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should export the results mid-session from the toolbar button", async function () {
+      document.body.insertAdjacentHTML("beforeend", '<button id="exportSessionBtn">Export Results</button>');
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const calls = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.resolve(channel === "export-results" ? { filePath: "/tmp/results.csv", format: "csv" } : null);
+      };
+      const tmpFile = path.join(__dirname, "temp_results.csv");
+      const emptyFile = path.join(__dirname, "temp_results_empty.csv");
+      fs.writeFileSync(tmpFile, `2+2?,3,4,,,B,Math
+Capital of France?,,,,,Paris,Geo
+`, "utf8");
+      fs.writeFileSync(emptyFile, "", "utf8");
+      try {
+        renderer.initialize();
+        // Without a deck there is nothing to export.
+        await loadQuestions(emptyFile);
+        document.getElementById("exportSessionBtn").click();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(calls.filter(call => call.channel === "export-results")).to.have.length(0);
+        let messages = document.querySelectorAll(".floating-feedback");
+        expect(messages[messages.length - 1].textContent).to.equal("Load a deck to export its results.");
+        // Only the first question is answered; the round is not over.
+        await loadQuestions(tmpFile);
+        renderer.currentQuestionIndex = 0;
+        displayQuestion(0);
+        document.querySelector('button[data-letter="B"]').click();
+        expect(document.getElementById("exportResultsBtn")).to.be.null;
+        document.getElementById("exportSessionBtn").click();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const exports = calls.filter(call => call.channel === "export-results");
+        expect(exports).to.have.length(1);
+        expect(exports[0].payload.questions.map(q => q.answer)).to.deep.equal(["B) 4", "No answer"]);
+        messages = document.querySelectorAll(".floating-feedback");
+        expect(messages[messages.length - 1].textContent).to.equal("Results exported to /tmp/results.csv");
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+        fs.unlinkSync(tmpFile);
+        fs.unlinkSync(emptyFile);
+      }
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Import Report
+  // ---------------------------------------------------------------------------
+  describe("Import Report", function () {
+    let reportDiv;
+
+    beforeEach(function () {
+      reportDiv = document.createElement("div");
+      reportDiv.id = "importReport";
+      reportDiv.hidden = true;
+      document.body.appendChild(reportDiv);
+    });
+
+    it("should list each skipped row with its line, reason and raw content", async function () {
+      const tmpFile = path.join(__dirname, "temp_import_report.csv");
+      fs.writeFileSync(tmpFile, [
+        "Question,Option A,Option B,Option C,Answer,Group",
+        "2+2?,3,4,,B,Math",
+        "",
+        "No answer?,yes,no,,,Math",
+        "3+3?,5,6,7,E,Math",
+        "2+2?,3,4,,B,Other",
+        '"Caf\uFFFD?",a,b,,A,Food',
+        '"Two',
+        'lines?",a,b,,A,Text',
+        ""
+      ].join("\n"), "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["2+2?", "Two\nlines?"]);
+      const report = renderer.importReport;
+      expect(report).to.include({ rows: 6, imported: 2 });
+      expect(report.skipped.map(entry => [entry.line, entry.reason])).to.deep.equal([
+        [4, "missing-field"],
+        [5, "invalid-answer"],
+        [6, "duplicate"],
+        [7, "bad-encoding"]
+      ]);
+      expect(report.skipped[1].message).to.equal('Correct answer "E" is not one of the options A-C');
+      expect(report.skipped[2].message).to.equal("Same question and options as line 2");
+      expect(report.skipped[2].raw).to.equal("2+2?,3,4,,B,Other");
+      // The counts are shown, and the rows are listed as text.
+      expect(reportDiv.hidden).to.be.false;
+      expect(reportDiv.querySelector(".import-summary").textContent).to.equal(
+        "Imported 2 questions from 6 rows; 4 skipped: 1 missing field, 1 invalid answer, 1 duplicate, 1 bad encoding.");
+      const cells = [...reportDiv.querySelectorAll(".import-report-table tr")[1].querySelectorAll("td")];
+      expect(cells.map(td => td.textContent)).to.deep.equal(
+        ["4", "Missing field", "Missing correct answer", "No answer?,yes,no,,,Math"]);
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should only show the summary when no row was skipped", async function () {
+      const tmpFile = path.join(__dirname, "temp_import_report.csv");
+      fs.writeFileSync(tmpFile, "2+2?,3,4,,,B,Math\n", "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      expect(reportDiv.querySelector(".import-summary").textContent).to.equal("Imported 1 question from 1 row.");
+      expect(reportDiv.querySelector(".import-report-table")).to.not.exist;
+      expect(document.getElementById("exportImportReportBtn")).to.not.exist;
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should send the report to the main process when exporting", async function () {
+      const tmpFile = path.join(__dirname, "temp_import_report.csv");
+      fs.writeFileSync(tmpFile, "2+2?,3,4,,,B,Math\nBroken,a,,,,A,Math\n", "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const calls = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.resolve({ filePath: "/tmp/report.csv" });
+      };
+      let result;
+      try {
+        result = await renderer.exportImportReport();
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
+      expect(calls).to.have.length(1);
+      expect(calls[0].channel).to.equal("export-import-report");
+      expect(calls[0].payload.deckPath).to.equal(path.resolve(tmpFile));
+      expect(calls[0].payload.skipped[0]).to.include({ line: 2, reason: "missing-field", raw: "Broken,a,,,,A,Math" });
+      expect(result).to.deep.equal({ filePath: "/tmp/report.csv" });
+      const messages = document.querySelectorAll(".floating-feedback");
+      expect(messages[messages.length - 1].textContent).to.equal("Import report exported to /tmp/report.csv");
+      fs.unlinkSync(tmpFile);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: CSV Format
+  // ---------------------------------------------------------------------------
+  describe("CSV Format", function () {
+    const { ENCODINGS, encodeText } = require("../src/textEncoding");
+    let deckDir, deckFile, reportDiv;
+
+    beforeEach(function () {
+      deckDir = fs.mkdtempSync(path.join(__dirname, "temp_format_"));
+      deckFile = path.join(deckDir, "deck.csv");
+      reportDiv = document.createElement("div");
+      reportDiv.id = "importReport";
+      document.body.appendChild(reportDiv);
+      state.shuffleQuestions = false;
+      state.shuffleOptions = false;
+      state.studyMode = false;
+      state.examMode = false;
+    });
+
+    afterEach(function () {
+      state.csvSeparator = "auto";
+      state.csvEncoding = "auto";
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+
+    it("should read a tab-separated UTF-16 file saved by Excel", async function () {
+      fs.writeFileSync(deckFile, encodeText([
+        "Question\tOption 1\tOption 2\tCorrect answer\tGroup",
+        '"Größte Stadt, ""Deutschland""?"\tBerlin\tHamburg\tA\tGeo',
+        ""
+      ].join("\r\n"), ENCODINGS.UTF16LE, true));
+      await loadQuestions(deckFile);
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(['Größte Stadt, "Deutschland"?']);
+      expect(renderer.questions[0].options).to.deep.equal(["Berlin", "Hamburg"]);
+      expect(renderer.importReport.formats).to.deep.equal([{ file: "deck.csv", format: "csv", encoding: "utf-16le", separator: "\t" }]);
+      expect(reportDiv.querySelector(".import-format").textContent).to.equal("Read as UTF-16 LE, separated by tabs.");
+    });
+
+    it("should not take a semicolon in a question for the separator", async function () {
+      fs.writeFileSync(deckFile, encodeText([
+        "Question,Option 1,Option 2,Correct answer",
+        "Café; or tea?,Café,Tea,A",
+        "2+2?,3,4,B"
+      ].join("\n"), ENCODINGS.WINDOWS_1252));
+      await loadQuestions(deckFile);
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Café; or tea?", "2+2?"]);
+      expect(reportDiv.querySelector(".import-format").textContent).to.equal("Read as Windows-1252, separated by commas.");
+    });
+
+    it("should read the deck again with the separator and encoding chosen in the settings", async function () {
+      document.body.insertAdjacentHTML("beforeend",
+        '<select id="csvSeparatorSelect"></select><select id="csvEncodingSelect"></select>');
+      const originalInvoke = fakeIpcRenderer.invoke;
+      fakeIpcRenderer.invoke = () => Promise.resolve(null);
+      try {
+        renderer.initialize();
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
+      const separatorSelect = document.getElementById("csvSeparatorSelect");
+      const encodingSelect = document.getElementById("csvEncodingSelect");
+      expect(Array.from(separatorSelect.options).map(option => option.textContent)).to.deep.equal(
+        ["Detect automatically", "Comma (,)", "Semicolon (;)", "Tab (⇥)", "Pipe (|)"]);
+      expect(encodingSelect.value).to.equal("auto");
+      // Questions about shell pipes split into more fields at "|" than at the real separator, ";".
+      fs.writeFileSync(deckFile, "Which of a|b|c|d|e|f|g runs first?;a;e;;;A\nWhich of t|u|v|w|x|y|z runs last?;x;w;;;B\n", "utf8");
+      await loadQuestions(deckFile);
+      expect(renderer.questions).to.have.length(0);
+      expect(reportDiv.querySelector(".import-format").textContent).to.equal(
+        "Read as UTF-8, separated by pipes. If rows look wrong, choose the CSV separator and encoding in the settings.");
+      separatorSelect.value = ";";
+      separatorSelect.dispatchEvent(new window.Event("change"));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(state.csvSeparator).to.equal(";");
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(
+        ["Which of a|b|c|d|e|f|g runs first?", "Which of t|u|v|w|x|y|z runs last?"]);
+      // Reading a file in the wrong encoding reports the rows it cannot decode.
+      fs.writeFileSync(deckFile, encodeText("Thé?;oui;non;A\n", ENCODINGS.WINDOWS_1252));
+      encodingSelect.value = "utf-8";
+      encodingSelect.dispatchEvent(new window.Event("change"));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(renderer.importReport.skipped.map(entry => entry.reason)).to.deep.equal(["bad-encoding"]);
+      // A deck file that was moved away is reported.
+      fs.unlinkSync(deckFile);
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        encodingSelect.value = "auto";
+        encodingSelect.dispatchEvent(new window.Event("change"));
+        await new Promise(resolve => setTimeout(resolve, 50));
+      } finally {
+        console.error = originalError;
+      }
+      expect(document.getElementById("feedback").textContent).to.match(/^The deck could not be read again: ENOENT/);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Import Formats
+  // ---------------------------------------------------------------------------
+  describe("Import Formats", function () {
+    let deckDir, reportDiv;
+
+    beforeEach(function () {
+      deckDir = fs.mkdtempSync(path.join(__dirname, "temp_import_"));
+      reportDiv = document.createElement("div");
+      reportDiv.id = "importReport";
+      document.body.appendChild(reportDiv);
+      state.shuffleQuestions = false;
+      state.shuffleOptions = false;
+      state.studyMode = false;
+      state.examMode = false;
+    });
+
+    afterEach(function () {
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+
+    it("should load GIFT, Aiken and JSON files into the same questions as CSV", async function () {
+      const giftFile = path.join(deckDir, "moodle.gift");
+      const aikenFile = path.join(deckDir, "aiken.txt");
+      const jsonFile = path.join(deckDir, "deck.json");
+      fs.writeFileSync(giftFile, "$CATEGORY: $course$/top/Math\n\n2+2? {~3 =4}\n\nWrite an essay. {}\n", "utf8");
+      fs.writeFileSync(aikenFile, "Capital of Italy?\nA. Rome\nB. Paris\nANSWER: A\n", "utf8");
+      fs.writeFileSync(jsonFile, JSON.stringify({ questions: [{ question: "3+3?", options: ["6", "7"], answer: "A", group: "Math" }] }), "utf8");
+      await loadQuestions([giftFile, aikenFile, jsonFile]);
+      expect(renderer.questions.map(q => [q.questionText, q.correctAnswer, q.group])).to.deep.equal([
+        ["2+2?", "B", "Math"],
+        ["Capital of Italy?", "A", "All"],
+        ["3+3?", "A", "Math"]
+      ]);
+      expect(renderer.questions[0].options).to.deep.equal(["3", "4"]);
+      expect(renderer.questions[1]).to.include({ source: "aiken.txt", sourceLine: 1 });
+      expect(renderer.importReport.skipped.map(entry => [entry.file, entry.line, entry.message])).to.deep.equal(
+        [["moodle.gift", 5, "Essay questions cannot be imported"]]);
+      expect(reportDiv.querySelector(".import-format").textContent).to.equal(
+        "Read moodle.gift as Moodle GIFT, UTF-8; aiken.txt as Aiken, UTF-8; deck.json as JSON, UTF-8. " +
+        "If rows look wrong, choose the CSV separator and encoding in the settings.");
+    });
+
+    it("should reject a JSON file that cannot be read, naming the file", async function () {
+      const jsonFile = path.join(deckDir, "broken.json");
+      fs.writeFileSync(jsonFile, "{ \"questions\": [", "utf8");
+      let error = null;
+      await loadQuestions(jsonFile).catch(err => { error = err; });
+      expect(error.message).to.match(/^broken\.json: Not valid JSON/);
+    });
+
+    it("should open only CSV decks in the deck editor", async function () {
+      const giftFile = path.join(deckDir, "moodle.gift");
+      fs.writeFileSync(giftFile, "2+2? {~3 =4}\n", "utf8");
+      expect(await renderer.openDeckEditor(giftFile)).to.be.null;
+      expect(document.getElementById("deckEditor")).to.be.null;
+      expect(document.getElementById("feedback").textContent).to.equal(
+        "moodle.gift could not be opened for editing: only CSV decks can be edited, not Moodle GIFT files");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Media
+  // ---------------------------------------------------------------------------
+  describe("Media", function () {
+    it("should render images and audio relative to the CSV file and report missing files", async function () {
+      this.timeout(5000);
+      const deckDir = fs.mkdtempSync(path.join(__dirname, "temp_media_"));
+      fs.mkdirSync(path.join(deckDir, "diagrams"));
+      fs.writeFileSync(path.join(deckDir, "diagrams", "osi.png"), "");
+      fs.writeFileSync(path.join(deckDir, "clip.mp3"), "");
+      const tmpFile = path.join(deckDir, "deck.csv");
+      const csvContent = `Question,Option A,Option B,Answer,Media
+Which layer? img:diagrams/osi.png,Transport,img:missing.png,A,clip.mp3
+`;
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      expect(renderer.questions.length).to.equal(1);
+      // The missing file is reported at import.
+      expect(document.getElementById("feedback").textContent).to.contain("missing.png (not found)");
+      // The image in the question text resolves against the CSV directory.
+      const img = document.querySelector("#question h2 img.question-image");
+      expect(img).to.exist;
+      expect(img.src).to.contain("diagrams/osi.png");
+      expect(img.src.startsWith("file://")).to.be.true;
+      // The media column adds an audio player.
+      expect(document.querySelector("#question .question-media audio")).to.exist;
+      // The missing image in option B is replaced by a placeholder.
+      const optionB = document.querySelector('button[data-letter="B"]');
+      expect(optionB.querySelector("img")).to.not.exist;
+      expect(optionB.querySelector(".missing-media").textContent).to.contain("missing.png");
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Answer History
+  // ---------------------------------------------------------------------------
+  describe("Answer History", function () {
+    it("should send each answer to the main process with the deck and question key", async function () {
+      this.timeout(5000);
+      const tmpFile = path.join(__dirname, "temp_history.csv");
+      fs.writeFileSync(tmpFile, `What is 2+2?,3,4,,,B,Math
+`, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const calls = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.resolve(payload);
+      };
+      try {
+        renderer.currentQuestionIndex = 0;
+        document.querySelector('button[data-letter="A"]').click();
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
+      expect(calls).to.have.length(1);
+      expect(calls[0].channel).to.equal("record-attempt");
+      const attempt = calls[0].payload;
+      expect(attempt.deckPath).to.equal(path.resolve(tmpFile));
+      expect(attempt.questionKey).to.match(/^q[0-9a-f]+$/);
+      expect(attempt.answer).to.equal("A");
+      expect(attempt.correct).to.be.false;
+      expect(attempt.score).to.equal(0);
+      expect(attempt.timeSpentMs).to.be.a("number");
+      expect(renderer.questions[0].userAnswer).to.equal("A");
+      expect(renderer.questions[0].answeredCorrectly).to.be.false;
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should show a revisited question as answered and not score or record it again", async function () {
+      this.timeout(5000);
+      const tmpFile = path.join(__dirname, "temp_history.csv");
+      fs.writeFileSync(tmpFile, `What is 2+2?,3,4,,,B,Math,,,,,,Add them.
+Capital of France?,,,,,Paris,Geo
+`, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const calls = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.resolve(payload);
+      };
+      try {
+        renderer.currentQuestionIndex = 0;
+        document.querySelector('button[data-letter="A"]').click();
+        renderer.currentQuestionIndex = 1;
+        renderer.displayQuestion(1);
+        document.getElementById("answerInput").value = "Paris";
+        document.getElementById("submitAnswerBtn").click();
+        // Going back shows each question with its result, and its controls stay disabled.
+        renderer.currentQuestionIndex = 0;
+        renderer.displayQuestion(0);
+        const buttons = Array.from(document.querySelectorAll(".option-button"));
+        expect(buttons.every(btn => btn.disabled)).to.be.true;
+        expect(document.querySelector('button[data-letter="A"]').style.backgroundColor).to.equal("lightcoral");
+        expect(document.querySelector('button[data-letter="B"]').style.backgroundColor).to.equal("lightgreen");
+        expect(document.getElementById("explanation").textContent).to.include("Add them.");
+        // Answering again changes nothing.
+        renderer.checkAnswer("B", "B");
+        renderer.currentQuestionIndex = 1;
+        renderer.displayQuestion(1);
+        const input = document.getElementById("answerInput");
+        expect(input.disabled).to.be.true;
+        expect(input.value).to.equal("Paris");
+        renderer.checkAnswer("London", "Paris");
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
+      expect(calls.filter(call => call.channel === "record-attempt")).to.have.length(2);
+      expect(document.querySelector(".correct-score").textContent).to.equal("1");
+      expect(document.querySelector(".incorrect-score").textContent).to.equal("1");
+      expect(renderer.questions[0].userAnswer).to.equal("A");
+      expect(renderer.questions[1].userAnswer).to.equal("Paris");
+      fs.unlinkSync(tmpFile);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Study Mode
+  // ---------------------------------------------------------------------------
+  describe("Study Mode", function () {
+    const tmpFile = path.join(__dirname, "temp_study.csv");
+    let originalInvoke;
+
+    beforeEach(function () {
+      fs.writeFileSync(tmpFile, `Known,a,b,,,A,Math
+Missed,a,b,,,A,Math
+Fresh,a,b,,,A,Art
+`, "utf8");
+      originalInvoke = fakeIpcRenderer.invoke;
+      // The history holds a correct answer for "Known" today and a wrong one for "Missed".
+      const now = new Date().toISOString();
+      fakeIpcRenderer.invoke = (channel) => {
+        if (channel !== "get-deck-history") return Promise.resolve(null);
+        const { questionKey } = require("../src/questionKey");
+        return Promise.resolve({
+          [questionKey({ questionText: "Known", options: ["a", "b"] })]: { attempts: [{ timestamp: now, correct: true }] },
+          [questionKey({ questionText: "Missed", options: ["a", "b"] })]: { attempts: [{ timestamp: now, correct: false }] }
+        });
+      };
+      renderer.questions.splice(0, renderer.questions.length);
+    });
+
+    afterEach(function () {
+      fakeIpcRenderer.invoke = originalInvoke;
+      state.studyMode = false;
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should show the number of questions due today next to the group filter", async function () {
+      await loadQuestions(tmpFile);
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Known", "Missed", "Fresh"]);
+      const dueCount = document.getElementById("dueCount");
+      expect(dueCount.textContent).to.equal("2 due today");
+      expect(dueCount.title).to.equal("1 to review, 1 new");
+    });
+
+    it("should only ask due questions, missed ones first, when study mode is on", async function () {
+      state.studyMode = true;
+      await loadQuestions(tmpFile);
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Missed", "Fresh"]);
+      expect(document.getElementById("question").textContent).to.include("Missed");
+    });
+
+    it("should say so when nothing is due in the selected group", async function () {
+      await loadQuestions(tmpFile);
+      state.studyMode = true;
+      fakeIpcRenderer.invoke = () => Promise.resolve(null);
+      // In the Math group only "Missed" is due; answering it correctly moves it to tomorrow.
+      const groupSelect = document.getElementById("groupSelect");
+      groupSelect.value = "Math";
+      renderer.applyQuestionFilter();
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Missed"]);
+      renderer.currentQuestionIndex = 0;
+      document.querySelector('button[data-letter="A"]').click();
+      expect(document.getElementById("dueCount").textContent).to.equal("0 due today");
+      renderer.applyQuestionFilter();
+      expect(renderer.questions).to.have.length(0);
+      expect(document.getElementById("feedback").textContent).to.include("Nothing is due today");
+    });
+
+    it("should move a question answered twice in a session by one box only", async function () {
+      const { scheduleFromAttempts } = require("../src/spacedRepetition");
+      await loadQuestions(tmpFile);
+      state.studyMode = true;
+      const attempts = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        if (channel === "record-attempt") attempts.push(payload);
+        return Promise.resolve(null);
+      };
+      const groupSelect = document.getElementById("groupSelect");
+      groupSelect.value = "Art";
+      renderer.applyQuestionFilter();
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Fresh"]);
+      // A wrong answer keeps the new question in the first box, due again today...
+      renderer.currentQuestionIndex = 0;
+      document.querySelector('button[data-letter="B"]').click();
+      // ...and answering it right on a second visit does not move it to the next box.
+      renderer.displayQuestion(0);
+      renderer.checkAnswer("A", "A");
+      expect(attempts).to.have.length(1);
+      expect(scheduleFromAttempts(attempts).box).to.equal(0);
+      expect(document.getElementById("dueCount").textContent).to.equal("1 due today");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Exam Mode
+  // ---------------------------------------------------------------------------
+  describe("Exam Mode", function () {
+    const tmpFile = path.join(__dirname, "temp_exam.csv");
+
+    beforeEach(function () {
+      fs.writeFileSync(tmpFile, `Q1,a,b,c,,A,G
+Q2,a,b,c,,B,G
+Capital of France?,,,,,Paris,G
+Q4,a,b,c,,C,G
+`, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      state.examMode = true;
+    });
+
+    afterEach(function () {
+      state.examMode = false;
+      state.examTimeLimitMinutes = 30;
+      fs.unlinkSync(tmpFile);
+    });
+
+    const show = (index) => {
+      renderer.currentQuestionIndex = index;
+      displayQuestion(index);
+    };
+
+    it("should save answers without feedback until the exam is submitted", async function () {
+      await loadQuestions(tmpFile);
+      expect(document.querySelector(".timer-label").textContent).to.equal("Time left:");
+      expect(document.querySelector(".timer-value").textContent).to.equal("30:00");
+      show(0);
+      document.querySelector('button[data-letter="B"]').click();
+      // No colors, no floating message, and the buttons stay enabled so the answer can change.
+      const buttonB = document.querySelector('button[data-letter="B"]');
+      expect(buttonB.classList.contains("selected")).to.be.true;
+      expect(buttonB.style.backgroundColor).to.equal("");
+      expect(buttonB.disabled).to.be.false;
+      expect(document.querySelector(".floating-feedback")).to.not.exist;
+      expect(document.querySelector(".answered-score").textContent).to.equal("1");
+      expect(document.querySelector(".correct-score").textContent).to.equal("0");
+      document.querySelector('button[data-letter="A"]').click();
+      expect(renderer.questions[0].examAnswer).to.equal("A");
+      expect(renderer.questions[0].userAnswered).to.be.undefined;
+      show(2);
+      document.getElementById("answerInput").value = " paris ";
+      document.getElementById("submitAnswerBtn").click();
+      expect(document.getElementById("answerInput").disabled).to.be.false;
+      // Coming back to a question shows the saved answer.
+      show(0);
+      expect(document.querySelector('button[data-letter="A"]').classList.contains("selected")).to.be.true;
+      show(2);
+      expect(document.getElementById("answerInput").value).to.equal("paris");
+      // Submitting scores every question; unanswered ones count as incorrect.
+      show(1);
+      document.querySelector('button[data-letter="C"]').click();
+      renderer.submitExam();
+      expect(state.examSubmitted).to.be.true;
+      expect(renderer.timerInterval).to.be.null;
+      expect(renderer.questions.map(q => q.answeredCorrectly)).to.deep.equal([true, false, true, false]);
+      expect(renderer.questions[3].userAnswered).to.be.true;
+      expect(renderer.questions[3].userAnswer).to.equal("");
+      expect(document.querySelector(".correct-score").textContent).to.equal("2");
+      expect(document.querySelector(".incorrect-score").textContent).to.equal("2");
+      expect(document.querySelector(".round-summary").textContent).to.equal("Round complete: 2 of 4 correct.");
+      // The current question is shown with its result, and answers can no longer change.
+      expect(document.querySelector('button[data-letter="C"]').style.backgroundColor).to.equal("lightcoral");
+      expect(document.querySelector('button[data-letter="B"]').style.backgroundColor).to.equal("lightgreen");
+      document.querySelector('button[data-letter="B"]').click();
+      expect(renderer.questions[1].userAnswer).to.equal("C");
+    });
+
+    it("should count down and submit the exam automatically when time runs out", async function () {
+      this.timeout(5000);
+      state.examTimeLimitMinutes = 1;
+      await loadQuestions(tmpFile);
+      show(0);
+      document.querySelector('button[data-letter="A"]').click();
+      // Returning to the first question does not restart the countdown.
+      const interval = renderer.timerInterval;
+      show(0);
+      expect(renderer.timerInterval).to.equal(interval);
+      const realNow = Date.now;
+      const start = realNow();
+      Date.now = () => start + 59 * 1000;
+      try {
+        await new Promise(r => setTimeout(r, 1100));
+        expect(document.querySelector(".timer-value").textContent).to.equal("00:01");
+        expect(document.getElementById("timerContainer").classList.contains("timer-warning")).to.be.true;
+        expect(state.examSubmitted).to.be.false;
+        Date.now = () => start + 61 * 1000;
+        await new Promise(r => setTimeout(r, 1100));
+      } finally {
+        Date.now = realNow;
+      }
+      expect(state.examSubmitted).to.be.true;
+      expect(document.querySelector(".floating-feedback").textContent).to.include("Time is up");
+      expect(renderer.questions[0].answeredCorrectly).to.be.true;
+      expect(document.querySelector(".correct-score").textContent).to.equal("1");
+      expect(document.querySelector(".incorrect-score").textContent).to.equal("3");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Per-Question Time Limit
+  // ---------------------------------------------------------------------------
+  describe("Per-Question Time Limit", function () {
+    const tmpFile = path.join(__dirname, "temp_time_limit.csv");
+    let realNow;
+
+    beforeEach(function () {
+      renderer.questions.splice(0, renderer.questions.length);
+      realNow = Date.now;
+    });
+
+    afterEach(function () {
+      Date.now = realNow;
+      state.questionTimeLimitSeconds = 0;
+      // Displaying nothing stops a running per-question countdown.
+      renderer.questions.splice(0, renderer.questions.length);
+      displayQuestion(0);
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should score an expired question as incorrect and move to the next one", async function () {
+      this.timeout(5000);
+      fs.writeFileSync(tmpFile, `Question,Option A,Option B,Answer,Time limit
+Q1,a,b,A,1
+Q2,a,b,B,
+Q3,a,b,A,soon
+`, "utf8");
+      await loadQuestions(tmpFile);
+      // The row with an unreadable time limit is skipped.
+      expect(renderer.questions.map(q => q.timeLimit)).to.deep.equal([1, null]);
+      const questionTimer = document.getElementById("questionTimer");
+      expect(questionTimer.hidden).to.be.false;
+      expect(questionTimer.querySelector(".timer-value").textContent).to.equal("00:01");
+      const start = realNow();
+      Date.now = () => start + 2000;
+      await new Promise(r => setTimeout(r, 1100));
+      const expired = renderer.questions[0];
+      expect(expired.timedOut).to.be.true;
+      expect(expired.userAnswered).to.be.true;
+      expect(expired.answeredCorrectly).to.be.false;
+      expect(document.querySelector(".floating-feedback").textContent).to.equal("Time is up! The correct answer is: A) a");
+      expect(document.querySelector(".incorrect-score").textContent).to.equal("1");
+      // The quiz moved on to the second question, which has no time limit.
+      expect(renderer.currentQuestionIndex).to.equal(1);
+      expect(document.getElementById("question").textContent).to.equal("Q2");
+      expect(questionTimer.hidden).to.be.true;
+      expect(renderer.questionTimerInterval).to.be.null;
+      // Going back shows the expired question locked.
+      displayQuestion(0);
+      expect(Array.from(document.querySelectorAll(".option-button")).every(btn => btn.disabled)).to.be.true;
+      expect(document.getElementById("feedback").textContent).to.include("Time ran out");
+    });
+
+    it("should use the global limit and keep the time left when moving between questions", async function () {
+      fs.writeFileSync(tmpFile, `Q1,a,b,,,A,G
+Q2,a,b,,,B,G
+`, "utf8");
+      state.questionTimeLimitSeconds = 30;
+      await loadQuestions(tmpFile);
+      const value = () => document.querySelector("#questionTimer .timer-value").textContent;
+      expect(value()).to.equal("00:30");
+      const start = realNow();
+      Date.now = () => start + 10000;
+      renderer.currentQuestionIndex = 1;
+      displayQuestion(1);
+      expect(value()).to.equal("00:30");
+      renderer.currentQuestionIndex = 0;
+      displayQuestion(0);
+      expect(value()).to.equal("00:20");
+      // Answering stops the countdown.
+      document.querySelector('button[data-letter="A"]').click();
+      expect(renderer.questionTimerInterval).to.be.null;
+      expect(document.getElementById("questionTimer").hidden).to.be.true;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Shuffling
+  // ---------------------------------------------------------------------------
+  describe("Shuffling", function () {
+    const tmpFile = path.join(__dirname, "temp_shuffle.csv");
+    let csvContent = "";
+    for (let i = 1; i <= 12; i++) {
+      csvContent += `Question ${i},right ${i},wrong ${i},other ${i},more ${i},A,G\n`;
+    }
+
+    beforeEach(function () {
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+    });
+
+    afterEach(function () {
+      state.shuffleQuestions = false;
+      state.shuffleOptions = false;
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should give the same shuffled quiz for the same seed", async function () {
+      state.shuffleQuestions = true;
+      state.shuffleOptions = true;
+      state.shuffleSeed = "K7QX3M";
+      await loadQuestions(tmpFile);
+      const first = renderer.questions.map(q => `${q.questionText}:${q.options.join("/")}`);
+      expect(renderer.questions.map(q => q.questionText)).to.not.deep.equal(
+        Array.from({ length: 12 }, (v, i) => `Question ${i + 1}`));
+      renderer.applyQuestionFilter();
+      expect(renderer.questions.map(q => `${q.questionText}:${q.options.join("/")}`)).to.deep.equal(first);
+      state.shuffleSeed = "ABCDEF";
+      renderer.applyQuestionFilter();
+      expect(renderer.questions.map(q => `${q.questionText}:${q.options.join("/")}`)).to.not.deep.equal(first);
+    });
+
+    it("should remap the correct answer and the option letters used by checkAnswer", async function () {
+      state.shuffleOptions = true;
+      state.shuffleSeed = "K7QX3M";
+      await loadQuestions(tmpFile);
+      // Questions keep their order; only the options move.
+      expect(renderer.questions[0].questionText).to.equal("Question 1");
+      const question = renderer.questions[0];
+      const rightIndex = question.options.indexOf("right 1");
+      expect(question.correctAnswer).to.equal("ABCD"[rightIndex]);
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const calls = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push(payload);
+        return Promise.resolve(payload);
+      };
+      try {
+        renderer.currentQuestionIndex = 0;
+        const btn = Array.from(document.querySelectorAll(".option-button")).find(b => b.innerText.includes("right 1"));
+        expect(btn.dataset.letter).to.equal(question.correctAnswer);
+        btn.click();
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
+      expect(question.answeredCorrectly).to.be.true;
+      // The history records the letter of the option in the CSV.
+      expect(calls[0].answer).to.equal("A");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Keyboard Shortcuts
+  // ---------------------------------------------------------------------------
+  describe("Keyboard Shortcuts", function () {
+    // Presses a key on the given element (the page body by default).
+    const press = (key, options = {}, target = document.body) => {
+      const event = new dom.window.KeyboardEvent("keydown", Object.assign({ key, bubbles: true, cancelable: true }, options));
+      target.dispatchEvent(event);
+      return event;
+    };
+
+    it("should answer with letters and digits and navigate with the arrow keys", async function () {
+      const tmpFile = path.join(__dirname, "temp_keyboard.csv");
+      fs.writeFileSync(tmpFile, `2+2?,3,4,,,B,Math\n3+3?,6,7,,,A,Math\n`, "utf8");
+      renderer.initialize();
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      renderer.currentQuestionIndex = 0;
+      expect(press("b").defaultPrevented).to.be.true;
+      expect(renderer.questions[0].userAnswer).to.equal("B");
+      expect(renderer.questions[0].answeredCorrectly).to.be.true;
+      press("ArrowRight");
+      expect(document.getElementById("question").textContent).to.equal("3+3?");
+      press("2");
+      expect(renderer.questions[1].userAnswer).to.equal("B");
+      press("ArrowLeft");
+      expect(document.getElementById("question").textContent).to.equal("2+2?");
+      expect(renderer.currentQuestionIndex).to.equal(0);
+      // Enter moves on when there is nothing to submit.
+      press("Enter");
+      expect(renderer.currentQuestionIndex).to.equal(1);
+      // Unbound keys are left alone.
+      expect(press("z").defaultPrevented).to.be.false;
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should not answer a revisited question again", async function () {
+      const tmpFile = path.join(__dirname, "temp_keyboard.csv");
+      fs.writeFileSync(tmpFile, `2+2?,3,4,,,B,Math\n3+3?,6,7,,,A,Math\n`, "utf8");
+      renderer.initialize();
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      renderer.currentQuestionIndex = 0;
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const channels = [];
+      fakeIpcRenderer.invoke = (channel) => {
+        channels.push(channel);
+        return Promise.resolve(null);
+      };
+      try {
+        press("a");
+        press("ArrowRight");
+        press("ArrowLeft");
+        press("b");
+        press("2");
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
+      expect(renderer.questions[0].userAnswer).to.equal("A");
+      expect(renderer.questions[0].answeredCorrectly).to.be.false;
+      expect(channels.filter(channel => channel === "record-attempt")).to.have.length(1);
+      expect(document.querySelector(".correct-score").textContent).to.equal("0");
+      expect(document.querySelector(".incorrect-score").textContent).to.equal("1");
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should toggle options and submit a multiple-answer question with Enter", async function () {
+      const tmpFile = path.join(__dirname, "temp_keyboard.csv");
+      fs.writeFileSync(tmpFile, `Which are even?,2,3,4,,"A,C",Math\n`, "utf8");
+      renderer.initialize();
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      renderer.currentQuestionIndex = 0;
+      press("a");
+      press("3");
+      expect(renderer.questions[0].userAnswered).to.not.be.true;
+      press("Enter");
+      expect(renderer.questions[0].answeredCorrectly).to.be.true;
+      fs.unlinkSync(tmpFile);
     });
 
-    it("should stop the timer only when all questions are answered", function () {
-      // This test verifies timer functionality:
-      // 1. Timer starts and runs while questions remain unanswered
-      // 2. Timer only stops when ALL questions in the current set have been answered
-      // 3. userAnswered flags track which questions have been completed
-      
-      // Setup: 2 questions, answer only one, timer should not stop
+    it("should leave plain keys to text fields and focus the group filter with G", async function () {
+      const tmpFile = path.join(__dirname, "temp_keyboard.csv");
+      fs.writeFileSync(tmpFile, `Capital of France?,,,,,Paris,Geo\n`, "utf8");
+      renderer.initialize();
       renderer.questions.splice(0, renderer.questions.length);
-      renderer.questions.push({ questionText: "Q1", options: ["1","2","3","4"], correctAnswer: "A" });
-      renderer.questions.push({ questionText: "Q2", options: ["1","2","3","4"], correctAnswer: "A" });
+      await loadQuestions(tmpFile);
       renderer.currentQuestionIndex = 0;
-      // Simulate DOM for both questions
-      const optionsDiv = document.getElementById("options");
-      optionsDiv.innerHTML = `<button class="option-button" data-letter="A">A) 1</button>`;
-      // Start timer using exported function
-      renderer.startTimer();
-      renderer.checkAnswer("A", "A");
-      expect(renderer.questions[0].userAnswered).to.be.true;
-      expect(renderer.timerInterval).to.not.be.null;
-      // Now answer the second question
-      renderer.currentQuestionIndex = 1;
-      renderer.displayQuestion(1); // Ensure DOM is set up for Q2
-      // Simulate clicking the answer button for 'A' on Q2
-      // This simulates a real user interaction and ensures the DOM event handler sets userAnswered properly
-      const btnQ2 = document.querySelector('button[data-letter="A"]');
-      btnQ2.click();
-      // Verify userAnswered is set for the second question
-      expect(renderer.questions[1].userAnswered).to.be.true;
-      // Verify timer stops when all questions are answered
-      expect(renderer.timerInterval).to.be.null;
+      const input = document.getElementById("answerInput");
+      input.focus();
+      expect(press("a", {}, input).defaultPrevented).to.be.false;
+      expect(renderer.questions[0].userAnswered).to.not.be.true;
+      // Escape leaves the field, so the shortcuts work again.
+      press("Escape", {}, input);
+      expect(document.activeElement).to.not.equal(input);
+      press("g");
+      expect(document.activeElement).to.equal(document.getElementById("groupSelect"));
+      // Shortcuts with Ctrl work even from a field.
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const channels = [];
+      fakeIpcRenderer.invoke = (channel) => {
+        channels.push(channel);
+        return Promise.resolve(null);
+      };
+      try {
+        press("o", { ctrlKey: true }, document.getElementById("groupSelect"));
+        await new Promise(resolve => setImmediate(resolve));
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
+      expect(channels).to.deep.equal(["select-csv-file"]);
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should show the cheat sheet and store a changed key", async function () {
+      document.body.insertAdjacentHTML("beforeend", '<div id="shortcutsPanel" hidden></div>');
+      const originalInvoke = fakeIpcRenderer.invoke;
+      const calls = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.resolve(channel === "get-key-bindings" ? { previous: ["P"] } : payload);
+      };
+      try {
+        renderer.initialize();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(renderer.keyBindings.previous).to.deep.equal(["P"]);
+        const panel = document.getElementById("shortcutsPanel");
+        press("?", { shiftKey: true });
+        expect(panel.hidden).to.be.false;
+        const nextRow = panel.querySelector('tr[data-action="next"]');
+        expect(nextRow.querySelector(".shortcut-keys").textContent).to.equal("→ or ↓");
+        nextRow.querySelector(".rebind-button").click();
+        expect(panel.querySelector('tr[data-action="next"] .shortcut-keys').textContent).to.equal("Press a key…");
+        press("n");
+        expect(renderer.keyBindings.next).to.deep.equal(["N"]);
+        expect(panel.querySelector('tr[data-action="next"] .shortcut-keys').textContent).to.equal("N");
+        const saved = calls.filter(call => call.channel === "save-key-bindings");
+        expect(saved).to.have.length(1);
+        expect(saved[0].payload.next).to.deep.equal(["N"]);
+        // A key taken by another action is moved, not shared.
+        panel.querySelector('tr[data-action="previous"] .rebind-button').click();
+        press("n");
+        expect(renderer.keyBindings.previous).to.deep.equal(["N"]);
+        expect(renderer.keyBindings.next).to.deep.equal([]);
+        document.getElementById("resetShortcutsBtn").click();
+        expect(renderer.keyBindings.next).to.deep.equal(["ArrowRight", "ArrowDown"]);
+        press("Escape");
+        expect(panel.hidden).to.be.true;
+      } finally {
+        fakeIpcRenderer.invoke = originalInvoke;
+      }
     });
   });
 
@@ -309,6 +1651,26 @@ describe("Electron Quiz App from CSV - Additional Tests", function () {
       expect(() => displayQuestion(-1)).to.not.throw();
       expect(() => displayQuestion(1)).to.not.throw();
     });
+
+    it("should show HTML in the CSV as plain text", async function () {
+      const tmpFile = path.join(__dirname, "temp_html.csv");
+      fs.writeFileSync(tmpFile, `Question,Option A,Option B,Answer,Group,Explanation
+"<img src=x onerror=alert(1)>Pick one",<b>bold</b>,<script>evil()</script>,A,<i>G</i>,<a href="x">link</a>
+`, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      renderer.currentQuestionIndex = 0;
+      displayQuestion(0);
+      const questionDiv = document.getElementById("question");
+      expect(questionDiv.querySelector("img")).to.not.exist;
+      expect(questionDiv.textContent).to.equal("<img src=x onerror=alert(1)>Pick one");
+      const options = document.getElementById("options");
+      expect(options.querySelector("b, script")).to.not.exist;
+      expect(document.querySelector("#groupSelect i")).to.not.exist;
+      document.querySelector('button[data-letter="A"]').click();
+      expect(document.querySelector("a[href='x']")).to.not.exist;
+      fs.unlinkSync(tmpFile);
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -388,7 +1750,7 @@ Invalid answer row,Val1,Val2,Val3,Val4,Z,Science
       const originalReadFileSync = fs.readFileSync;
       fs.readFileSync = () => { throw new Error("Test error"); };
       try {
-        await loadQuestions("dummy/path");
+        await loadQuestions("dummy/path.csv");
         throw new Error("Expected loadQuestions to reject");
       } catch (err) {
         // Assertion: The promise should reject with an error.
@@ -432,6 +1794,117 @@ Another invalid row,Missing,Fields
       expect(renderer.questions.every(q => !q.userAnswered)).to.be.true;
       fs.unlinkSync(tmpFile);
     });
+
+    it("should load True/False and questions with more than four options", async function () {
+      this.timeout(5000);
+      // Header-less layout: options 5 to 8 follow the group column.
+      const tmpFile = path.join(__dirname, "temp_option_counts.csv");
+      const csvContent = `The sky is blue.,True,False,,,A,Science
+Pick the sixth letter.,a,b,c,d,F,Letters,e,f
+Pick the third letter.,a,b,,,C,Letters
+`;
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      // The last row is skipped: "C" does not name one of its two options.
+      expect(renderer.questions.length).to.equal(2);
+      expect(renderer.questions[0].options).to.deep.equal(["True", "False"]);
+      expect(renderer.questions[1].options).to.deep.equal(["a", "b", "c", "d", "e", "f"]);
+      expect(renderer.questions[1].correctAnswer).to.equal("F");
+      // Only the options that exist are rendered.
+      expect(document.querySelectorAll("#options button.option-button").length).to.equal(2);
+      renderer.currentQuestionIndex = 1;
+      displayQuestion(1);
+      const buttons = document.querySelectorAll("#options button.option-button");
+      expect(buttons.length).to.equal(6);
+      expect(buttons[5].dataset.letter).to.equal("F");
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should load multiple-answer questions", async function () {
+      this.timeout(5000);
+      const tmpFile = path.join(__dirname, "temp_multi.csv");
+      const csvContent = `Which are prime?,2,4,5,9,"c, a",Math
+Which is even?,2,4,5,9,"A,E",Math
+`;
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      // The second row is skipped: "E" does not name one of its options.
+      expect(renderer.questions.length).to.equal(1);
+      expect(renderer.questions[0].correctAnswer).to.equal("A,C");
+      expect(renderer.questions[0].multiSelect).to.be.true;
+      expect(document.getElementById("submitAnswerBtn")).to.exist;
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should skip a header row and match its columns by name", async function () {
+      this.timeout(5000);
+      // Columns are in a different order than the positional layout and use aliases.
+      const tmpFile = path.join(__dirname, "temp_header.csv");
+      const csvContent = `Category,Question,Option A,Option B,Option C,Option D,Answer
+Math,What is 2+2?,1,2,3,4,D
+`;
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      await loadQuestions(tmpFile);
+      expect(renderer.questions.length).to.equal(1);
+      expect(renderer.questions[0].questionText).to.equal("What is 2+2?");
+      expect(renderer.questions[0].options).to.deep.equal(["1", "2", "3", "4"]);
+      expect(renderer.questions[0].correctAnswer).to.equal("D");
+      expect(renderer.questions[0].group).to.equal("Math");
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should ask for a column mapping when header names are unknown", async function () {
+      this.timeout(5000);
+      const tmpFile = path.join(__dirname, "temp_unknown_header.csv");
+      const csvContent = `Pregunta,Uno,Dos,Tres,Cuatro,Clave,Tema
+What is 2+2?,1,2,3,4,D,Math
+`;
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      const loading = loadQuestions(tmpFile);
+      // Wait for the dialog to be shown once the file has been parsed.
+      while (!document.getElementById("columnMappingDialog")) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const selects = document.querySelectorAll("#columnMappingDialog .mapping-select");
+      expect(selects.length).to.equal(7);
+      // Confirming an incomplete mapping keeps the dialog open with an error.
+      document.getElementById("mappingConfirmBtn").click();
+      expect(document.querySelector(".mapping-error").textContent).to.contain("Question");
+      expect(document.getElementById("columnMappingDialog")).to.exist;
+      ["questionText", "option1", "option2", "option3", "option4", "correctAnswer", "group"].forEach((field, i) => {
+        selects[i].value = field;
+      });
+      document.getElementById("mappingConfirmBtn").click();
+      await loading;
+      expect(document.getElementById("columnMappingDialog")).to.not.exist;
+      expect(renderer.questions.length).to.equal(1);
+      expect(renderer.questions[0].correctAnswer).to.equal("D");
+      expect(renderer.questions[0].group).to.equal("Math");
+      fs.unlinkSync(tmpFile);
+    });
+
+    it("should load nothing if the column mapping dialog is cancelled", async function () {
+      this.timeout(5000);
+      const tmpFile = path.join(__dirname, "temp_cancel_header.csv");
+      const csvContent = `Pregunta,Uno,Dos,Tres,Cuatro,Clave
+What is 2+2?,1,2,3,4,D
+`;
+      fs.writeFileSync(tmpFile, csvContent, "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+      const loading = loadQuestions(tmpFile);
+      while (!document.getElementById("columnMappingDialog")) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      document.getElementById("mappingCancelBtn").click();
+      await loading;
+      expect(renderer.questions.length).to.equal(0);
+      expect(document.getElementById("feedback").innerHTML).to.contain("cancelled");
+      fs.unlinkSync(tmpFile);
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -476,6 +1949,25 @@ Another invalid row,Missing,Fields
       fakeIpcRenderer.invoke = originalInvoke;
       renderer.loadQuestions = originalLoadQuestions;
     });
+
+    it("should report a selected file that cannot be read", async function () {
+      const tmpFile = path.join(__dirname, "temp_broken.json");
+      fs.writeFileSync(tmpFile, "{ \"questions\": [", "utf8");
+      const originalInvoke = fakeIpcRenderer.invoke;
+      fakeIpcRenderer.invoke = () => Promise.resolve([tmpFile]);
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        await selectCSVFile();
+      } finally {
+        console.error = originalError;
+        fakeIpcRenderer.invoke = originalInvoke;
+        fs.unlinkSync(tmpFile);
+      }
+      expect(state.isDialogOpen).to.be.false;
+      const messages = document.querySelectorAll(".floating-feedback");
+      expect(messages[messages.length - 1].textContent).to.match(/^Could not load the deck: temp_broken\.json: Not valid JSON/);
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -543,6 +2035,563 @@ Question 4,Opt1,Opt2,Opt3,Opt4,D,Group3
     });
   });
 
+  // ---------------------------------------------------------------------------
+  // Test Suite: Merging CSV Files
+  // ---------------------------------------------------------------------------
+  describe("Merging CSV Files", function () {
+    let deckDir, chapter1, chapter2, originalInvoke, calls;
+
+    beforeEach(function () {
+      deckDir = fs.mkdtempSync(path.join(__dirname, "temp_merge_"));
+      chapter1 = path.join(deckDir, "chapter1.csv");
+      chapter2 = path.join(deckDir, "chapter2.csv");
+      fs.writeFileSync(chapter1, "2+2?,3,4,,,B,Math\nCapital of Italy?,Rome,Paris,,,A,Geo\n", "utf8");
+      fs.writeFileSync(chapter2, "3+3?,6,7,,,A,Math\n2+2?,3,4,,,B,Review\n", "utf8");
+      originalInvoke = fakeIpcRenderer.invoke;
+      calls = [];
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.resolve(channel === "select-csv-file" ? [chapter2] : null);
+      };
+      renderer.questions.splice(0, renderer.questions.length);
+    });
+
+    afterEach(function () {
+      fakeIpcRenderer.invoke = originalInvoke;
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+
+    it("should merge several files and skip questions repeated in a later file", async function () {
+      await loadQuestions([chapter1, chapter2]);
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["2+2?", "Capital of Italy?", "3+3?"]);
+      expect(renderer.questions.map(q => q.source)).to.deep.equal(["chapter1.csv", "chapter1.csv", "chapter2.csv"]);
+      const report = renderer.importReport;
+      expect(report.files).to.deep.equal(["chapter1.csv", "chapter2.csv"]);
+      expect(report.skipped).to.have.length(1);
+      expect(report.skipped[0]).to.include({
+        file: "chapter2.csv", line: 2, reason: "duplicate", message: "Same question and options as chapter1.csv line 1"
+      });
+      // The answer history of each file is fetched.
+      const historyRequests = calls.filter(call => call.channel === "get-deck-history").map(call => call.payload);
+      expect(historyRequests).to.deep.equal([chapter1, chapter2]);
+    });
+
+    it("should list each file as a source in the group filter", async function () {
+      await loadQuestions([chapter1, chapter2]);
+      const groupSelect = document.getElementById("groupSelect");
+      const sources = Array.from(groupSelect.querySelectorAll("optgroup option"));
+      expect(sources.map(opt => opt.textContent)).to.deep.equal(["chapter1.csv", "chapter2.csv"]);
+      groupSelect.value = sources[1].value;
+      groupSelect.dispatchEvent(new dom.window.Event("change"));
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["3+3?"]);
+      // An answer is recorded in the history of the file the question came from.
+      renderer.currentQuestionIndex = 0;
+      document.querySelector('button[data-letter="A"]').click();
+      const attempt = calls.find(call => call.channel === "record-attempt").payload;
+      expect(attempt.deckPath).to.equal(chapter2);
+    });
+
+    it("should add the files picked with Add CSV File to the loaded deck", async function () {
+      await loadQuestions(chapter1);
+      expect(document.querySelectorAll("#groupSelect optgroup")).to.have.length(0);
+      document.body.insertAdjacentHTML("beforeend", '<button id="addCsvBtn">Add CSV File</button>');
+      renderer.initialize();
+      state.isDialogOpen = false;
+      document.getElementById("addCsvBtn").click();
+      while (renderer.questions.length < 3) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["2+2?", "Capital of Italy?", "3+3?"]);
+      expect(document.querySelectorAll("#groupSelect optgroup option")).to.have.length(2);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Live Reload
+  // ---------------------------------------------------------------------------
+  describe("Live Reload", function () {
+    let deckDir, deckFile;
+
+    beforeEach(function () {
+      deckDir = fs.mkdtempSync(path.join(__dirname, "temp_reload_"));
+      deckFile = path.join(deckDir, "chapter.csv");
+      fs.writeFileSync(deckFile, [
+        "2+2?,3,4,,,B,Math",
+        "Capital of Italy?,Rome,Paris,,,A,Geo",
+        "Largest ocean?,Pacific,Atlantic,,,A,Geo"
+      ].join("\n") + "\n", "utf8");
+      document.getElementById("feedback").insertAdjacentHTML("afterend", '<div id="deckChanges" hidden></div>');
+      state.shuffleQuestions = false;
+      state.shuffleOptions = false;
+      state.studyMode = false;
+      state.examMode = false;
+    });
+
+    afterEach(function () {
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+
+    it("should watch the files of the loaded deck", async function () {
+      await loadQuestions(deckFile);
+      const watch = fakeWatches[fakeWatches.length - 1];
+      expect(watch.files).to.deep.equal([deckFile]);
+      // Loading another deck stops watching the first one.
+      const otherFile = path.join(deckDir, "other.csv");
+      fs.writeFileSync(otherFile, "Q?,a,b,,,A,G\n", "utf8");
+      await loadQuestions(otherFile);
+      expect(watch.stopped).to.be.true;
+      expect(fakeWatches[fakeWatches.length - 1].files).to.deep.equal([otherFile]);
+    });
+
+    it("should reload a changed file, keeping the answers to unchanged questions", async function () {
+      await loadQuestions(deckFile);
+      checkAnswer("B", "B");
+      // The author changes the answer of one question, removes another and adds a third.
+      fs.writeFileSync(deckFile, [
+        "2+2?,3,4,,,B,Math",
+        "Capital of Italy?,Paris,Rome,,,B,Geo",
+        "Boiling point of water?,100 °C,90 °C,,,A,Geo"
+      ].join("\n") + "\n", "utf8");
+      const changes = await renderer.reloadDeckFiles([deckFile]);
+      expect(changes).to.have.length(1);
+      const qs = renderer.questions;
+      expect(qs.map(q => q.questionText)).to.deep.equal(["2+2?", "Capital of Italy?", "Boiling point of water?"]);
+      expect(qs[0].userAnswered).to.be.true;
+      expect(qs[1].correctAnswer).to.equal("B");
+      expect(document.querySelector(".correct-score").textContent).to.equal("1");
+      expect(document.querySelector(".score-value").textContent).to.equal("1");
+      // The user is told what changed.
+      const notice = document.getElementById("deckChanges");
+      expect(notice.hidden).to.be.false;
+      expect(notice.querySelector(".deck-changes-summary").textContent)
+        .to.equal("chapter.csv changed: 1 question added, 1 removed, 1 modified.");
+      expect(Array.from(notice.querySelectorAll(".deck-change")).map(item => item.textContent)).to.deep.equal([
+        "Added: Boiling point of water?",
+        "Removed: Largest ocean?",
+        "Modified (options, correct answer; asked again): Capital of Italy?"
+      ]);
+    });
+
+    it("should show nothing when the file was saved without changes", async function () {
+      await loadQuestions(deckFile);
+      checkAnswer("A", "B");
+      const changes = await renderer.reloadDeckFiles([deckFile]);
+      expect(changes[0].diff.unchanged).to.have.length(3);
+      expect(renderer.questions[0].userAnswered).to.be.true;
+      expect(document.querySelector(".incorrect-score").textContent).to.equal("1");
+      expect(document.getElementById("deckChanges").hidden).to.be.true;
+    });
+
+    it("should keep the column mapping chosen for the file until its header row changes", async function () {
+      this.timeout(5000);
+      const waitForDialog = async () => {
+        for (let i = 0; i < 100 && !document.getElementById("columnMappingDialog"); i++) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(document.getElementById("columnMappingDialog")).to.exist;
+      };
+      fs.writeFileSync(deckFile, "Pregunta,Uno,Dos,Tres,Cuatro,Clave\nWhat is 2+2?,1,3,4,5,C\n", "utf8");
+      const loading = loadQuestions(deckFile);
+      await waitForDialog();
+      const selects = document.querySelectorAll("#columnMappingDialog .mapping-select");
+      ["questionText", "option1", "option2", "option3", "option4", "correctAnswer"].forEach((field, i) => { selects[i].value = field; });
+      document.getElementById("mappingConfirmBtn").click();
+      await loading;
+      // Saving the file again reloads it without asking.
+      fs.writeFileSync(deckFile, "Pregunta,Uno,Dos,Tres,Cuatro,Clave\nWhat is 2+2?,1,3,4,5,C\nWhat is 3+3?,6,7,8,9,A\n", "utf8");
+      const changes = await renderer.reloadDeckFiles([deckFile]);
+      expect(document.getElementById("columnMappingDialog")).to.not.exist;
+      expect(changes[0].diff.added).to.have.length(1);
+      expect(renderer.questions.map(q => q.correctAnswer)).to.deep.equal(["C", "A"]);
+      // A new header row is mapped again.
+      fs.writeFileSync(deckFile, "Pregunta,Uno,Dos,Tres,Cuatro,Respuesta\nWhat is 2+2?,1,3,4,5,C\n", "utf8");
+      const reloading = renderer.reloadDeckFiles([deckFile]);
+      await waitForDialog();
+      document.getElementById("mappingCancelBtn").click();
+      expect(await reloading).to.be.null;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Deck Editor
+  // ---------------------------------------------------------------------------
+  describe("Deck Editor", function () {
+    const { writeTextFile } = require("../src/textEncoding");
+    let deckDir, deckFile, originalInvoke, calls, dialogPath;
+
+    // Types a value into a field of a question card, as the user would.
+    const typeInto = (index, field, value) => {
+      const input = document.querySelector(`#deckEditor .deck-editor-row[data-index="${index}"] [data-field="${field}"]`);
+      input.value = value;
+      input.dispatchEvent(new window.Event("input", { bubbles: true }));
+    };
+    const problemOf = (index) =>
+      document.querySelector(`#deckEditor .deck-editor-row[data-index="${index}"] .deck-editor-problem`).textContent;
+    const click = (selector) => document.querySelector(selector).click();
+
+    beforeEach(function () {
+      deckDir = fs.mkdtempSync(path.join(__dirname, "temp_editor_"));
+      deckFile = path.join(deckDir, "chapter.csv");
+      fs.writeFileSync(deckFile, [
+        "Question;Option 1;Option 2;Correct answer;Group;Notes",
+        "2+2?;3;4;B;Math;easy",
+        "Capital of Italy?;Rome;Paris;A;Geo;"
+      ].join("\r\n") + "\r\n", "utf8");
+      originalInvoke = fakeIpcRenderer.invoke;
+      // Saves decks as the main process does; dialogPath stands for the file chosen in the save dialog.
+      calls = [];
+      dialogPath = null;
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        if (channel !== "save-deck") return Promise.resolve(null);
+        const filePath = payload.filePath || dialogPath;
+        if (!filePath) return Promise.resolve(null);
+        writeTextFile(filePath, payload.text, payload.encoding);
+        return Promise.resolve({ filePath });
+      };
+      state.shuffleQuestions = false;
+      state.shuffleOptions = false;
+      state.studyMode = false;
+      state.examMode = false;
+    });
+
+    afterEach(function () {
+      // Close the editor even with unsaved changes.
+      renderer.closeDeckEditor();
+      renderer.closeDeckEditor();
+      fakeIpcRenderer.invoke = originalInvoke;
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+
+    it("should validate edits as they are typed and save them with the file's separator", async function () {
+      await loadQuestions(deckFile);
+      checkAnswer("B", "B");
+      const editor = await renderer.openDeckEditor(deckFile);
+      expect(editor.doc.separator).to.equal(";");
+      const cards = document.querySelectorAll("#deckEditor .deck-editor-row");
+      expect(cards).to.have.length(2);
+      expect(cards[0].querySelector('[data-field="questionText"]').value).to.equal("2+2?");
+      expect(cards[0].querySelectorAll(".deck-editor-options input")).to.have.length(4);
+      // A correct answer without an option is reported while typing, as the import would skip it.
+      typeInto(1, "correctAnswer", "C");
+      expect(problemOf(1)).to.equal('Correct answer "C" is not one of the options A-B');
+      expect(cards[1].classList.contains("has-problem")).to.be.true;
+      typeInto(1, "correctAnswer", "B");
+      typeInto(1, "option2", "Milan; or Paris");
+      expect(problemOf(1)).to.equal("");
+      // Filling the last option shown makes room for one more.
+      typeInto(1, "option3", "Naples");
+      typeInto(1, "option4", "Turin");
+      expect(cards[1].querySelectorAll(".deck-editor-options input")).to.have.length(5);
+      typeInto(1, "option3", "");
+      expect(problemOf(1)).to.equal("An option is empty while a later option is filled in");
+      typeInto(1, "option3", "Naples");
+      typeInto(0, "questionText", 'What is "2+2"?');
+
+      expect(await renderer.saveDeckEditor()).to.equal(deckFile);
+      expect(calls.filter(call => call.channel === "save-deck").map(call => call.payload))
+        .to.deep.include({ text: fs.readFileSync(deckFile, "utf8"), encoding: "utf-8", filePath: deckFile, fileName: "chapter.csv" });
+      expect(fs.readFileSync(deckFile, "utf8")).to.equal([
+        "Question;Option 1;Option 2;Correct answer;Group;Notes;Option 3;Option 4",
+        '"What is ""2+2""?";3;4;B;Math;easy;;',
+        'Capital of Italy?;Rome;"Milan; or Paris";B;Geo;;Naples;Turin'
+      ].join("\r\n") + "\r\n");
+      // The deck is reloaded from the saved file; the rewritten question joins the round as a new one.
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Capital of Italy?", 'What is "2+2"?']);
+      expect(renderer.questions[0].options).to.deep.equal(["Rome", "Milan; or Paris", "Naples", "Turin"]);
+      expect(document.querySelector("#deckEditor .deck-editor-message").textContent).to.equal("Saved to chapter.csv.");
+    });
+
+    it("should add, move and remove questions of a new deck and load it once saved", async function () {
+      const newFile = path.join(deckDir, "new-deck.csv");
+      await renderer.openDeckEditor();
+      expect(document.querySelector("#deckEditor .deck-editor-title").textContent).to.equal("New Deck");
+      typeInto(0, "questionText", "First?");
+      click("#deckEditorAddBtn");
+      typeInto(1, "questionText", "Second?");
+      click("#deckEditorAddBtn");
+      typeInto(2, "questionText", "Third?");
+      expect(document.querySelector("#deckEditor .deck-editor-status").textContent)
+        .to.equal("0 valid questions; 3 with problems, which are skipped when the deck is loaded.");
+      click('#deckEditor .deck-editor-row[data-index="2"] .move-up');
+      click('#deckEditor .deck-editor-row[data-index="0"] .remove-row');
+      [0, 1].forEach(index => {
+        typeInto(index, "option1", "yes");
+        typeInto(index, "option2", "no");
+        typeInto(index, "correctAnswer", "A");
+      });
+      expect(document.querySelector("#deckEditor .deck-editor-status").textContent).to.equal("2 valid questions.");
+
+      // Nothing is written until a file is chosen in the save dialog.
+      expect(await renderer.saveDeckEditor()).to.be.null;
+      expect(fs.existsSync(newFile)).to.be.false;
+      dialogPath = newFile;
+      expect(await renderer.saveDeckEditor()).to.equal(newFile);
+      expect(calls.filter(call => call.channel === "save-deck").map(call => [call.payload.filePath, call.payload.fileName]))
+        .to.deep.equal([[null, "new-deck.csv"], [null, "new-deck.csv"]]);
+      expect(fs.readFileSync(newFile, "utf8")).to.equal([
+        "Question,Option 1,Option 2,Option 3,Option 4,Correct answer,Group",
+        "Third?,yes,no,,,A,",
+        "Second?,yes,no,,,A,"
+      ].join("\n") + "\n");
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["Third?", "Second?"]);
+    });
+
+    it("should warn before closing with unsaved changes", async function () {
+      await renderer.openDeckEditor(deckFile);
+      typeInto(0, "group", "Arithmetic");
+      expect(renderer.closeDeckEditor()).to.be.false;
+      expect(document.querySelector("#deckEditor .deck-editor-message").textContent)
+        .to.equal("There are unsaved changes. Click Close again to discard them.");
+      click("#deckEditorCloseBtn");
+      expect(document.getElementById("deckEditor")).to.be.null;
+      expect(fs.readFileSync(deckFile, "utf8")).to.include("2+2?;3;4;B;Math;easy");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Deck Export
+  // ---------------------------------------------------------------------------
+  describe("Deck Export", function () {
+    let deckDir, deckFile, originalInvoke, calls;
+
+    // The text of the last floating message.
+    const lastMessage = () => {
+      const messages = document.querySelectorAll(".floating-feedback");
+      return messages[messages.length - 1].textContent;
+    };
+
+    beforeEach(function () {
+      deckDir = fs.mkdtempSync(path.join(__dirname, "temp_export_"));
+      deckFile = path.join(deckDir, "chapter.csv");
+      fs.writeFileSync(deckFile, "2+2?,3,4,,,B,Math\nCapital of Italy?,Rome,Paris,,,A,Geo\nOnly a's?,,,,,/^a+$/,Math\n", "utf8");
+      originalInvoke = fakeIpcRenderer.invoke;
+      calls = [];
+      state.shuffleQuestions = true;
+      state.shuffleOptions = true;
+      state.studyMode = false;
+      state.examMode = false;
+    });
+
+    afterEach(function () {
+      fakeIpcRenderer.invoke = originalInvoke;
+      state.shuffleQuestions = false;
+      state.shuffleOptions = false;
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+
+    it("should export the selected group in deck order with the original options", async function () {
+      await loadQuestions(deckFile);
+      const groupSelect = document.getElementById("groupSelect");
+      groupSelect.value = "Math";
+      renderer.applyQuestionFilter();
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.resolve({ filePath: "/tmp/chapter.xml", format: "xml", exported: 1, skipped: 1 });
+      };
+      const result = await renderer.exportDeck();
+      expect(calls.map(call => call.channel)).to.deep.equal(["export-deck"]);
+      expect(calls[0].payload.deck).to.equal("chapter.csv");
+      expect(calls[0].payload.questions.map(q => [q.questionText, q.options, q.correctAnswer, q.group])).to.deep.equal([
+        ["2+2?", ["3", "4"], "B", "Math"],
+        ["Only a's?", [], "/^a+$/", "Math"]
+      ]);
+      expect(result).to.deep.equal({ filePath: "/tmp/chapter.xml", format: "xml", exported: 1, skipped: 1 });
+      expect(lastMessage()).to.equal(
+        "1 question exported to /tmp/chapter.xml. 1 question with only regular expression answers was left out.");
+      // With "All" selected, the whole deck is exported.
+      groupSelect.value = "All";
+      await renderer.exportDeck();
+      expect(calls[1].payload.questions).to.have.length(3);
+    });
+
+    it("should not export without a deck and report failed exports", async function () {
+      // A file without questions leaves no deck loaded.
+      const emptyFile = path.join(deckDir, "empty.csv");
+      fs.writeFileSync(emptyFile, "", "utf8");
+      await loadQuestions(emptyFile);
+      expect(await renderer.exportDeck()).to.be.null;
+      expect(lastMessage()).to.equal("Load a deck to export it.");
+      await loadQuestions(deckFile);
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        return Promise.reject(new Error("disk full"));
+      };
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        expect(await renderer.exportDeck()).to.be.null;
+      } finally {
+        console.error = originalError;
+      }
+      expect(calls.map(call => call.channel)).to.deep.equal(["export-deck"]);
+      expect(lastMessage()).to.equal("Could not export the deck: disk full");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Recent Decks
+  // ---------------------------------------------------------------------------
+  describe("Recent Decks", function () {
+    let deckDir, deckFile, originalInvoke, calls, recent;
+
+    // Waits until the condition holds, giving up after a second.
+    const waitFor = async (condition) => {
+      for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    beforeEach(function () {
+      deckDir = fs.mkdtempSync(path.join(__dirname, "temp_recent_"));
+      deckFile = path.join(deckDir, "chapter1.csv");
+      fs.writeFileSync(deckFile, "2+2?,3,4,,,B,Math\nCapital of Italy?,Rome,Paris,,,A,Geo\n", "utf8");
+      document.body.insertAdjacentHTML("beforeend",
+        '<select id="recentDeckSelect" hidden></select><input type="checkbox" id="reopenLastToggle" />');
+      recent = { reopenLast: false, decks: [], pruned: [] };
+      calls = [];
+      originalInvoke = fakeIpcRenderer.invoke;
+      // A stand-in for the main process that keeps the list in memory.
+      fakeIpcRenderer.invoke = (channel, payload) => {
+        calls.push({ channel, payload });
+        if (channel === "get-recent-decks") return Promise.resolve(recent);
+        if (channel === "record-recent-deck") {
+          recent = Object.assign({}, recent, { decks: [payload].concat(recent.decks.filter(d => d.paths[0] !== payload.paths[0])) });
+          return Promise.resolve(recent);
+        }
+        return Promise.resolve(null);
+      };
+      renderer.questions.splice(0, renderer.questions.length);
+    });
+
+    afterEach(function () {
+      fakeIpcRenderer.invoke = originalInvoke;
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+
+    it("should remember the opened deck and its selected group", async function () {
+      await loadQuestions(deckFile);
+      const recorded = calls.filter(call => call.channel === "record-recent-deck").map(call => call.payload);
+      expect(recorded).to.deep.equal([{ paths: [deckFile], group: "All" }]);
+      const groupSelect = document.getElementById("groupSelect");
+      groupSelect.value = "Geo";
+      groupSelect.dispatchEvent(new dom.window.Event("change"));
+      await waitFor(() => recent.decks[0].group === "Geo");
+      // The dropdown lists the deck.
+      const recentDeckSelect = document.getElementById("recentDeckSelect");
+      expect(recentDeckSelect.hidden).to.be.false;
+      expect(Array.from(recentDeckSelect.options).map(opt => opt.textContent)).to.deep.equal(["Recent decks…", "chapter1.csv"]);
+    });
+
+    it("should reopen the last deck with its group at startup", async function () {
+      // Start without a deck, as the app does.
+      const emptyFile = path.join(deckDir, "empty.csv");
+      fs.writeFileSync(emptyFile, "", "utf8");
+      await loadQuestions(emptyFile);
+      recent = { reopenLast: true, decks: [{ paths: [deckFile], group: "Geo" }], pruned: ["/gone/old.csv"] };
+      renderer.initialize();
+      await waitFor(() => renderer.questions.length === 1);
+      expect(renderer.questions[0].questionText).to.equal("Capital of Italy?");
+      expect(document.getElementById("groupSelect").value).to.equal("Geo");
+      expect(document.getElementById("reopenLastToggle").checked).to.be.true;
+      // The user is told about files removed from the list.
+      await waitFor(() => document.querySelector("#feedback .import-warning"));
+      expect(document.querySelector("#feedback .import-warning").textContent).to.contain("old.csv");
+    });
+
+    it("should explain when a recent deck's file is gone", async function () {
+      const gone = path.join(deckDir, "moved.csv");
+      const loaded = await renderer.openRecentDeck({ paths: [gone], group: "All" });
+      expect(loaded).to.be.null;
+      expect(document.getElementById("feedback").textContent)
+        .to.equal("moved.csv could not be opened: moved.csv no longer exists.");
+      // The list is fetched again, so the main process can drop the file.
+      expect(calls.map(call => call.channel)).to.include("get-recent-decks");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: Drag and Drop
+  // ---------------------------------------------------------------------------
+  describe("Drag and Drop", function () {
+    let deckDir, chapter1, chapter2;
+
+    // Drops files with the given paths onto the window, as Electron reports them.
+    const drop = (...filePaths) => renderer.handleDrop({
+      preventDefault() {},
+      dataTransfer: { types: ["Files"], files: filePaths.map(filePath => ({ name: path.basename(filePath), path: filePath })) }
+    });
+
+    // Waits until a dialog with the given id is shown.
+    const waitForDialog = async (id) => {
+      while (!document.getElementById(id)) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    beforeEach(function () {
+      deckDir = fs.mkdtempSync(path.join(__dirname, "temp_drop_"));
+      chapter1 = path.join(deckDir, "chapter1.csv");
+      chapter2 = path.join(deckDir, "Chapter2.CSV");
+      fs.writeFileSync(chapter1, "2+2?,3,4,,,B,Math\n", "utf8");
+      fs.writeFileSync(chapter2, "3+3?,6,7,,,A,Math\n", "utf8");
+      renderer.questions.splice(0, renderer.questions.length);
+    });
+
+    afterEach(function () {
+      fs.rmSync(deckDir, { recursive: true, force: true });
+    });
+
+    it("should load the dropped deck files and reject the others", async function () {
+      await drop(chapter1, chapter2, path.join(deckDir, "notes.docx"));
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["2+2?", "3+3?"]);
+      expect(document.getElementById("feedback").textContent)
+        .to.equal("Only deck files (.csv, .json, .txt, .gift) can be loaded; not loaded: notes.docx.");
+      // Dropping only other files loads nothing.
+      expect(await drop(path.join(deckDir, "slides.pdf"))).to.be.null;
+      expect(renderer.questions).to.have.length(2);
+      expect(document.getElementById("feedback").textContent).to.contain("not loaded: slides.pdf");
+    });
+
+    it("should load nothing when the dropped files are not confirmed", async function () {
+      confirmDroppedFiles = false;
+      try {
+        expect(await drop(chapter1)).to.be.null;
+      } finally {
+        confirmDroppedFiles = true;
+      }
+      expect(renderer.questions).to.have.length(0);
+    });
+
+    it("should ask whether to replace or add to a quiz in progress", async function () {
+      await drop(chapter1);
+      renderer.currentQuestionIndex = 0;
+      document.querySelector('button[data-letter="B"]').click();
+      // Cancelling keeps the quiz as it is.
+      let dropping = drop(chapter2);
+      await waitForDialog("dropChoiceDialog");
+      document.getElementById("dropCancelBtn").click();
+      expect(await dropping).to.be.null;
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["2+2?"]);
+      expect(renderer.questions[0].userAnswered).to.be.true;
+      // Adding keeps the deck and restarts the quiz.
+      dropping = drop(chapter2);
+      await waitForDialog("dropChoiceDialog");
+      document.getElementById("dropAppendBtn").click();
+      await dropping;
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["2+2?", "3+3?"]);
+      expect(renderer.questions[0].userAnswered).to.be.undefined;
+      // Replacing loads only the dropped file.
+      document.querySelector('button[data-letter="B"]').click();
+      dropping = drop(chapter2);
+      await waitForDialog("dropChoiceDialog");
+      document.getElementById("dropReplaceBtn").click();
+      await dropping;
+      expect(renderer.questions.map(q => q.questionText)).to.deep.equal(["3+3?"]);
+      expect(document.getElementById("dropChoiceDialog")).to.not.exist;
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // Test Suite: Edge Cases
   // ---------------------------------------------------------------------------
@@ -0,0 +1,62 @@
+/* test/results.test.js
+ *
+ * This test file uses Mocha and Chai to test the end-of-round results summary (src/results.js).
+ *
+ * The tests cover:
+ *   - summarizeResults: Checks the totals, the percentage, the per-group breakdown and the missed questions.
+ *   - formatDuration: Checks the MM:SS and H:MM:SS formats.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const { summarizeResults, formatDuration } = require("../src/results");
+
+describe("Results", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: summarizeResults
+  // ---------------------------------------------------------------------------
+  describe("summarizeResults", function () {
+    it("should add up the score and break it down per group", function () {
+      const questions = [
+        { questionText: "Q1", group: "Math", userAnswered: true, answeredCorrectly: true, score: 1 },
+        { questionText: "Q2", group: "Art", userAnswered: true, answeredCorrectly: false, score: 0.5 },
+        { questionText: "Q3", group: "Math", userAnswered: true, answeredCorrectly: false, score: 0 },
+        { questionText: "Q4", userAnswered: false }
+      ];
+      const results = summarizeResults(questions, 125);
+      expect(results.total).to.equal(4);
+      expect(results.answered).to.equal(3);
+      expect(results.correct).to.equal(1);
+      expect(results.points).to.equal(1.5);
+      expect(results.percentage).to.equal(38);
+      expect(results.elapsedSeconds).to.equal(125);
+      expect(results.groups).to.deep.equal([
+        { group: "Math", total: 2, correct: 1, points: 1, percentage: 50 },
+        { group: "Art", total: 1, correct: 0, points: 0.5, percentage: 50 },
+        { group: "All", total: 1, correct: 0, points: 0, percentage: 0 }
+      ]);
+      expect(results.missed.map(entry => entry.index)).to.deep.equal([1, 2, 3]);
+      expect(results.missed[0].question).to.equal(questions[1]);
+    });
+
+    it("should handle an empty round", function () {
+      const results = summarizeResults([], undefined);
+      expect(results.percentage).to.equal(0);
+      expect(results.elapsedSeconds).to.equal(0);
+      expect(results.groups).to.deep.equal([]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: formatDuration
+  // ---------------------------------------------------------------------------
+  describe("formatDuration", function () {
+    it("should format minutes and seconds, and hours when needed", function () {
+      expect(formatDuration(0)).to.equal("00:00");
+      expect(formatDuration(245)).to.equal("04:05");
+      expect(formatDuration(3723)).to.equal("1:02:03");
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/* test/resultsExport.test.js
+ *
+ * This test file uses Mocha and Chai to test the export of session results (src/resultsExport.js)
+ * and the answer descriptions it uses (src/results.js).
+ *
+ * Dependencies:
+ *  - fs, os and path: For writing reports to a temporary directory.
+ *
+ * The tests cover:
+ *   - describeGivenAnswer / describeCorrectAnswer: Checks the answer descriptions.
+ *   - buildResultsReport: Checks the per-question rows and the group and session totals.
+ *   - formatResultsCsv: Checks the CSV sections, the quoting of fields and that answers cannot
+ *     run as spreadsheet formulas.
+ *   - formatResultsHtml: Checks that the page is standalone and that question text is escaped.
+ *   - writeResultsReport: Checks that the format follows the file extension.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describeGivenAnswer, describeCorrectAnswer } = require("../src/results");
+const { parseAcceptedAnswers } = require("../src/answerMatching");
+const {
+  formatFromPath,
+  buildResultsReport,
+  formatResultsCsv,
+  formatResultsHtml,
+  writeResultsReport
+} = require("../src/resultsExport");
+
+// A small session: one wrong choice question, one correct typed question, one unanswered.
+function sampleQuestions() {
+  return [
+    {
+      questionText: "Which are even?", options: ["2", "3", "4"], type: "choice", correctAnswer: "A,C",
+      group: "Math", userAnswered: true, userAnswer: "A", answeredCorrectly: false, score: 0.5, timeSpentMs: 4260
+    },
+    {
+      questionText: "Capital of France, \"Paris\"?", options: [], type: "text", acceptedAnswers: parseAcceptedAnswers("Paris", "text"),
+      group: "Geo", userAnswered: true, userAnswer: "Paris", answeredCorrectly: true, score: 1, timeSpentMs: 1000
+    },
+    {
+      questionText: "<b>3+3?</b>", options: ["6", "7"], type: "choice", correctAnswer: "A", group: "Math",
+      userAnswered: false
+    }
+  ];
+}
+
+describe("Results Export", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: describeGivenAnswer / describeCorrectAnswer
+  // ---------------------------------------------------------------------------
+  describe("describeGivenAnswer / describeCorrectAnswer", function () {
+    it("should describe choice and typed answers", function () {
+      const [choice, typed, unanswered] = sampleQuestions();
+      expect(describeGivenAnswer(choice)).to.equal("A) 2");
+      expect(describeCorrectAnswer(choice)).to.equal("A) 2, C) 4");
+      expect(describeGivenAnswer(typed)).to.equal("Paris");
+      expect(describeCorrectAnswer(typed)).to.equal("Paris");
+      expect(describeGivenAnswer(unanswered)).to.equal("No answer");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: buildResultsReport
+  // ---------------------------------------------------------------------------
+  describe("buildResultsReport", function () {
+    it("should list every question with its answer, correctness and time", function () {
+      const report = buildResultsReport(sampleQuestions(), {
+        deckPath: "/decks/quiz.csv",
+        elapsedSeconds: 65,
+        exportedAt: new Date("2024-05-01T10:00:00Z")
+      });
+      expect(report.deck).to.equal("quiz.csv");
+      expect(report.exportedAt).to.equal("2024-05-01T10:00:00.000Z");
+      expect(report.questions[0]).to.deep.equal({
+        number: 1, group: "Math", question: "Which are even?", type: "choice", answer: "A) 2",
+        correctAnswer: "A) 2, C) 4", correct: false, score: 0.5, timeSeconds: 4.3
+      });
+      expect(report.questions[2]).to.include({ answer: "No answer", correct: false, score: 0, timeSeconds: null });
+      expect(report.summary).to.include({ total: 3, answered: 2, correct: 1, points: 1.5, percentage: 50, elapsedSeconds: 65 });
+      expect(report.summary.groups).to.deep.equal([
+        { group: "Math", total: 2, correct: 0, points: 0.5, percentage: 25 },
+        { group: "Geo", total: 1, correct: 1, points: 1, percentage: 100 }
+      ]);
+      // The report only holds plain data, so it survives IPC and JSON unchanged.
+      expect(JSON.parse(JSON.stringify(report))).to.deep.equal(report);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: formatResultsCsv
+  // ---------------------------------------------------------------------------
+  describe("formatResultsCsv", function () {
+    it("should write the questions, then the group totals, quoting fields where needed", function () {
+      const lines = formatResultsCsv(buildResultsReport(sampleQuestions())).split("\r\n");
+      expect(lines[0]).to.equal("Number,Group,Question,Type,Answer,Correct Answer,Correct,Score,Time (s)");
+      expect(lines[1]).to.equal('1,Math,Which are even?,choice,A) 2,"A) 2, C) 4",no,0.5,4.3');
+      expect(lines[2]).to.equal('2,Geo,"Capital of France, ""Paris""?",text,Paris,Paris,yes,1,1');
+      expect(lines[3]).to.equal("3,Math,<b>3+3?</b>,choice,No answer,A) 6,no,0,");
+      expect(lines[4]).to.equal("");
+      expect(lines.slice(5, 9)).to.deep.equal([
+        "Group,Questions,Correct,Points,Percentage",
+        "Math,2,0,0.5,25%",
+        "Geo,1,1,1,100%",
+        "Total,3,1,1.5,50%"
+      ]);
+    });
+
+    it("should keep typed answers and question text from running as formulas", function () {
+      const questions = sampleQuestions();
+      Object.assign(questions[1], { questionText: "@Capital?", userAnswer: "=HYPERLINK(\"http://x\")", answeredCorrectly: false, score: 0 });
+      const lines = formatResultsCsv(buildResultsReport(questions)).split("\r\n");
+      expect(lines[2]).to.equal('2,Geo,\'@Capital?,text,"\'=HYPERLINK(""http://x"")",Paris,no,0,1');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: formatResultsHtml
+  // ---------------------------------------------------------------------------
+  describe("formatResultsHtml", function () {
+    it("should produce a standalone page with escaped question text", function () {
+      const html = formatResultsHtml(buildResultsReport(sampleQuestions(), { deckPath: "quiz.csv", elapsedSeconds: 65 }));
+      expect(html.startsWith("<!DOCTYPE html>")).to.be.true;
+      expect(html).to.contain("<style>");
+      expect(html).to.contain("@media print");
+      expect(html).to.not.match(/<link|<script/);
+      expect(html).to.contain("<title>Quiz Results: quiz.csv</title>");
+      expect(html).to.contain("Score: 1.5 / 3 (50%)");
+      expect(html).to.contain("Time: 01:05");
+      expect(html).to.contain("&lt;b&gt;3+3?&lt;/b&gt;");
+      expect(html).to.not.contain("<b>3+3?</b>");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: writeResultsReport
+  // ---------------------------------------------------------------------------
+  describe("writeResultsReport", function () {
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "quiz-export-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("should pick the format from the file extension", function () {
+      expect(formatFromPath("a/results.JSON")).to.equal("json");
+      expect(formatFromPath("results.htm")).to.equal("html");
+      expect(formatFromPath("results.txt")).to.be.null;
+      const report = buildResultsReport(sampleQuestions());
+      const jsonPath = path.join(tmpDir, "results.json");
+      expect(writeResultsReport(jsonPath, report)).to.deep.equal({ filePath: jsonPath, format: "json" });
+      expect(JSON.parse(fs.readFileSync(jsonPath, "utf8"))).to.deep.equal(report);
+      const htmlPath = path.join(tmpDir, "results.html");
+      writeResultsReport(htmlPath, report);
+      expect(fs.readFileSync(htmlPath, "utf8")).to.contain("<table>");
+      // Unknown extensions fall back to CSV.
+      const txtPath = path.join(tmpDir, "results.txt");
+      expect(writeResultsReport(txtPath, report).format).to.equal("csv");
+      expect(fs.readFileSync(txtPath, "utf8").startsWith("Number,Group")).to.be.true;
+    });
+  });
+});
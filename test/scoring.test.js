@@ -0,0 +1,66 @@
+/* test/scoring.test.js
+ *
+ * This test file uses Mocha and Chai to test the answer scoring module (src/scoring.js).
+ *
+ * The tests cover:
+ *   - parseAnswerLetters: Verifies that answer values with different separators are parsed
+ *     into sorted, unique, upper-case letters.
+ *   - scoreAnswer: Checks all-or-nothing and partial credit scoring, and the reported
+ *     missed and wrong letters.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const { SCORING_MODES, parseAnswerLetters, scoreAnswer } = require("../src/scoring");
+
+describe("Scoring", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: parseAnswerLetters
+  // ---------------------------------------------------------------------------
+  describe("parseAnswerLetters", function () {
+    it("should parse single and multiple letters with any separator", function () {
+      expect(parseAnswerLetters("b")).to.deep.equal(["B"]);
+      expect(parseAnswerLetters("C,A")).to.deep.equal(["A", "C"]);
+      expect(parseAnswerLetters(" a ; c | d ")).to.deep.equal(["A", "C", "D"]);
+      expect(parseAnswerLetters("A A")).to.deep.equal(["A"]);
+    });
+
+    it("should accept arrays and empty values", function () {
+      expect(parseAnswerLetters(["c", "a"])).to.deep.equal(["A", "C"]);
+      expect(parseAnswerLetters("")).to.deep.equal([]);
+      expect(parseAnswerLetters(undefined)).to.deep.equal([]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: scoreAnswer
+  // ---------------------------------------------------------------------------
+  describe("scoreAnswer", function () {
+    it("should score an exact selection as fully correct", function () {
+      const result = scoreAnswer(["A", "C"], ["A", "C"]);
+      expect(result).to.deep.equal({ score: 1, isCorrect: true, missed: [], wrong: [] });
+    });
+
+    it("should give no points for an incomplete selection in all-or-nothing mode", function () {
+      const result = scoreAnswer(["A"], ["A", "C"], SCORING_MODES.ALL_OR_NOTHING);
+      expect(result.score).to.equal(0);
+      expect(result.isCorrect).to.be.false;
+      expect(result.missed).to.deep.equal(["C"]);
+      expect(result.wrong).to.deep.equal([]);
+    });
+
+    it("should give a share of the point for each correct pick in partial mode", function () {
+      expect(scoreAnswer(["A"], ["A", "C"], SCORING_MODES.PARTIAL).score).to.equal(0.5);
+      // A wrong pick cancels a correct one.
+      const result = scoreAnswer(["A", "B"], ["A", "C"], SCORING_MODES.PARTIAL);
+      expect(result.score).to.equal(0);
+      expect(result.wrong).to.deep.equal(["B"]);
+    });
+
+    it("should never score below zero", function () {
+      expect(scoreAnswer(["B", "D"], ["A", "C"], SCORING_MODES.PARTIAL).score).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/* test/shuffle.test.js
+ *
+ * This test file uses Mocha and Chai to test the seeded shuffling of questions and
+ * answer options (src/shuffle.js).
+ *
+ * The tests cover:
+ *   - createRandom and shuffleArray: Checks that the same seed gives the same order.
+ *   - generateSeed and normalizeSeed: Checks the seed format.
+ *   - shuffleOptions: Checks that options are shuffled and the correct answer is remapped.
+ *   - originalAnswerLetters: Checks that displayed letters map back to the CSV letters.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const {
+  createRandom,
+  generateSeed,
+  normalizeSeed,
+  shuffleArray,
+  shuffleOptions,
+  originalAnswerLetters
+} = require("../src/shuffle");
+const { questionKey } = require("../src/questionKey");
+
+describe("Shuffle", function () {
+  const items = Array.from({ length: 20 }, (v, i) => i);
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: createRandom and shuffleArray
+  // ---------------------------------------------------------------------------
+  describe("shuffleArray", function () {
+    it("should give the same order for the same seed and a different one for another seed", function () {
+      const a = shuffleArray(items, createRandom("K7QX3M"));
+      const b = shuffleArray(items, createRandom("K7QX3M"));
+      const c = shuffleArray(items, createRandom("ABCDEF"));
+      expect(a).to.deep.equal(b);
+      expect(a).to.not.deep.equal(c);
+      expect(a).to.not.deep.equal(items);
+      expect(a.slice().sort((x, y) => x - y)).to.deep.equal(items);
+    });
+
+    it("should leave the original list unchanged", function () {
+      const copy = items.slice();
+      shuffleArray(items, createRandom("seed"));
+      expect(items).to.deep.equal(copy);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: generateSeed and normalizeSeed
+  // ---------------------------------------------------------------------------
+  describe("seeds", function () {
+    it("should generate six readable characters", function () {
+      expect(generateSeed()).to.match(/^[2-9A-HJKMNP-Z]{6}$/);
+      expect(generateSeed(createRandom(1))).to.equal(generateSeed(createRandom(1)));
+    });
+
+    it("should normalize typed seeds", function () {
+      expect(normalizeSeed(" k7qx3m ")).to.equal("K7QX3M");
+      expect(normalizeSeed(undefined)).to.equal("");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: shuffleOptions and originalAnswerLetters
+  // ---------------------------------------------------------------------------
+  describe("shuffleOptions", function () {
+    const question = {
+      questionText: "Pick the even numbers",
+      options: ["1", "2", "3", "4", "5", "6"],
+      correctAnswer: "B,D,F",
+      multiSelect: true,
+      group: "Math"
+    };
+
+    it("should shuffle the options and remap the correct answer letters", function () {
+      const shuffled = shuffleOptions(question, "K7QX3M");
+      expect(shuffled).to.not.equal(question);
+      expect(shuffled.options).to.not.deep.equal(question.options);
+      expect(shuffled.options.slice().sort()).to.deep.equal(question.options);
+      const correctOptions = shuffled.correctAnswer.split(",").map(letter => shuffled.options["ABCDEFGH".indexOf(letter)]);
+      expect(correctOptions.sort()).to.deep.equal(["2", "4", "6"]);
+      expect(shuffled.optionOrder.map(i => question.options[i])).to.deep.equal(shuffled.options);
+      expect(shuffled.group).to.equal("Math");
+      // The original question is not modified.
+      expect(question.options).to.deep.equal(["1", "2", "3", "4", "5", "6"]);
+      expect(shuffleOptions(question, "K7QX3M").options).to.deep.equal(shuffled.options);
+    });
+
+    it("should keep the question key and map answers back to the CSV letters", function () {
+      const shuffled = shuffleOptions(question, "K7QX3M");
+      expect(questionKey(shuffled)).to.equal(questionKey(question));
+      expect(originalAnswerLetters(shuffled, shuffled.correctAnswer)).to.equal("B,D,F");
+      expect(originalAnswerLetters(question, "C")).to.equal("C");
+    });
+
+    it("should leave questions without options unchanged", function () {
+      const typed = { questionText: "Capital of France?", options: [], correctAnswer: "Paris" };
+      expect(shuffleOptions(typed, "K7QX3M")).to.equal(typed);
+    });
+  });
+});
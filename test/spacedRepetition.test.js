@@ -0,0 +1,92 @@
+/* test/spacedRepetition.test.js
+ *
+ * This test file uses Mocha and Chai to test the spaced-repetition scheduler
+ * (src/spacedRepetition.js) used by the study mode.
+ *
+ * The tests cover:
+ *   - scheduleFromAttempts: Checks Leitner box promotion, demotion and due times.
+ *   - buildStudyQueue: Checks which questions are due today and their study order.
+ *   - countDueToday: Checks the due count split into reviews and new questions.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const {
+  DAY_MS,
+  LEITNER_INTERVALS_DAYS,
+  scheduleFromAttempts,
+  buildStudyQueue,
+  countDueToday
+} = require("../src/spacedRepetition");
+const { questionKey } = require("../src/questionKey");
+
+// A fixed "now" at noon, so that "today" does not depend on when the tests run.
+const NOW = new Date(2026, 4, 15, 12, 0, 0).getTime();
+
+// Builds an attempt answered the given number of days before NOW.
+function attempt(daysAgo, correct) {
+  return { timestamp: new Date(NOW - daysAgo * DAY_MS).toISOString(), correct };
+}
+
+describe("Spaced Repetition", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: scheduleFromAttempts
+  // ---------------------------------------------------------------------------
+  describe("scheduleFromAttempts", function () {
+    it("should treat questions without attempts as new", function () {
+      expect(scheduleFromAttempts([])).to.deep.equal({ box: 0, reviewedAt: null, dueAt: null, isNew: true });
+    });
+
+    it("should move a question up one box per correct answer given when due", function () {
+      const schedule = scheduleFromAttempts([attempt(10, true), attempt(9, true), attempt(5, true)]);
+      expect(schedule.box).to.equal(3);
+      expect(schedule.isNew).to.be.false;
+      expect(schedule.reviewedAt).to.equal(NOW - 5 * DAY_MS);
+      expect(schedule.dueAt).to.equal(NOW - 5 * DAY_MS + LEITNER_INTERVALS_DAYS[3] * DAY_MS);
+    });
+
+    it("should not promote correct answers given before the question was due", function () {
+      const schedule = scheduleFromAttempts([attempt(3, true), attempt(2.9, true), attempt(2.8, true)]);
+      expect(schedule.box).to.equal(1);
+    });
+
+    it("should send a question back to box 0 after a wrong answer", function () {
+      const schedule = scheduleFromAttempts([attempt(20, true), attempt(15, true), attempt(1, false)]);
+      expect(schedule.box).to.equal(0);
+      expect(schedule.dueAt).to.equal(NOW - DAY_MS);
+    });
+
+    it("should replay attempts in time order and skip invalid timestamps", function () {
+      const schedule = scheduleFromAttempts([attempt(1, true), { timestamp: "nonsense", correct: false }, attempt(2, false)]);
+      expect(schedule.box).to.equal(1);
+      expect(schedule.reviewedAt).to.equal(NOW - DAY_MS);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suites: buildStudyQueue and countDueToday
+  // ---------------------------------------------------------------------------
+  describe("buildStudyQueue", function () {
+    const mastered = { questionText: "Mastered", options: ["a", "b"] };
+    const wrong = { questionText: "Wrong", options: ["a", "b"] };
+    const overdue = { questionText: "Overdue", options: ["a", "b"] };
+    const fresh = { questionText: "Fresh", options: ["a", "b"] };
+    const history = {
+      [questionKey(mastered)]: { attempts: [attempt(30, true), attempt(29, true), attempt(27, true), attempt(2, true)] },
+      [questionKey(wrong)]: { attempts: [attempt(0.1, false)] },
+      [questionKey(overdue)]: { attempts: [attempt(5, true)] }
+    };
+
+    it("should put due questions first, weakest first, followed by new questions", function () {
+      const queue = buildStudyQueue([fresh, mastered, overdue, wrong], history, NOW);
+      expect(queue.map(q => q.questionText)).to.deep.equal(["Wrong", "Overdue", "Fresh"]);
+    });
+
+    it("should count the due questions, split into reviews and new questions", function () {
+      expect(countDueToday([fresh, mastered, overdue, wrong], history, NOW)).to.deep.equal({ total: 3, reviews: 2, new: 1 });
+      expect(countDueToday([mastered], history, NOW)).to.deep.equal({ total: 0, reviews: 0, new: 0 });
+    });
+  });
+});
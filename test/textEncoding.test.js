@@ -0,0 +1,114 @@
+/* test/textEncoding.test.js
+ *
+ * This test file uses Mocha and Chai to test the encodings deck files are read and written
+ * in (src/textEncoding.js).
+ *
+ * The tests cover:
+ *   - detectEncoding: Checks byte order marks, UTF-16 without one, and the Windows-1252
+ *     fallback for text that is not valid UTF-8.
+ *   - decodeText / encodeText / canEncode: Checks that text survives being encoded and decoded,
+ *     and which characters Windows-1252 can hold.
+ *   - readTextFile / writeTextFile: Checks reading a file with a detected and a chosen encoding,
+ *     and writing one in a given encoding.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ENCODINGS,
+  detectEncoding,
+  decodeText,
+  canEncode,
+  encodeText,
+  readTextFile,
+  writeTextFile
+} = require("../src/textEncoding");
+
+describe("Text Encoding", function () {
+  const text = "Question;Option 1\r\nCafé – “crème”?;Oui\r\n";
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: detectEncoding
+  // ---------------------------------------------------------------------------
+  describe("detectEncoding", function () {
+    it("should recognise byte order marks", function () {
+      expect(detectEncoding(encodeText(text, ENCODINGS.UTF8, true))).to.deep.equal({ encoding: "utf-8", byteOrderMark: true });
+      expect(detectEncoding(encodeText(text, ENCODINGS.UTF16LE, true))).to.deep.equal({ encoding: "utf-16le", byteOrderMark: true });
+      expect(detectEncoding(encodeText(text, ENCODINGS.UTF16BE, true))).to.deep.equal({ encoding: "utf-16be", byteOrderMark: true });
+    });
+
+    it("should tell the encoding of files without a byte order mark", function () {
+      expect(detectEncoding(encodeText(text, ENCODINGS.UTF8))).to.deep.equal({ encoding: "utf-8", byteOrderMark: false });
+      expect(detectEncoding(encodeText(text, ENCODINGS.UTF16LE)).encoding).to.equal("utf-16le");
+      expect(detectEncoding(encodeText(text, ENCODINGS.UTF16BE)).encoding).to.equal("utf-16be");
+      // "é" is one byte (0xE9) in Windows-1252, which is not valid UTF-8.
+      expect(detectEncoding(encodeText(text, ENCODINGS.WINDOWS_1252)).encoding).to.equal("windows-1252");
+      expect(detectEncoding(Buffer.from("plain ASCII,a,b\n")).encoding).to.equal("utf-8");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: decodeText / encodeText / canEncode
+  // ---------------------------------------------------------------------------
+  describe("decodeText / encodeText / canEncode", function () {
+    it("should decode what was encoded, without the byte order mark", function () {
+      Object.values(ENCODINGS).forEach(encoding => {
+        expect(decodeText(encodeText(text, encoding, encoding !== ENCODINGS.WINDOWS_1252), encoding)).to.equal(text);
+      });
+      expect(Array.from(encodeText("€“", ENCODINGS.WINDOWS_1252))).to.deep.equal([0x80, 0x93]);
+    });
+
+    it("should know which characters Windows-1252 can hold", function () {
+      expect(canEncode(text, ENCODINGS.WINDOWS_1252)).to.be.true;
+      expect(canEncode("Ωmega", ENCODINGS.WINDOWS_1252)).to.be.false;
+      expect(canEncode("Ωmega", ENCODINGS.UTF16LE)).to.be.true;
+      expect(encodeText("Ω", ENCODINGS.WINDOWS_1252).toString("latin1")).to.equal("?");
+      // U+0080-U+009F other than the bytes Windows-1252 leaves undefined would come back as
+      // other characters (0x80 is read as "€").
+      expect(canEncode("a\u0080b", ENCODINGS.WINDOWS_1252)).to.be.false;
+      expect(canEncode("\u0093", ENCODINGS.WINDOWS_1252)).to.be.false;
+      expect(encodeText("\u0080", ENCODINGS.WINDOWS_1252).toString("latin1")).to.equal("?");
+      expect(canEncode("\u0081 ÿ", ENCODINGS.WINDOWS_1252)).to.be.true;
+      expect(decodeText(encodeText("\u0081 ÿ", ENCODINGS.WINDOWS_1252), ENCODINGS.WINDOWS_1252)).to.equal("\u0081 ÿ");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: readTextFile / writeTextFile
+  // ---------------------------------------------------------------------------
+  describe("readTextFile / writeTextFile", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "text-encoding-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should read a file in the detected or the chosen encoding", function () {
+      const file = path.join(dir, "deck.csv");
+      fs.writeFileSync(file, encodeText(text, ENCODINGS.UTF16LE, true));
+      expect(readTextFile(file)).to.deep.equal({ text, encoding: "utf-16le", byteOrderMark: true });
+      fs.writeFileSync(file, encodeText(text, ENCODINGS.WINDOWS_1252));
+      expect(readTextFile(file).text).to.equal(text);
+      // Read as UTF-8 on purpose, the Windows-1252 characters cannot be decoded.
+      const wrong = readTextFile(file, ENCODINGS.UTF8);
+      expect(wrong.encoding).to.equal("utf-8");
+      expect(wrong.text).to.include("\uFFFD");
+    });
+
+    it("should write text in the given encoding, with the byte order mark it starts with", function () {
+      const file = path.join(dir, "deck.csv");
+      writeTextFile(file, "\uFEFF" + text, ENCODINGS.UTF16BE);
+      expect(readTextFile(file)).to.deep.equal({ text, encoding: "utf-16be", byteOrderMark: true });
+      expect(() => writeTextFile(file, text, "latin-9")).to.throw(RangeError);
+    });
+  });
+});
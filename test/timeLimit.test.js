@@ -0,0 +1,52 @@
+/* test/timeLimit.test.js
+ *
+ * This test file uses Mocha and Chai to test the per-question time limit helpers
+ * (src/timeLimit.js).
+ *
+ * The tests cover:
+ *   - parseTimeLimit: Checks the accepted spellings, empty values and invalid values.
+ *   - questionTimeLimit: Checks that a question's own limit takes precedence over the global one.
+ */
+
+// -----------------------------------------------------------------------------
+// Import necessary modules and libraries.
+// -----------------------------------------------------------------------------
+const { expect } = require("chai");
+const { parseTimeLimit, questionTimeLimit } = require("../src/timeLimit");
+
+describe("Time Limits", function () {
+  // ---------------------------------------------------------------------------
+  // Test Suite: parseTimeLimit
+  // ---------------------------------------------------------------------------
+  describe("parseTimeLimit", function () {
+    it("should read seconds, minutes and m:ss", function () {
+      expect(parseTimeLimit("30")).to.equal(30);
+      expect(parseTimeLimit(" 45s ")).to.equal(45);
+      expect(parseTimeLimit("12.5 seconds")).to.equal(13);
+      expect(parseTimeLimit("2m")).to.equal(120);
+      expect(parseTimeLimit("1,5 min")).to.equal(90);
+      expect(parseTimeLimit("1:30")).to.equal(90);
+      expect(parseTimeLimit(20)).to.equal(20);
+    });
+
+    it("should return null for no limit and NaN for unreadable values", function () {
+      expect(parseTimeLimit("")).to.be.null;
+      expect(parseTimeLimit(undefined)).to.be.null;
+      expect(parseTimeLimit("0")).to.be.null;
+      expect(parseTimeLimit("soon")).to.be.NaN;
+      expect(parseTimeLimit("-5")).to.be.NaN;
+      expect(parseTimeLimit("1:75")).to.be.NaN;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Test Suite: questionTimeLimit
+  // ---------------------------------------------------------------------------
+  describe("questionTimeLimit", function () {
+    it("should prefer the question's own limit over the global one", function () {
+      expect(questionTimeLimit({ timeLimit: 15 }, 60)).to.equal(15);
+      expect(questionTimeLimit({ timeLimit: null }, 60)).to.equal(60);
+      expect(questionTimeLimit({}, 0)).to.equal(0);
+    });
+  });
+});